@@ -7,11 +7,14 @@ import fs from "fs";
 import cors from "cors";
 
 import { DatabaseConnection } from "./config/db.js";
+import { AuthRouter } from "./routes/AuthRouter.js";
 import { CategoryRouter } from "./routes/CategoryRouter.js";
 import { ProductRouter } from "./routes/ProductRouter.js";
 import { UserRouter } from "./routes/UserRouter.js";
 import { OrderRouter } from "./routes/OrderRouter.js";
 import { RelationRouter } from "./routes/RelationRouter.js";
+import { RoleRouter } from "./routes/RoleRouter.js";
+import { PermissionService } from "./services/PermissionService.js";
 
 class App {
     constructor() {
@@ -30,7 +33,8 @@ class App {
 
     configureDatabaseConnection() {
         const dbConnection = new DatabaseConnection();
-        dbConnection.connect();
+        // Una vez conectada verifica que existan los roles por defecto
+        dbConnection.connect().then(() => PermissionService.seedDefaultRoles());
     }
 
     configureUploadsDirectory() {
@@ -59,11 +63,13 @@ class App {
     }
 
     configureRoutes() {
+        this.app.use("/api/auth", new AuthRouter().getRouter());
         this.app.use("/api/users", new UserRouter().getRouter());
         this.app.use("/api/products", new ProductRouter().getRouter());
         this.app.use("/api/categories", new CategoryRouter().getRouter());
         this.app.use("/api/orders", new OrderRouter().getRouter());
         this.app.use("/api/relations", new RelationRouter().getRouter());
+        this.app.use("/api/roles", new RoleRouter().getRouter());
     }
 
     start() {
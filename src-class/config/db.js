@@ -6,7 +6,7 @@ export class DatabaseConnection {
     }
 
     connect() {
-        mongoose.connect(this.mongoURI)
+        return mongoose.connect(this.mongoURI)
             .then(() => {
                 console.log('Connected successfully to MongoDB');
             })
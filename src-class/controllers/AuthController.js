@@ -0,0 +1,155 @@
+import User from '../models/UserModel.js';
+import bcrypt from 'bcryptjs';
+// Mismo flujo de login que src (comparten la colección de usuarios y JWT_SECRET):
+// bloqueo por intentos fallidos, 2FA y refresh tokens
+import {
+    issueTokens,
+    signChallengeToken,
+    checkLoginAllowed,
+    registerFailure,
+    registerSuccess,
+    sendLoginThrottled,
+    isTwoFactorRequired,
+    sendVerificationEmail
+} from '../shared/index.js';
+
+export class AuthController {
+    async register(req, res) {
+        try {
+            const { username, email, password } = req.body;
+            
+            const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+            
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    message: existingUser.email === email 
+                        ? 'El email ya está registrado' 
+                        : 'El nombre de usuario ya está en uso'
+                });
+            }
+            
+            const salt = await bcrypt.genSalt(10);
+            const hashedPassword = await bcrypt.hash(password, salt);
+            
+            // El registro público siempre crea usuarios con el rol por defecto
+            const newUser = await User.create({
+                username,
+                email,
+                password: hashedPassword
+            });
+            
+            // Si falla el envío el usuario ya está creado: puede pedir el reenvío en /api/auth/resend-verification (src)
+            try {
+                await sendVerificationEmail(newUser);
+            } catch (error) {
+                console.error(error);
+            }
+            
+            return res.status(201).json({
+                success: true,
+                message: 'Usuario registrado exitosamente. Te enviamos un email para verificar tu cuenta',
+                user: {
+                    _id: newUser._id,
+                    username: newUser.username,
+                    email: newUser.email,
+                    role: newUser.role,
+                    emailVerified: newUser.emailVerified,
+                    createdAt: newUser.createdAt
+                }
+            });
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al registrar usuario',
+                error: error.message
+            });
+        }
+    }
+
+    async login(req, res) {
+        try {
+            const { email, password } = req.body;
+            
+            // Bloqueo o espera progresiva por cuenta/IP antes de comparar la contraseña
+            const check = await checkLoginAllowed(email, req.ip);
+            
+            if (!check.allowed) {
+                return sendLoginThrottled(res, check);
+            }
+            
+            const user = await User.findOne({ email });
+            
+            // Mismo mensaje si el email no existe o la contraseña es incorrecta
+            const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+            
+            if (!isMatch) {
+                const failure = await registerFailure(email, req.ip);
+                
+                if (failure.locked) {
+                    return sendLoginThrottled(res, failure);
+                }
+                
+                if (!failure.allowed) {
+                    res.set('Retry-After', String(failure.retryAfter));
+                }
+                
+                return res.status(401).json({
+                    success: false,
+                    message: 'Credenciales inválidas'
+                });
+            }
+            
+            // 2FA activado: el login continúa en POST /api/auth/2fa/verify (API de src) con el código TOTP
+            if (user.twoFactorEnabled) {
+                return res.json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: signChallengeToken(user, '2fa_login')
+                });
+            }
+            
+            // El rol exige 2FA pero no está activado: primero hay que darlo de alta en /api/auth/2fa/setup (src)
+            if (isTwoFactorRequired(user)) {
+                return res.json({
+                    success: true,
+                    twoFactorSetupRequired: true,
+                    challengeToken: signChallengeToken(user, '2fa_enroll')
+                });
+            }
+            
+            await registerSuccess(email);
+            
+            // Access token de vida corta + refresh token rotativo (se renueva en /api/auth/refresh de src)
+            const { token, refreshToken } = await issueTokens(user, req.ip);
+            
+            return res.json({
+                success: true,
+                token,
+                refreshToken,
+                user: {
+                    _id: user._id,
+                    username: user.username,
+                    email: user.email,
+                    role: user.role
+                }
+            });
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error en el inicio de sesión',
+                error: error.message
+            });
+        }
+    }
+
+    // AuthMiddleware.verifyToken ya recargó el usuario sin password
+    me(req, res) {
+        return res.json({
+            success: true,
+            user: req.user
+        });
+    }
+}
@@ -1,6 +1,8 @@
 import BaseController from './BaseController.js';
 import Order from '../models/OrderModel.js';
 import Product from '../models/ProductModel.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { PERMISSIONS } from '../shared/index.js';
 
 export class OrderController extends BaseController {
     constructor() {
@@ -13,8 +15,9 @@ export class OrderController extends BaseController {
             const limit = parseInt(req.query.limit) || 10;
             const skip = (page - 1) * limit;
 
-            // Filtrar por usuario si no es admin
-            const filter = req.user.role === 'admin' ? {} : { user: req.user._id };
+            // Filtrar por usuario si no tiene orders:manage
+            const canManage = await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_MANAGE);
+            const filter = canManage ? {} : { user: req.user._id };
             
             // Filtrar por estado si se proporciona
             if (req.query.status) {
@@ -63,8 +66,9 @@ export class OrderController extends BaseController {
                 });
             }
             
-            // Verificar permisos (solo el usuario dueño o admin)
-            if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+            // Verificar permisos (solo el usuario dueño o orders:manage)
+            if (order.user._id.toString() !== req.user._id.toString() &&
+                !(await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_MANAGE))) {
                 return res.status(403).json({
                     success: false,
                     message: 'No tienes permiso para ver esta orden'
@@ -198,9 +202,9 @@ export class OrderController extends BaseController {
                 });
             }
             
-            // Solo el admin puede cambiar cualquier orden
+            // Solo orders:manage puede cambiar cualquier orden
             // El usuario solo puede cancelar sus propias órdenes pendientes
-            if (req.user.role !== 'admin') {
+            if (!(await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_MANAGE))) {
                 if (order.user.toString() !== req.user._id.toString()) {
                     return res.status(403).json({
                         success: false,
@@ -259,11 +263,11 @@ export class OrderController extends BaseController {
         try {
             const orderId = req.params.id;
             
-            // Solo los administradores pueden eliminar órdenes
-            if (req.user.role !== 'admin') {
+            // Solo orders:manage puede eliminar órdenes
+            if (!(await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_MANAGE))) {
                 return res.status(403).json({
                     success: false,
-                    message: 'Solo los administradores pueden eliminar órdenes'
+                    message: 'No tienes permiso para eliminar órdenes'
                 });
             }
             
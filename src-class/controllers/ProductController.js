@@ -2,6 +2,8 @@ import BaseController from './BaseController.js';
 import Product from '../models/ProductModel.js';
 import Category from '../models/CategoryModel.js';
 import { FileUploader } from '../config/multer.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { PERMISSIONS } from '../shared/index.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -152,10 +154,10 @@ export class ProductController extends BaseController {
                 });
             }
             
-            // Verificar permisos
+            // Verificar permisos (el creador o products:manage)
             if (product.creator && 
                 product.creator.toString() !== req.user._id.toString() && 
-                req.user.role !== 'admin') {
+                !(await PermissionService.hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE))) {
                 return res.status(403).json({
                     success: false,
                     message: 'No tienes permiso para actualizar este producto'
@@ -230,10 +232,10 @@ export class ProductController extends BaseController {
                 });
             }
             
-            // Verificar permisos
+            // Verificar permisos (el creador o products:manage)
             if (product.creator && 
                 product.creator.toString() !== req.user._id.toString() && 
-                req.user.role !== 'admin') {
+                !(await PermissionService.hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE))) {
                 return res.status(403).json({
                     success: false,
                     message: 'No tienes permiso para eliminar este producto'
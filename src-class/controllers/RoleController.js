@@ -0,0 +1,208 @@
+import BaseController from './BaseController.js';
+import Role from '../models/RoleModel.js';
+import User from '../models/UserModel.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { ALL_PERMISSIONS, ADMIN_ROLE } from '../shared/index.js';
+
+export class RoleController extends BaseController {
+    constructor() {
+        super(Role);
+    }
+
+    getPermissions(req, res) {
+        return res.json({
+            success: true,
+            permissions: ALL_PERMISSIONS
+        });
+    }
+
+    async getRoles(req, res) {
+        try {
+            const roles = await Role.find().sort({ name: 1 });
+
+            return res.json({
+                success: true,
+                count: roles.length,
+                roles
+            });
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener roles',
+                error: error.message
+            });
+        }
+    }
+
+    async getRole(req, res) {
+        try {
+            const role = await Role.findById(req.params.id);
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Rol no encontrado'
+                });
+            }
+
+            const usersCount = await User.countDocuments({ role: role.name });
+
+            return res.json({
+                success: true,
+                role,
+                usersCount
+            });
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener el rol',
+                error: error.message
+            });
+        }
+    }
+
+    async createRole(req, res) {
+        try {
+            const { name, description, permissions } = req.body;
+
+            const existingRole = await Role.findOne({ name: name.toLowerCase() });
+
+            if (existingRole) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe un rol con ese nombre'
+                });
+            }
+
+            const role = await Role.create({ name, description, permissions });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Rol creado exitosamente',
+                role
+            });
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al crear el rol',
+                error: error.message
+            });
+        }
+    }
+
+    async updateRole(req, res) {
+        try {
+            const { name, description, permissions } = req.body;
+
+            const role = await Role.findById(req.params.id);
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Rol no encontrado'
+                });
+            }
+
+            // El rol admin no se modifica para que siempre exista alguien capaz de administrar roles
+            if (role.name === ADMIN_ROLE) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'El rol admin no se puede modificar'
+                });
+            }
+
+            // Al renombrar se migran los usuarios que tienen el rol
+            if (name !== undefined && name.toLowerCase() !== role.name) {
+                if (role.isSystem) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Los roles del sistema no se pueden renombrar'
+                    });
+                }
+
+                const existingRole = await Role.findOne({ name: name.toLowerCase() });
+
+                if (existingRole) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Ya existe un rol con ese nombre'
+                    });
+                }
+
+                await User.updateMany({ role: role.name }, { role: name.toLowerCase() });
+                role.name = name;
+            }
+
+            if (description !== undefined) {
+                role.description = description;
+            }
+
+            if (permissions !== undefined) {
+                role.permissions = permissions;
+            }
+
+            await role.save();
+            PermissionService.clearCache();
+
+            return res.json({
+                success: true,
+                message: 'Rol actualizado exitosamente',
+                role
+            });
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar el rol',
+                error: error.message
+            });
+        }
+    }
+
+    async deleteRole(req, res) {
+        try {
+            const role = await Role.findById(req.params.id);
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Rol no encontrado'
+                });
+            }
+
+            if (role.isSystem) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Los roles del sistema no se pueden eliminar'
+                });
+            }
+
+            const usersCount = await User.countDocuments({ role: role.name });
+
+            if (usersCount > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `No se puede eliminar el rol porque lo tienen ${usersCount} usuario(s)`
+                });
+            }
+
+            await Role.findByIdAndDelete(role._id);
+            PermissionService.clearCache();
+
+            return res.json({
+                success: true,
+                message: 'Rol eliminado exitosamente'
+            });
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error al eliminar el rol',
+                error: error.message
+            });
+        }
+    }
+}
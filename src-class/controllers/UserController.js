@@ -1,7 +1,9 @@
 import BaseController from './BaseController.js';
 import User from '../models/UserModel.js';
+import Role from '../models/RoleModel.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { PERMISSIONS, sendVerificationEmail } from '../shared/index.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 
 export class UserController extends BaseController {
     constructor() {
@@ -86,6 +88,14 @@ export class UserController extends BaseController {
                 });
             }
             
+            // Verificar que el rol exista
+            if (role && !(await Role.exists({ name: role }))) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El rol ${role} no existe`
+                });
+            }
+            
             // Encriptar contraseña
             const salt = await bcrypt.genSalt(10);
             const hashedPassword = await bcrypt.hash(password, salt);
@@ -98,6 +108,13 @@ export class UserController extends BaseController {
                 role: role || 'user' // Por defecto es 'user' si no se especifica
             });
             
+            // El usuario también tiene que verificar su email (si falla el envío puede pedir el reenvío)
+            try {
+                await sendVerificationEmail(newUser);
+            } catch (error) {
+                console.error(error);
+            }
+            
             // No devolver la contraseña en la respuesta
             const userResponse = {
                 _id: newUser._id,
@@ -127,8 +144,10 @@ export class UserController extends BaseController {
             const userId = req.params.id;
             const { username, email, password, role } = req.body;
             
-            // Verificar si el usuario puede editar (solo el propio usuario o admin)
-            if (userId !== req.user._id.toString() && req.user.role !== 'admin') {
+            // Verificar si el usuario puede editar (solo el propio usuario o users:write)
+            const canWriteUsers = await PermissionService.hasPermission(req, PERMISSIONS.USERS_WRITE);
+            
+            if (userId !== req.user._id.toString() && !canWriteUsers) {
                 return res.status(403).json({
                     success: false,
                     message: 'No tienes permiso para editar este usuario'
@@ -177,7 +196,12 @@ export class UserController extends BaseController {
                     });
                 }
                 
-                updateData.email = email;
+                // El nuevo email debe verificarse de nuevo
+                if (email !== user.email) {
+                    updateData.email = email;
+                    updateData.emailVerified = false;
+                    updateData.$unset = { emailVerifiedAt: 1 };
+                }
             }
             
             if (password) {
@@ -186,8 +210,15 @@ export class UserController extends BaseController {
                 updateData.password = await bcrypt.hash(password, salt);
             }
             
-            // Solo el admin puede cambiar roles
-            if (role && req.user.role === 'admin') {
+            // Solo users:write puede cambiar roles, y el rol tiene que existir
+            if (role && canWriteUsers) {
+                if (!(await Role.exists({ name: role }))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `El rol ${role} no existe`
+                    });
+                }
+                
                 updateData.role = role;
             }
             
@@ -198,6 +229,14 @@ export class UserController extends BaseController {
                 { new: true, runValidators: true }
             ).select('-password');
             
+            if (updateData.email) {
+                try {
+                    await sendVerificationEmail(updatedUser);
+                } catch (error) {
+                    console.error(error);
+                }
+            }
+            
             return res.json({
                 success: true,
                 message: 'Usuario actualizado exitosamente',
@@ -217,8 +256,8 @@ export class UserController extends BaseController {
         try {
             const userId = req.params.id;
             
-            // Verificar permisos (solo admin puede eliminar usuarios)
-            if (req.user.role !== 'admin') {
+            // Verificar permisos (solo users:delete puede eliminar usuarios)
+            if (!(await PermissionService.hasPermission(req, PERMISSIONS.USERS_DELETE))) {
                 return res.status(403).json({
                     success: false,
                     message: 'No tienes permiso para eliminar usuarios'
@@ -252,63 +291,4 @@ export class UserController extends BaseController {
             });
         }
     }
-
-    async login(req, res) {
-        try {
-            const { email, password } = req.body;
-            
-            // Buscar usuario por email
-            const user = await User.findOne({ email });
-            
-            if (!user) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Credenciales inválidas'
-                });
-            }
-            
-            // Verificar contraseña
-            const isMatch = await bcrypt.compare(password, user.password);
-            
-            if (!isMatch) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Credenciales inválidas'
-                });
-            }
-            
-            // Generar JWT
-            const payload = {
-                id: user._id,
-                role: user.role
-            };
-            
-            jwt.sign(
-                payload, 
-                process.env.JWT_SECRET, 
-                { expiresIn: '24h' }, 
-                (err, token) => {
-                    if (err) throw err;
-                    
-                    res.json({
-                        success: true,
-                        token,
-                        user: {
-                            _id: user._id,
-                            username: user.username,
-                            email: user.email,
-                            role: user.role
-                        }
-                    });
-                }
-            );
-        } catch (error) {
-            console.error(error);
-            return res.status(500).json({
-                success: false,
-                message: 'Error en el inicio de sesión',
-                error: error.message
-            });
-        }
-    }
 }
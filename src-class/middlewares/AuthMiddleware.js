@@ -1,60 +1,109 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/UserModel.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { createAuthenticator, AUTH_ERRORS } from '../shared/index.js';
+
+// Mismo módulo de autenticación que src: Authorization: Bearer <jwt> con payload { sub, role, jti }.
+// Las API keys y los tokens de impersonación de src se rechazan con un mensaje propio: sus
+// restricciones (scopes, solo lectura y auditoría) usan modelos de src que esta variante no carga.
+const authenticate = createAuthenticator({ User });
+
+const ERROR_MESSAGES = {
+    [AUTH_ERRORS.MISSING_CREDENTIALS]: 'No hay token, autorización denegada',
+    [AUTH_ERRORS.INVALID_SCHEME]: 'La cabecera Authorization debe usar el esquema Bearer',
+    [AUTH_ERRORS.INVALID_TOKEN]: 'Token no válido',
+    [AUTH_ERRORS.TOKEN_EXPIRED]: 'Token expirado',
+    [AUTH_ERRORS.INVALID_API_KEY]: 'API key no válida',
+    [AUTH_ERRORS.API_KEY_NOT_ALLOWED]: 'Esta API no acepta API keys: use un token Bearer o la API de src',
+    [AUTH_ERRORS.IMPERSONATION_NOT_ALLOWED]: 'Esta API no acepta tokens de impersonación: use la API de src',
+    [AUTH_ERRORS.USER_NOT_FOUND]: 'Usuario no encontrado'
+};
 
 export class AuthMiddleware {
     static async verifyToken(req, res, next) {
         try {
-            // Obtener el token del header
-            const token = req.header('x-auth-token');
+            const result = await authenticate(req);
             
-            // Verificar si no hay token
-            if (!token) {
+            if (result.error) {
                 return res.status(401).json({
                     success: false,
-                    msg: 'No hay token, autorización denegada'
+                    msg: ERROR_MESSAGES[result.error]
                 });
             }
             
-            // Verificar el token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            
-            // Añadir el usuario al request
-            const user = await User.findById(decoded.id).select('-password');
+            // Usuario recargado desde la base de datos (sin password)
+            req.user = result.user;
+            req.tokenClaims = result.claims;
+            next();
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                success: false,
+                msg: 'Error del servidor al verificar el token'
+            });
+        }
+    }
+    
+    // Exige que el rol del usuario tenga TODOS los permisos indicados (usar después de verifyToken).
+    // verifyToken solo acepta tokens Bearer de sesión, así que no hay scopes de API key que filtrar
+    static requirePermission(...permissions) {
+        return async (req, res, next) => {
+            try {
+                if (!req.user) {
+                    return res.status(401).json({
+                        success: false,
+                        msg: 'No hay usuario autenticado'
+                    });
+                }
+
+                req.permissions = await PermissionService.getRolePermissions(req.user.role);
+
+                const missing = permissions.filter((permission) => !req.permissions.includes(permission));
+
+                if (missing.length > 0) {
+                    return res.status(403).json({
+                        success: false,
+                        msg: `Se requiere el permiso: ${missing.join(', ')}`
+                    });
+                }
+
+                next();
+            } catch (error) {
+                console.error(error);
+                res.status(500).json({
+                    success: false,
+                    msg: 'Error del servidor al verificar permisos'
+                });
+            }
+        };
+    }
+    
+    // Bloquea a los usuarios que todavía no confirmaron su email (usar después de verifyToken)
+    static async verifyEmailConfirmed(req, res, next) {
+        try {
+            const user = await User.findById(req.user._id).select('emailVerified');
             
             if (!user) {
-                return res.status(404).json({
+                return res.status(401).json({
                     success: false,
                     msg: 'Usuario no encontrado'
                 });
             }
             
-            req.user = user;
+            if (!user.emailVerified) {
+                return res.status(403).json({
+                    success: false,
+                    msg: 'Debes verificar tu email primero'
+                });
+            }
+            
             next();
         } catch (error) {
             console.error(error);
-            return res.status(401).json({
-                success: false,
-                msg: 'Token no válido'
-            });
-        }
-    }
-    
-    static verifyAdminRole(req, res, next) {
-        if (!req.user) {
-            return res.status(401).json({
-                success: false,
-                msg: 'No hay usuario autenticado'
-            });
-        }
-        
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
+            res.status(500).json({
                 success: false,
-                msg: 'Se requiere rol de administrador para esta operación'
+                msg: 'Error del servidor al verificar el email'
             });
         }
-        
-        next();
     }
     
     static async checkUserExists(req, res, next) {
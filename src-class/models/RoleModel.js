@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+import { ALL_PERMISSIONS } from '../shared/index.js';
+
+class RoleModel extends BaseModel {
+    constructor() {
+        const roleSchema = new mongoose.Schema({
+            // Es el valor que se guarda en User.role
+            name: {
+                type: String,
+                required: [true, 'El nombre del rol es obligatorio'],
+                unique: true,
+                trim: true,
+                lowercase: true
+            },
+            description: {
+                type: String,
+                trim: true
+            },
+            permissions: {
+                type: [String],
+                default: [],
+                validate: {
+                    validator: (permissions) => permissions.every((permission) => ALL_PERMISSIONS.includes(permission)),
+                    message: 'El rol contiene permisos desconocidos'
+                }
+            },
+            // Roles del sistema: no se pueden renombrar ni eliminar
+            isSystem: {
+                type: Boolean,
+                default: false
+            }
+        }, {
+            timestamps: true
+        });
+
+        super('Role', roleSchema);
+    }
+}
+
+export default new RoleModel().getModel();
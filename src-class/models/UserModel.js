@@ -20,10 +20,35 @@ class UserModel extends BaseModel {
                 type: String,
                 required: [true, 'La contraseña es obligatoria']
             },
+            // Nombre de un rol de la colección roles (ver RoleModel)
             role: {
                 type: String,
-                enum: ['user', 'admin'],
                 default: 'user'
+            },
+            // Verificación de email: el enlace se confirma en /api/auth/verify-email (API de src)
+            emailVerified: {
+                type: Boolean,
+                default: false
+            },
+            emailVerifiedAt: {
+                type: Date
+            },
+            emailVerificationTokenHash: {
+                type: String,
+                select: false
+            },
+            emailVerificationExpires: {
+                type: Date,
+                select: false
+            },
+            emailVerificationSentAt: {
+                type: Date,
+                select: false
+            },
+            // 2FA (se administra desde la API de src, que comparte esta colección)
+            twoFactorEnabled: {
+                type: Boolean,
+                default: false
             }
         }, {
             timestamps: true,
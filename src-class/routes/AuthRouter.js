@@ -0,0 +1,43 @@
+import BaseRouter from './BaseRouter.js';
+import { AuthController } from '../controllers/AuthController.js';
+import { check } from 'express-validator';
+import { ValidationMiddleware } from '../middlewares/ValidationMiddleware.js';
+import { AuthMiddleware } from '../middlewares/AuthMiddleware.js';
+
+export class AuthRouter extends BaseRouter {
+    constructor() {
+        super();
+        this.controller = new AuthController();
+        this.setupRoutes();
+    }
+    
+    initializeRoutes() {
+        // Registro público (rol por defecto)
+        this.router.post('/register',
+            [
+                check('username', 'El nombre es obligatorio').not().isEmpty().trim(),
+                check('email', 'El email es obligatorio').isEmail().normalizeEmail(),
+                check('password', 'El password es obligatorio').not().isEmpty()
+            ],
+            ValidationMiddleware.handleValidationErrors,
+            this.controller.register.bind(this.controller)
+        );
+        
+        // Login: devuelve un access token para la cabecera Authorization: Bearer <token> y un refresh token
+        // (o el desafío 2FA, como en src)
+        this.router.post('/login',
+            [
+                check('email', 'El email es obligatorio').isEmail().normalizeEmail(),
+                check('password', 'El password es obligatorio').not().isEmpty()
+            ],
+            ValidationMiddleware.handleValidationErrors,
+            this.controller.login.bind(this.controller)
+        );
+        
+        // Usuario autenticado
+        this.router.get('/me',
+            AuthMiddleware.verifyToken,
+            this.controller.me.bind(this.controller)
+        );
+    }
+}
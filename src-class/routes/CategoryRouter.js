@@ -3,6 +3,7 @@ import { CategoryController } from '../controllers/CategoryController.js';
 import { check, param } from 'express-validator';
 import { ValidationMiddleware } from '../middlewares/ValidationMiddleware.js';
 import { AuthMiddleware } from '../middlewares/AuthMiddleware.js';
+import { PERMISSIONS } from '../shared/index.js';
 
 export class CategoryRouter extends BaseRouter {
     constructor() {
@@ -26,7 +27,7 @@ export class CategoryRouter extends BaseRouter {
             this.controller.getCategory.bind(this.controller)
         );
         
-        // Crear nueva categoría (requiere autenticación y rol admin)
+        // Crear nueva categoría (requiere autenticación y permiso categories:write)
         this.router.post('/',
             [
                 check('name', 'El nombre es obligatorio').not().isEmpty().trim(),
@@ -34,11 +35,11 @@ export class CategoryRouter extends BaseRouter {
             ],
             ValidationMiddleware.handleValidationErrors,
             AuthMiddleware.verifyToken,
-            AuthMiddleware.verifyAdminRole,
+            AuthMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
             this.controller.createCategory.bind(this.controller)
         );
         
-        // Actualizar categoría (requiere autenticación y rol admin)
+        // Actualizar categoría (requiere autenticación y permiso categories:write)
         this.router.put('/:id',
             [
                 param('id', 'El id proporcionado no es válido').isMongoId(),
@@ -47,18 +48,18 @@ export class CategoryRouter extends BaseRouter {
             ],
             ValidationMiddleware.handleValidationErrors,
             AuthMiddleware.verifyToken,
-            AuthMiddleware.verifyAdminRole,
+            AuthMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
             this.controller.updateCategory.bind(this.controller)
         );
         
-        // Eliminar categoría (requiere autenticación y rol admin)
+        // Eliminar categoría (requiere autenticación y permiso categories:write)
         this.router.delete('/:id',
             [
                 param('id', 'El id proporcionado no es válido').isMongoId()
             ],
             ValidationMiddleware.handleValidationErrors,
             AuthMiddleware.verifyToken,
-            AuthMiddleware.verifyAdminRole,
+            AuthMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
             this.controller.deleteCategory.bind(this.controller)
         );
     }
@@ -3,6 +3,7 @@ import { OrderController } from '../controllers/OrderController.js';
 import { check, param } from 'express-validator';
 import { ValidationMiddleware } from '../middlewares/ValidationMiddleware.js';
 import { AuthMiddleware } from '../middlewares/AuthMiddleware.js';
+import { PERMISSIONS } from '../shared/index.js';
 
 export class OrderRouter extends BaseRouter {
     constructor() {
@@ -15,8 +16,9 @@ export class OrderRouter extends BaseRouter {
         // Todas las rutas requieren autenticación
         this.router.use(AuthMiddleware.verifyToken);
         
-        // Obtener todas las órdenes (filtradas por usuario si no es admin)
+        // Obtener todas las órdenes (filtradas por usuario si no tiene orders:manage)
         this.router.get('/', 
+            AuthMiddleware.requirePermission(PERMISSIONS.ORDERS_READ),
             this.controller.getOrders.bind(this.controller)
         );
         
@@ -26,10 +28,11 @@ export class OrderRouter extends BaseRouter {
                 param('id', 'ID de orden no válido').isMongoId()
             ],
             ValidationMiddleware.handleValidationErrors,
+            AuthMiddleware.requirePermission(PERMISSIONS.ORDERS_READ),
             this.controller.getOrder.bind(this.controller)
         );
         
-        // Crear nueva orden
+        // Crear nueva orden (solo con el email verificado)
         this.router.post('/', 
             [
                 check('items').isArray({ min: 1 }).withMessage('Debe incluir al menos un producto'),
@@ -37,26 +40,29 @@ export class OrderRouter extends BaseRouter {
                 check('items.*.quantity').isInt({ min: 1 }).withMessage('La cantidad debe ser un entero positivo')
             ],
             ValidationMiddleware.handleValidationErrors,
+            AuthMiddleware.requirePermission(PERMISSIONS.ORDERS_CREATE),
+            AuthMiddleware.verifyEmailConfirmed,
             this.controller.createOrder.bind(this.controller)
         );
         
-        // Actualizar estado de la orden
+        // Actualizar estado de la orden (sin orders:manage solo se pueden cancelar las propias)
         this.router.patch('/:id/status', 
             [
                 param('id', 'ID de orden no válido').isMongoId(),
                 check('status').isIn(['pending', 'completed', 'cancelled']).withMessage('Estado no válido')
             ],
             ValidationMiddleware.handleValidationErrors,
+            AuthMiddleware.requirePermission(PERMISSIONS.ORDERS_CREATE),
             this.controller.updateOrderStatus.bind(this.controller)
         );
         
-        // Eliminar orden (solo admin)
+        // Eliminar orden (requiere orders:manage)
         this.router.delete('/:id', 
             [
                 param('id', 'ID de orden no válido').isMongoId()
             ],
             ValidationMiddleware.handleValidationErrors,
-            AuthMiddleware.verifyAdminRole,
+            AuthMiddleware.requirePermission(PERMISSIONS.ORDERS_MANAGE),
             this.controller.deleteOrder.bind(this.controller)
         );
     }
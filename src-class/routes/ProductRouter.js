@@ -3,6 +3,7 @@ import { ProductController } from '../controllers/ProductController.js';
 import { check, param, query } from 'express-validator';
 import { ValidationMiddleware } from '../middlewares/ValidationMiddleware.js';
 import { AuthMiddleware } from '../middlewares/AuthMiddleware.js';
+import { PERMISSIONS } from '../shared/index.js';
 
 export class ProductRouter extends BaseRouter {
     constructor() {
@@ -42,9 +43,11 @@ export class ProductRouter extends BaseRouter {
             this.controller.getProduct.bind(this.controller)
         );
         
-        // Crear producto (requiere autenticación)
+        // Crear producto (requiere autenticación, permiso products:write y email verificado)
         this.router.post('/',
             AuthMiddleware.verifyToken,
+            AuthMiddleware.requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+            AuthMiddleware.verifyEmailConfirmed,
             this.controller.getUploader(),
             [
                 check('name', 'El nombre es obligatorio').not().isEmpty().trim(),
@@ -56,24 +59,26 @@ export class ProductRouter extends BaseRouter {
             this.controller.createProduct.bind(this.controller)
         );
         
-        // Actualizar producto (requiere autenticación)
+        // Actualizar producto (requiere autenticación y permiso products:write)
         this.router.put('/:id',
             [
                 param('id', 'ID de producto no válido').isMongoId()
             ],
             AuthMiddleware.verifyToken,
+            AuthMiddleware.requirePermission(PERMISSIONS.PRODUCTS_WRITE),
             this.controller.getUploader(),
             ValidationMiddleware.handleValidationErrors,
             this.controller.updateProduct.bind(this.controller)
         );
         
-        // Eliminar producto (requiere autenticación)
+        // Eliminar producto (requiere autenticación y permiso products:write)
         this.router.delete('/:id',
             [
                 param('id', 'ID de producto no válido').isMongoId()
             ],
             ValidationMiddleware.handleValidationErrors,
             AuthMiddleware.verifyToken,
+            AuthMiddleware.requirePermission(PERMISSIONS.PRODUCTS_WRITE),
             this.controller.deleteProduct.bind(this.controller)
         );
     }
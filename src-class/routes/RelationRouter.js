@@ -5,6 +5,8 @@ import { AuthMiddleware } from '../middlewares/AuthMiddleware.js';
 import Product from '../models/ProductModel.js';
 import Category from '../models/CategoryModel.js';
 import User from '../models/UserModel.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { PERMISSIONS } from '../shared/index.js';
 
 export class RelationRouter extends BaseRouter {
     constructor() {
@@ -18,6 +20,7 @@ export class RelationRouter extends BaseRouter {
         
         // Asignar creador a un producto
         this.router.post('/products/:productId/creator', [
+            AuthMiddleware.requirePermission(PERMISSIONS.PRODUCTS_WRITE),
             param('productId').isMongoId().withMessage('ID de producto no válido'),
             check('userId').optional().isMongoId().withMessage('ID de usuario no válido'),
             ValidationMiddleware.handleValidationErrors
@@ -25,13 +28,15 @@ export class RelationRouter extends BaseRouter {
         
         // Asignar categoría a un producto
         this.router.post('/products/:productId/category', [
+            AuthMiddleware.requirePermission(PERMISSIONS.PRODUCTS_WRITE),
             param('productId').isMongoId().withMessage('ID de producto no válido'),
             check('categoryId').isMongoId().withMessage('ID de categoría no válido'),
             ValidationMiddleware.handleValidationErrors
         ], this.assignCategoryToProduct.bind(this));
         
-        // Asignar múltiples productos a una categoría
+        // Asignar múltiples productos a una categoría (requiere products:manage)
         this.router.post('/categories/:categoryId/products', [
+            AuthMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
             param('categoryId').isMongoId().withMessage('ID de categoría no válido'),
             check('productIds').isArray({ min: 1 }).withMessage('Debe proporcionar al menos un ID de producto'),
             check('productIds.*').isMongoId().withMessage('Todos los IDs de productos deben ser válidos'),
@@ -60,7 +65,7 @@ export class RelationRouter extends BaseRouter {
     
             if (product.creator && 
                 product.creator.toString() !== req.user._id.toString() && 
-                req.user.role !== 'admin') {
+                !(await PermissionService.hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE))) {
                 return res.status(403).json({ 
                     success: false, 
                     message: 'No tienes permiso para cambiar el creador de este producto' 
@@ -109,7 +114,7 @@ export class RelationRouter extends BaseRouter {
     
             if (product.creator && 
                 product.creator.toString() !== req.user._id.toString() && 
-                req.user.role !== 'admin') {
+                !(await PermissionService.hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE))) {
                 return res.status(403).json({ 
                     success: false, 
                     message: 'No tienes permiso para cambiar la categoría de este producto' 
@@ -148,13 +153,6 @@ export class RelationRouter extends BaseRouter {
             const { categoryId } = req.params;
             const { productIds } = req.body;
     
-            if (req.user.role !== 'admin') {
-                return res.status(403).json({ 
-                    success: false, 
-                    message: 'Solo los administradores pueden asignar múltiples productos a una categoría' 
-                });
-            }
-    
             const categoryExists = await Category.findById(categoryId);
             if (!categoryExists) {
                 return res.status(404).json({ 
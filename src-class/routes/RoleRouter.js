@@ -0,0 +1,75 @@
+import BaseRouter from './BaseRouter.js';
+import { RoleController } from '../controllers/RoleController.js';
+import { check, param } from 'express-validator';
+import { ValidationMiddleware } from '../middlewares/ValidationMiddleware.js';
+import { AuthMiddleware } from '../middlewares/AuthMiddleware.js';
+import { PERMISSIONS, ALL_PERMISSIONS } from '../shared/index.js';
+
+export class RoleRouter extends BaseRouter {
+    constructor() {
+        super();
+        this.controller = new RoleController();
+        this.setupRoutes();
+    }
+    
+    initializeRoutes() {
+        // Todas las rutas requieren autenticación y el permiso roles:manage
+        this.router.use(
+            AuthMiddleware.verifyToken,
+            AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE)
+        );
+        
+        // Catálogo de permisos asignables
+        this.router.get('/permissions',
+            this.controller.getPermissions.bind(this.controller)
+        );
+        
+        // Obtener todos los roles
+        this.router.get('/',
+            this.controller.getRoles.bind(this.controller)
+        );
+        
+        // Obtener un rol por ID
+        this.router.get('/:id',
+            [
+                param('id', 'ID de rol no válido').isMongoId()
+            ],
+            ValidationMiddleware.handleValidationErrors,
+            this.controller.getRole.bind(this.controller)
+        );
+        
+        // Crear rol
+        this.router.post('/',
+            [
+                check('name', 'El nombre del rol es obligatorio').isString().trim().not().isEmpty(),
+                check('description').optional().isString().trim(),
+                check('permissions').optional().isArray().withMessage('permissions debe ser un array'),
+                check('permissions.*').isIn(ALL_PERMISSIONS).withMessage('Permiso desconocido')
+            ],
+            ValidationMiddleware.handleValidationErrors,
+            this.controller.createRole.bind(this.controller)
+        );
+        
+        // Actualizar rol (el rol admin no se puede modificar)
+        this.router.patch('/:id',
+            [
+                param('id', 'ID de rol no válido').isMongoId(),
+                check('name').optional().isString().trim().not().isEmpty().withMessage('El nombre no puede estar vacío'),
+                check('description').optional().isString().trim(),
+                check('permissions').optional().isArray().withMessage('permissions debe ser un array'),
+                check('permissions.*').isIn(ALL_PERMISSIONS).withMessage('Permiso desconocido')
+            ],
+            ValidationMiddleware.handleValidationErrors,
+            this.controller.updateRole.bind(this.controller)
+        );
+        
+        // Eliminar rol (no se pueden eliminar roles del sistema ni roles en uso)
+        this.router.delete('/:id',
+            [
+                param('id', 'ID de rol no válido').isMongoId()
+            ],
+            ValidationMiddleware.handleValidationErrors,
+            this.controller.deleteRole.bind(this.controller)
+        );
+    }
+}
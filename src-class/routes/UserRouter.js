@@ -3,6 +3,7 @@ import { UserController } from '../controllers/UserController.js';
 import { check, param } from 'express-validator';
 import { ValidationMiddleware } from '../middlewares/ValidationMiddleware.js';
 import { AuthMiddleware } from '../middlewares/AuthMiddleware.js';
+import { PERMISSIONS } from '../shared/index.js';
 
 export class UserRouter extends BaseRouter {
     constructor() {
@@ -12,32 +13,26 @@ export class UserRouter extends BaseRouter {
     }
     
     initializeRoutes() {
-        // Ruta de login
-        this.router.post('/login', 
-            [
-                check('email', 'El email es obligatorio').isEmail().normalizeEmail(),
-                check('password', 'El password es obligatorio').not().isEmpty()
-            ],
-            ValidationMiddleware.handleValidationErrors,
-            this.controller.login.bind(this.controller)
-        );
-        
-        // Obtener todos los usuarios
+        // Obtener todos los usuarios (requiere users:read)
         this.router.get('/', 
+            AuthMiddleware.verifyToken,
+            AuthMiddleware.requirePermission(PERMISSIONS.USERS_READ),
             this.controller.getUsers.bind(this.controller)
         );
         
-        // Obtener usuario por ID
+        // Obtener usuario por ID (requiere users:read)
         this.router.get('/:id', 
             [
                 param('id', 'El id proporcionado no es de mongodb').isMongoId()
             ],
             ValidationMiddleware.handleValidationErrors,
+            AuthMiddleware.verifyToken,
+            AuthMiddleware.requirePermission(PERMISSIONS.USERS_READ),
             AuthMiddleware.checkUserExists,
             this.controller.getUser.bind(this.controller)
         );
         
-        // Crear usuario (solo admin)
+        // Crear usuario (requiere users:write)
         this.router.post('/', 
             [
                 check('username', 'El nombre es obligatorio').not().isEmpty().trim(),
@@ -46,22 +41,22 @@ export class UserRouter extends BaseRouter {
             ],
             ValidationMiddleware.handleValidationErrors,
             AuthMiddleware.verifyToken,
-            AuthMiddleware.verifyAdminRole,
+            AuthMiddleware.requirePermission(PERMISSIONS.USERS_WRITE),
             this.controller.createUser.bind(this.controller)
         );
         
-        // Eliminar usuario (solo admin)
+        // Eliminar usuario (requiere users:delete)
         this.router.delete('/:id', 
             [
                 param('id', 'El id proporcionado no es de mongodb').isMongoId()
             ],
             ValidationMiddleware.handleValidationErrors,
             AuthMiddleware.verifyToken,
-            AuthMiddleware.verifyAdminRole,
+            AuthMiddleware.requirePermission(PERMISSIONS.USERS_DELETE),
             this.controller.deleteUser.bind(this.controller)
         );
         
-        // Actualizar usuario
+        // Actualizar usuario (el propio usuario, o users:write para editar a otros)
         this.router.put('/:id', 
             [
                 param('id', 'El id proporcionado no es de mongodb').isMongoId()
@@ -0,0 +1,68 @@
+import Role from '../models/RoleModel.js';
+import User from '../models/UserModel.js';
+import { DEFAULT_ROLES, ADMIN_ROLE, LEGACY_ROLE_ALIASES } from '../shared/index.js';
+
+// Usa el mismo catálogo de permisos y roles por defecto que src (src/config/permissions.js)
+export class PermissionService {
+    static CACHE_TTL_MS = 30 * 1000;
+    static cache = new Map();
+
+    static async getRolePermissions(roleName) {
+        if (!roleName) {
+            return [];
+        }
+
+        const cached = PermissionService.cache.get(roleName);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.permissions;
+        }
+
+        const role = await Role.findOne({ name: roleName }).lean();
+        const permissions = role ? role.permissions : [];
+
+        PermissionService.cache.set(roleName, {
+            permissions,
+            expiresAt: Date.now() + PermissionService.CACHE_TTL_MS
+        });
+
+        return permissions;
+    }
+
+    static clearCache() {
+        PermissionService.cache.clear();
+    }
+
+    // Usa los permisos cargados por AuthMiddleware.requirePermission o los consulta si la ruta no los cargó
+    static async hasPermission(req, permission) {
+        if (!req.user) {
+            return false;
+        }
+
+        if (!Array.isArray(req.permissions)) {
+            req.permissions = await PermissionService.getRolePermissions(req.user.role);
+        }
+
+        return req.permissions.includes(permission);
+    }
+
+    static async seedDefaultRoles() {
+        try {
+            for (const role of DEFAULT_ROLES) {
+                const update = role.name === ADMIN_ROLE
+                    ? { $set: { permissions: role.permissions, isSystem: true }, $setOnInsert: { description: role.description } }
+                    : { $setOnInsert: role };
+
+                await Role.updateOne({ name: role.name }, update, { upsert: true });
+            }
+
+            for (const [legacyName, roleName] of Object.entries(LEGACY_ROLE_ALIASES)) {
+                await User.updateMany({ role: legacyName }, { role: roleName });
+            }
+
+            PermissionService.clearCache();
+            console.log('Roles por defecto verificados');
+        } catch (error) {
+            console.error('Error al crear los roles por defecto:', error.message);
+        }
+    }
+}
@@ -0,0 +1,18 @@
+// Único punto de entrada de src-class a los módulos de src que comparten ambas variantes
+// (misma colección de usuarios, mismo JWT_SECRET y mismo catálogo de permisos).
+// Solo se exportan módulos que no registran modelos de src en mongoose: src-class tiene su
+// propio modelo 'User' y registrarlo dos veces falla. Por eso el esquema ApiKey y los tokens
+// de impersonación, que dependen de modelos de src, no se aceptan en esta variante.
+
+export {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    ADMIN_ROLE,
+    DEFAULT_ROLES,
+    LEGACY_ROLE_ALIASES
+} from '../../src/config/permissions.js';
+export { createAuthenticator, AUTH_ERRORS } from '../../src/services/authService.js';
+export { issueTokens, signChallengeToken } from '../../src/services/tokenService.js';
+export { checkLoginAllowed, registerFailure, registerSuccess, sendLoginThrottled } from '../../src/services/loginAttemptService.js';
+export { isTwoFactorRequired } from '../../src/services/totpService.js';
+export { sendVerificationEmail } from '../../src/services/emailVerificationService.js';
@@ -4,12 +4,13 @@
  */
 
 // === IMPORTACIONES NECESARIAS ===
+// Dotenv: Carga las variables de entorno del archivo .env al objeto process.env.
+// Va primero para que estén disponibles al evaluar el resto de los módulos
+import "dotenv/config";
 // Express: Framework web para Node.js que proporciona funcionalidades para crear APIs
 import express from "express";
 // Morgan: Middleware para registrar solicitudes HTTP en la consola (logging)
 import morgan from "morgan";
-// Dotenv: Carga variables de entorno desde un archivo .env
-import dotenv from "dotenv";
 // Path: Utilidades para trabajar con rutas de archivos y directorios
 import path from "path";
 // FileURLToPath: Convierte una URL de archivo a una ruta del sistema de archivos
@@ -29,6 +30,19 @@ import categoryRouter from "./routes/categoryRouter.js";
 import orderRouter from "./routes/orderRouter.js";
 import relationRouter from "./routes/relationRouter.js"; // Router para gestionar relaciones
 import authRouter from "./routes/authRouter.js"; // Nuevo router para gestionar autenticación
+import roleRouter from "./routes/roleRouter.js"; // Router para administrar roles y permisos
+import cartRouter from "./routes/cartRouter.js"; // Router del carrito de compras (usuarios e invitados)
+import paymentRouter from "./routes/paymentRouter.js"; // Router de pagos y webhooks de los proveedores
+import returnRouter from "./routes/returnRouter.js"; // Router de devoluciones (RMA)
+import couponRouter from "./routes/couponRouter.js"; // Router para administrar cupones de descuento
+import taxRuleRouter from "./routes/taxRuleRouter.js"; // Router para configurar los impuestos por región
+import shippingRouter from "./routes/shippingRouter.js"; // Router para cotizar envíos y configurar sus zonas
+import fileRouter from "./routes/fileRouter.js"; // Router para descargar archivos privados con URL firmada
+import uploadRouter from "./routes/uploadRouter.js"; // Router del reporte y barrido de archivos huérfanos
+// Creación de los roles por defecto (admin, user) al conectar
+import { seedDefaultRoles } from "./services/permissionService.js";
+// Barrido periódico de archivos subidos que ya no usa ningún producto
+import { startUploadSweeper } from "./services/uploadSweepService.js";
 
 /**
  * Configuración de __dirname en ES modules
@@ -38,18 +52,20 @@ import authRouter from "./routes/authRouter.js"; // Nuevo router para gestionar
 const __filename = fileURLToPath(import.meta.url); // Convierte la URL del módulo actual a una ruta de archivo
 const __dirname = path.dirname(__filename); // Obtiene el directorio del archivo actual
 
-// Carga las variables de entorno del archivo .env al objeto process.env
-dotenv.config();
-
 // Inicia la conexión a la base de datos MongoDB (definida en config/db.js)
-connectDB();
+// y una vez conectada verifica que existan los roles por defecto
+connectDB().then(seedDefaultRoles);
+
+// Programa el barrido de archivos huérfanos (UPLOAD_SWEEP_INTERVAL_MINUTES; 0 lo desactiva)
+startUploadSweeper();
 
 /**
  * Configuración del directorio de uploads
  * Verifica si el directorio para archivos subidos existe y lo crea si no existe
  * Esto es importante para almacenar archivos subidos por los usuarios (imágenes, etc.)
  */
-const uploadsDir = path.join(__dirname, '../uploads'); // Ruta absoluta al directorio uploads
+// Con STORAGE_DRIVER=local es donde se guardan los archivos públicos (ver services/storageService.js)
+const uploadsDir = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../uploads'); // Ruta absoluta al directorio uploads
 if (!fs.existsSync(uploadsDir)) { // Verifica si el directorio existe
     fs.mkdirSync(uploadsDir, { recursive: true }); // Crea el directorio y subdirectorios si no existen
 }
@@ -61,7 +77,14 @@ if (!fs.existsSync(uploadsDir)) { // Verifica si el directorio existe
 const app = express();
 
 // Middleware para analizar cuerpos de solicitud JSON (req.body)
-app.use(express.json());
+// En los webhooks de pagos también se guarda el body original (req.rawBody): la firma del proveedor se calcula sobre él
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 
 /**
  * Configuración de CORS (Cross-Origin Resource Sharing)
@@ -82,7 +105,7 @@ app.use(cors());
  * Permite acceder a archivos en la carpeta 'uploads' a través de la URL '/uploads'
  * Por ejemplo: http://localhost:3000/uploads/imagen.jpg
  */
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/uploads', express.static(uploadsDir));
 
 // Middleware de logging - muestra información de las solicitudes en la consola
 // 'dev' es un formato predefinido que muestra: método HTTP, ruta, código de estado y tiempo de respuesta
@@ -117,6 +140,15 @@ app.use("/api/products", productRouter);   // Maneja rutas como /api/products, /
 app.use("/api/categories", categoryRouter); // Maneja rutas como /api/categories, /api/categories/:id, etc.
 app.use("/api/orders", orderRouter);     // Maneja rutas como /api/orders, /api/orders/:id, etc.
 app.use("/api/relations", relationRouter); // Maneja rutas para gestionar relaciones entre entidades
+app.use("/api/roles", roleRouter);       // Maneja rutas como /api/roles, /api/roles/permissions, etc.
+app.use("/api/cart", cartRouter);        // Maneja rutas como /api/cart, /api/cart/items, /api/cart/checkout
+app.use("/api/payments", paymentRouter); // Maneja rutas como /api/payments/orders/:orderId, /api/payments/webhook/:provider
+app.use("/api/returns", returnRouter);   // Maneja rutas como /api/returns, /api/returns/:id/approve, etc.
+app.use("/api/coupons", couponRouter);   // Maneja rutas como /api/coupons, /api/coupons/:id
+app.use("/api/tax-rules", taxRuleRouter); // Maneja rutas como /api/tax-rules, /api/tax-rules/:id
+app.use("/api/shipping", shippingRouter); // Maneja rutas como /api/shipping/quote, /api/shipping/zones/:id
+app.use("/api/files", fileRouter);       // Maneja rutas como /api/files/<clave>?expires=...&signature=...
+app.use("/api/uploads", uploadRouter);   // Maneja rutas como /api/uploads/report, /api/uploads/sweep
 
 
 /**
@@ -0,0 +1,11 @@
+/**
+ * ==========================================
+ * COLLATIONS (collation.js)
+ * ==========================================
+ * Los países de las reglas de impuestos y de las zonas de envío se comparan sin
+ * distinguir mayúsculas. Para que MongoDB lo haga usando el índice, el índice y
+ * la consulta tienen que declarar la misma collation.
+ */
+
+// strength 2: ignora mayúsculas, distingue acentos ("argentina" = "Argentina")
+export const COUNTRY_COLLATION = { locale: 'en', strength: 2 };
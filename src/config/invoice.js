@@ -0,0 +1,25 @@
+/**
+ * ==========================================
+ * DATOS DE FACTURACIÓN (invoice.js)
+ * ==========================================
+ * Datos del vendedor y formato del número de factura, tomados de las
+ * variables de entorno. Se leen al emitir cada factura y la orden guarda
+ * una copia: cambiar estos valores no modifica las facturas ya emitidas.
+ */
+
+/**
+ * getInvoiceConfig - Configuración vigente para emitir facturas
+ *
+ * @returns {{ seller: {name: string, taxId: string, address: string, email: string}, numberPrefix: string, numberDigits: number }}
+ */
+export const getInvoiceConfig = () => ({
+    seller: {
+        name: process.env.INVOICE_SELLER_NAME || 'Web8',
+        taxId: process.env.INVOICE_SELLER_TAX_ID || '',
+        address: process.env.INVOICE_SELLER_ADDRESS || '',
+        email: process.env.INVOICE_SELLER_EMAIL || ''
+    },
+    // Número de factura: prefijo + secuencia con ceros a la izquierda (ej: F-000042)
+    numberPrefix: process.env.INVOICE_NUMBER_PREFIX ?? 'F-',
+    numberDigits: parseInt(process.env.INVOICE_NUMBER_DIGITS) || 6
+});
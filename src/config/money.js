@@ -0,0 +1,24 @@
+/**
+ * ==========================================
+ * IMPORTES (money.js)
+ * ==========================================
+ * Los importes se guardan como números con dos decimales. Las sumas en coma
+ * flotante acumulan error (3 × 10.10 = 30.299999999999997), así que todo
+ * total se redondea a centavos y las comparaciones se hacen en centavos enteros.
+ */
+
+/**
+ * toCents - Importe en centavos enteros (para comparar o restar sin error)
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+export const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * roundMoney - Redondea un importe a centavos
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+export const roundMoney = (amount) => toCents(amount) / 100;
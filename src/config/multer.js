@@ -1,17 +1,23 @@
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import os from 'os';
 import fs from 'fs';
 
-// Configurar __dirname en ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * getUploadTmpDir - Directorio temporal de las subidas (UPLOAD_TMP_DIR o el temporal del sistema)
+ * Lo limpia también el barrido de archivos huérfanos (services/uploadSweepService.js).
+ *
+ * @returns {string}
+ */
+export const getUploadTmpDir = () => process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'web8-uploads');
 
 // Configurar almacenamiento de archivos
+// Los archivos se guardan en una carpeta temporal: después de procesarlos, las versiones
+// finales se guardan con el adaptador de almacenamiento (services/storageService.js)
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
-        // Directorio donde se guardarán las imágenes de productos
-        const uploadDir = path.join(__dirname, '../../uploads/products');
+        // Directorio temporal de las subidas
+        const uploadDir = getUploadTmpDir();
         
         // Crear directorio si no existe
         if (!fs.existsSync(uploadDir)) {
@@ -31,6 +37,8 @@ const storage = multer.diskStorage({
 });
 
 // Filtro para aceptar solo imágenes
+// (el tipo MIME lo declara el cliente: el contenido real se comprueba al procesar
+// la imagen en services/productImageService.js, que además borra este archivo temporal)
 const fileFilter = (req, file, cb) => {
     // Verificar que sea una imagen
     if (file.mimetype.startsWith('image')) {
@@ -0,0 +1,69 @@
+/**
+ * ==========================================
+ * CICLO DE VIDA DE LAS ÓRDENES (orderStatus.js)
+ * ==========================================
+ * Máquina de estados de las órdenes. Solo se puede cambiar de estado
+ * siguiendo ORDER_TRANSITIONS; cualquier otro cambio responde 409.
+ *
+ *   pending → paid → processing → shipped → delivered
+ *      ↓        ↓         ↓                      ↓
+ *  cancelled  refunded  refunded             refunded
+ *
+ * - cancelled: la orden no se pagó; se devuelve el stock
+ * - refunded: se devolvió el pago; si todavía no se envió, se devuelve el stock
+ */
+
+export const ORDER_STATUS = {
+    PENDING: 'pending',         // Creada, esperando el pago
+    PAID: 'paid',               // Pago confirmado
+    PROCESSING: 'processing',   // En preparación
+    SHIPPED: 'shipped',         // Entregada al transporte
+    DELIVERED: 'delivered',     // Recibida por el cliente
+    CANCELLED: 'cancelled',     // Cancelada antes del pago
+    REFUNDED: 'refunded'        // Pago devuelto
+};
+
+// Todos los estados existentes
+export const ORDER_STATUSES = Object.values(ORDER_STATUS);
+
+// Estados a los que se puede pasar desde cada estado
+export const ORDER_TRANSITIONS = {
+    [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.PAID]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
+    [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.CANCELLED]: [],
+    [ORDER_STATUS.REFUNDED]: []
+};
+
+// Campo de la orden donde se guarda la fecha en que entró a cada estado
+export const ORDER_STATUS_TIMESTAMPS = {
+    [ORDER_STATUS.PAID]: 'paidAt',
+    [ORDER_STATUS.PROCESSING]: 'processingAt',
+    [ORDER_STATUS.SHIPPED]: 'shippedAt',
+    [ORDER_STATUS.DELIVERED]: 'deliveredAt',
+    [ORDER_STATUS.CANCELLED]: 'cancelledAt',
+    [ORDER_STATUS.REFUNDED]: 'refundedAt'
+};
+
+// Estados en los que la mercadería todavía no salió: al cancelar o reembolsar se devuelve el stock
+export const RESTOCKABLE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.PAID, ORDER_STATUS.PROCESSING];
+
+// Estados en los que la orden ya se cobró: se puede emitir su factura
+export const INVOICEABLE_STATUSES = [
+    ORDER_STATUS.PAID,
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.DELIVERED,
+    ORDER_STATUS.REFUNDED
+];
+
+/**
+ * canTransition - Indica si una orden puede pasar de un estado a otro
+ *
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado pedido
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
@@ -0,0 +1,66 @@
+/**
+ * ==========================================
+ * CATÁLOGO DE PERMISOS (permissions.js)
+ * ==========================================
+ * Lista única de permisos de la API y roles por defecto que se crean al
+ * iniciar la aplicación. Lo usan tanto `src` como `src-class`, de modo que
+ * ambas variantes aplican exactamente las mismas reglas.
+ *
+ * Los permisos siguen el formato `recurso:acción`.
+ */
+
+export const PERMISSIONS = {
+    USERS_READ: 'users:read',             // Listar y consultar usuarios
+    USERS_WRITE: 'users:write',           // Crear usuarios y editar los de otros
+    USERS_DELETE: 'users:delete',         // Eliminar usuarios
+    USERS_UNLOCK: 'users:unlock',         // Desbloquear cuentas bloqueadas por intentos de login
+    USERS_IMPERSONATE: 'users:impersonate', // Ver la API como otro usuario (solo lectura, auditado)
+    ROLES_MANAGE: 'roles:manage',         // Administrar roles y sus permisos
+    PRODUCTS_WRITE: 'products:write',     // Crear y editar productos
+    PRODUCTS_MANAGE: 'products:manage',   // Editar productos de otros usuarios y reasignarlos en lote
+    CATEGORIES_WRITE: 'categories:write', // Crear, editar y eliminar categorías
+    ORDERS_CREATE: 'orders:create',       // Crear y cancelar órdenes propias
+    ORDERS_READ: 'orders:read',           // Consultar órdenes propias
+    ORDERS_MANAGE: 'orders:manage',       // Consultar todas las órdenes y cambiar su estado
+    COUPONS_MANAGE: 'coupons:manage',     // Crear, editar y eliminar cupones de descuento
+    TAXES_MANAGE: 'taxes:manage',         // Configurar las reglas de impuestos por región
+    SHIPPING_MANAGE: 'shipping:manage',   // Configurar zonas, métodos y tarifas de envío
+    UPLOADS_MANAGE: 'uploads:manage'      // Ver el reporte de archivos subidos y borrar los huérfanos
+};
+
+// Todos los permisos existentes
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Nombres de los roles del sistema
+export const ADMIN_ROLE = 'admin';
+export const USER_ROLE = 'user';
+
+/**
+ * Roles por defecto
+ * - admin: tiene siempre todos los permisos (se resincroniza en cada arranque)
+ * - user: rol asignado a los usuarios que se registran
+ */
+export const DEFAULT_ROLES = [
+    {
+        name: ADMIN_ROLE,
+        description: 'Administrador con acceso total',
+        permissions: ALL_PERMISSIONS,
+        isSystem: true
+    },
+    {
+        name: USER_ROLE,
+        description: 'Cliente registrado',
+        permissions: [
+            PERMISSIONS.PRODUCTS_WRITE,
+            PERMISSIONS.ORDERS_CREATE,
+            PERMISSIONS.ORDERS_READ
+        ],
+        isSystem: true
+    }
+];
+
+// Nombres de rol antiguos que se migran a los nuevos al iniciar
+export const LEGACY_ROLE_ALIASES = {
+    ADMIN_ROLE: ADMIN_ROLE,
+    USER_ROLE: USER_ROLE
+};
@@ -0,0 +1,52 @@
+/**
+ * ==========================================
+ * CICLO DE VIDA DE LAS DEVOLUCIONES (returnStatus.js)
+ * ==========================================
+ * Máquina de estados de las solicitudes de devolución (RMA) de una orden
+ * entregada. Solo se puede cambiar de estado siguiendo RETURN_TRANSITIONS;
+ * cualquier otro cambio responde 409.
+ *
+ *   requested → approved → received → refunded
+ *       ↓
+ *    rejected
+ *
+ * - received: la mercadería volvió al depósito; se suma al stock
+ * - refunded: se devolvió el dinero de las líneas a través de los pagos
+ */
+
+import { ORDER_STATUS } from './orderStatus.js';
+
+export const RETURN_STATUS = {
+    REQUESTED: 'requested',   // Pedida por el cliente, esperando revisión
+    APPROVED: 'approved',     // Aceptada: el cliente puede enviar los productos
+    REJECTED: 'rejected',     // Rechazada por un administrador
+    RECEIVED: 'received',     // Productos recibidos y devueltos al stock
+    REFUNDED: 'refunded'      // Dinero de las líneas reembolsado
+};
+
+// Todos los estados existentes
+export const RETURN_STATUSES = Object.values(RETURN_STATUS);
+
+// Estados a los que se puede pasar desde cada estado
+export const RETURN_TRANSITIONS = {
+    [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED],
+    [RETURN_STATUS.APPROVED]: [RETURN_STATUS.RECEIVED],
+    [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.REFUNDED],
+    [RETURN_STATUS.REJECTED]: [],
+    [RETURN_STATUS.REFUNDED]: []
+};
+
+// Motivos que puede elegir el cliente para cada línea
+export const RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Estados de la orden en los que se aceptan devoluciones (la mercadería ya llegó al cliente)
+export const RETURNABLE_ORDER_STATUSES = [ORDER_STATUS.DELIVERED];
+
+/**
+ * canTransitionReturn - Indica si una devolución puede pasar de un estado a otro
+ *
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado pedido
+ * @returns {boolean}
+ */
+export const canTransitionReturn = (from, to) => (RETURN_TRANSITIONS[from] || []).includes(to);
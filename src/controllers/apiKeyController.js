@@ -0,0 +1,148 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE API KEYS (apiKeyController.js)
+ * ==========================================
+ * Este archivo contiene los controladores para que cada usuario administre
+ * sus propias API keys: listarlas, crearlas y revocarlas.
+ * Una API key actúa en nombre de su dueño, con los permisos (scopes) que se
+ * le asignaron al crearla y nunca más que los del rol del usuario.
+ */
+
+// =============== IMPORTACIONES ===============
+
+/**
+ * Modelos de la base de datos (MongoDB/Mongoose)
+ */
+import ApiKey from "../models/ApiKey.js";   // Modelo de API keys
+
+/**
+ * Servicios
+ */
+import { createApiKey } from "../services/apiKeyService.js";           // Genera la key y guarda su hash
+import { getRolePermissions } from "../services/permissionService.js"; // Permisos del rol del usuario
+
+/**
+ * getMyApiKeys - Listar las API keys activas del usuario autenticado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con las keys (sin el valor de la key)
+ *
+ * Endpoint: GET /api/users/me/api-keys
+ */
+export const getMyApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ user: req.user._id, revokedAt: null })
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: apiKeys.length,
+            apiKeys
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las API keys',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * createMyApiKey - Crear una API key para el usuario autenticado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con la key en texto plano
+ *
+ * Endpoint: POST /api/users/me/api-keys
+ *
+ * La key completa solo se devuelve en esta respuesta; después solo se
+ * muestra su prefijo.
+ */
+export const createMyApiKey = async (req, res) => {
+    try {
+        // 1. EXTRAER DATOS
+        const { name, scopes, expiresInDays } = req.body;
+
+        // 2. VERIFICAR SCOPES: No se puede otorgar a la key más de lo que permite el rol
+        const rolePermissions = await getRolePermissions(req.user.role);
+        const notAllowed = scopes.filter((scope) => !rolePermissions.includes(scope));
+
+        if (notAllowed.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `Tu rol no tiene los permisos: ${notAllowed.join(', ')}`
+            });
+        }
+
+        // 3. CREAR KEY
+        const { apiKey, key } = await createApiKey(req.user._id, { name, scopes, expiresInDays });
+
+        // 4. RESPUESTA: Única vez en que se muestra la key
+        //    (el documento devuelto por create() incluye keyHash: se arma la respuesta sin él)
+        res.status(201).json({
+            success: true,
+            message: 'API key creada. Guárdala en un lugar seguro, no se volverá a mostrar',
+            key,
+            apiKey: {
+                _id: apiKey._id,
+                name: apiKey.name,
+                prefix: apiKey.prefix,
+                scopes: apiKey.scopes,
+                expiresAt: apiKey.expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear la API key',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * revokeMyApiKey - Revocar una API key del usuario autenticado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con confirmación
+ *
+ * Endpoint: DELETE /api/users/me/api-keys/:keyId
+ */
+export const revokeMyApiKey = async (req, res) => {
+    try {
+        // Solo se pueden revocar las keys propias que sigan activas
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.keyId, user: req.user._id, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `API key ${apiKey.prefix} revocada`
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al revocar la API key',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,363 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE AUTENTICACIÓN (authController.js)
+ * ==========================================
+ * Este archivo contiene los controladores de las operaciones de sesión que
+ * complementan al login: renovar el access token mediante un refresh token,
+ * cerrar la sesión del lado del servidor, recuperar la contraseña y
+ * verificar el email.
+ */
+
+// =============== IMPORTACIONES ===============
+
+/**
+ * Modelos de la base de datos (MongoDB/Mongoose)
+ */
+import User from "../models/User.js";   // Modelo de usuarios para recargar datos al renovar tokens
+
+/**
+ * Librerías externas y módulos nativos
+ */
+import bcryptjs from "bcryptjs";          // Para hashear la nueva contraseña
+
+/**
+ * Servicios
+ */
+import {
+    hashToken,            // Hash SHA-256 de tokens opacos
+    createOneTimeToken,   // Token aleatorio de un solo uso para enlaces por email
+    rotateRefreshToken,   // Canjea un refresh token por un nuevo par de tokens
+    revokeRefreshToken,   // Revoca la familia de un refresh token
+    revokeAllForUser      // Revoca todas las sesiones de un usuario
+} from "../services/tokenService.js";
+import { sendMail } from "../services/mailService.js"; // Envío de correos
+import {
+    sendVerificationEmail,      // Genera y envía el enlace de verificación
+    getResendCooldownSeconds    // Tiempo mínimo entre reenvíos
+} from "../services/emailVerificationService.js";
+
+/**
+ * getMe - Obtener el usuario autenticado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el usuario
+ *
+ * Endpoint: GET /api/auth/me
+ *
+ * verifyToken ya recargó el usuario desde la base de datos (sin password),
+ * así que los datos están actualizados aunque el token sea anterior a un cambio.
+ * Con un token de impersonación `user` es el cliente e `impersonatedBy` el administrador.
+ */
+export const getMe = (req, res) => {
+    res.json({
+        success: true,
+        user: req.user,
+        // Con un token de impersonación, el administrador que está viendo la cuenta
+        impersonatedBy: req.impersonator
+            ? { _id: req.impersonator._id, username: req.impersonator.username, email: req.impersonator.email }
+            : undefined
+    });
+};
+
+/**
+ * refreshToken - Renovar el access token usando un refresh token
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el nuevo access token y el nuevo refresh token
+ *
+ * Endpoint: POST /api/auth/refresh
+ */
+export const refreshToken = async (req, res) => {
+    try {
+        // 1. EXTRAER DATOS: El refresh token llega en el body
+        const { refreshToken } = req.body;
+
+        // 2. ROTAR: Valida el token, detecta reutilización y emite uno nuevo
+        const result = await rotateRefreshToken(
+            refreshToken,
+            (userId) => User.findById(userId),
+            req.ip
+        );
+
+        if (result.error) {
+            return res.status(401).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        // 3. RESPUESTA: Nuevo par de tokens
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al renovar el token',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * logout - Cerrar la sesión del lado del servidor
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con confirmación
+ *
+ * Endpoint: POST /api/auth/logout
+ *
+ * Revoca la familia del refresh token recibido, de modo que ni ese token
+ * ni los que se hayan derivado de él puedan volver a usarse.
+ */
+export const logout = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        // 1. REVOCAR: Invalidar la familia del refresh token
+        const revoked = await revokeRefreshToken(refreshToken);
+
+        if (!revoked) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token inválido'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Sesión cerrada correctamente'
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cerrar la sesión',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * forgotPassword - Solicitar un enlace de recuperación de contraseña
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON genérica
+ *
+ * Endpoint: POST /api/auth/forgot-password
+ *
+ * La respuesta es siempre la misma exista o no el email, para no revelar
+ * qué direcciones están registradas.
+ */
+export const forgotPassword = async (req, res) => {
+    const genericResponse = {
+        success: true,
+        message: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña'
+    };
+
+    try {
+        const { email } = req.body;
+
+        // 1. BUSCAR USUARIO: Si no existe se responde igual que si existiera
+        const user = await User.findOne({ email });
+
+        if (!user) {
+            return res.json(genericResponse);
+        }
+
+        // 2. GENERAR TOKEN: Se guarda solo el hash y una fecha de expiración
+        const { token: resetToken, hash } = createOneTimeToken();
+        const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+        user.passwordResetTokenHash = hash;
+        user.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+        await user.save();
+
+        // 3. ENVIAR EMAIL: Con el token en texto plano dentro del enlace
+        const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT}`;
+        const resetUrl = `${appUrl}/reset-password?token=${resetToken}`;
+
+        await sendMail({
+            to: user.email,
+            subject: 'Restablecer contraseña',
+            text: `Para restablecer tu contraseña ingresa en el siguiente enlace (válido por ${ttlMinutes} minutos):\n\n${resetUrl}\n\nSi no solicitaste el cambio, ignora este mensaje.`
+        });
+
+        res.json(genericResponse);
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al solicitar la recuperación de contraseña',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * resetPassword - Establecer una nueva contraseña usando el token recibido por email
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con confirmación
+ *
+ * Endpoint: POST /api/auth/reset-password
+ */
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        // 1. HASHEAR LA NUEVA CONTRASEÑA
+        const salt = await bcryptjs.genSalt(10);
+        const hashedPassword = await bcryptjs.hash(password, salt);
+
+        // 2. CONSUMIR EL TOKEN: La búsqueda y el borrado del token son una sola
+        // operación atómica, así el mismo token no puede usarse dos veces
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetTokenHash: hashToken(token),
+                passwordResetExpires: { $gt: new Date() }
+            },
+            {
+                password: hashedPassword,
+                $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 }
+            },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'El enlace de recuperación es inválido o ha expirado'
+            });
+        }
+
+        // 3. CERRAR SESIONES: Los refresh tokens emitidos con la contraseña anterior dejan de valer
+        await revokeAllForUser(user._id);
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada correctamente'
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al restablecer la contraseña',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * verifyEmail - Confirmar el email con el token recibido al registrarse
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con confirmación
+ *
+ * Endpoint: GET /api/auth/verify-email?token=...
+ */
+export const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        // 1. CONSUMIR EL TOKEN: Búsqueda y marcado como verificado en una sola operación
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationTokenHash: hashToken(token),
+                emailVerificationExpires: { $gt: new Date() }
+            },
+            {
+                emailVerified: true,
+                emailVerifiedAt: new Date(),
+                $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 }
+            },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'El enlace de verificación es inválido o ha expirado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email verificado correctamente'
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al verificar el email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * resendVerification - Reenviar el email de verificación
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON genérica
+ *
+ * Endpoint: POST /api/auth/resend-verification
+ *
+ * Solo se permite un envío cada EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS
+ * por usuario; antes de ese plazo no se envía nada pero la respuesta es la misma
+ * (un 429 solo para cuentas existentes revelaría qué emails están registrados).
+ */
+export const resendVerification = async (req, res) => {
+    const genericResponse = {
+        success: true,
+        message: 'Si el email está registrado y pendiente de verificación, recibirás un nuevo enlace'
+    };
+
+    try {
+        const { email } = req.body;
+
+        // 1. BUSCAR USUARIO: Si no existe o ya está verificado se responde genéricamente
+        const user = await User.findOne({ email }).select('+emailVerificationSentAt');
+
+        if (!user || user.emailVerified) {
+            return res.json(genericResponse);
+        }
+
+        // 2. LIMITAR REENVÍOS: Antes del tiempo mínimo desde el último envío no se reenvía (en silencio)
+        if (user.emailVerificationSentAt) {
+            const elapsedSeconds = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+
+            if (elapsedSeconds < getResendCooldownSeconds()) {
+                return res.json(genericResponse);
+            }
+        }
+
+        // 3. ENVIAR: Genera un token nuevo e invalida el anterior
+        await sendVerificationEmail(user);
+
+        res.json(genericResponse);
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al reenviar el email de verificación',
+            error: error.message
+        });
+    }
+};
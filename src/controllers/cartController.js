@@ -0,0 +1,333 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE CARRITO (cartController.js)
+ * ==========================================
+ * Este archivo contiene los controladores del carrito de compras guardado en
+ * el servidor: ver el carrito con precios y stock actuales, agregar,
+ * modificar y quitar líneas, vaciarlo y convertirlo en una orden (checkout).
+ *
+ * Funciona con sesión iniciada o como invitado (cabecera X-Cart-Token).
+ * La primera vez que un invitado agrega un producto, la respuesta incluye
+ * el `cartToken` que debe enviar en las siguientes peticiones.
+ */
+
+// =============== IMPORTACIONES ===============
+
+/**
+ * Modelos de la base de datos (MongoDB/Mongoose)
+ */
+import Product from "../models/Product.js";   // Para verificar que el producto existe y está a la venta
+
+/**
+ * Servicios
+ */
+import {
+    findCart,            // Carrito de la petición (o null)
+    findOrCreateCart,    // Carrito de la petición, creándolo si no existe
+    touchGuestCart,      // Renueva el vencimiento de un carrito de invitado
+    buildCartView,       // Vista con precios y stock actuales
+    sameLine,            // Compara una línea con un producto y variante
+    MAX_LINE_QUANTITY    // Cantidad máxima de una línea
+} from "../services/cartService.js";
+import { findVariant } from "../services/variantService.js";
+import { placeOrder } from "../services/orderService.js";
+
+/**
+ * getCart - Obtener el carrito con precios y stock actuales
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el carrito
+ *
+ * Endpoint: GET /api/cart
+ */
+export const getCart = async (req, res) => {
+    try {
+        // Sin carrito todavía: se devuelve uno vacío sin crearlo
+        const cart = await findCart(req);
+
+        res.json({
+            success: true,
+            cart: await buildCartView(cart)
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el carrito',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * addCartItem - Agregar un producto al carrito
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el carrito actualizado
+ *
+ * Endpoint: POST /api/cart/items
+ *
+ * Si el producto ya está en el carrito, se suma la cantidad. Se permite
+ * superar el stock: la línea queda marcada con inStock: false.
+ * En los productos con variantes hay que indicar cuál (variant); cada variante es una línea.
+ */
+export const addCartItem = async (req, res) => {
+    try {
+        // 1. EXTRAER DATOS
+        const { product: productId, variant: variantId, quantity = 1 } = req.body;
+
+        // 2. VERIFICAR PRODUCTO: Debe existir y estar a la venta
+        const product = await Product.findById(productId);
+
+        if (!product || !product.isAvailable) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        // 3. VERIFICAR VARIANTE: Obligatoria si el producto tiene variantes
+        if (product.variants.length > 0 && !variantId) {
+            return res.status(400).json({
+                success: false,
+                message: `Debe elegir una variante de ${product.name}`
+            });
+        }
+
+        const variant = variantId ? findVariant(product, variantId) : null;
+
+        if (variantId && (!variant || !variant.isAvailable)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Variante no encontrada'
+            });
+        }
+
+        // 4. AGREGAR LÍNEA O SUMAR CANTIDAD
+        const { cart, cartToken } = await findOrCreateCart(req);
+        const existing = cart.items.find((item) => sameLine(item, product._id, variant?._id));
+
+        if (existing) {
+            existing.quantity = Math.min(existing.quantity + quantity, MAX_LINE_QUANTITY);
+        } else {
+            cart.items.push({ product: product._id, variant: variant?._id, quantity });
+        }
+
+        touchGuestCart(cart);
+        await cart.save();
+
+        // 5. RESPUESTA: cartToken solo cuando se creó un carrito de invitado
+        res.status(cartToken ? 201 : 200).json({
+            success: true,
+            message: 'Producto agregado al carrito',
+            cartToken,
+            cart: await buildCartView(cart)
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al agregar el producto al carrito',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * updateCartItem - Cambiar la cantidad de una línea del carrito
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el carrito actualizado
+ *
+ * Endpoint: PATCH /api/cart/items/:productId?variant=
+ */
+export const updateCartItem = async (req, res) => {
+    try {
+        const { quantity } = req.body;
+
+        // 1. BUSCAR LA LÍNEA
+        const cart = await findCart(req);
+        const item = cart?.items.find((line) => sameLine(line, req.params.productId, req.query.variant));
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'El producto no está en el carrito'
+            });
+        }
+
+        // 2. ACTUALIZAR CANTIDAD
+        item.quantity = quantity;
+        touchGuestCart(cart);
+        await cart.save();
+
+        res.json({
+            success: true,
+            message: 'Cantidad actualizada',
+            cart: await buildCartView(cart)
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar el carrito',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * removeCartItem - Quitar una línea del carrito
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el carrito actualizado
+ *
+ * Endpoint: DELETE /api/cart/items/:productId?variant=
+ */
+export const removeCartItem = async (req, res) => {
+    try {
+        // 1. BUSCAR LA LÍNEA
+        const cart = await findCart(req);
+        const index = cart ? cart.items.findIndex((line) => sameLine(line, req.params.productId, req.query.variant)) : -1;
+
+        if (index === -1) {
+            return res.status(404).json({
+                success: false,
+                message: 'El producto no está en el carrito'
+            });
+        }
+
+        // 2. QUITAR LÍNEA
+        cart.items.splice(index, 1);
+        touchGuestCart(cart);
+        await cart.save();
+
+        res.json({
+            success: true,
+            message: 'Producto quitado del carrito',
+            cart: await buildCartView(cart)
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al quitar el producto del carrito',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * clearCart - Vaciar el carrito
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el carrito vacío
+ *
+ * Endpoint: DELETE /api/cart
+ */
+export const clearCart = async (req, res) => {
+    try {
+        const cart = await findCart(req);
+
+        if (cart) {
+            cart.items = [];
+            touchGuestCart(cart);
+            await cart.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Carrito vaciado',
+            cart: await buildCartView(cart)
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al vaciar el carrito',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * checkoutCart - Convertir el carrito en una orden
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con la orden creada
+ *
+ * Endpoint: POST /api/cart/checkout
+ *
+ * Requiere sesión iniciada (un invitado primero inicia sesión y su carrito se
+ * fusiona). Si alguna línea no está disponible o no tiene stock suficiente,
+ * responde 409 con el carrito para que el cliente lo corrija.
+ */
+export const checkoutCart = async (req, res) => {
+    try {
+        const { shippingAddress, shippingMethod, paymentInfo, couponCode } = req.body;
+
+        // 1. BUSCAR CARRITO
+        const cart = await findCart(req);
+
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'El carrito está vacío'
+            });
+        }
+
+        // 2. VERIFICAR DISPONIBILIDAD Y STOCK CON LOS DATOS ACTUALES
+        const view = await buildCartView(cart);
+
+        if (!view.canCheckout) {
+            return res.status(409).json({
+                success: false,
+                message: 'Algunos productos del carrito no están disponibles o no tienen stock suficiente',
+                cart: view
+            });
+        }
+
+        // 3. CREAR LA ORDEN: Mismas validaciones que POST /api/orders
+        const { order, error } = await placeOrder(
+            req.user,
+            cart.items.map((item) => ({ product: item.product, variant: item.variant, quantity: item.quantity })),
+            { shippingAddress, shippingMethod, paymentInfo, couponCode }
+        );
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // 4. VACIAR EL CARRITO
+        cart.items = [];
+        await cart.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Orden creada exitosamente',
+            order
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al finalizar la compra',
+            error: error.message
+        });
+    }
+};
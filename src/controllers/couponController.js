@@ -0,0 +1,186 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE CUPONES (couponController.js)
+ * ==========================================
+ * Administración de los cupones de descuento (permiso coupons:manage).
+ * Los cupones se aplican al crear una orden enviando couponCode
+ * (ver services/couponService.js).
+ */
+
+import Coupon from "../models/Coupon.js";
+
+// Campos que se pueden enviar al crear o editar un cupón (usedCount lo lleva la API)
+const COUPON_FIELDS = [
+    'code', 'description', 'type', 'value', 'buyQuantity', 'getQuantity',
+    'minSubtotal', 'products', 'categories', 'maxUses', 'maxUsesPerUser',
+    'startsAt', 'expiresAt', 'isActive'
+];
+
+/**
+ * pickCouponFields - Copia del body solo los campos permitidos
+ *
+ * @param {object} body
+ * @returns {object}
+ */
+const pickCouponFields = (body) => Object.fromEntries(
+    COUPON_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+/**
+ * saveError - Respuesta para los errores al guardar un cupón
+ * (validación del modelo: 400; código repetido: 409)
+ *
+ * @returns {object|null} { status, message } o null si es un error inesperado
+ */
+const saveError = (error) => {
+    if (error.name === 'ValidationError') {
+        return { status: 400, message: Object.values(error.errors).map((e) => e.message).join(', ') };
+    }
+
+    if (error.code === 11000) {
+        return { status: 409, message: 'Ya existe un cupón con ese código' };
+    }
+
+    return null;
+};
+
+/**
+ * getCoupons - Listar cupones (filtro opcional ?active=true|false)
+ *
+ * Endpoint: GET /api/coupons
+ */
+export const getCoupons = async (req, res) => {
+    try {
+        // 1. PAGINACIÓN Y FILTRO
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+
+        if (req.query.active !== undefined) {
+            filter.isActive = req.query.active === 'true';
+        }
+
+        // 2. CONSULTA
+        const coupons = await Coupon.find(filter)
+            .skip(skip)
+            .limit(limit)
+            .sort({ createdAt: -1 });
+
+        const total = await Coupon.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: coupons.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            coupons
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al obtener los cupones', error: error.message });
+    }
+};
+
+/**
+ * getCouponById - Obtener un cupón
+ *
+ * Endpoint: GET /api/coupons/:id
+ */
+export const getCouponById = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: 'Cupón no encontrado' });
+        }
+
+        res.json({ success: true, coupon });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al obtener el cupón', error: error.message });
+    }
+};
+
+/**
+ * createCoupon - Crear un cupón
+ *
+ * Endpoint: POST /api/coupons
+ */
+export const createCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.create({
+            ...pickCouponFields(req.body),
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({ success: true, message: 'Cupón creado', coupon });
+    } catch (error) {
+        const known = saveError(error);
+
+        if (known) {
+            return res.status(known.status).json({ success: false, message: known.message });
+        }
+
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al crear el cupón', error: error.message });
+    }
+};
+
+/**
+ * updateCoupon - Editar un cupón (solo los campos enviados)
+ * Las órdenes ya creadas no cambian: guardan el descuento calculado al comprar.
+ *
+ * Endpoint: PATCH /api/coupons/:id
+ */
+export const updateCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: 'Cupón no encontrado' });
+        }
+
+        // Se guarda con save() para que las validaciones vean el cupón completo (ej: value según type)
+        coupon.set(pickCouponFields(req.body));
+        await coupon.save();
+
+        res.json({ success: true, message: 'Cupón actualizado', coupon });
+    } catch (error) {
+        const known = saveError(error);
+
+        if (known) {
+            return res.status(known.status).json({ success: false, message: known.message });
+        }
+
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al actualizar el cupón', error: error.message });
+    }
+};
+
+/**
+ * deleteCoupon - Eliminar un cupón que nunca se usó
+ * Un cupón usado se desactiva con PATCH { isActive: false } (las órdenes lo referencian).
+ *
+ * Endpoint: DELETE /api/coupons/:id
+ */
+export const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findOneAndDelete({ _id: req.params.id, usedCount: 0 });
+
+        if (!coupon) {
+            const exists = await Coupon.exists({ _id: req.params.id });
+
+            return exists
+                ? res.status(409).json({ success: false, message: 'El cupón ya se usó: desactívelo en lugar de eliminarlo' })
+                : res.status(404).json({ success: false, message: 'Cupón no encontrado' });
+        }
+
+        res.json({ success: true, message: 'Cupón eliminado' });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al eliminar el cupón', error: error.message });
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE ARCHIVOS (fileController.js)
+ * ==========================================
+ * Descarga de archivos privados guardados con el adaptador de almacenamiento
+ * local, mediante las URL firmadas que genera storage.signedUrl() (ver
+ * services/storageService.js). Con el adaptador s3 las URL firmadas apuntan
+ * directamente al bucket y esta ruta no se usa.
+ */
+
+import path from 'path';
+import { getStorage } from '../services/storageService.js';
+
+/**
+ * getPrivateFile - Devuelve un archivo privado si la URL firmada es válida y no expiró
+ *
+ * Endpoint: GET /api/files/*key?expires=1700000000&signature=...
+ */
+export const getPrivateFile = async (req, res) => {
+    try {
+        const storage = getStorage();
+
+        // 1. SOLO ADAPTADOR LOCAL: los demás firman sus propias URL
+        if (!storage.verifySignature) {
+            return res.status(404).json({ success: false, message: 'Archivo no encontrado' });
+        }
+
+        // 2. VERIFICAR FIRMA Y EXPIRACIÓN
+        const key = [].concat(req.params.key).join('/');
+        const { expires, signature } = req.query;
+
+        if (!storage.verifySignature(key, expires, signature)) {
+            return res.status(403).json({ success: false, message: 'El enlace no es válido o ya expiró' });
+        }
+
+        // 3. ENVIAR: Sin caché más allá de la expiración del enlace
+        const file = await storage.get(key, { visibility: 'private' });
+
+        res.set('Cache-Control', 'private, no-store');
+        res.type(path.extname(key) || 'application/octet-stream').send(file);
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al obtener el archivo', error: error.message });
+    }
+};
@@ -0,0 +1,153 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE IMPERSONACIÓN (impersonationController.js)
+ * ==========================================
+ * Este archivo contiene los controladores que permiten al soporte ver la API
+ * exactamente como la ve un cliente (sus órdenes, su perfil, ...) sin conocer
+ * su contraseña:
+ * - Iniciar la impersonación: emite un token de vida corta con el cliente
+ *   como usuario y el administrador como actor
+ * - Consultar la auditoría de impersonaciones
+ *
+ * Con ese token solo se puede leer y cada petición queda registrada
+ * (ver middlewares/impersonationGuard.js).
+ */
+
+// =============== IMPORTACIONES ===============
+
+/**
+ * Modelos de la base de datos (MongoDB/Mongoose)
+ */
+import User from "../models/User.js";           // Usuario a impersonar
+import AuditLog from "../models/AuditLog.js";   // Registros de auditoría
+
+/**
+ * Servicios
+ */
+import { signImpersonationToken } from "../services/authService.js";
+import { AUDIT_ACTIONS, recordAudit } from "../services/auditService.js";
+import { getRolePermissions } from "../services/permissionService.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+/**
+ * startImpersonation - Obtener un token para ver la API como otro usuario
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el token de impersonación
+ *
+ * Endpoint: POST /api/auth/impersonate/:userId
+ *
+ * No se puede impersonar a uno mismo ni a otro usuario que también pueda
+ * impersonar. El token no tiene refresh token: al vencer se pide otro.
+ */
+export const startImpersonation = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        // 1. BUSCAR AL USUARIO A IMPERSONAR
+        const subject = await User.findById(req.params.userId).select('-password');
+
+        if (!subject) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        if (subject._id.equals(req.user._id)) {
+            return res.status(400).json({ success: false, message: 'No puedes impersonarte a ti mismo' });
+        }
+
+        // 2. SIN ESCALADA: no se impersona a quien tiene el mismo privilegio
+        const subjectPermissions = await getRolePermissions(subject.role);
+
+        if (subjectPermissions.includes(PERMISSIONS.USERS_IMPERSONATE)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No se puede impersonar a un usuario que también puede impersonar'
+            });
+        }
+
+        // 3. EMITIR TOKEN Y REGISTRAR EL INICIO
+        const { token, jti, expiresAt } = signImpersonationToken(req.user, subject);
+
+        await recordAudit({
+            actor: req.user._id,
+            subject: subject._id,
+            action: AUDIT_ACTIONS.IMPERSONATION_START,
+            sessionId: jti,
+            reason,
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: 200,
+            ip: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: `Impersonando a ${subject.email}. El token solo permite lecturas`,
+            token,
+            expiresAt,
+            user: subject
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al iniciar la impersonación',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * getImpersonationLogs - Consultar la auditoría de impersonaciones
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con los registros paginados
+ *
+ * Endpoint: GET /api/auth/impersonate/logs
+ *
+ * Filtros opcionales en la query: actor, subject, sessionId, page, limit.
+ */
+export const getImpersonationLogs = async (req, res) => {
+    try {
+        const { actor, subject, sessionId } = req.query;
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 50;
+
+        // 1. FILTROS
+        const filter = {};
+        if (actor) filter.actor = actor;
+        if (subject) filter.subject = subject;
+        if (sessionId) filter.sessionId = sessionId;
+
+        // 2. CONSULTA: los más recientes primero
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .populate('actor', 'username email')
+                .populate('subject', 'username email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            count: logs.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            logs
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la auditoría',
+            error: error.message
+        });
+    }
+};
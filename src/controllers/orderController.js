@@ -13,9 +13,34 @@
  * Modelos de la base de datos (MongoDB/Mongoose)
  */
 import Order from "../models/Order.js";     // Modelo de órdenes para operaciones CRUD
-import Product from "../models/Product.js";  // Modelo de productos para verificar stock
 import User from "../models/User.js";      // Modelo de usuarios para verificaciones
 
+/**
+ * Permisos: las órdenes de otros usuarios solo se gestionan con orders:manage
+ */
+import { PERMISSIONS } from "../config/permissions.js";
+import { hasPermission } from "../services/permissionService.js";
+
+/**
+ * Servicios
+ */
+import {
+    placeOrder,        // Creación de órdenes (compartida con el checkout del carrito)
+    transitionOrder    // Cambios de estado según la máquina de estados
+} from "../services/orderService.js";
+import { issueInvoice, getInvoicePdf, getInvoiceUrl } from "../services/invoiceService.js"; // Facturas en PDF
+import { ORDER_STATUS, ORDER_TRANSITIONS } from "../config/orderStatus.js";
+
+/**
+ * canViewOrder - Solo el dueño de la orden o alguien con orders:manage puede verla
+ *
+ * @param {object} req - Objeto Request de Express (con req.user)
+ * @param {object} order - Orden con `user` populado o como ID
+ * @returns {boolean}
+ */
+const canViewOrder = (req, order) => String(order.user?._id ?? order.user) === String(req.user._id)
+    || hasPermission(req, PERMISSIONS.ORDERS_MANAGE);
+
 /**
  * createOrder - Crear una nueva orden de compra
  * 
@@ -31,7 +56,9 @@ export const createOrder = async (req, res) => {
         const { 
             items,
             shippingAddress,
-            paymentInfo
+            shippingMethod, // Código del método de envío opcional (ver shippingService)
+            paymentInfo,
+            couponCode      // Código de cupón opcional (ver couponService)
         } = req.body;
 
         // 2. VERIFICAR USUARIO: Debe estar autenticado para crear una orden
@@ -42,61 +69,17 @@ export const createOrder = async (req, res) => {
             });
         }
 
-        // 3. VERIFICAR ITEMS: Comprobar que hay productos y existe cada uno
-        if (!items || items.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'La orden debe contener al menos un producto'
-            });
-        }
+        // 3. CREAR LA ORDEN: Valida productos, stock y cupón, y descuenta el stock (ver orderService)
+        const { order, error } = await placeOrder(req.user, items, { shippingAddress, shippingMethod, paymentInfo, couponCode });
 
-        // 4. PROCESAR ITEMS: Validar existencia, stock y obtener datos actualizados
-        const orderItems = [];
-        
-        // Procesamos cada item de la orden
-        for (const item of items) {
-            const product = await Product.findById(item.product);
-            
-            // Verificar que el producto existe
-            if (!product) {
-                return res.status(404).json({
-                    success: false,
-                    message: `Producto con ID ${item.product} no encontrado`
-                });
-            }
-            
-            // Verificar que hay stock suficiente
-            if (product.stock < item.quantity) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Stock insuficiente para ${product.name}. Disponible: ${product.stock}, Solicitado: ${item.quantity}`
-                });
-            }
-            
-            // Añadir a los items de la orden con datos actualizados
-            orderItems.push({
-                product: product._id,
-                quantity: item.quantity,
-                price: product.price,
-                productName: product.name
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
             });
-            
-            // Reducir el stock del producto
-            product.stock -= item.quantity;
-            await product.save();
         }
 
-        // 5. CREAR LA ORDEN: Con todos los datos validados
-        const order = await Order.create({
-            user: req.user._id,
-            items: orderItems,
-            shippingAddress,
-            paymentInfo,
-            totalItems: orderItems.reduce((sum, item) => sum + item.quantity, 0),
-            totalPrice: orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0),
-        });
-
-        // 6. RESPUESTA: Devolver la orden creada
+        // 4. RESPUESTA: Devolver la orden creada
         res.status(201).json({
             success: true,
             message: 'Orden creada exitosamente',
@@ -129,11 +112,11 @@ export const getOrders = async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
         
-        // 2. FILTRO: Si es admin puede ver todas, sino solo las suyas
+        // 2. FILTRO: Con permiso orders:manage puede ver todas, sino solo las suyas
         const filter = {};
         
-        // Si no es admin o no se especifica verTodas, filtrar por usuario
-        if (!req.user.isAdmin || req.query.verTodas !== 'true') {
+        // Si no tiene el permiso o no se especifica verTodas, filtrar por usuario
+        if (!hasPermission(req, PERMISSIONS.ORDERS_MANAGE) || req.query.verTodas !== 'true') {
             filter.user = req.user._id;
         }
         
@@ -182,7 +165,10 @@ export const getOrderById = async (req, res) => {
         // Buscar la orden y poblar datos relacionados
         const order = await Order.findById(orderId)
             .populate('user', 'name email')
-            .populate('items.product', 'name image'); // Incluir detalles del producto
+            .populate('items.product', 'name image') // Incluir detalles del producto
+            .populate('payments') // Pagos de la orden (intentos, cobros y reembolsos)
+            .populate('returns') // Devoluciones; el total reembolsado está en order.refundedAmount
+            .populate('shipments'); // Despachos con transportista y número de seguimiento
         
         // Verificar que la orden existe
         if (!order) {
@@ -192,8 +178,8 @@ export const getOrderById = async (req, res) => {
             });
         }
         
-        // Verificar permisos: solo el usuario dueño de la orden o un admin puede verla
-        if (order.user._id.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+        // Verificar permisos: solo el usuario dueño de la orden o alguien con orders:manage puede verla
+        if (!canViewOrder(req, order)) {
             return res.status(403).json({
                 success: false,
                 message: 'No tiene permiso para ver esta orden'
@@ -214,6 +200,122 @@ export const getOrderById = async (req, res) => {
     }
 };
 
+/**
+ * findInvoicedOrder - Busca la orden de la petición y le emite la factura si todavía no tiene
+ * Solo el dueño o orders:manage; impersonando a un usuario (solo lectura) se pueden
+ * obtener las ya emitidas, pero no emitir una nueva: consumiría un número de la numeración fiscal.
+ *
+ * @param {object} req - Objeto Request de Express (con req.params.id y req.user)
+ * @returns {Promise<{order?: object, error?: {status: number, message: string}}>}
+ */
+const findInvoicedOrder = async (req) => {
+    // 1. BUSCAR ORDEN
+    const order = await Order.findById(req.params.id).populate('user', 'username email');
+
+    if (!order) {
+        return { error: { status: 404, message: 'Orden no encontrada' } };
+    }
+
+    // 2. VERIFICAR PERMISOS: Los mismos que para ver la orden
+    if (!canViewOrder(req, order)) {
+        return { error: { status: 403, message: 'No tiene permiso para ver esta orden' } };
+    }
+
+    // 3. IMPERSONACIÓN: Es de solo lectura, no puede emitir (ver impersonationGuard)
+    if (req.impersonator && !order.invoice?.number) {
+        return { error: { status: 403, message: 'No se puede emitir una factura mientras se impersona a un usuario' } };
+    }
+
+    // 4. EMITIR FACTURA: Si ya tiene número, se reutiliza (ver invoiceService)
+    return issueInvoice(order);
+};
+
+/**
+ * getOrderInvoice - Descargar la factura de una orden en PDF
+ * 
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {Buffer} Archivo PDF
+ * 
+ * Endpoint: GET /api/orders/:id/invoice.pdf
+ *
+ * La primera descarga asigna el número de factura y lo guarda en la orden;
+ * las siguientes devuelven el mismo archivo. Solo para órdenes ya pagadas (409).
+ * Impersonando a un usuario solo se descargan las ya emitidas (403).
+ */
+export const getOrderInvoice = async (req, res) => {
+    try {
+        // 1. BUSCAR ORDEN Y EMITIR FACTURA
+        const { order, error } = await findInvoicedOrder(req);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // 2. OBTENER PDF Y RESPONDER: Se genera la primera vez y queda guardado como archivo privado
+        const pdf = await getInvoicePdf(order);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="factura-${order.invoice.number}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar la factura',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * getOrderInvoiceUrl - Obtener un enlace temporal a la factura de una orden
+ * 
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con la URL firmada
+ * 
+ * Endpoint: GET /api/orders/:id/invoice-url
+ *
+ * La URL descarga el PDF sin token (para compartirla o abrirla en el navegador)
+ * y vence a los STORAGE_SIGNED_URL_TTL_SECONDS. Emite la factura igual que invoice.pdf.
+ */
+export const getOrderInvoiceUrl = async (req, res) => {
+    try {
+        // 1. BUSCAR ORDEN Y EMITIR FACTURA
+        const { order, error } = await findInvoicedOrder(req);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // 2. FIRMAR URL DEL ARCHIVO PRIVADO
+        const url = await getInvoiceUrl(order);
+
+        res.json({
+            success: true,
+            invoiceNumber: order.invoice.number,
+            url
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar el enlace de la factura',
+            error: error.message
+        });
+    }
+};
+
 /**
  * updateOrderStatus - Actualizar el estado de una orden
  * 
@@ -222,15 +324,19 @@ export const getOrderById = async (req, res) => {
  * @returns {object} Respuesta JSON con la orden actualizada
  * 
  * Endpoint: PATCH /api/orders/:id/status
+ *
+ * Solo se permiten los cambios de ORDER_TRANSITIONS (config/orderStatus.js);
+ * el resto responde 409. Cada cambio queda en order.statusHistory.
+ * Para pasar a "shipped" se envía además shipment: { carrier, trackingNumber, trackingUrl }.
  */
 export const updateOrderStatus = async (req, res) => {
     try {
         // 1. EXTRAER DATOS
         const orderId = req.params.id;
-        const { status, paymentStatus } = req.body;
+        const { status, note, shipment } = req.body;
         
-        // 2. VERIFICAR PERMISO: Sólo administradores
-        if (!req.user.isAdmin) {
+        // 2. VERIFICAR PERMISO: Sólo roles con orders:manage
+        if (!hasPermission(req, PERMISSIONS.ORDERS_MANAGE)) {
             return res.status(403).json({
                 success: false,
                 message: 'No tiene permiso para actualizar órdenes'
@@ -247,35 +353,26 @@ export const updateOrderStatus = async (req, res) => {
             });
         }
         
-        // 4. ACTUALIZAR DATOS
-        // Actualizar estado general de la orden
-        if (status) {
-            order.status = status;
-            
-            // Si se marca como entregada, registrar la fecha
-            if (status === 'delivered') {
-                order.deliveredAt = Date.now();
-            }
-        }
-        
-        // Actualizar estado del pago
-        if (paymentStatus) {
-            order.paymentInfo.status = paymentStatus;
-            
-            // Si se marca como completado, registrar la fecha
-            if (paymentStatus === 'completed') {
-                order.paymentInfo.paidAt = Date.now();
-            }
+        // 4. CAMBIAR ESTADO: Verifica la transición y aplica sus efectos (fechas, pago, stock)
+        const { order: updatedOrder, error } = await transitionOrder(order, status, {
+            changedBy: req.user._id,
+            note,
+            shipment
+        });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                allowedTransitions: ORDER_TRANSITIONS[order.status]
+            });
         }
         
-        // 5. GUARDAR CAMBIOS
-        await order.save();
-        
-        // 6. RESPUESTA
+        // 5. RESPUESTA
         res.json({
             success: true,
             message: 'Estado de la orden actualizado',
-            order
+            order: updatedOrder
         });
     } catch (error) {
         console.log(error);
@@ -301,7 +398,7 @@ export const cancelOrder = async (req, res) => {
         const orderId = req.params.id;
         
         // Obtener la orden
-        const order = await Order.findById(orderId).populate('items.product');
+        const order = await Order.findById(orderId);
         
         if (!order) {
             return res.status(404).json({
@@ -310,40 +407,32 @@ export const cancelOrder = async (req, res) => {
             });
         }
         
-        // Verificar permisos: el usuario dueño de la orden o un admin
-        if (order.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+        // Verificar permisos: el usuario dueño de la orden o alguien con orders:manage
+        if (order.user.toString() !== req.user._id.toString() && !hasPermission(req, PERMISSIONS.ORDERS_MANAGE)) {
             return res.status(403).json({
                 success: false,
                 message: 'No tiene permiso para cancelar esta orden'
             });
         }
         
-        // Verificar que la orden puede ser cancelada (solo en ciertos estados)
-        if (!['pending', 'processing'].includes(order.status)) {
-            return res.status(400).json({
+        // Cancelar y devolver el stock en una transacción (ver orderService)
+        // Solo se puede cancelar una orden que todavía no se pagó; si no, responde 409
+        const { order: cancelledOrder, error } = await transitionOrder(order, ORDER_STATUS.CANCELLED, {
+            changedBy: req.user._id,
+            note: req.body?.reason
+        });
+
+        if (error) {
+            return res.status(error.status).json({
                 success: false,
-                message: `No se puede cancelar una orden con estado "${order.status}"`
+                message: error.message
             });
         }
-        
-        // Devolver stock a los productos
-        for (const item of order.items) {
-            const product = await Product.findById(item.product);
-            
-            if (product) {
-                product.stock += item.quantity;
-                await product.save();
-            }
-        }
-        
-        // Cambiar estado de la orden
-        order.status = 'cancelled';
-        await order.save();
-        
+
         res.json({
             success: true,
             message: 'Orden cancelada exitosamente',
-            order
+            order: cancelledOrder
         });
     } catch (error) {
         console.log(error);
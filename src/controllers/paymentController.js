@@ -0,0 +1,208 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE PAGOS (paymentController.js)
+ * ==========================================
+ * Endpoints para cobrar órdenes a través de un proveedor de pagos:
+ * iniciar el pago, capturarlo, reembolsarlo y recibir los webhooks del
+ * proveedor. La lógica de cada proveedor está en services/paymentService.js.
+ */
+
+import Order from "../models/Order.js";
+import Payment from "../models/Payment.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+    createPaymentIntent,
+    capturePayment as capture,
+    refundPayment as refund,
+    handleWebhook
+} from "../services/paymentService.js";
+
+/**
+ * createOrderPayment - Iniciar el pago de una orden pendiente
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el pago y el clientSecret para el proveedor
+ *
+ * Endpoint: POST /api/payments/orders/:orderId
+ */
+export const createOrderPayment = async (req, res) => {
+    try {
+        // 1. BUSCAR ORDEN
+        const order = await Order.findById(req.params.orderId);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Orden no encontrada'
+            });
+        }
+
+        // 2. VERIFICAR PERMISOS: Solo el dueño de la orden o alguien con orders:manage
+        if (order.user.toString() !== req.user._id.toString() && !hasPermission(req, PERMISSIONS.ORDERS_MANAGE)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tiene permiso para pagar esta orden'
+            });
+        }
+
+        // 3. CREAR EL PAGO EN EL PROVEEDOR
+        const { payment, clientSecret, error } = await createPaymentIntent(order);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // 4. RESPUESTA: El cliente completa el pago con clientSecret; la confirmación llega por webhook
+        res.status(201).json({
+            success: true,
+            message: 'Pago iniciado',
+            payment,
+            clientSecret
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al iniciar el pago',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * capturePayment - Capturar un pago pendiente (la orden pasa a "paid")
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el pago y la orden
+ *
+ * Endpoint: POST /api/payments/:id/capture
+ */
+export const capturePayment = async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pago no encontrado'
+            });
+        }
+
+        const { payment: captured, order, error } = await capture(payment, { changedBy: req.user._id });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: captured.status === 'succeeded' ? 'Pago capturado' : 'El proveedor rechazó el pago',
+            payment: captured,
+            order
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al capturar el pago',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * refundPayment - Reembolsar todo o parte de un pago cobrado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el pago (y la orden si el reembolso fue total)
+ *
+ * Endpoint: POST /api/payments/:id/refund
+ */
+export const refundPayment = async (req, res) => {
+    try {
+        // 1. EXTRAER DATOS: amount es opcional (por defecto, lo que falta reembolsar)
+        const { amount, reason } = req.body;
+
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pago no encontrado'
+            });
+        }
+
+        // 2. REEMBOLSAR: En el proveedor; si es total, la orden pasa a "refunded"
+        const { payment: refunded, order, error } = await refund(payment, {
+            amount,
+            reason,
+            createdBy: req.user._id
+        });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Reembolso realizado',
+            payment: refunded,
+            order
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al reembolsar el pago',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * receiveWebhook - Recibir un evento firmado del proveedor de pagos
+ *
+ * @param {object} req - Objeto Request de Express (req.rawBody lo guarda express.json en app.js)
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON; un 5xx hace que el proveedor reenvíe el evento
+ *
+ * Endpoint: POST /api/payments/webhook/:provider
+ */
+export const receiveWebhook = async (req, res) => {
+    try {
+        const { result, error } = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // processed, duplicate o ignored: el proveedor no necesita reenviarlo
+        res.json({
+            success: true,
+            result
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al procesar el webhook',
+            error: error.message
+        });
+    }
+};
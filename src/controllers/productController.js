@@ -15,12 +15,49 @@
 import Product from "../models/Product.js"    // Modelo de productos para operaciones CRUD
 import Category from "../models/Category.js"; // Modelo de categorías para validaciones
 
+/**
+ * Permisos: los productos de otros usuarios solo se editan con products:manage
+ */
+import { PERMISSIONS } from "../config/permissions.js";
+import { hasPermission } from "../services/permissionService.js";
+
+/**
+ * Servicios
+ */
+import {
+    generateVariants,      // Combina los valores de las opciones en variantes
+    buildVariantMatrix,    // Opciones y variantes con su disponibilidad
+    findVariant            // Variante de un producto por su ID
+} from "../services/variantService.js";
+import {
+    processUploadedImage,  // Valida un archivo subido y genera sus versiones WebP
+    processUploadedImages, // Lo mismo para varios archivos (todos o ninguno)
+    adoptLegacyImage,      // Pasa a la galería la imagen de productos anteriores a ella
+    syncGallery,           // Orden, imagen principal y campo image consistentes
+    discardProcessedImage, // Borra las versiones de una imagen que no se llegó a guardar
+    productUploadKeys,     // Claves de los archivos que usa un producto
+    syncProductUploads,    // Registra qué archivos usa el producto y borra los que dejó de usar
+    removeUploadedFiles,   // Borra los archivos de una subida que no se guardó
+    withThumbnail          // Producto con su miniatura, para los listados
+} from "../services/productImageService.js";
+
 /**
  * Módulos nativos de Node.js
  */
 import path from 'path';                     // Para manejar rutas de archivos y directorios
 import fs from 'fs';                         // Para operaciones del sistema de archivos (crear/eliminar archivos)
 
+/**
+ * canEditProduct - Solo el creador del producto o alguien con products:manage puede modificarlo
+ * (los productos sin creador solo con products:manage)
+ *
+ * @param {object} req - Objeto Request de Express (con req.user)
+ * @param {object} product - Producto con `creator` como ID
+ * @returns {boolean}
+ */
+const canEditProduct = (req, product) => (product.creator && String(product.creator) === String(req.user._id))
+    || hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE);
+
 
 /**
  * getProducts - Obtiene una lista paginada de todos los productos
@@ -54,7 +91,7 @@ export const getProducts = async (req, res) => {
             total,                                   // Total de productos en la BD
             totalPages: Math.ceil(total / limit),    // Cálculo del total de páginas
             currentPage: page,                       // Página actual solicitada
-            products                                 // Array de objetos de producto
+            products: products.map(withThumbnail)    // Array de objetos de producto (con su miniatura)
         });
 
     } catch (error) {
@@ -122,7 +159,7 @@ export const searchProducts = async (req, res) => {
             totalPages: Math.ceil(total / limit),
             currentPage: page,
             searchQuery,
-            products
+            products: products.map(withThumbnail)
         });
 
     } catch (error) {
@@ -192,7 +229,7 @@ export const filterProducts = async (req, res) => {
             totalPages: Math.ceil(total / limit),
             currentPage: page,
             filters: { minPrice, maxPrice, isAvailable }, // Incluir los filtros aplicados en la respuesta
-            products                                      // Productos filtrados
+            products: products.map(withThumbnail)         // Productos filtrados (con su miniatura)
         });
 
     } catch (error) {
@@ -217,6 +254,10 @@ export const filterProducts = async (req, res) => {
  * 
  * Se utiliza el método populate() de Mongoose para incluir información completa de la categoría
  * relacionada con el producto.
+ *
+ * Si el producto tiene variantes, la respuesta incluye variantMatrix: sus opciones,
+ * cada variante con precio, stock y disponibilidad, y qué valores de cada opción
+ * tienen alguna variante disponible.
  */
 export const getProductById = async (req, res) => {
     try {
@@ -233,8 +274,12 @@ export const getProductById = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Producto no encontrado' });
         }
 
-        // Devolver el producto encontrado (con relaciones)
-        res.json({ success: true, product });
+        // Devolver el producto encontrado (con relaciones y la matriz de variantes)
+        res.json({
+            success: true,
+            product,
+            variantMatrix: product.variants.length > 0 ? buildVariantMatrix(product) : null
+        });
 
     } catch (error) {
         // Manejar errores (ej: ID con formato incorrecto)
@@ -260,13 +305,14 @@ export const getProductById = async (req, res) => {
  *   "category": "id_de_categoría",
  *   "available": true,
  *   "stock": 10,
+ *   "weight": 1.5 (kg, opcional: se usa para calcular el envío),
  *   "image": "/url/de/imagen.jpg" (opcional)
  * }
  */
 export const createProduct = async (req, res) => {
     try {
         // Extraer datos del cuerpo de la solicitud
-        const { name, price, description, category, available, stock, image } = req.body;
+        const { name, price, description, category, available, stock, image, weight } = req.body;
 
         // Si se proporciona una categoría, verificar que exista en la base de datos
         if (category) {
@@ -276,15 +322,11 @@ export const createProduct = async (req, res) => {
             }
         }
 
-        // Opcional: Agregar usuario creador si está autenticado
-        // if (req.user) {
-        //     productData.creator = req.user._id;
-        // }
-
         // Crear nuevo producto en la base de datos usando el modelo Product
+        // (el usuario autenticado queda como creador: solo él o products:manage pueden modificarlo)
         const newProduct = await Product.create({
-            name, price, description, category, available, stock, image,
-            // creator: req.user ? req.user._id : null // Si está implementada la autenticación
+            name, price, description, category, available, stock, image, weight,
+            creator: req.user._id
         });
 
         // Responder con código 201 (Created) y los datos del nuevo producto
@@ -314,6 +356,7 @@ export const createProduct = async (req, res) => {
  *   "category": "id_de_categoría",
  *   "available": true,
  *   "stock": 15,
+ *   "weight": 1.5,
  *   "image": "/url/nueva_imagen.jpg"
  * }
  */
@@ -322,7 +365,7 @@ export const updateProduct = async (req, res) => {
         // Extraer el ID del producto de los parámetros de la URL
         const productId = req.params.id;
         // Extraer los datos actualizados del cuerpo de la solicitud
-        const { name, price, description, category, available, stock, image } = req.body;
+        const { name, price, description, category, available, stock, image, weight } = req.body;
 
         // Verificar si el producto existe
         const product = await Product.findById(productId);
@@ -338,15 +381,18 @@ export const updateProduct = async (req, res) => {
             }
         }
 
-        // Opcional: Verificar si el usuario tiene permisos para actualizar
-        // if (req.user && product.creator && product.creator.toString() !== req.user._id.toString()) {
-        //     return res.status(403).json({ success: false, message: 'No tienes permiso para actualizar este producto' });
-        // }
+        // Verificar si el usuario tiene permisos para actualizar (creador o products:manage)
+        if (!canEditProduct(req, product)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para actualizar este producto'
+            });
+        }
 
         // Actualizar el producto y devolver la versión actualizada (new: true)
         const updatedProduct = await Product.findByIdAndUpdate(
             productId,
-            { name, price, description, category, available, stock, image },
+            { name, price, description, category, available, stock, image, weight },
             { new: true } // Esta opción hace que se devuelva el documento actualizado en lugar del original
         ).populate('category'); // Incluir información completa de la categoría
 
@@ -383,7 +429,9 @@ export const patchProduct = async (req, res) => {
         // Extraer el ID del producto a actualizar
         const productId = req.params.id;
         // Obtener los campos a actualizar del cuerpo de la petición
-        const updates = req.body;
+        // (las opciones y variantes se editan con /api/products/:id/variants, la galería con /api/products/:id/images
+        // y el creador con /api/relations/products/:productId/creator)
+        const { options, variants, images, creator, ...updates } = req.body;
 
         // Verificar si el producto existe
         const product = await Product.findById(productId);
@@ -399,10 +447,13 @@ export const patchProduct = async (req, res) => {
             }
         }
 
-        // Opcional: Verificar si el usuario tiene permisos para actualizar
-        // if (req.user && product.creator && product.creator.toString() !== req.user._id.toString()) {
-        //     return res.status(403).json({ success: false, message: 'No tienes permiso para actualizar este producto' });
-        // }
+        // Verificar si el usuario tiene permisos para actualizar (creador o products:manage)
+        if (!canEditProduct(req, product)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para actualizar este producto'
+            });
+        }
 
         // Actualización parcial: solo actualiza los campos proporcionados usando $set
         const updatedProduct = await Product.findByIdAndUpdate(
@@ -437,6 +488,8 @@ export const patchProduct = async (req, res) => {
  * Nota: Esta es una eliminación permanente. En sistemas de producción,
  * a menudo se prefiere una eliminación lógica (soft delete) que marque el
  * elemento como eliminado pero lo mantenga en la base de datos.
+ * 
+ * También se borran del almacenamiento sus imágenes (las que no usa otro producto).
  */
 export const deleteProduct = async (req, res) => {
     try {
@@ -449,14 +502,20 @@ export const deleteProduct = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Producto no encontrado' });
         }
 
-        // Opcional: Verificar si el usuario tiene permisos para eliminar
-        // if (req.user && product.creator && product.creator.toString() !== req.user._id.toString()) {
-        //     return res.status(403).json({ success: false, message: 'No tienes permiso para eliminar este producto' });
-        // }
+        // Verificar si el usuario tiene permisos para eliminar (creador o products:manage)
+        if (!canEditProduct(req, product)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para eliminar este producto'
+            });
+        }
 
         // Eliminar el producto de la base de datos
         await Product.findByIdAndDelete(productId);
 
+        // Borrar sus imágenes (las que no use otro producto)
+        await syncProductUploads(product, { previous: productUploadKeys(product), deleted: true });
+
         // Enviar respuesta confirmando la eliminación
         res.json({ success: true, message: `Producto con ID: ${productId} eliminado correctamente` });
 
@@ -468,60 +527,573 @@ export const deleteProduct = async (req, res) => {
 }
 
 /**
- * uploadProductImage - Sube una imagen para un producto y actualiza su URL
+ * setProductVariants - Define las opciones de un producto y genera sus variantes
+ * 
+ * @param {object} req - Objeto Request de Express con el ID en params y las opciones en body
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el producto y su matriz de variantes
+ * 
+ * Endpoint: PUT /api/products/:id/variants
+ * 
+ * Cuerpo de la petición esperado:
+ * {
+ *   "options": [
+ *     { "name": "Talle", "values": ["S", "M", "L"] },
+ *     { "name": "Color", "values": ["Rojo", "Azul"] }
+ *   ]
+ * }
+ * 
+ * Se genera una variante por combinación (6 en el ejemplo). Las que ya existían
+ * conservan su SKU, precio, stock e imagen; las nuevas empiezan sin stock.
+ * Con "options": [] el producto deja de tener variantes.
+ */
+export const setProductVariants = async (req, res) => {
+    try {
+        // 1. BUSCAR PRODUCTO: Solo su creador o products:manage pueden cambiar sus variantes
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        if (!canEditProduct(req, product)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para modificar este producto'
+            });
+        }
+
+        // 2. GENERAR VARIANTES: Combinaciones de los valores de las opciones
+        const options = req.body.options.map(({ name, values }) => ({ name, values }));
+        const { variants, removed, error } = generateVariants(product, options);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // 3. GUARDAR: save() para que se validen los SKU repetidos
+        product.options = options;
+        product.variants = variants;
+        await product.save();
+
+        res.json({
+            success: true,
+            message: `Variantes generadas: ${variants.length}${removed ? ` (${removed} quitadas)` : ''}`,
+            product,
+            variantMatrix: buildVariantMatrix(product)
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map((e) => e.message).join(', ')
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Otro producto ya usa alguno de estos SKU'
+            });
+        }
+
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar las variantes',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * updateProductVariant - Edita el SKU, precio, stock, imagen o disponibilidad de una variante
+ * 
+ * @param {object} req - Objeto Request de Express con el ID del producto y de la variante en params
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el producto y su matriz de variantes
+ * 
+ * Endpoint: PATCH /api/products/:id/variants/:variantId
+ * 
+ * Cuerpo de la petición ejemplo (solo los campos a cambiar):
+ * {
+ *   "sku": "REMERA-M-ROJO",
+ *   "price": 12999,
+ *   "stock": 20,
+ *   "image": "/uploads/products/remera-roja.jpg",
+ *   "isAvailable": true
+ * }
+ * 
+ * "price": null quita el precio propio (la variante vuelve al precio del producto).
+ */
+export const updateProductVariant = async (req, res) => {
+    try {
+        // 1. BUSCAR PRODUCTO Y VARIANTE: Solo su creador o products:manage pueden editarla
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        if (!canEditProduct(req, product)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para modificar este producto'
+            });
+        }
+
+        const variant = findVariant(product, req.params.variantId);
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Variante no encontrada'
+            });
+        }
+
+        // 2. ACTUALIZAR SOLO LOS CAMPOS ENVIADOS
+        for (const field of ['sku', 'price', 'stock', 'image', 'isAvailable']) {
+            if (req.body[field] !== undefined) {
+                variant.set(field, req.body[field] ?? undefined);
+            }
+        }
+
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Variante actualizada',
+            product,
+            variantMatrix: buildVariantMatrix(product)
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map((e) => e.message).join(', ')
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Otro producto ya usa ese SKU'
+            });
+        }
+
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar la variante',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * uploadProductImage - Sube una imagen para un producto y la deja como imagen principal
  * 
  * @param {object} req - Objeto Request de Express con el ID del producto y el archivo subido
  * @param {object} res - Objeto Response de Express
  * @returns {object} Respuesta JSON con el producto actualizado y datos de la imagen
  * 
- * Endpoint: POST /api/products/:id/image
+ * Endpoint: POST /api/products/:id/upload-image
  * 
  * Nota: Este endpoint requiere el middleware de Multer para procesar
  * la carga de archivos. El middleware debe configurarse en el router
  * correspondiente antes de que se llame a esta función.
  * 
  * La solicitud debe ser multipart/form-data con un campo 'image' que contenga el archivo.
+ * La imagen se agrega a la galería como principal; las anteriores se conservan
+ * (para subir varias a la vez usar POST /api/products/:id/images).
+ * Se guardan sus versiones WebP (ver processUploadedImage), no el archivo original.
  */
 export const uploadProductImage = async (req, res) => {
+    let processed = null;
+
     try {
         // Extraer el ID del producto
         const productId = req.params.id;
 
+        // El middleware de Multer ya ha procesado el archivo y lo ha guardado
+        // req.file contiene la información del archivo subido
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No se ha subido ninguna imagen'
+            });
+        }
+
         // Verificar si existe el producto en la base de datos
         const product = await Product.findById(productId);
         if (!product) {
+            await removeUploadedFiles([req.file]);
             return res.status(404).json({ success: false, message: 'Producto no encontrado' });
         }
 
-        // El middleware de Multer ya ha procesado el archivo y lo ha guardado
-        // req.file contiene la información del archivo subido
-        if (!req.file) {
-            return res.status(400).json({ success: false, message: 'No se ha subido ninguna imagen' });
+        // Solo su creador o products:manage pueden cambiar sus imágenes
+        if (!canEditProduct(req, product)) {
+            await removeUploadedFiles([req.file]);
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para modificar este producto'
+            });
         }
 
-        // Construir la URL relativa para acceder a la imagen
-        // Esta URL se almacenará en la base de datos y permitirá acceder a la imagen desde el frontend
-        const imageUrl = `/uploads/products/${req.file.filename}`;
+        // Validar el contenido y generar las versiones WebP (el original se borra)
+        const { image, error } = await processUploadedImage(req.file);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        processed = image;
 
-        // Actualizar el producto con la URL de la imagen
-        const updatedProduct = await Product.findByIdAndUpdate(
-            productId,
-            { image: imageUrl }, // Actualizar solo el campo de imagen
-            { new: true }       // Devolver el documento actualizado
-        );
+        // Agregar la imagen al final de la galería como nueva principal
+        adoptLegacyImage(product);
+        product.images.forEach((other) => { other.isPrimary = false; });
+        product.images.push({ ...image, sortOrder: product.images.length, isPrimary: true });
+        syncGallery(product);
+
+        await product.save();
+        await syncProductUploads(product);
 
         // Enviar respuesta con información completa
         res.json({
             success: true,
             message: 'Imagen subida correctamente',
-            product: updatedProduct,  // Producto actualizado con la nueva URL de imagen
-            imageUrl,                 // URL de la imagen para acceso directo
+            product,                  // Producto actualizado con la nueva URL de imagen
+            imageUrl: image.url,      // URL de la imagen para acceso directo
+            derivatives: image.derivatives, // URL de cada versión (thumbnail, medium, large)
             file: req.file            // Información del archivo subido (nombre, tamaño, etc.)
         });
 
     } catch (error) {
         // Manejar errores
         console.log(error);
+        await removeUploadedFiles([req.file]);
+        if (processed) {
+            await discardProcessedImage(processed);
+        }
         res.status(500).json({ success: false, message: 'Error al subir la imagen', error: error.message });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * addProductImages - Sube varias imágenes a la galería de un producto
+ * 
+ * @param {object} req - Objeto Request de Express con el ID del producto y los archivos subidos
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el producto y las imágenes agregadas
+ * 
+ * Endpoint: POST /api/products/:id/images
+ * 
+ * La solicitud debe ser multipart/form-data con uno o más campos 'images' (archivos)
+ * y, opcionalmente, un campo 'alt' por archivo, en el mismo orden.
+ * Las imágenes se agregan al final de la galería; si el producto no tenía
+ * ninguna, la primera pasa a ser la principal. De cada una se guardan sus
+ * versiones WebP; si algún archivo no es una imagen válida no se agrega ninguna.
+ */
+export const addProductImages = async (req, res) => {
+    const files = req.files || [];
+    let processed = [];
+
+    try {
+        // 1. VALIDAR ARCHIVOS: Multer ya los guardó en uploads/products
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No se ha subido ninguna imagen'
+            });
+        }
+
+        // 2. BUSCAR PRODUCTO: Si no existe o no se puede modificar, los archivos subidos se borran
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            await removeUploadedFiles(files);
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        if (!canEditProduct(req, product)) {
+            await removeUploadedFiles(files);
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para modificar este producto'
+            });
+        }
+
+        // 3. PROCESAR: Validar el contenido y generar las versiones WebP (los originales se borran)
+        const { images, error } = await processUploadedImages(files);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        processed = images;
+
+        // 4. AGREGAR: Al final de la galería, con su texto alternativo
+        const alts = [].concat(req.body.alt ?? []);
+
+        adoptLegacyImage(product);
+        const added = images.map((image, index) => product.images.create({
+            ...image,
+            alt: alts[index] || '',
+            sortOrder: product.images.length + index
+        }));
+
+        product.images.push(...added);
+        syncGallery(product);
+
+        await product.save();
+        await syncProductUploads(product);
+
+        res.status(201).json({
+            success: true,
+            message: `Imágenes agregadas: ${added.length}`,
+            product,
+            images: added.map((image) => product.images.id(image._id))
+        });
+
+    } catch (error) {
+        await removeUploadedFiles(files);
+        await Promise.all(processed.map(discardProcessedImage));
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map((e) => e.message).join(', ')
+            });
+        }
+
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al subir las imágenes',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * reorderProductImages - Cambia el orden de la galería de un producto
+ * 
+ * @param {object} req - Objeto Request de Express con el ID en params y el nuevo orden en body
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el producto actualizado
+ * 
+ * Endpoint: PUT /api/products/:id/images/order
+ * 
+ * Cuerpo de la petición esperado (todos los IDs de la galería, en el orden deseado):
+ * {
+ *   "order": ["665f1c...", "665f1d...", "665f1b..."]
+ * }
+ * 
+ * La imagen principal no cambia al reordenar.
+ */
+export const reorderProductImages = async (req, res) => {
+    try {
+        // 1. BUSCAR PRODUCTO: Solo su creador o products:manage pueden cambiar la galería
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        if (!canEditProduct(req, product)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para modificar este producto'
+            });
+        }
+
+        // 2. VALIDAR ORDEN: Debe incluir cada imagen de la galería una sola vez
+        const order = req.body.order.map(String);
+        const current = product.images.map((image) => String(image._id));
+
+        if (order.length !== current.length || new Set(order).size !== order.length
+            || !current.every((id) => order.includes(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'El orden debe incluir cada imagen de la galería una sola vez'
+            });
+        }
+
+        // 3. REORDENAR
+        for (const image of product.images) {
+            image.sortOrder = order.indexOf(String(image._id));
+        }
+        syncGallery(product);
+
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Galería reordenada',
+            product
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al reordenar las imágenes',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * updateProductImage - Edita el texto alternativo de una imagen o la marca como principal
+ * 
+ * @param {object} req - Objeto Request de Express con el ID del producto y de la imagen en params
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el producto actualizado
+ * 
+ * Endpoint: PATCH /api/products/:id/images/:imageId
+ * 
+ * Cuerpo de la petición ejemplo (solo los campos a cambiar):
+ * {
+ *   "alt": "Remera roja, vista frontal",
+ *   "isPrimary": true
+ * }
+ * 
+ * Marcar una imagen como principal la copia en el campo `image` del producto.
+ * Para cambiar de principal se marca otra (isPrimary: false no tiene efecto).
+ */
+export const updateProductImage = async (req, res) => {
+    try {
+        // 1. BUSCAR PRODUCTO E IMAGEN: Solo su creador o products:manage pueden cambiar la galería
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        if (!canEditProduct(req, product)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para modificar este producto'
+            });
+        }
+
+        const image = product.images.id(req.params.imageId);
+        if (!image) {
+            return res.status(404).json({
+                success: false,
+                message: 'Imagen no encontrada'
+            });
+        }
+
+        // 2. ACTUALIZAR SOLO LOS CAMPOS ENVIADOS
+        if (req.body.alt !== undefined) {
+            image.alt = req.body.alt;
+        }
+
+        if (req.body.isPrimary === true) {
+            product.images.forEach((other) => { other.isPrimary = other === image; });
+        }
+        syncGallery(product);
+
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Imagen actualizada',
+            product
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar la imagen',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * deleteProductImage - Quita una imagen de la galería y borra su archivo
+ * 
+ * @param {object} req - Objeto Request de Express con el ID del producto y de la imagen en params
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el producto actualizado
+ * 
+ * Endpoint: DELETE /api/products/:id/images/:imageId
+ * 
+ * Se borran también sus versiones. Si era la principal, pasa a serlo la primera
+ * de la galería; sin imágenes, el producto vuelve a la imagen por defecto.
+ */
+export const deleteProductImage = async (req, res) => {
+    try {
+        // 1. BUSCAR PRODUCTO E IMAGEN: Solo su creador o products:manage pueden cambiar la galería
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        if (!canEditProduct(req, product)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tienes permiso para modificar este producto'
+            });
+        }
+
+        const image = product.images.id(req.params.imageId);
+        if (!image) {
+            return res.status(404).json({
+                success: false,
+                message: 'Imagen no encontrada'
+            });
+        }
+
+        // 2. QUITAR DE LA GALERÍA: Las variantes que la usaban pasan a mostrar la del producto
+        const previous = productUploadKeys(product);
+        const urls = [image.url, ...Object.values(image.toObject().derivatives || {})];
+
+        product.images.pull(image._id);
+        for (const variant of product.variants.filter((v) => urls.includes(v.image))) {
+            variant.image = undefined;
+        }
+        syncGallery(product);
+
+        await product.save();
+
+        // 3. BORRAR LOS ARCHIVOS: Después de guardar, para que el producto nunca apunte a un archivo borrado
+        await syncProductUploads(product, { previous });
+
+        res.json({
+            success: true,
+            message: 'Imagen eliminada',
+            product
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al eliminar la imagen',
+            error: error.message
+        });
+    }
+}
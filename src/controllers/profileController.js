@@ -0,0 +1,253 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE PERFIL (profileController.js)
+ * ==========================================
+ * Este archivo contiene los controladores de autoservicio del usuario
+ * autenticado (/api/users/me): ver y editar su perfil, cambiar su
+ * contraseña y cerrar su cuenta, sin necesidad de conocer su propio ID.
+ */
+
+// =============== IMPORTACIONES ===============
+
+/**
+ * Modelos de la base de datos (MongoDB/Mongoose)
+ */
+import User from "../models/User.js";       // Modelo de usuarios
+import ApiKey from "../models/ApiKey.js";   // Para revocar las API keys al cerrar la cuenta
+
+/**
+ * Librerías externas
+ */
+import bcryptjs from "bcryptjs";              // Para verificar y hashear contraseñas
+
+/**
+ * Servicios
+ */
+import { issueTokens, revokeAllForUser } from "../services/tokenService.js";
+import { sendVerificationEmail } from "../services/emailVerificationService.js";
+import { ADMIN_ROLE } from "../config/permissions.js";
+
+/**
+ * Campos del perfil que el usuario puede modificar por sí mismo.
+ * El rol, la contraseña y los datos de verificación/2FA tienen sus propios flujos.
+ */
+export const SELF_EDITABLE_FIELDS = ['username', 'email'];
+
+/**
+ * getMyProfile - Obtener el perfil del usuario autenticado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el usuario
+ *
+ * Endpoint: GET /api/users/me
+ */
+export const getMyProfile = (req, res) => {
+    // verifyToken ya recargó el usuario desde la base de datos (sin password)
+    res.json({
+        success: true,
+        user: req.user
+    });
+};
+
+/**
+ * updateMyProfile - Modificar el perfil del usuario autenticado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el usuario actualizado
+ *
+ * Endpoint: PATCH /api/users/me
+ *
+ * Solo acepta los campos de SELF_EDITABLE_FIELDS. Si cambia el email,
+ * vuelve a quedar sin verificar y se envía un nuevo email de verificación.
+ */
+export const updateMyProfile = async (req, res) => {
+    try {
+        // 1. ALLOWLIST: Rechazar cualquier campo que no se pueda editar desde aquí
+        const rejectedFields = Object.keys(req.body).filter((field) => !SELF_EDITABLE_FIELDS.includes(field));
+
+        if (rejectedFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `No se pueden modificar los campos: ${rejectedFields.join(', ')}`
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        const { username, email } = req.body;
+
+        // 2. UNICIDAD: username y email no pueden pertenecer a otro usuario
+        if (username !== undefined && username !== user.username) {
+            if (await User.exists({ username, _id: { $ne: user._id } })) {
+                return res.status(409).json({ success: false, message: 'El nombre de usuario ya está en uso' });
+            }
+
+            user.username = username;
+        }
+
+        const emailChanged = email !== undefined && email !== user.email;
+
+        if (emailChanged) {
+            if (await User.exists({ email, _id: { $ne: user._id } })) {
+                return res.status(409).json({ success: false, message: 'El email ya está registrado' });
+            }
+
+            // El nuevo email debe verificarse de nuevo
+            user.email = email;
+            user.emailVerified = false;
+            user.emailVerifiedAt = undefined;
+        }
+
+        // 3. GUARDAR
+        await user.save();
+
+        // 4. VERIFICACIÓN: Si falla el envío puede pedir el reenvío en /api/auth/resend-verification
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (error) {
+                console.log(error);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: emailChanged
+                ? 'Perfil actualizado. Te enviamos un email para verificar la nueva dirección'
+                : 'Perfil actualizado',
+            user: await User.findById(user._id).select('-password')
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar el perfil',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * changeMyPassword - Cambiar la contraseña del usuario autenticado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con un nuevo par de tokens
+ *
+ * Endpoint: POST /api/users/me/password
+ *
+ * Verifica la contraseña actual, guarda la nueva hasheada y cierra todas las
+ * sesiones; la sesión actual continúa con los tokens de la respuesta.
+ */
+export const changeMyPassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        // 1. VERIFICAR CONTRASEÑA ACTUAL
+        const user = await User.findById(req.user._id);
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        const isPasswordCorrect = await bcryptjs.compare(currentPassword, user.password);
+
+        if (!isPasswordCorrect) {
+            return res.status(401).json({ success: false, message: 'La contraseña actual es incorrecta' });
+        }
+
+        // 2. HASHEAR Y GUARDAR LA NUEVA CONTRASEÑA
+        const salt = await bcryptjs.genSalt(10);
+        user.password = await bcryptjs.hash(newPassword, salt);
+        await user.save();
+
+        // 3. CERRAR SESIONES: Los refresh tokens emitidos con la contraseña anterior dejan de valer
+        await revokeAllForUser(user._id);
+
+        const { token, refreshToken } = await issueTokens(user, req.ip);
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada. Se cerraron las demás sesiones',
+            token,
+            refreshToken
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cambiar la contraseña',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * deleteMyAccount - Cerrar la cuenta del usuario autenticado
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con confirmación
+ *
+ * Endpoint: DELETE /api/users/me
+ *
+ * Requiere la contraseña. Elimina el usuario y revoca sus sesiones y API keys;
+ * las órdenes se conservan como historial. El último administrador no puede
+ * cerrar su cuenta.
+ */
+export const deleteMyAccount = async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        // 1. CONFIRMAR CON LA CONTRASEÑA
+        const user = await User.findById(req.user._id);
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        const isPasswordCorrect = await bcryptjs.compare(password, user.password);
+
+        if (!isPasswordCorrect) {
+            return res.status(401).json({ success: false, message: 'La contraseña es incorrecta' });
+        }
+
+        // 2. NO DEJAR LA API SIN ADMINISTRADORES
+        if (user.role === ADMIN_ROLE) {
+            const otherAdmins = await User.countDocuments({ role: ADMIN_ROLE, _id: { $ne: user._id } });
+
+            if (otherAdmins === 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'No puedes cerrar la cuenta del único administrador'
+                });
+            }
+        }
+
+        // 3. REVOCAR CREDENCIALES Y ELIMINAR
+        await revokeAllForUser(user._id);
+        await ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+        await User.findByIdAndDelete(user._id);
+
+        res.json({
+            success: true,
+            message: 'Cuenta cerrada correctamente'
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cerrar la cuenta',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,321 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE DEVOLUCIONES (returnController.js)
+ * ==========================================
+ * Endpoints de las solicitudes de devolución (RMA): el cliente las pide sobre
+ * una orden entregada y un administrador las aprueba, rechaza y recibe.
+ * La lógica (cantidades, stock y reembolsos) está en services/returnService.js.
+ */
+
+import Order from "../models/Order.js";
+import ReturnRequest from "../models/ReturnRequest.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { RETURN_STATUS } from "../config/returnStatus.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+    createReturnRequest,
+    reviewReturnRequest,
+    receiveReturnRequest,
+    refundReturnRequest
+} from "../services/returnService.js";
+
+/**
+ * findOwnOrder - Busca la orden y verifica que sea del usuario (o que tenga orders:manage)
+ *
+ * @returns {Promise<{order?: object, error?: {status: number, message: string}}>}
+ */
+const findOwnOrder = async (req) => {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        return { error: { status: 404, message: 'Orden no encontrada' } };
+    }
+
+    if (order.user.toString() !== req.user._id.toString() && !hasPermission(req, PERMISSIONS.ORDERS_MANAGE)) {
+        return { error: { status: 403, message: 'No tiene permiso para acceder a las devoluciones de esta orden' } };
+    }
+
+    return { order };
+};
+
+/**
+ * createReturn - Pedir la devolución de líneas de una orden entregada
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con la devolución creada
+ *
+ * Endpoint: POST /api/orders/:id/returns
+ */
+export const createReturn = async (req, res) => {
+    try {
+        // 1. BUSCAR ORDEN Y VERIFICAR PERMISOS
+        const { order, error: orderError } = await findOwnOrder(req);
+
+        if (orderError) {
+            return res.status(orderError.status).json({
+                success: false,
+                message: orderError.message
+            });
+        }
+
+        // 2. CREAR DEVOLUCIÓN: Verifica la orden y las cantidades ya devueltas
+        const { returnRequest, error } = await createReturnRequest(order, req.body.items);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Devolución solicitada',
+            returnRequest
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al solicitar la devolución',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * getOrderReturns - Listar las devoluciones de una orden
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con las devoluciones
+ *
+ * Endpoint: GET /api/orders/:id/returns
+ */
+export const getOrderReturns = async (req, res) => {
+    try {
+        const { order, error } = await findOwnOrder(req);
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: returns.length,
+            returns
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las devoluciones',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * getReturns - Listar todas las devoluciones (filtro opcional ?status=)
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con las devoluciones paginadas
+ *
+ * Endpoint: GET /api/returns
+ */
+export const getReturns = async (req, res) => {
+    try {
+        // 1. PAGINACIÓN Y FILTRO
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        // 2. CONSULTA
+        const returns = await ReturnRequest.find(filter)
+            .skip(skip)
+            .limit(limit)
+            .sort({ createdAt: -1 })
+            .populate('user', 'username email');
+
+        const total = await ReturnRequest.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: returns.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            returns
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las devoluciones',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * reviewReturn - Crea el controlador para aprobar o rechazar una devolución
+ *
+ * @param {string} status - RETURN_STATUS.APPROVED o RETURN_STATUS.REJECTED
+ * @param {string} message - Mensaje de la respuesta
+ * @returns {Function} Controlador de Express
+ */
+const reviewReturn = (status, message) => async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Devolución no encontrada'
+            });
+        }
+
+        const { returnRequest: reviewed, error } = await reviewReturnRequest(returnRequest, status, {
+            reviewedBy: req.user._id,
+            note: req.body?.note
+        });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message,
+            returnRequest: reviewed
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al revisar la devolución',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * approveReturn - Aprobar una devolución pedida
+ *
+ * Endpoint: POST /api/returns/:id/approve
+ */
+export const approveReturn = reviewReturn(RETURN_STATUS.APPROVED, 'Devolución aprobada');
+
+/**
+ * rejectReturn - Rechazar una devolución pedida
+ *
+ * Endpoint: POST /api/returns/:id/reject
+ */
+export const rejectReturn = reviewReturn(RETURN_STATUS.REJECTED, 'Devolución rechazada');
+
+/**
+ * receiveReturn - Registrar la llegada de los productos: vuelven al stock y se reembolsa el importe
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con la devolución
+ *
+ * Endpoint: POST /api/returns/:id/receive
+ */
+export const receiveReturn = async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Devolución no encontrada'
+            });
+        }
+
+        const { returnRequest: received, error } = await receiveReturnRequest(returnRequest, {
+            receivedBy: req.user._id,
+            note: req.body?.note
+        });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Devolución recibida y reembolsada',
+            returnRequest: received
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al recibir la devolución',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * refundReturn - Reintentar el reembolso de una devolución ya recibida
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con la devolución
+ *
+ * Endpoint: POST /api/returns/:id/refund
+ */
+export const refundReturn = async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Devolución no encontrada'
+            });
+        }
+
+        const { returnRequest: refunded, error } = await refundReturnRequest(returnRequest, { createdBy: req.user._id });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Devolución reembolsada',
+            returnRequest: refunded
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al reembolsar la devolución',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,191 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE ROLES (roleController.js)
+ * ==========================================
+ * Este archivo contiene los controladores para administrar los roles y sus permisos.
+ * Cada usuario tiene un rol (User.role) y los middlewares requirePermission
+ * consultan los permisos de ese rol en cada petición.
+ */
+
+// =============== IMPORTACIONES ===============
+
+/**
+ * Modelos de la base de datos (MongoDB/Mongoose)
+ */
+import Role from "../models/Role.js";   // Modelo de roles
+import User from "../models/User.js";   // Para verificar si un rol está en uso
+
+/**
+ * Catálogo de permisos y caché de permisos
+ */
+import { ALL_PERMISSIONS, ADMIN_ROLE } from "../config/permissions.js";
+import { clearPermissionCache } from "../services/permissionService.js";
+
+/**
+ * getPermissions - Listar el catálogo de permisos disponibles
+ *
+ * Endpoint: GET /api/roles/permissions
+ */
+export const getPermissions = (req, res) => {
+    res.json({ success: true, permissions: ALL_PERMISSIONS });
+};
+
+/**
+ * getRoles - Listar todos los roles
+ *
+ * Endpoint: GET /api/roles
+ */
+export const getRoles = async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ name: 1 });
+
+        res.json({ success: true, count: roles.length, roles });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al obtener roles', error: error.message });
+    }
+};
+
+/**
+ * getRoleById - Obtener un rol por ID
+ *
+ * Endpoint: GET /api/roles/:id
+ */
+export const getRoleById = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({ success: false, message: 'Rol no encontrado' });
+        }
+
+        // Cantidad de usuarios con este rol
+        const usersCount = await User.countDocuments({ role: role.name });
+
+        res.json({ success: true, role, usersCount });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al obtener el rol', error: error.message });
+    }
+};
+
+/**
+ * createRole - Crear un nuevo rol
+ *
+ * Endpoint: POST /api/roles
+ *
+ * Body: { name, description, permissions: ['products:write', ...] }
+ */
+export const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+
+        // Verificar si ya existe un rol con el mismo nombre
+        const existingRole = await Role.findOne({ name: name.toLowerCase() });
+        if (existingRole) {
+            return res.status(400).json({ success: false, message: 'Ya existe un rol con ese nombre' });
+        }
+
+        const role = await Role.create({ name, description, permissions });
+
+        res.status(201).json({ success: true, message: 'Rol creado correctamente', role });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al crear el rol', error: error.message });
+    }
+};
+
+/**
+ * updateRole - Actualizar descripción y/o permisos de un rol
+ *
+ * Endpoint: PATCH /api/roles/:id
+ *
+ * Los roles del sistema no se pueden renombrar y el rol admin no se puede
+ * modificar, para que siempre exista alguien capaz de administrar roles.
+ */
+export const updateRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({ success: false, message: 'Rol no encontrado' });
+        }
+
+        if (role.name === ADMIN_ROLE) {
+            return res.status(403).json({ success: false, message: 'El rol admin no se puede modificar' });
+        }
+
+        // Renombrar: no permitido en roles del sistema, y se migran los usuarios que lo tienen
+        if (name !== undefined && name.toLowerCase() !== role.name) {
+            if (role.isSystem) {
+                return res.status(403).json({ success: false, message: 'Los roles del sistema no se pueden renombrar' });
+            }
+
+            const existingRole = await Role.findOne({ name: name.toLowerCase() });
+            if (existingRole) {
+                return res.status(400).json({ success: false, message: 'Ya existe un rol con ese nombre' });
+            }
+
+            await User.updateMany({ role: role.name }, { role: name.toLowerCase() });
+            role.name = name;
+        }
+
+        if (description !== undefined) {
+            role.description = description;
+        }
+
+        if (permissions !== undefined) {
+            role.permissions = permissions;
+        }
+
+        await role.save();
+        clearPermissionCache();
+
+        res.json({ success: true, message: 'Rol actualizado correctamente', role });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al actualizar el rol', error: error.message });
+    }
+};
+
+/**
+ * deleteRole - Eliminar un rol
+ *
+ * Endpoint: DELETE /api/roles/:id
+ *
+ * No se pueden eliminar roles del sistema ni roles asignados a algún usuario.
+ */
+export const deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({ success: false, message: 'Rol no encontrado' });
+        }
+
+        if (role.isSystem) {
+            return res.status(403).json({ success: false, message: 'Los roles del sistema no se pueden eliminar' });
+        }
+
+        const usersCount = await User.countDocuments({ role: role.name });
+        if (usersCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `No se puede eliminar el rol porque lo tienen ${usersCount} usuario(s)`
+            });
+        }
+
+        await Role.findByIdAndDelete(role._id);
+        clearPermissionCache();
+
+        res.json({ success: true, message: `Rol ${role.name} eliminado correctamente` });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al eliminar el rol', error: error.message });
+    }
+};
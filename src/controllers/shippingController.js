@@ -0,0 +1,165 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE ENVÍOS (shippingController.js)
+ * ==========================================
+ * Cotización del envío del carrito y administración de las zonas de envío
+ * con sus métodos y tablas de tarifas (permiso shipping:manage).
+ * El método elegido se envía como shippingMethod al crear la orden
+ * (ver services/shippingService.js); las órdenes ya creadas no cambian.
+ */
+
+import ShippingZone from "../models/ShippingZone.js";
+import { findCart, buildCartView } from "../services/cartService.js";
+import { quoteShipping } from "../services/shippingService.js";
+
+// Campos que se pueden enviar al crear o editar una zona
+const SHIPPING_ZONE_FIELDS = ['name', 'countries', 'states', 'methods', 'isActive'];
+
+/**
+ * pickShippingZoneFields - Copia del body solo los campos permitidos
+ *
+ * @param {object} body
+ * @returns {object}
+ */
+const pickShippingZoneFields = (body) => Object.fromEntries(
+    SHIPPING_ZONE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+/**
+ * getShippingQuote - Cotizar el envío del carrito a un país/provincia
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con los métodos disponibles y su costo
+ *
+ * Endpoint: GET /api/shipping/quote?country=&state=
+ *
+ * Funciona con sesión iniciada o como invitado (cabecera X-Cart-Token).
+ * Los productos que ya no están a la venta no cuentan para el peso ni el subtotal.
+ */
+export const getShippingQuote = async (req, res) => {
+    try {
+        // 1. BUSCAR CARRITO
+        const cart = await findCart(req);
+        const view = await buildCartView(cart);
+        const lines = view.items
+            .filter((item) => item.available)
+            .map((item) => ({ price: item.unitPrice, quantity: item.quantity, weight: item.weight }));
+
+        if (lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'El carrito está vacío'
+            });
+        }
+
+        // 2. COTIZAR: Métodos de la zona de la dirección con el costo de cada uno
+        const { zone, methods, weight, subtotal, error } = await quoteShipping(lines, {
+            country: req.query.country,
+            state: req.query.state
+        });
+
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // 3. RESPUESTA
+        res.json({
+            success: true,
+            zone: { _id: zone._id, name: zone.name },
+            weight,
+            subtotal,
+            methods
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al cotizar el envío', error: error.message });
+    }
+};
+
+/**
+ * getShippingZones - Listar zonas de envío
+ *
+ * Endpoint: GET /api/shipping/zones
+ */
+export const getShippingZones = async (req, res) => {
+    try {
+        const zones = await ShippingZone.find().sort({ name: 1 });
+
+        res.json({ success: true, count: zones.length, zones });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al obtener las zonas de envío', error: error.message });
+    }
+};
+
+/**
+ * createShippingZone - Crear una zona con sus métodos y tarifas
+ *
+ * Endpoint: POST /api/shipping/zones
+ */
+export const createShippingZone = async (req, res) => {
+    try {
+        const zone = await ShippingZone.create(pickShippingZoneFields(req.body));
+
+        res.status(201).json({ success: true, message: 'Zona de envío creada', zone });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: Object.values(error.errors).map((e) => e.message).join(', ') });
+        }
+
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al crear la zona de envío', error: error.message });
+    }
+};
+
+/**
+ * updateShippingZone - Editar una zona (solo los campos enviados; methods se reemplaza completo)
+ *
+ * Endpoint: PATCH /api/shipping/zones/:id
+ */
+export const updateShippingZone = async (req, res) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({ success: false, message: 'Zona de envío no encontrada' });
+        }
+
+        // Se guarda con save() para que las validaciones vean la zona completa (ej: códigos repetidos)
+        zone.set(pickShippingZoneFields(req.body));
+        await zone.save();
+
+        res.json({ success: true, message: 'Zona de envío actualizada', zone });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: Object.values(error.errors).map((e) => e.message).join(', ') });
+        }
+
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al actualizar la zona de envío', error: error.message });
+    }
+};
+
+/**
+ * deleteShippingZone - Eliminar una zona (las órdenes guardan una copia del método elegido)
+ *
+ * Endpoint: DELETE /api/shipping/zones/:id
+ */
+export const deleteShippingZone = async (req, res) => {
+    try {
+        const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({ success: false, message: 'Zona de envío no encontrada' });
+        }
+
+        res.json({ success: true, message: 'Zona de envío eliminada' });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al eliminar la zona de envío', error: error.message });
+    }
+};
@@ -0,0 +1,116 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE REGLAS DE IMPUESTOS (taxRuleController.js)
+ * ==========================================
+ * Administración de las reglas de impuestos por región (permiso taxes:manage).
+ * Las reglas se aplican al crear una orden según su dirección de envío
+ * (ver services/taxService.js); las órdenes ya creadas no cambian.
+ */
+
+import TaxRule from "../models/TaxRule.js";
+
+// Campos que se pueden enviar al crear o editar una regla
+const TAX_RULE_FIELDS = ['name', 'country', 'state', 'category', 'rate', 'inclusive', 'isActive'];
+
+/**
+ * pickTaxRuleFields - Copia del body solo los campos permitidos
+ *
+ * @param {object} body
+ * @returns {object}
+ */
+const pickTaxRuleFields = (body) => Object.fromEntries(
+    TAX_RULE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+/**
+ * getTaxRules - Listar reglas (filtro opcional ?country=)
+ *
+ * Endpoint: GET /api/tax-rules
+ */
+export const getTaxRules = async (req, res) => {
+    try {
+        const filter = {};
+
+        if (req.query.country) {
+            // Sin distinguir mayúsculas, igual que al calcular los impuestos
+            filter.country = new RegExp(`^${req.query.country.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+        }
+
+        const taxRules = await TaxRule.find(filter)
+            .sort({ country: 1, state: 1, category: 1 })
+            .populate('category', 'name');
+
+        res.json({ success: true, count: taxRules.length, taxRules });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al obtener las reglas de impuestos', error: error.message });
+    }
+};
+
+/**
+ * createTaxRule - Crear una regla
+ *
+ * Endpoint: POST /api/tax-rules
+ */
+export const createTaxRule = async (req, res) => {
+    try {
+        const taxRule = await TaxRule.create(pickTaxRuleFields(req.body));
+
+        res.status(201).json({ success: true, message: 'Regla de impuesto creada', taxRule });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: Object.values(error.errors).map((e) => e.message).join(', ') });
+        }
+
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al crear la regla de impuesto', error: error.message });
+    }
+};
+
+/**
+ * updateTaxRule - Editar una regla (solo los campos enviados)
+ *
+ * Endpoint: PATCH /api/tax-rules/:id
+ */
+export const updateTaxRule = async (req, res) => {
+    try {
+        const taxRule = await TaxRule.findByIdAndUpdate(
+            req.params.id,
+            pickTaxRuleFields(req.body),
+            { new: true, runValidators: true }
+        );
+
+        if (!taxRule) {
+            return res.status(404).json({ success: false, message: 'Regla de impuesto no encontrada' });
+        }
+
+        res.json({ success: true, message: 'Regla de impuesto actualizada', taxRule });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: Object.values(error.errors).map((e) => e.message).join(', ') });
+        }
+
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al actualizar la regla de impuesto', error: error.message });
+    }
+};
+
+/**
+ * deleteTaxRule - Eliminar una regla (las órdenes guardan una copia de nombre y tasa)
+ *
+ * Endpoint: DELETE /api/tax-rules/:id
+ */
+export const deleteTaxRule = async (req, res) => {
+    try {
+        const taxRule = await TaxRule.findByIdAndDelete(req.params.id);
+
+        if (!taxRule) {
+            return res.status(404).json({ success: false, message: 'Regla de impuesto no encontrada' });
+        }
+
+        res.json({ success: true, message: 'Regla de impuesto eliminada' });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al eliminar la regla de impuesto', error: error.message });
+    }
+};
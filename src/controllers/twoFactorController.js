@@ -0,0 +1,364 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE AUTENTICACIÓN EN DOS PASOS (twoFactorController.js)
+ * ==========================================
+ * Este archivo contiene los controladores para la autenticación en dos pasos (2FA)
+ * con códigos TOTP de 6 dígitos:
+ * - Alta: generar secreto + URI otpauth y confirmarlo con un primer código
+ * - Login en dos pasos: canjear el challengeToken del login por los tokens de sesión
+ * - Baja: desactivar 2FA (solo si el rol del usuario no lo exige)
+ */
+
+// =============== IMPORTACIONES ===============
+
+/**
+ * Modelos de la base de datos (MongoDB/Mongoose)
+ */
+import User from "../models/User.js";   // Modelo de usuarios donde se guarda la configuración 2FA
+
+/**
+ * Librerías externas
+ */
+import bcryptjs from "bcryptjs";          // Para verificar la contraseña al desactivar 2FA
+
+/**
+ * Servicios
+ */
+import {
+    generateSecret,          // Secreto TOTP aleatorio
+    buildOtpauthUri,         // URI otpauth:// para apps autenticadoras
+    verifyCode,              // Verificación de códigos TOTP
+    generateRecoveryCodes,   // Códigos de recuperación de un solo uso
+    hashRecoveryCode,        // Hash de un código de recuperación
+    isTwoFactorRequired      // Política de 2FA obligatorio por rol
+} from "../services/totpService.js";
+import { issueTokens, verifyChallengeToken } from "../services/tokenService.js";
+import {
+    checkLoginAllowed,       // Bloqueo por intentos fallidos
+    registerFailure,         // Cuenta un intento fallido
+    registerSuccess,         // Limpia los intentos fallidos
+    sendLoginThrottled       // Respuesta 423/429 con Retry-After
+} from "../services/loginAttemptService.js";
+import { mergeGuestCart, CART_TOKEN_HEADER } from "../services/cartService.js";
+
+/**
+ * consumeTotpCode - Verifica un código TOTP y lo marca como usado
+ * La actualización es condicional para que el mismo código no pueda usarse dos veces.
+ *
+ * @param {object} user - Usuario con twoFactorSecret y twoFactorLastUsedStep seleccionados
+ * @param {string} code - Código ingresado
+ * @returns {Promise<boolean>} true si el código es válido y no se había usado
+ */
+const consumeTotpCode = async (user, code) => {
+    const lastUsedStep = user.twoFactorLastUsedStep ?? -1;
+    const step = verifyCode(user.twoFactorSecret, code, lastUsedStep);
+
+    if (step === null) {
+        return false;
+    }
+
+    const result = await User.updateOne(
+        {
+            _id: user._id,
+            $or: [
+                { twoFactorLastUsedStep: { $lt: step } },
+                { twoFactorLastUsedStep: null }
+            ]
+        },
+        { twoFactorLastUsedStep: step }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+/**
+ * consumeRecoveryCode - Verifica un código de recuperación y lo elimina
+ *
+ * @param {object} user - Usuario
+ * @param {string} recoveryCode - Código de recuperación ingresado
+ * @returns {Promise<boolean>} true si el código existía
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+    const hash = hashRecoveryCode(recoveryCode);
+
+    const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+/**
+ * setupTwoFactor - Iniciar el alta de 2FA
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el secreto y la URI otpauth
+ *
+ * Endpoint: POST /api/auth/2fa/setup
+ *
+ * El secreto queda pendiente hasta confirmarlo con un código en /api/auth/2fa/enable.
+ */
+export const setupTwoFactor = async (req, res) => {
+    try {
+        // 1. BUSCAR USUARIO
+        const user = await User.findById(req.user._id);
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'La autenticación en dos pasos ya está activada'
+            });
+        }
+
+        // 2. GENERAR SECRETO PENDIENTE
+        const secret = generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        // 3. RESPUESTA: El cliente muestra la URI como QR o el secreto para cargarlo a mano
+        res.json({
+            success: true,
+            secret,
+            otpauthUri: buildOtpauthUri(secret, user.email)
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al iniciar la configuración de 2FA',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * enableTwoFactor - Confirmar el alta de 2FA con un primer código
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con los códigos de recuperación
+ *
+ * Endpoint: POST /api/auth/2fa/enable
+ *
+ * Los códigos de recuperación solo se muestran en esta respuesta. Si el alta
+ * se hizo con el challengeToken de enrolamiento del login, la respuesta además
+ * completa el login e incluye los tokens de sesión.
+ */
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        // 1. BUSCAR USUARIO CON EL SECRETO PENDIENTE
+        const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'La autenticación en dos pasos ya está activada'
+            });
+        }
+
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Primero debe generar un secreto en /api/auth/2fa/setup'
+            });
+        }
+
+        // 2. VERIFICAR EL CÓDIGO CONTRA EL SECRETO PENDIENTE
+        const step = verifyCode(user.twoFactorPendingSecret, code);
+
+        if (step === null) {
+            return res.status(400).json({ success: false, message: 'Código 2FA inválido' });
+        }
+
+        // 3. ACTIVAR: El secreto pendiente pasa a ser el activo
+        const { codes, hashes } = generateRecoveryCodes();
+
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorRecoveryCodes = hashes;
+        user.twoFactorEnabled = true;
+        await user.save();
+
+        const response = {
+            success: true,
+            message: 'Autenticación en dos pasos activada. Guarde los códigos de recuperación en un lugar seguro',
+            recoveryCodes: codes
+        };
+
+        // 4. COMPLETAR LOGIN: Si el alta formaba parte del login obligatorio
+        if (req.twoFactorEnrollment) {
+            await registerSuccess(user.email);
+            await mergeGuestCart(user, req.get(CART_TOKEN_HEADER));
+            const { token, refreshToken } = await issueTokens(user, req.ip);
+
+            Object.assign(response, { user: await User.findById(user._id).select('-password'), token, refreshToken });
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al activar 2FA',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * verifyTwoFactorLogin - Segundo paso del login
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el usuario y los tokens de sesión
+ *
+ * Endpoint: POST /api/auth/2fa/verify
+ *
+ * Recibe el challengeToken devuelto por /api/auth/login y un código TOTP
+ * (o un código de recuperación). Los códigos incorrectos cuentan como
+ * intentos de login fallidos.
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        // 1. VALIDAR EL CHALLENGE TOKEN
+        const decoded = verifyChallengeToken(challengeToken, '2fa_login');
+
+        if (!decoded) {
+            return res.status(401).json({ success: false, message: 'Challenge token inválido o expirado' });
+        }
+
+        const user = await User.findById(decoded.sub)
+            .select('+twoFactorSecret +twoFactorLastUsedStep');
+
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(401).json({ success: false, message: 'Challenge token inválido o expirado' });
+        }
+
+        // 2. BLOQUEO POR INTENTOS FALLIDOS: Mismos contadores que el login
+        const check = await checkLoginAllowed(user.email, req.ip);
+
+        if (!check.allowed) {
+            return sendLoginThrottled(res, check);
+        }
+
+        // 3. VERIFICAR CÓDIGO: TOTP o código de recuperación
+        const isValid = code
+            ? await consumeTotpCode(user, code)
+            : await consumeRecoveryCode(user, recoveryCode);
+
+        if (!isValid) {
+            const failure = await registerFailure(user.email, req.ip);
+
+            if (failure.locked) {
+                return sendLoginThrottled(res, failure);
+            }
+
+            return res.status(401).json({ success: false, message: 'Código 2FA inválido' });
+        }
+
+        // 4. COMPLETAR LOGIN: El carrito del invitado (X-Cart-Token) pasa al usuario
+        await registerSuccess(user.email);
+        await mergeGuestCart(user, req.get(CART_TOKEN_HEADER));
+        const { token, refreshToken } = await issueTokens(user, req.ip);
+
+        res.json({
+            success: true,
+            user: await User.findById(user._id).select('-password'),
+            token,
+            refreshToken
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al verificar el código 2FA',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * disableTwoFactor - Desactivar la autenticación en dos pasos
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con confirmación
+ *
+ * Endpoint: POST /api/auth/2fa/disable
+ *
+ * Requiere la contraseña y un código TOTP vigente. No se permite si el rol
+ * del usuario exige 2FA (TWO_FACTOR_REQUIRED_ROLES).
+ */
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        // 1. BUSCAR USUARIO
+        const user = await User.findById(req.user._id)
+            .select('+twoFactorSecret +twoFactorLastUsedStep');
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'La autenticación en dos pasos no está activada'
+            });
+        }
+
+        // 2. POLÍTICA: Los roles que exigen 2FA no pueden desactivarlo
+        if (isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                success: false,
+                message: `La autenticación en dos pasos es obligatoria para el rol ${user.role}`
+            });
+        }
+
+        // 3. VERIFICAR CONTRASEÑA Y CÓDIGO
+        const isPasswordCorrect = await bcryptjs.compare(password, user.password);
+
+        if (!isPasswordCorrect || !(await consumeTotpCode(user, code))) {
+            return res.status(401).json({ success: false, message: 'Contraseña o código 2FA inválido' });
+        }
+
+        // 4. DESACTIVAR
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorLastUsedStep = undefined;
+        user.twoFactorRecoveryCodes = undefined;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Autenticación en dos pasos desactivada'
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al desactivar 2FA',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * ==========================================
+ * CONTROLADOR DE ARCHIVOS SUBIDOS (uploadController.js)
+ * ==========================================
+ * Reporte de archivos huérfanos y espacio usado, y barrido manual
+ * (permiso uploads:manage). El barrido también se ejecuta solo cada
+ * UPLOAD_SWEEP_INTERVAL_MINUTES (ver services/uploadSweepService.js).
+ */
+
+import { getUploadReport, sweepOrphanedUploads } from "../services/uploadSweepService.js";
+
+/**
+ * getUploadsReport - Archivos de imágenes de productos: en uso, huérfanos y espacio que ocupan
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el reporte
+ *
+ * Endpoint: GET /api/uploads/report
+ */
+export const getUploadsReport = async (req, res) => {
+    try {
+        const report = await getUploadReport();
+
+        res.json({ success: true, report });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al generar el reporte de archivos', error: error.message });
+    }
+};
+
+/**
+ * sweepUploads - Ejecuta el barrido de archivos huérfanos ahora
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {object} res - Objeto Response de Express
+ * @returns {object} Respuesta JSON con el resumen del barrido
+ *
+ * Endpoint: POST /api/uploads/sweep
+ *
+ * Con { "dryRun": true } solo informa qué se borraría.
+ */
+export const sweepUploads = async (req, res) => {
+    try {
+        const summary = await sweepOrphanedUploads({ dryRun: req.body?.dryRun === true });
+
+        res.json({
+            success: true,
+            message: summary.dryRun ? 'Simulación del barrido' : `Archivos borrados: ${summary.deleted.files}`,
+            summary
+        });
+
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ success: false, message: 'Error al barrer los archivos', error: error.message });
+    }
+};
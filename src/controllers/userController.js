@@ -1,49 +1,84 @@
 import User from "../models/User.js";
 import bcryptjs from "bcryptjs";
-import jwt from "jsonwebtoken";
+import { issueTokens, signChallengeToken } from "../services/tokenService.js";
+import { sendVerificationEmail } from "../services/emailVerificationService.js";
+import { checkLoginAllowed, registerFailure, registerSuccess, unlockAccount, sendLoginThrottled } from "../services/loginAttemptService.js";
+import { isTwoFactorRequired } from "../services/totpService.js";
+import Role from "../models/Role.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { hasPermission } from "../services/permissionService.js";
+import { mergeGuestCart, CART_TOKEN_HEADER } from "../services/cartService.js";
 
 export const login = async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        const user = await User.findOne({ email: email });
+        // bloqueo o espera progresiva por cuenta/ip antes de comparar la contraseña
+        const check = await checkLoginAllowed(email, req.ip);
 
-        if (!user) {
-            return res.status(401).json({ message: "mail or password invalid" })
+        if (!check.allowed) {
+            return sendLoginThrottled(res, check)
         }
 
-        const isPasswordCorrect = await bcryptjs.compare(password, user.password)
+        const user = await User.findOne({ email: email });
+
+        const isPasswordCorrect = user ? await bcryptjs.compare(password, user.password) : false
 
         if (!isPasswordCorrect) {
-            console.log("fail password");
-            return res.json({ message: "mail or password invalid" })
+            console.log("fail login");
+            const failure = await registerFailure(email, req.ip);
+
+            if (failure.locked) {
+                return sendLoginThrottled(res, failure)
+            }
+
+            if (!failure.allowed) {
+                res.set('Retry-After', String(failure.retryAfter))
+            }
+
+            return res.status(401).json({ success: false, message: "mail or password invalid" })
         }
 
-        const payload = {
-            email: user.email,
-            role: user.role
+        // 2FA activado: el login continúa en /api/auth/2fa/verify con el código TOTP
+        if (user.twoFactorEnabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(user, '2fa_login')
+            })
         }
 
-        const signature = process.env.JWT_SECRET;
+        // el rol exige 2FA pero no está activado: primero hay que darlo de alta en /api/auth/2fa/setup
+        if (isTwoFactorRequired(user)) {
+            return res.json({
+                success: true,
+                twoFactorSetupRequired: true,
+                challengeToken: signChallengeToken(user, '2fa_enroll')
+            })
+        }
+
+        await registerSuccess(email);
 
-        const token = jwt.sign(payload, signature, { expiresIn: '48h' })
+        // si venía comprando como invitado, su carrito pasa al carrito del usuario
+        await mergeGuestCart(user, req.get(CART_TOKEN_HEADER));
 
-        console.log(token);
+        // access token de vida corta + refresh token rotativo guardado en la db
+        const { token, refreshToken } = await issueTokens(user, req.ip);
 
-        res.json({ success: true, user, token })
+        // el usuario se vuelve a leer sin el password (el documento cargado lo tiene para compararlo)
+        res.json({ success: true, user: await User.findById(user._id).select('-password'), token, refreshToken })
     } catch (error) {
         console.log(error)
-        res.json({ success: true, message: error })
+        res.status(500).json({ success: false, message: 'Error al iniciar sesión', error: error.message })
     }
 
 }
 
-
 export const getUsers = async (req, res) => {
     try {
         //consulta a la db
 
-        const users = await User.find().select(['email', 'name', 'role']);
+        const users = await User.find().select(['email', 'username', 'role']);
         //const users = await User.find().select('-password');
 
         console.log(users)
@@ -67,19 +102,51 @@ export const getUsers = async (req, res) => {
 export const createUser = async (req, res) => {
     try {
         console.log(req.user)
-        const { name, email, password, role } = req.body;
+        const { username, email, password, role } = req.body;
 
         console.log(password)
 
+        // elegir el rol requiere roles:manage: con solo users:write alguien podría crear un admin
+        if (role && hasPermission(req, PERMISSIONS.USERS_WRITE) && !hasPermission(req, PERMISSIONS.ROLES_MANAGE)) {
+            return res.status(403).json({
+                statusOK: false,
+                message: "asignar un rol requiere el permiso roles:manage"
+            })
+        }
+
+        // en /api/auth/register (sin permisos) el rol se ignora
+        const assignedRole = hasPermission(req, PERMISSIONS.ROLES_MANAGE) && role ? role : undefined
+
+        if (assignedRole && !(await Role.exists({ name: assignedRole }))) {
+            return res.status(400).json({
+                statusOK: false,
+                message: `el rol ${assignedRole} no existe`
+            })
+        }
+
         const salt = await bcryptjs.genSalt(10)
 
         const hashedPassword = await bcryptjs.hash(password, salt);
 
-        const newUser = await User.create({ name, email, password: hashedPassword, role })
+        const newUser = await User.create({ username, email, password: hashedPassword, role: assignedRole })
+
+        // si falla el envío el usuario ya está creado: puede pedir el reenvío en /api/auth/resend-verification
+        try {
+            await sendVerificationEmail(newUser)
+        } catch (error) {
+            console.log(error)
+        }
 
+        // sendVerificationEmail deja el hash del token en el documento: se responde solo con los datos públicos
         res.status(201).json({
             message: "USUARIO CREADO EXITOSAMENTE",
-            user: newUser
+            user: {
+                _id: newUser._id,
+                username: newUser.username,
+                email: newUser.email,
+                role: newUser.role,
+                emailVerified: newUser.emailVerified
+            }
         })
     } catch (error) {
         console.log(error)
@@ -114,12 +181,35 @@ export const getUser = async (req, res) => {
     }
 }
 
+const ADMIN_EDITABLE_FIELDS = ['username', 'email', 'role'];
+
 export const updateUser = async (req, res) => {
     try {
         const userId = req.params.id;
 
-        const updateData = req.body;
+        // solo estos campos; la contraseña se cambia en /api/users/me/password (se hashea y cierra sesiones)
+        const updateData = {};
+        for (const field of ADMIN_EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                updateData[field] = req.body[field];
+            }
+        }
+
+        // cambiar el rol requiere roles:manage (users:write no alcanza para darse o dar admin)
+        if (updateData.role !== undefined && !hasPermission(req, PERMISSIONS.ROLES_MANAGE)) {
+            return res.status(403).json({
+                statusOK: false,
+                message: "asignar un rol requiere el permiso roles:manage"
+            })
+        }
 
+        // el rol asignado tiene que existir en la colección roles
+        if (updateData.role !== undefined && !(await Role.exists({ name: updateData.role }))) {
+            return res.status(400).json({
+                statusOK: false,
+                message: `el rol ${updateData.role} no existe`
+            })
+        }
 
         const updatedUser = await User.findByIdAndUpdate(
             userId,
@@ -129,7 +219,7 @@ export const updateUser = async (req, res) => {
                 runValidators: true,
                 context: 'query'
             }
-        );
+        ).select('-password');
 
         res.status(200).json({
             statusOK: true,
@@ -172,3 +262,32 @@ export const deleteUser = async (req, res) => {
         })
     }
 }
+
+export const unlockUser = async (req, res) => {
+    try {
+        const userId = req.params.id;
+
+        const user = await User.findById(userId);
+
+        if (!user) {
+            return res.status(404).json({ statusOK: false, message: "user not found" });
+        }
+
+        const wasLocked = await unlockAccount(user.email);
+
+        console.log(`LOGIN UNLOCK: ${user.email} desbloqueado por ${req.user.email}`)
+
+        res.json({
+            statusOK: true,
+            message: wasLocked ? "user unlocked" : "user had no failed login attempts",
+            user: { _id: user._id, email: user.email }
+        })
+
+    } catch (error) {
+        console.log(error)
+        res.status(500).json({
+            statusOK: false,
+            message: "TREMENDO ERROR DESBLOQUEANDO EL USER"
+        })
+    }
+}
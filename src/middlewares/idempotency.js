@@ -0,0 +1,66 @@
+import { hashRequest, reserveKey, keepKeyAlive, saveResponse, releaseKey } from "../services/idempotencyService.js";
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+
+// debe usarse después de verifyToken (las claves son por usuario) y justo antes del controlador:
+// con la cabecera Idempotency-Key, un reintento con la misma clave repite la respuesta original
+// en lugar de ejecutar otra vez la operación. Sin la cabecera la petición sigue normal.
+export const idempotency = async (req, res, next) => {
+    try {
+
+        const key = req.get(IDEMPOTENCY_HEADER);
+
+        if (key === undefined) {
+            return next()
+        }
+
+        if (!key || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({ success: false, message: `La cabecera ${IDEMPOTENCY_HEADER} debe tener entre 1 y ${MAX_KEY_LENGTH} caracteres` })
+        }
+
+        const requestHash = hashRequest(req);
+        const { record, created } = await reserveKey(req.user._id, key, requestHash);
+
+        if (!created) {
+            // la misma clave con otra petición es un error del cliente
+            if (record.requestHash !== requestHash) {
+                return res.status(422).json({ success: false, message: `La cabecera ${IDEMPOTENCY_HEADER} ya se usó con otra petición` })
+            }
+
+            // la petición original todavía se está ejecutando
+            if (record.status === 'processing') {
+                return res.status(409).json({ success: false, message: "Una petición con esta clave de idempotencia todavía está en curso" })
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.responseStatus).json(record.responseBody)
+        }
+
+        // mientras el controlador trabaja la reserva se renueva, para que un reintento no la tome
+        // (aunque el cliente se desconecte: la operación sigue en curso hasta que se responde)
+        const stopKeepAlive = keepKeyAlive(record);
+        res.on('finish', stopKeepAlive);
+
+        // la respuesta se guarda cuando el controlador la envía (aunque el cliente ya se haya desconectado)
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            stopKeepAlive();
+
+            // un error 5xx no se guarda: el cliente puede reintentar con la misma clave
+            const pending = res.statusCode >= 500
+                ? releaseKey(record)
+                : saveResponse(record, res.statusCode, body);
+
+            pending.catch((error) => console.log('Error al guardar la respuesta idempotente', error));
+
+            return json(body)
+        }
+
+        next()
+    } catch (error) {
+        console.log(error)
+        res.status(500).json({ success: false, message: "Error al verificar la clave de idempotencia" })
+    }
+}
@@ -0,0 +1,37 @@
+import { getRolePermissions } from "../services/permissionService.js";
+import { AUDIT_ACTIONS, recordAudit, requestAuditEntry } from "../services/auditService.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+// con un token de impersonación solo se puede leer: el resto de los métodos modifica datos
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+
+// lo llama verifyToken cuando el token es de impersonación (req.impersonator = admin, req.user = cliente):
+// bloquea lo que no sea lectura y registra cada petición en la auditoría
+export const impersonationGuard = async (req, res, next) => {
+    try {
+
+        // si al admin le quitaron el permiso, sus tokens de impersonación dejan de valer
+        const actorPermissions = await getRolePermissions(req.impersonator.role);
+
+        if (!actorPermissions.includes(PERMISSIONS.USERS_IMPERSONATE)) {
+            return res.status(401).json({ success: false, message: "impersonation is no longer allowed" })
+        }
+
+        if (!SAFE_METHODS.includes(req.method)) {
+            await recordAudit({ ...requestAuditEntry(req, AUDIT_ACTIONS.IMPERSONATION_BLOCKED), statusCode: 403 });
+
+            return res.status(403).json({ success: false, message: "this action is not allowed while impersonating a user" })
+        }
+
+        // se registra al terminar para guardar también el status de la respuesta
+        res.on('finish', () => {
+            recordAudit({ ...requestAuditEntry(req, AUDIT_ACTIONS.IMPERSONATION_REQUEST), statusCode: res.statusCode });
+        });
+
+        next()
+    } catch (error) {
+        console.log(error)
+        res.status(500).json({ success: false, message: "error checking impersonation" })
+    }
+}
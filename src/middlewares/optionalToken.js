@@ -0,0 +1,13 @@
+import { verifyToken } from "./verifyToken.js";
+
+
+// para rutas que también aceptan invitados (ej: el carrito): sin cabecera Authorization sigue sin req.user,
+// con cabecera se verifica igual que verifyToken (un token inválido da 401, no se trata como invitado)
+export const optionalToken = (req, res, next) => {
+
+    if (!req.headers.authorization) {
+        return next()
+    }
+
+    return verifyToken(req, res, next)
+}
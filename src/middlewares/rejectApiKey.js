@@ -0,0 +1,10 @@
+// debe usarse después de verifyToken: las API keys no pueden administrar la cuenta
+// (crear otras keys, configurar 2FA, ...), solo una sesión iniciada con contraseña
+export const rejectApiKey = (req, res, next) => {
+
+    if (req.apiKey) {
+        return res.status(403).json({ success: false, message: "this action is not allowed with an api key" })
+    }
+
+    next()
+}
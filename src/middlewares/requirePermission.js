@@ -0,0 +1,36 @@
+import { getRolePermissions } from "../services/permissionService.js";
+
+
+// debe usarse después de verifyToken: exige que el rol del usuario tenga TODOS los permisos indicados
+// ej: router.delete("/:id", verifyToken, requirePermission('users:delete'), deleteUser)
+export const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+
+            if (!req.user) {
+                return res.status(401).json({ success: false, message: "you need to be logged in" })
+            }
+
+            const rolePermissions = await getRolePermissions(req.user.role);
+
+            // con una API key solo valen los permisos del rol que además estén en sus scopes
+            const granted = req.apiKey
+                ? rolePermissions.filter((permission) => req.apiKey.scopes.includes(permission))
+                : rolePermissions;
+
+            // quedan disponibles para los controladores (ver hasPermission)
+            req.permissions = granted;
+
+            const missing = permissions.filter((permission) => !granted.includes(permission));
+
+            if (missing.length > 0) {
+                return res.status(403).json({ success: false, message: `you need permission: ${missing.join(', ')}` })
+            }
+
+            next()
+        } catch (error) {
+            console.log(error)
+            res.status(500).json({ success: false, message: "error checking permissions" })
+        }
+    }
+}
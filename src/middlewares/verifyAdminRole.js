@@ -1,13 +0,0 @@
-
-
-export const verifyAdminRole = (req, res, next) => {
-
-    const user = req.user;
-    console.log(user)
-
-    if (user.role !== "ADMIN_ROLE") {
-        return res.json({ success: false, message: "you need admin role" })
-    }
-
-    next()
-}
\ No newline at end of file
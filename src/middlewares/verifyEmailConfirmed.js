@@ -0,0 +1,24 @@
+import User from "../models/User.js";
+
+
+// debe usarse después de verifyToken: bloquea a los usuarios que todavía no confirmaron su email
+export const verifyEmailConfirmed = async (req, res, next) => {
+    try {
+
+        const user = await User.findById(req.user._id).select('emailVerified');
+
+        if (!user) {
+            return res.status(401).json({ success: false, message: "user not found" })
+        }
+
+        if (!user.emailVerified) {
+            return res.status(403).json({ success: false, message: "you need to verify your email first" })
+        }
+
+        next()
+    } catch (error) {
+        console.log(error)
+        res.status(500).json({ success: false, message: "error verifying email status" })
+    }
+
+}
@@ -1,27 +1,52 @@
-import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { createAuthenticator, AUTH_ERRORS } from '../services/authService.js';
+import { authenticateApiKey } from '../services/apiKeyService.js';
+import { impersonationGuard } from './impersonationGuard.js';
 
 
-export const verifyToken = (req, res, next) => {
+// acepta Authorization: Bearer <jwt> o Authorization: ApiKey <key> (ver services/authService.js)
+// y los tokens de impersonación de POST /api/auth/impersonate/:userId
+const authenticate = createAuthenticator({ User, authenticateApiKey, allowImpersonation: true });
+
+const ERROR_MESSAGES = {
+    [AUTH_ERRORS.MISSING_CREDENTIALS]: "missing authorization header",
+    [AUTH_ERRORS.INVALID_SCHEME]: "authorization header must use the Bearer scheme",
+    [AUTH_ERRORS.INVALID_TOKEN]: "invalid token",
+    // el cliente debe pedir un nuevo access token en /api/auth/refresh
+    [AUTH_ERRORS.TOKEN_EXPIRED]: "token expired",
+    [AUTH_ERRORS.INVALID_API_KEY]: "invalid api key",
+    [AUTH_ERRORS.USER_NOT_FOUND]: "user not found"
+}
+
+export const verifyToken = async (req, res, next) => {
     try {
 
-        const authHeader = req.header('Authorization');
-        console.log("TOKEN: " + req.header('Authorization'))
-        console.log({ authHeader });
-        if (!authHeader) {
-            return res.status(501).json({ success: false, message: "invalid token" })
+        const result = await authenticate(req);
+
+        if (result.error) {
+            return res.status(401).json({ success: false, message: ERROR_MESSAGES[result.error] })
+        }
+
+        // req.user es el documento del usuario recargado de la db (sin password)
+        req.user = result.user;
+
+        if (result.apiKey) {
+            // los scopes de la key los aplica requirePermission
+            req.apiKey = { _id: result.apiKey._id, scopes: result.apiKey.scopes };
+        } else {
+            req.tokenClaims = result.claims;
         }
-        const decoded = jwt.verify(authHeader, process.env.JWT_SECRET)
 
-        if (!decoded) {
-            return res.status(501).json({ success: false, message: "error token" })
+        // impersonación: todo se resuelve como el cliente (req.user), el admin queda en req.impersonator
+        if (result.actor) {
+            req.impersonator = result.actor;
+            return impersonationGuard(req, res, next)
         }
-        console.log("DECODED EN MIDDLEWARE: " + { decoded });
 
-        req.user = decoded;
         next()
     } catch (error) {
         console.log(error)
-        res.status(400).json({ success: false })
+        res.status(500).json({ success: false, message: "error verifying token" })
     }
 
-}
\ No newline at end of file
+}
@@ -0,0 +1,25 @@
+import { verifyToken } from "./verifyToken.js";
+import { verifyChallengeToken } from "../services/tokenService.js";
+
+
+// el alta de 2FA se puede hacer con sesión iniciada (Authorization) o, si el rol exige 2FA
+// y todavía no está activado, con el challengeToken de enrolamiento que devuelve /login
+export const verifyTwoFactorEnrollment = (req, res, next) => {
+
+    const challengeToken = req.body?.challengeToken;
+
+    if (!challengeToken) {
+        return verifyToken(req, res, next)
+    }
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa_enroll');
+
+    if (!decoded) {
+        return res.status(401).json({ success: false, message: "invalid or expired challenge token" })
+    }
+
+    req.user = { _id: decoded.sub };
+    req.twoFactorEnrollment = true;
+
+    next()
+}
@@ -0,0 +1,73 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+// Catálogo de permisos válidos
+import { ALL_PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * Esquema de API Key para MongoDB.
+ * Las API keys permiten que integraciones servidor a servidor (ej: un script
+ * de sincronización con el ERP) llamen a la API en nombre de un usuario sin
+ * usar su contraseña. Se envían en la cabecera `Authorization: ApiKey <key>`.
+ *
+ * La key nunca se guarda en texto plano: solo su hash SHA-256 y un prefijo
+ * que permite reconocerla en los listados.
+ */
+const apiKeySchema = new mongoose.Schema({
+    // Usuario dueño de la key (la key actúa en su nombre)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Nombre descriptivo (ej: 'Sincronización ERP')
+    name: {
+        type: String,
+        required: [true, 'El nombre de la API key es obligatorio'],
+        trim: true
+    },
+    // Comienzo de la key en texto plano, para identificarla (ej: 'wk_3f9a1c2b')
+    prefix: {
+        type: String,
+        required: true
+    },
+    // Hash SHA-256 de la key completa (único)
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // Permisos a los que la key tiene acceso (siempre limitados por el rol del usuario)
+    scopes: {
+        type: [String],
+        validate: {
+            validator: (scopes) => scopes.length > 0 && scopes.every((scope) => ALL_PERMISSIONS.includes(scope)),
+            message: 'La API key debe tener al menos un permiso válido'
+        }
+    },
+    // Fecha de expiración (null = no expira)
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Último uso de la key y desde qué IP
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String
+    },
+    // Fecha en la que se revocó la key
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,60 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de registro de auditoría para MongoDB.
+ * Cada documento registra una acción que un usuario hizo en nombre de otro,
+ * por ejemplo un administrador que impersona a un cliente para ver lo mismo
+ * que él. Los registros no se modifican ni se eliminan desde la API.
+ */
+const auditLogSchema = new mongoose.Schema({
+    // Usuario que realizó la acción (ej: el administrador)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Usuario en cuyo nombre se realizó la acción (ej: el cliente impersonado)
+    subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // Tipo de acción: 'impersonation.start', 'impersonation.request', 'impersonation.blocked'
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Identificador de la sesión de impersonación (jti del token)
+    sessionId: {
+        type: String,
+        index: true
+    },
+    // Motivo indicado por el actor (ej: número de ticket de soporte)
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Petición HTTP registrada
+    method: {
+        type: String
+    },
+    path: {
+        type: String
+    },
+    statusCode: {
+        type: Number
+    },
+    // IP desde la que se hizo la petición
+    ip: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,65 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de Carrito para MongoDB.
+ * El carrito se guarda en el servidor para que no se pierda al cambiar de
+ * dispositivo. Pertenece a un usuario o, si todavía no inició sesión, a un
+ * invitado identificado por un token anónimo (cabecera X-Cart-Token).
+ *
+ * El token del invitado nunca se guarda en texto plano: solo su hash SHA-256.
+ * Al iniciar sesión, el carrito del invitado se fusiona con el del usuario.
+ *
+ * Las líneas no guardan el precio: se muestra siempre el precio actual del producto.
+ */
+const cartItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Variante elegida (solo productos con variantes)
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'La cantidad debe ser al menos 1']
+    }
+}, {
+    _id: false
+});
+
+const cartSchema = new mongoose.Schema({
+    // Usuario dueño del carrito (un carrito por usuario)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        unique: true,
+        sparse: true
+    },
+    // Hash SHA-256 del token del invitado (solo carritos de invitado)
+    guestTokenHash: {
+        type: String,
+        unique: true,
+        sparse: true,
+        select: false
+    },
+    // Líneas del carrito
+    items: [cartItemSchema],
+    // Vencimiento de los carritos de invitado (se renueva con cada cambio)
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Índice TTL: MongoDB elimina los carritos de invitado abandonados
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
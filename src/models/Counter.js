@@ -0,0 +1,24 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de Contador para MongoDB.
+ * Guarda secuencias numéricas con nombre (ej: "invoice" para los números de
+ * factura). Se incrementan con $inc, que es atómico: dos peticiones
+ * simultáneas nunca reciben el mismo número.
+ */
+const counterSchema = new mongoose.Schema({
+    // Nombre de la secuencia
+    _id: {
+        type: String
+    },
+    // Último número entregado
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,117 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de Cupón de descuento para MongoDB.
+ * El cliente envía el código al crear la orden; si cumple las condiciones
+ * (vigencia, subtotal mínimo, productos o categorías, límites de uso) la orden
+ * guarda una línea de descuento con el importe calculado en ese momento
+ * (ver services/couponService.js).
+ */
+
+// Tipos de cupón
+export const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+const couponSchema = new mongoose.Schema({
+    // Código que escribe el cliente (se guarda en mayúsculas)
+    code: {
+        type: String,
+        required: [true, 'El código es obligatorio'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // percentage: value % del subtotal alcanzado; fixed: value de descuento;
+    // free_shipping: descuenta el envío; buy_x_get_y: cada buyQuantity + getQuantity unidades, getQuantity son gratis
+    type: {
+        type: String,
+        enum: COUPON_TYPES,
+        required: true
+    },
+    value: {
+        type: Number,
+        min: [0, 'El valor no puede ser negativo'],
+        default: 0,
+        validate: {
+            validator: function (value) {
+                return this.type !== 'percentage' || (value > 0 && value <= 100);
+            },
+            message: 'El porcentaje debe estar entre 0 y 100'
+        }
+    },
+    buyQuantity: {
+        type: Number,
+        min: [1, 'buyQuantity debe ser al menos 1']
+    },
+    getQuantity: {
+        type: Number,
+        min: [1, 'getQuantity debe ser al menos 1']
+    },
+    // Condiciones
+    minSubtotal: {
+        type: Number,
+        default: 0
+    },
+    // Alcance: si hay productos o categorías, el descuento solo se calcula sobre esos productos
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    // Límites de uso (vacíos = sin límite); usedCount cuenta las órdenes no canceladas
+    maxUses: {
+        type: Number,
+        min: [1, 'maxUses debe ser al menos 1']
+    },
+    maxUsesPerUser: {
+        type: Number,
+        min: [1, 'maxUsesPerUser debe ser al menos 1']
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    // Usos por usuario (para maxUsesPerUser): se incrementan con un update condicional
+    // igual que usedCount, así dos compras simultáneas del mismo usuario no superan el límite
+    usesByUser: {
+        type: [{
+            _id: false,
+            user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            count: { type: Number, default: 0 }
+        }],
+        select: false
+    },
+    // Vigencia (vacíos = sin límite)
+    startsAt: { type: Date },
+    expiresAt: { type: Date },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// buy_x_get_y necesita las dos cantidades
+couponSchema.pre('validate', function (next) {
+    if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+        this.invalidate('buyQuantity', 'Un cupón buy_x_get_y necesita buyQuantity y getQuantity');
+    }
+
+    next();
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
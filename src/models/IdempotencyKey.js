@@ -0,0 +1,72 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de Idempotency Key para MongoDB.
+ * Cuando un cliente envía la cabecera `Idempotency-Key` en una petición que
+ * modifica datos (ej: crear una orden), se guarda la clave con un hash de la
+ * petición y la respuesta original. Si el cliente reintenta con la misma
+ * clave (ej: por una red inestable), se devuelve la respuesta guardada en
+ * lugar de ejecutar la operación otra vez.
+ *
+ * Las claves son por usuario: dos usuarios pueden usar el mismo valor.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+    // Valor de la cabecera Idempotency-Key
+    key: {
+        type: String,
+        required: true
+    },
+    // Usuario que envió la petición
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Hash SHA-256 de método, ruta y body: detecta una clave reutilizada con otra petición
+    requestHash: {
+        type: String,
+        required: true
+    },
+    // 'processing' mientras se ejecuta la petición original, 'completed' cuando hay respuesta guardada
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    // Petición que tiene la clave: solo ella guarda la respuesta o la libera
+    lockOwner: {
+        type: String,
+        required: true
+    },
+    // Última renovación de la reserva: si sigue en 'processing' sin renovarse durante
+    // IDEMPOTENCY_LOCK_TIMEOUT_SECONDS (ej: el proceso cayó), un reintento la vuelve a tomar
+    lockedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Respuesta original que se repite en los reintentos
+    responseStatus: {
+        type: Number
+    },
+    responseBody: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Fecha a partir de la cual la clave se puede volver a usar
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Una clave por usuario
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Índice TTL: MongoDB elimina automáticamente las claves vencidas
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,50 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de Intentos de Login para MongoDB.
+ * Lleva la cuenta de los intentos fallidos de inicio de sesión, tanto por
+ * cuenta (email) como por IP, para aplicar esperas progresivas y bloqueos.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+    // Clave del contador: 'account:<email>' o 'ip:<dirección>'
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Tipo de contador
+    type: {
+        type: String,
+        enum: ['account', 'ip'],
+        required: true
+    },
+    // Cantidad de intentos fallidos dentro de la ventana actual
+    failures: {
+        type: Number,
+        default: 0
+    },
+    // Fecha del último intento fallido
+    lastFailureAt: {
+        type: Date
+    },
+    // Fecha hasta la que el login está bloqueado (null si no hay bloqueo)
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    // Fecha a partir de la que el registro puede eliminarse
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Índice TTL: MongoDB elimina los contadores que ya no son relevantes
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
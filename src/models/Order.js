@@ -1,10 +1,147 @@
 // Importamos mongoose, el ODM para MongoDB
 import mongoose from 'mongoose';
+// Estados posibles de una orden (ver config/orderStatus.js)
+import { ORDER_STATUS, ORDER_STATUSES } from '../config/orderStatus.js';
+// Redondeo de importes a centavos
+import { roundMoney } from '../config/money.js';
 
 /**
  * Esquema de Orden de Compra para MongoDB.
  * Representa las compras realizadas por los usuarios, incluyendo productos y estado.
  */
+
+// Esquema para los items individuales dentro de una orden
+// El precio y el nombre se copian del producto al comprar: la orden no cambia si luego cambia el producto
+const orderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'La cantidad debe ser al menos 1']
+    },
+    price: {
+        type: Number,
+        required: true
+    },
+    productName: {
+        type: String
+    },
+    // Variante comprada (productos con variantes) y copia de su SKU y nombre (ej: "Talle: M / Color: Rojo")
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+        type: String
+    },
+    variantName: {
+        type: String
+    },
+    // Impuesto aplicado al item (ver services/taxService.js): tasa en % y si el precio ya lo incluye
+    taxRate: {
+        type: Number,
+        default: 0
+    },
+    taxInclusive: {
+        type: Boolean,
+        default: false
+    }
+});
+
+// Impuestos de la orden: una línea por regla aplicada
+const taxLineSchema = new mongoose.Schema({
+    taxRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+    },
+    name: {
+        type: String
+    },
+    // Tasa en porcentaje
+    rate: {
+        type: Number,
+        required: true
+    },
+    // true: incluido en los precios (no se suma al total)
+    inclusive: {
+        type: Boolean,
+        default: false
+    },
+    // Base imponible (precio × cantidad menos descuentos) de los items con esta regla
+    taxableAmount: {
+        type: Number,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+// Descuentos aplicados (ej: un cupón). El importe se calcula al crear la orden y
+// queda guardado, así los totales se pueden recalcular siempre igual
+const discountSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+    },
+    code: {
+        type: String
+    },
+    type: {
+        type: String
+    },
+    description: {
+        type: String
+    },
+    // 'items' descuenta sobre los productos, 'shipping' sobre el envío
+    target: {
+        type: String,
+        enum: ['items', 'shipping'],
+        default: 'items'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'El descuento no puede ser negativo']
+    }
+}, {
+    _id: false
+});
+
+// Cada cambio de estado queda registrado en el historial de la orden
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true
+    },
+    // Estado anterior (vacío en la creación de la orden)
+    from: {
+        type: String
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Usuario que hizo el cambio (el cliente, un administrador, ...)
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        trim: true
+    }
+}, {
+    _id: false
+});
+
 const orderSchema = new mongoose.Schema({
     // Referencia al usuario que realizó la orden (obligatorio)
     user: {
@@ -13,42 +150,156 @@ const orderSchema = new mongoose.Schema({
         required: true
     },
     // Lista de productos incluidos en la orden
-    products: [
-        {
-            product: {
-                type: mongoose.Schema.Types.ObjectId,
-                ref: 'Product',
-                required: true
-            },
-            quantity: {
-                type: Number,
-                required: true,
-                min: 1
-            }
+    items: [orderItemSchema],
+    // Información de envío
+    shippingAddress: {
+        street: { type: String },
+        city: { type: String },
+        // Provincia/estado: junto con el país define los impuestos
+        state: { type: String },
+        postalCode: { type: String },
+        country: { type: String }
+    },
+    // Información del pago
+    paymentInfo: {
+        method: {
+            type: String,
+            enum: ['credit_card', 'debit_card', 'paypal', 'cash'],
+            default: 'credit_card'
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'completed', 'failed', 'refunded'],
+            default: 'pending'
         }
-    ],
-    // Total de la orden (obligatorio)
-    total: {
+    },
+    // Descuentos aplicados a la orden
+    discounts: [discountSchema],
+    // Método de envío elegido al comprar (ver services/shippingService.js)
+    shippingMethod: {
+        zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' },
+        code: { type: String },
+        name: { type: String },
+        carrier: { type: String },
+        minDays: { type: Number },
+        maxDays: { type: Number }
+    },
+    // Costo de envío (según la tarifa del método elegido)
+    shippingCost: {
+        type: Number,
+        default: 0
+    },
+    // Valores calculados de la orden (se recalculan antes de guardar)
+    totalItems: {
         type: Number,
         required: true
     },
-    // Estado de la orden
+    // Suma de precio × cantidad de los items
+    subtotal: {
+        type: Number
+    },
+    // Suma de los descuentos
+    discountTotal: {
+        type: Number,
+        default: 0
+    },
+    // Impuestos por regla y su suma (incluidos y no incluidos en los precios)
+    taxLines: [taxLineSchema],
+    taxTotal: {
+        type: Number,
+        default: 0
+    },
+    // Total a pagar: subtotal + envío - descuentos + impuestos no incluidos en los precios
+    totalPrice: {
+        type: Number,
+        required: true
+    },
+    // Total reembolsado hasta ahora (reembolsos de pagos y devoluciones)
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Factura emitida (ver services/invoiceService.js). Guarda una copia de los datos
+    // del vendedor y del cliente para que cada descarga genere el mismo PDF
+    invoice: {
+        number: { type: String },
+        sequence: { type: Number },
+        issuedAt: { type: Date },
+        currency: { type: String },
+        seller: {
+            name: { type: String },
+            taxId: { type: String },
+            address: { type: String },
+            email: { type: String }
+        },
+        customer: {
+            name: { type: String }, // username del cliente
+            email: { type: String }
+        }
+    },
+    // Estado de la orden: solo cambia siguiendo ORDER_TRANSITIONS (ver orderService.transitionOrder)
     status: {
         type: String,
-        enum: ['pending', 'completed', 'cancelled'],
-        default: 'pending'
-    }
+        enum: ORDER_STATUSES,
+        default: ORDER_STATUS.PENDING
+    },
+    // Historial de estados, del más antiguo al más reciente
+    statusHistory: [statusHistorySchema],
+    // Fecha en que la orden entró a cada estado (ver ORDER_STATUS_TIMESTAMPS)
+    paidAt: { type: Date },
+    processingAt: { type: Date },
+    shippedAt: { type: Date },
+    deliveredAt: { type: Date },
+    cancelledAt: { type: Date },
+    refundedAt: { type: Date }
 }, {
-    timestamps: true
+    timestamps: true,
+    // Incluir campos virtuales (payments, returns, shipments) al convertir a JSON
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Campo virtual con los pagos de la orden (ver models/Payment.js); se carga con populate('payments')
+orderSchema.virtual('payments', {
+    ref: 'Payment',
+    localField: '_id',
+    foreignField: 'order'
+});
+
+// Campo virtual con las devoluciones de la orden (ver models/ReturnRequest.js); se carga con populate('returns')
+orderSchema.virtual('returns', {
+    ref: 'ReturnRequest',
+    localField: '_id',
+    foreignField: 'order'
 });
 
-// Método para calcular totales antes de guardar
-orderSchema.pre('save', function (next) {
+// Campo virtual con los despachos de la orden (ver models/Shipment.js); se carga con populate('shipments')
+orderSchema.virtual('shipments', {
+    ref: 'Shipment',
+    localField: '_id',
+    foreignField: 'order'
+});
+
+// Cada número de factura corresponde a una sola orden
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+
+// Método para calcular totales antes de validar (totalItems y totalPrice son obligatorios)
+orderSchema.pre('validate', function (next) {
     // Calcular cantidad total de items
     this.totalItems = this.items.reduce((sum, item) => sum + item.quantity, 0);
 
-    // Calcular precio total
-    this.totalPrice = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    // Calcular subtotal y descuentos (redondeados a centavos: las sumas en coma flotante acumulan error)
+    this.subtotal = roundMoney(this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0));
+    this.discountTotal = roundMoney(this.discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+    // Calcular impuestos: los inclusivos ya están dentro del subtotal
+    this.taxTotal = roundMoney(this.taxLines.reduce((sum, line) => sum + line.amount, 0));
+    const addedTax = this.taxLines
+        .filter((line) => !line.inclusive)
+        .reduce((sum, line) => sum + line.amount, 0);
+
+    // Calcular precio total (nunca negativo); es el importe que se cobra (Payment.amount)
+    this.totalPrice = roundMoney(Math.max(0, this.subtotal + this.shippingCost - this.discountTotal) + addedTax);
 
     next();
 });
@@ -0,0 +1,123 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de Pago para MongoDB.
+ * Cada intento de cobro de una orden en un proveedor de pagos (ver
+ * services/paymentService.js) queda como un documento vinculado a la orden.
+ * Una orden puede tener varios pagos: por ejemplo, uno que falló y otro que
+ * se reintentó con éxito.
+ *
+ * El estado del pago lo confirma el proveedor (captura o webhook firmado);
+ * nunca se toma del body que envía el cliente.
+ */
+
+// Estados posibles de un pago
+export const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed', 'refunded', 'partially_refunded'];
+
+// Cada reembolso realizado en el proveedor
+const paymentRefundSchema = new mongoose.Schema({
+    // ID del reembolso en el proveedor
+    providerRefundId: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'El monto del reembolso no puede ser negativo']
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Usuario que pidió el reembolso (vacío si llegó por webhook)
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    _id: false,
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+const paymentSchema = new mongoose.Schema({
+    // Orden que se cobra
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    // Usuario dueño de la orden
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Nombre del proveedor que procesa el pago (ej: 'mock')
+    provider: {
+        type: String,
+        required: true
+    },
+    // ID del pago en el proveedor: con él se relacionan los webhooks
+    providerPaymentId: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'El monto no puede ser negativo']
+    },
+    currency: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: 'pending'
+    },
+    // Secreto para completar el pago en el proveedor (se reutiliza si el cliente vuelve a iniciar el pago)
+    clientSecret: {
+        type: String,
+        select: false
+    },
+    // Motivo informado por el proveedor cuando el pago falla
+    failureReason: {
+        type: String
+    },
+    succeededAt: { type: Date },
+    failedAt: { type: Date },
+    // Reembolsos realizados y monto total reembolsado
+    refunds: [paymentRefundSchema],
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Marca de un reembolso en curso: mientras está puesta nadie más reembolsa este pago
+    // (vence a los pocos minutos si el proceso cayó a mitad del reembolso)
+    refundingAt: {
+        type: Date,
+        default: null
+    },
+    // IDs de los eventos de webhook ya procesados: un evento reenviado no se aplica dos veces
+    processedEvents: {
+        type: [String],
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+// Un pago por ID de proveedor
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+
+// Como mucho un pago pendiente por orden: dos intentos cobrados a la vez serían un cobro doble
+paymentSchema.index({ order: 1, status: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
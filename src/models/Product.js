@@ -1,6 +1,104 @@
 // Importamos mongoose, el ODM (Object Data Modeling) para MongoDB en Node.js
 import mongoose from 'mongoose';
 
+/**
+ * Opción de un producto (ej: Talle con los valores S, M, L).
+ * Las variantes se generan combinando los valores de todas las opciones
+ * (ver services/variantService.js).
+ */
+const productOptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre de la opción es obligatorio'],
+        trim: true
+    },
+    values: {
+        type: [{ type: String, trim: true }],
+        validate: {
+            validator: (values) => values.length > 0 && new Set(values).size === values.length,
+            message: 'La opción necesita al menos un valor y no puede repetirlos'
+        }
+    }
+}, {
+    _id: false
+});
+
+/**
+ * Variante de un producto: una combinación de valores de sus opciones
+ * (ej: { Talle: 'M', Color: 'Rojo' }) con su propio SKU, stock e imagen.
+ * Sin price se vende al precio del producto.
+ */
+const productVariantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'El SKU de la variante es obligatorio'],
+        trim: true,
+        uppercase: true
+    },
+    // Valor elegido para cada opción del producto
+    options: {
+        type: Map,
+        of: String
+    },
+    // Precio propio de la variante (opcional; si falta se usa el del producto)
+    price: {
+        type: Number,
+        min: [0, 'El precio no puede ser negativo']
+    },
+    stock: {
+        type: Number,
+        default: 0,
+        min: [0, 'El stock no puede ser negativo']
+    },
+    // Imagen propia de la variante (opcional)
+    image: {
+        type: String
+    },
+    isAvailable: {
+        type: Boolean,
+        default: true
+    }
+});
+
+/**
+ * Imagen de la galería de un producto.
+ * La principal (isPrimary) se copia en el campo `image` del producto
+ * (ver services/productImageService.js).
+ */
+const productImageSchema = new mongoose.Schema({
+    // URL de la imagen (ej: /uploads/products/archivo-large.webp)
+    url: {
+        type: String,
+        required: [true, 'La URL de la imagen es obligatoria']
+    },
+    // Versiones WebP generadas al subirla (las imágenes anteriores al procesado no tienen)
+    derivatives: {
+        thumbnail: String,
+        medium: String,
+        large: String
+    },
+    // Claves de sus archivos en el almacenamiento (ver services/storageService.js), para borrarlos
+    storageKeys: {
+        type: [String],
+        default: undefined
+    },
+    // Texto alternativo para accesibilidad y buscadores
+    alt: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Posición en la galería (0 = primera)
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    isPrimary: {
+        type: Boolean,
+        default: false
+    }
+});
+
 /**
  * Definición del esquema de Producto para MongoDB.
  * Este esquema representa los productos que se almacenarán en la base de datos.
@@ -46,17 +144,33 @@ const productSchema = new mongoose.Schema(
             default: 0
         },
 
-        // URL de la imagen del producto (por defecto: imagen genérica)
+        // Peso en kg, para calcular el costo de envío (por defecto: 0)
+        weight: {
+            type: Number,
+            default: 0,
+            min: [0, 'El peso no puede ser negativo']
+        },
+
+        // URL de la imagen del producto (por defecto: imagen genérica).
+        // Con galería es siempre la URL de la imagen principal
         image: {
             type: String,
             default: '/uploads/products/default.jpg'
         },
 
+        // Galería de imágenes, ordenada por sortOrder (se edita con /api/products/:id/images)
+        images: [productImageSchema],
+
         // Referencia a la categoría del producto
         category: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Category'
-        }
+        },
+
+        // Opciones del producto (ej: Talle, Color) y variantes generadas a partir de ellas.
+        // Un producto con variantes se vende siempre eligiendo una: el stock es el de cada variante
+        options: [productOptionSchema],
+        variants: [productVariantSchema]
     },
     {
         // Agrega automáticamente campos createdAt y updatedAt
@@ -64,6 +178,20 @@ const productSchema = new mongoose.Schema(
     }
 );
 
+// Los SKU no se repiten entre las variantes de un mismo producto
+productSchema.pre('validate', function (next) {
+    const skus = this.variants.map((variant) => variant.sku);
+
+    if (new Set(skus).size !== skus.length) {
+        this.invalidate('variants', 'Hay variantes con el mismo SKU');
+    }
+
+    next();
+});
+
+// Ni entre productos distintos (los productos sin variantes no entran en el índice)
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+
 // Creamos el modelo Product a partir del esquema definido
 const Product = mongoose.model('Product', productSchema);
 
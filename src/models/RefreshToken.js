@@ -0,0 +1,61 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de Refresh Token para MongoDB.
+ * Cada documento representa un refresh token emitido a un usuario.
+ * El token nunca se guarda en texto plano: solo se almacena su hash SHA-256.
+ *
+ * Los tokens se agrupan en "familias": todos los tokens obtenidos rotando
+ * a partir de un mismo login comparten el mismo `family`. Si se reutiliza un
+ * token ya rotado, se revoca la familia completa (detección de reutilización).
+ */
+const refreshTokenSchema = new mongoose.Schema({
+    // Usuario dueño del token (obligatorio)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Hash SHA-256 del token entregado al cliente (único)
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Identificador de la familia de tokens (un login = una familia)
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Fecha de expiración del token
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Fecha en la que el token fue revocado (por rotación, logout o reutilización)
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // Hash del token que reemplazó a este al rotar
+    replacedBy: {
+        type: String,
+        default: null
+    },
+    // IP desde la que se emitió el token (informativo)
+    createdByIp: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Índice TTL: MongoDB elimina automáticamente los tokens una vez expirados
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,129 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+// Estados y motivos de una devolución (ver config/returnStatus.js)
+import { RETURN_STATUS, RETURN_STATUSES, RETURN_REASONS } from '../config/returnStatus.js';
+// Redondeo de importes a centavos
+import { roundMoney } from '../config/money.js';
+
+/**
+ * Esquema de Solicitud de Devolución (RMA) para MongoDB.
+ * El cliente pide devolver una o más líneas de una orden entregada, cada una
+ * con su motivo. Un administrador la aprueba o rechaza; al recibir los
+ * productos se suman al stock y se reembolsa el importe de las líneas.
+ */
+
+// Cada línea devuelta: copia el precio pagado para calcular el reembolso
+const returnItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productName: {
+        type: String
+    },
+    // Variante devuelta (si el producto tiene variantes) y su nombre
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: {
+        type: String
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'La cantidad debe ser al menos 1']
+    },
+    // Precio unitario pagado en la orden
+    price: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: RETURN_REASONS,
+        required: true
+    },
+    comment: {
+        type: String,
+        trim: true
+    }
+}, {
+    _id: false
+});
+
+// Cada reembolso hecho a través de un pago de la orden
+const returnRefundSchema = new mongoose.Schema({
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    amount: {
+        type: Number,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+const returnRequestSchema = new mongoose.Schema({
+    // Orden de la que se devuelven productos
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    // Cliente que pide la devolución (dueño de la orden)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: [returnItemSchema],
+    // Estado: solo cambia siguiendo RETURN_TRANSITIONS
+    status: {
+        type: String,
+        enum: RETURN_STATUSES,
+        default: RETURN_STATUS.REQUESTED,
+        index: true
+    },
+    // Importe a reembolsar (suma de precio × cantidad de las líneas)
+    refundAmount: {
+        type: Number,
+        required: true
+    },
+    // Reembolsos realizados a través de los pagos
+    refunds: [returnRefundSchema],
+    // Mientras se reembolsa: marca que impide que otro pedido reembolse lo mismo a la vez
+    // (vence a los REFUND_CLAIM_MINUTES por si el servidor se cae a mitad del reembolso)
+    refundingAt: {
+        type: Date,
+        default: null
+    },
+    // Nota del administrador al aprobar, rechazar o recibir
+    resolutionNote: {
+        type: String,
+        trim: true
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: { type: Date },
+    receivedAt: { type: Date },
+    refundedAt: { type: Date }
+}, {
+    timestamps: true
+});
+
+// Calcular el importe antes de validar (refundAmount es obligatorio), redondeado a centavos
+returnRequestSchema.pre('validate', function (next) {
+    this.refundAmount = roundMoney(this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0));
+
+    next();
+});
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
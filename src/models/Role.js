@@ -0,0 +1,44 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+// Catálogo de permisos válidos
+import { ALL_PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * Esquema de Rol para MongoDB.
+ * Un rol agrupa permisos; cada usuario guarda el nombre de su rol en `User.role`.
+ */
+const roleSchema = new mongoose.Schema({
+    // Nombre del rol (único y obligatorio), es el valor que se guarda en User.role
+    name: {
+        type: String,
+        required: [true, 'El nombre del rol es obligatorio'],
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    // Descripción del rol (opcional)
+    description: {
+        type: String,
+        trim: true
+    },
+    // Permisos otorgados por el rol (deben existir en el catálogo)
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: (permissions) => permissions.every((permission) => ALL_PERMISSIONS.includes(permission)),
+            message: 'El rol contiene permisos desconocidos'
+        }
+    },
+    // Roles del sistema: no se pueden renombrar ni eliminar
+    isSystem: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
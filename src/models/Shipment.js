@@ -0,0 +1,47 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de Envío (despacho) para MongoDB.
+ * Se crea cuando un administrador pasa una orden a "shipped" indicando el
+ * transportista y el número de seguimiento (ver orderService.transitionOrder).
+ * La orden expone sus envíos con el virtual `shipments`.
+ */
+const shipmentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    carrier: {
+        type: String,
+        required: [true, 'El transportista es obligatorio'],
+        trim: true
+    },
+    trackingNumber: {
+        type: String,
+        required: [true, 'El número de seguimiento es obligatorio'],
+        trim: true
+    },
+    // Página de seguimiento del transportista (opcional)
+    trackingUrl: {
+        type: String,
+        trim: true
+    },
+    // Usuario que registró el despacho
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    shippedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+export default Shipment;
@@ -0,0 +1,116 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+import { COUNTRY_COLLATION } from '../config/collation.js';
+
+/**
+ * Esquema de Zona de Envío para MongoDB.
+ * Una zona agrupa países (y opcionalmente provincias/estados) y define los
+ * métodos de envío disponibles para ellos, cada uno con su tabla de tarifas
+ * por peso o por subtotal (ver services/shippingService.js).
+ */
+
+// Cada escalón de la tabla: hasta `upTo` (kg o importe, incluido) cuesta `cost`.
+// Sin upTo, el escalón no tiene límite superior.
+const shippingRateSchema = new mongoose.Schema({
+    upTo: {
+        type: Number,
+        min: [0, 'upTo no puede ser negativo']
+    },
+    cost: {
+        type: Number,
+        required: true,
+        min: [0, 'El costo no puede ser negativo']
+    }
+}, {
+    _id: false
+});
+
+const shippingMethodSchema = new mongoose.Schema({
+    // Código que elige el cliente al comprar (único dentro de la zona)
+    code: {
+        type: String,
+        required: [true, 'El código del método es obligatorio'],
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: [true, 'El nombre del método es obligatorio'],
+        trim: true
+    },
+    // Transportista que suele hacer el envío (ej: "Correo Argentino")
+    carrier: {
+        type: String,
+        trim: true
+    },
+    // 'weight': la tabla usa el peso total (kg); 'price': usa el subtotal de la orden
+    rateType: {
+        type: String,
+        enum: ['weight', 'price'],
+        default: 'weight'
+    },
+    rates: {
+        type: [shippingRateSchema],
+        validate: {
+            validator: (rates) => rates.length > 0,
+            message: 'El método necesita al menos una tarifa'
+        }
+    },
+    // Envío gratis desde este subtotal (opcional)
+    freeOver: {
+        type: Number,
+        min: [0, 'freeOver no puede ser negativo']
+    },
+    // Días hábiles estimados de entrega
+    minDays: { type: Number },
+    maxDays: { type: Number },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    _id: false
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre de la zona es obligatorio'],
+        trim: true
+    },
+    // Países de la zona (se comparan sin distinguir mayúsculas)
+    countries: {
+        type: [{ type: String, trim: true }],
+        validate: {
+            validator: (countries) => countries.length > 0,
+            message: 'La zona necesita al menos un país'
+        }
+    },
+    // Provincias/estados; vacío = todo el país. Una zona con provincias tiene prioridad
+    states: [String],
+    methods: [shippingMethodSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Los códigos de los métodos no se pueden repetir dentro de una zona
+shippingZoneSchema.pre('validate', function (next) {
+    const codes = this.methods.map((method) => method.code);
+
+    if (new Set(codes).size !== codes.length) {
+        this.invalidate('methods', 'Hay métodos de envío con el mismo código');
+    }
+
+    next();
+});
+
+// Búsqueda de las zonas de un país (las consultas deben usar la misma collation para usarlo)
+shippingZoneSchema.index({ countries: 1, isActive: 1 }, { collation: COUNTRY_COLLATION, name: 'countries_ci_isActive' });
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
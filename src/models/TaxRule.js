@@ -0,0 +1,61 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+import { COUNTRY_COLLATION } from '../config/collation.js';
+
+/**
+ * Esquema de Regla de Impuesto para MongoDB.
+ * Define la tasa que se aplica a los productos enviados a un país (y
+ * opcionalmente a una provincia/estado), para todos los productos o solo
+ * para los de una categoría. Al crear la orden, cada item usa la regla más
+ * específica que coincida con su dirección de envío (ver services/taxService.js).
+ */
+const taxRuleSchema = new mongoose.Schema({
+    // Nombre que se muestra en la línea de impuesto de la orden (ej: "IVA 21%")
+    name: {
+        type: String,
+        required: [true, 'El nombre es obligatorio'],
+        trim: true
+    },
+    // País de la dirección de envío (se compara sin distinguir mayúsculas)
+    country: {
+        type: String,
+        required: [true, 'El país es obligatorio'],
+        trim: true
+    },
+    // Provincia/estado; vacío = todo el país
+    state: {
+        type: String,
+        trim: true
+    },
+    // Categoría de producto; vacío = todas las categorías
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    // Tasa en porcentaje (ej: 21 para 21%)
+    rate: {
+        type: Number,
+        required: [true, 'La tasa es obligatoria'],
+        min: [0, 'La tasa no puede ser negativa'],
+        max: [100, 'La tasa no puede superar 100']
+    },
+    // true: el precio del producto ya incluye el impuesto (se informa, no se suma al total)
+    // false: el impuesto se suma al precio
+    inclusive: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Búsqueda de las reglas de un país (las consultas deben usar la misma collation para usarlo)
+taxRuleSchema.index({ country: 1, isActive: 1 }, { collation: COUNTRY_COLLATION, name: 'country_ci_isActive' });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+export default TaxRule;
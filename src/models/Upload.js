@@ -0,0 +1,58 @@
+// Importamos mongoose, el ODM para MongoDB
+import mongoose from 'mongoose';
+
+/**
+ * Documento que usa un archivo subido (ej: { model: 'Product', document: <id> })
+ */
+const uploadReferenceSchema = new mongoose.Schema({
+    model: {
+        type: String,
+        required: true
+    },
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+/**
+ * Esquema del registro de archivos subidos.
+ * Cada archivo guardado con el adaptador de almacenamiento
+ * (services/storageService.js) tiene un registro con los documentos que lo
+ * usan. Cuando se queda sin referencias el archivo se borra
+ * (ver services/uploadService.js); los que quedan sin referencias por un
+ * error o una subida a medias los borra el barrido periódico
+ * (services/uploadSweepService.js).
+ */
+const uploadSchema = new mongoose.Schema({
+    // Clave en el almacenamiento (ej: products/product_123_1700000000-42-large.webp)
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Tipo MIME y tamaño en bytes (desconocidos en archivos anteriores al registro)
+    contentType: {
+        type: String
+    },
+    size: {
+        type: Number
+    },
+    // Documentos que usan el archivo; vacío = huérfano
+    refs: {
+        type: [uploadReferenceSchema],
+        default: []
+    }
+}, {
+    // updatedAt marca desde cuándo está huérfano un archivo sin referencias
+    timestamps: true
+});
+
+// Para buscar los archivos de un documento
+uploadSchema.index({ 'refs.model': 1, 'refs.document': 1 });
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+export default Upload;
@@ -25,11 +25,70 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: [true, 'La contraseña es obligatoria']
     },
-    // Rol del usuario (por defecto: 'user', puede ser 'admin')
+    // Rol del usuario (nombre de un documento de la colección roles, por defecto: 'user')
+    // Los permisos de cada rol se administran en /api/roles
     role: {
         type: String,
-        enum: ['user', 'admin'],
         default: 'user'
+    },
+    // Indica si el usuario confirmó su correo electrónico
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Fecha en la que se confirmó el correo electrónico
+    emailVerifiedAt: {
+        type: Date
+    },
+    // Hash del token de verificación de email
+    emailVerificationTokenHash: {
+        type: String,
+        select: false
+    },
+    // Fecha de expiración del token de verificación
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    // Último envío del email de verificación (para limitar reenvíos)
+    emailVerificationSentAt: {
+        type: Date,
+        select: false
+    },
+    // Indica si el usuario tiene activada la autenticación en dos pasos (TOTP)
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    // Secreto TOTP activo (Base32)
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // Secreto TOTP generado durante el alta, pendiente de confirmar con un código
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    // Último paso de tiempo aceptado (impide reutilizar un mismo código)
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false
+    },
+    // Hashes de los códigos de recuperación de un solo uso
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false
+    },
+    // Hash del token de recuperación de contraseña (nunca se guarda el token en texto plano)
+    passwordResetTokenHash: {
+        type: String,
+        select: false
+    },
+    // Fecha de expiración del token de recuperación
+    passwordResetExpires: {
+        type: Date,
+        select: false
     }
 }, {
     timestamps: true,
@@ -52,6 +111,18 @@ userSchema.virtual('orders', {
     foreignField: 'user'    // Campo en el modelo Order que hace referencia a este modelo
 });
 
+// Campos que nunca se envían al cliente, aunque el documento los tenga cargados:
+// el password y todos los que no se leen por defecto (select: false)
+const PRIVATE_FIELDS = ['password', ...Object.keys(userSchema.paths).filter((path) => userSchema.paths[path].options.select === false)];
+
+userSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        PRIVATE_FIELDS.forEach((field) => delete ret[field]);
+        return ret;
+    }
+});
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
@@ -25,17 +25,64 @@ import {
     createUser     // Registrar un nuevo usuario
 } from "../controllers/userController.js";
 
+/**
+ * Controladores de sesión
+ * Renovación de tokens, cierre de sesión, recuperación de contraseña y verificación de email
+ */
+import {
+    getMe,               // Datos del usuario autenticado
+    refreshToken,        // Canjear un refresh token por un nuevo par de tokens
+    logout,              // Revocar la sesión asociada a un refresh token
+    forgotPassword,      // Enviar por email un enlace de recuperación de contraseña
+    resetPassword,       // Establecer una nueva contraseña con el token de recuperación
+    verifyEmail,         // Confirmar el email con el token enviado al registrarse
+    resendVerification   // Reenviar el email de verificación
+} from "../controllers/authController.js";
+
+/**
+ * Controladores de autenticación en dos pasos (TOTP)
+ */
+import {
+    setupTwoFactor,        // Generar secreto y URI otpauth
+    enableTwoFactor,       // Confirmar el alta con un primer código
+    verifyTwoFactorLogin,  // Segundo paso del login
+    disableTwoFactor       // Desactivar 2FA
+} from "../controllers/twoFactorController.js";
+
+/**
+ * Controladores de impersonación (soporte)
+ */
+import {
+    startImpersonation,    // Token de solo lectura para ver la API como otro usuario
+    getImpersonationLogs   // Auditoría de impersonaciones
+} from "../controllers/impersonationController.js";
+
 /**
  * Express Validator - Para validar datos de entrada
  * - check: valida campos en el body de la solicitud
+ * - param: valida parámetros de ruta (como IDs)
+ * - query: valida parámetros de la query string
  */
-import { check } from 'express-validator';
+import { check, param, query } from 'express-validator';
 
 /**
  * Middlewares de la aplicación
  */
 // Maneja errores de validación y envía respuestas apropiadas
 import { handleValidationErrors } from "../middlewares/validationMiddleware.js";
+// Verifica si el usuario está autenticado mediante token JWT
+import { verifyToken } from "../middlewares/verifyToken.js";
+// Acepta un token de sesión o el challengeToken de enrolamiento 2FA del login
+import { verifyTwoFactorEnrollment } from "../middlewares/verifyTwoFactorEnrollment.js";
+// Impide configurar 2FA con una API key
+import { rejectApiKey } from "../middlewares/rejectApiKey.js";
+// Verifica si el rol del usuario tiene los permisos necesarios
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+/**
+ * Catálogo de permisos
+ */
+import { PERMISSIONS } from "../config/permissions.js";
 
 /**
  * Creación del enrutador de autenticación
@@ -56,8 +103,19 @@ const authRouter = Router();
  * Middlewares:
  *   - express-validator para validar los campos de entrada
  *   - handleValidationErrors para gestionar errores de validación
- * Respuesta exitosa: { token, user }
- * Respuesta error: { success: false, message }
+ * Protección contra fuerza bruta:
+ *   - Cada fallo exige una espera progresiva antes del siguiente intento (429 + Retry-After)
+ *   - Al superar LOGIN_MAX_ATTEMPTS por cuenta o LOGIN_MAX_ATTEMPTS_PER_IP por IP
+ *     se bloquea el login durante LOGIN_LOCKOUT_MINUTES (423 + Retry-After)
+ * Autenticación en dos pasos:
+ *   - Si el usuario tiene 2FA activado responde { success, twoFactorRequired: true, challengeToken }
+ *     y el login se completa en /api/auth/2fa/verify
+ *   - Si su rol exige 2FA (TWO_FACTOR_REQUIRED_ROLES) y no lo activó responde
+ *     { success, twoFactorSetupRequired: true, challengeToken } para darlo de alta
+ * Respuesta exitosa: { success, user, token, refreshToken }
+ *   - token: access token JWT de vida corta (JWT_ACCESS_EXPIRES_IN, por defecto 15m)
+ *   - refreshToken: token opaco para renovar el access token (REFRESH_TOKEN_TTL_DAYS, por defecto 7)
+ * Respuesta error: { success: false, message, locked?, lockedUntil?, retryAfter? }
  */
 authRouter.post("/login",
     [
@@ -75,13 +133,14 @@ authRouter.post("/login",
 /**
  * Ruta: POST /api/auth/register
  * Descripción: Registra un nuevo usuario en el sistema sin requerir token
+ * y le envía un email para verificar su cuenta
  * Body: {
- *   name: String (obligatorio),
+ *   username: String (obligatorio),
  *   email: String (obligatorio, debe ser un email válido),
  *   password: String (obligatorio)
  * }
  * Validaciones:
- *   - name no puede estar vacío
+ *   - username no puede estar vacío
  *   - email debe ser un correo electrónico válido
  *   - password no puede estar vacío
  * Middlewares:
@@ -92,7 +151,7 @@ authRouter.post("/login",
 authRouter.post("/register",
     [
         // Validar que el nombre esté presente y eliminar espacios en blanco
-        check('name', 'El nombre es obligatorio | EV').not().isEmpty().trim(),
+        check('username', 'El nombre de usuario es obligatorio | EV').not().isEmpty().trim(),
         // Validar que el email sea válido y normalizarlo
         check('email', 'El email es obligatorio | EV').isEmail().normalizeEmail(),
         // Validar que el password esté presente
@@ -104,6 +163,351 @@ authRouter.post("/register",
     createUser
 );
 
+/**
+ * Ruta: GET /api/auth/me
+ * Descripción: Devuelve el usuario autenticado
+ * Cabeceras:
+ *   - Authorization: Bearer <token> (o ApiKey <key>)
+ * Middlewares:
+ *   - verifyToken: Verifica el token y recarga el usuario desde la base de datos
+ * Respuesta exitosa: { success: true, user } (sin password)
+ * Respuesta error: 401 { success: false, message }
+ */
+authRouter.get("/me",
+    // Middleware para verificar autenticación mediante token JWT
+    verifyToken,
+    // Controlador que devuelve el usuario autenticado
+    getMe
+);
+
+/**
+ * Ruta: POST /api/auth/refresh
+ * Descripción: Entrega un nuevo access token a cambio de un refresh token válido
+ * Body: {
+ *   refreshToken: String (obligatorio)
+ * }
+ * Validaciones:
+ *   - refreshToken no puede estar vacío
+ * Notas:
+ *   - El refresh token usado queda revocado y se entrega uno nuevo (rotación)
+ *   - Si se presenta un refresh token ya rotado, se revocan todas las sesiones
+ *     derivadas del mismo login (detección de reutilización)
+ *   - Si el rol del usuario exige 2FA y no lo tiene activado, se revoca la sesión
+ *     y hay que volver a iniciar sesión (el login pide darlo de alta)
+ * Respuesta exitosa: { success: true, token, refreshToken }
+ * Respuesta error: 401 { success: false, message }
+ */
+authRouter.post("/refresh",
+    [
+        // Validar que el refresh token esté presente
+        check('refreshToken', 'El refresh token es obligatorio | EV').isString().notEmpty()
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Controlador que rota el refresh token
+    refreshToken
+);
+
+/**
+ * Ruta: POST /api/auth/logout
+ * Descripción: Cierra la sesión revocando el refresh token y todos los derivados de él
+ * Body: {
+ *   refreshToken: String (obligatorio)
+ * }
+ * Validaciones:
+ *   - refreshToken no puede estar vacío
+ * Nota: El access token sigue siendo válido hasta su expiración, por eso es de vida corta
+ * Respuesta exitosa: { success: true, message }
+ * Respuesta error: 401 { success: false, message }
+ */
+authRouter.post("/logout",
+    [
+        // Validar que el refresh token esté presente
+        check('refreshToken', 'El refresh token es obligatorio | EV').isString().notEmpty()
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Controlador que revoca la sesión
+    logout
+);
+
+/**
+ * Ruta: POST /api/auth/forgot-password
+ * Descripción: Envía un email con un enlace para restablecer la contraseña
+ * Body: {
+ *   email: String (obligatorio, debe ser un email válido)
+ * }
+ * Validaciones:
+ *   - email debe ser un correo electrónico válido
+ * Notas:
+ *   - El token expira en PASSWORD_RESET_TTL_MINUTES (por defecto 30) y es de un solo uso
+ *   - La respuesta es la misma aunque el email no exista
+ * Respuesta exitosa: { success: true, message }
+ */
+authRouter.post("/forgot-password",
+    [
+        // Validar que el email sea válido y normalizarlo
+        check('email', 'El email es obligatorio | EV').isEmail().normalizeEmail()
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Controlador que genera el token y envía el email
+    forgotPassword
+);
+
+/**
+ * Ruta: POST /api/auth/reset-password
+ * Descripción: Cambia la contraseña usando el token recibido por email
+ * Body: {
+ *   token: String (obligatorio),
+ *   password: String (obligatorio, mínimo 6 caracteres)
+ * }
+ * Validaciones:
+ *   - token no puede estar vacío
+ *   - password debe tener al menos 6 caracteres
+ * Nota: Al cambiar la contraseña se cierran todas las sesiones del usuario
+ * Respuesta exitosa: { success: true, message }
+ * Respuesta error: 400 { success: false, message }
+ */
+authRouter.post("/reset-password",
+    [
+        // Validar que el token esté presente
+        check('token', 'El token es obligatorio | EV').isString().notEmpty(),
+        // Validar la longitud mínima de la nueva contraseña
+        check('password', 'El password debe tener al menos 6 caracteres | EV').isLength({ min: 6 })
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Controlador que valida el token y actualiza la contraseña
+    resetPassword
+);
+
+/**
+ * Ruta: GET /api/auth/verify-email
+ * Descripción: Confirma el email del usuario con el enlace enviado al registrarse
+ * Query params:
+ *   - token: Token de verificación (obligatorio)
+ * Validaciones:
+ *   - token no puede estar vacío
+ * Nota: El token expira en EMAIL_VERIFICATION_TTL_HOURS (por defecto 24) y es de un solo uso
+ * Respuesta exitosa: { success: true, message }
+ * Respuesta error: 400 { success: false, message }
+ */
+authRouter.get("/verify-email",
+    [
+        // Validar que el token esté presente
+        query('token', 'El token es obligatorio | EV').isString().notEmpty()
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Controlador que marca el email como verificado
+    verifyEmail
+);
+
+/**
+ * Ruta: POST /api/auth/resend-verification
+ * Descripción: Reenvía el email de verificación con un token nuevo
+ * Body: {
+ *   email: String (obligatorio, debe ser un email válido)
+ * }
+ * Validaciones:
+ *   - email debe ser un correo electrónico válido
+ * Notas:
+ *   - Un reenvío cada EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS (por defecto 60)
+ *   - Antes de ese plazo no se envía nada, pero la respuesta es la misma
+ *   - La respuesta no revela si el email está registrado
+ * Respuesta exitosa: { success: true, message }
+ */
+authRouter.post("/resend-verification",
+    [
+        // Validar que el email sea válido y normalizarlo
+        check('email', 'El email es obligatorio | EV').isEmail().normalizeEmail()
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Controlador que reenvía el email
+    resendVerification
+);
+
+/**
+ * Ruta: POST /api/auth/2fa/setup
+ * Descripción: Genera un secreto TOTP pendiente y la URI otpauth para la app autenticadora
+ * Autenticación: Authorization con token de sesión, o challengeToken de enrolamiento en el body
+ * Body: {
+ *   challengeToken: String (opcional, el devuelto por /login con twoFactorSetupRequired)
+ * }
+ * Respuesta exitosa: { success: true, secret, otpauthUri }
+ * Respuesta error: 409 si 2FA ya está activado
+ */
+authRouter.post("/2fa/setup",
+    // Middleware que acepta token de sesión o challengeToken de enrolamiento
+    verifyTwoFactorEnrollment,
+    // Middleware que rechaza las peticiones autenticadas con API key
+    rejectApiKey,
+    // Controlador que genera el secreto
+    setupTwoFactor
+);
+
+/**
+ * Ruta: POST /api/auth/2fa/enable
+ * Descripción: Activa 2FA confirmando el secreto pendiente con un código de 6 dígitos
+ * Autenticación: Authorization con token de sesión, o challengeToken de enrolamiento en el body
+ * Body: {
+ *   code: String (obligatorio, 6 dígitos),
+ *   challengeToken: String (opcional)
+ * }
+ * Validaciones:
+ *   - code debe tener 6 dígitos
+ * Respuesta exitosa: { success: true, message, recoveryCodes }
+ *   - Si se usó challengeToken, incluye además { user, token, refreshToken }
+ */
+authRouter.post("/2fa/enable",
+    [
+        // Validar que el código tenga 6 dígitos
+        check('code', 'El código debe tener 6 dígitos | EV').matches(/^\d{6}$/)
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Middleware que acepta token de sesión o challengeToken de enrolamiento
+    verifyTwoFactorEnrollment,
+    // Middleware que rechaza las peticiones autenticadas con API key
+    rejectApiKey,
+    // Controlador que activa 2FA
+    enableTwoFactor
+);
+
+/**
+ * Ruta: POST /api/auth/2fa/verify
+ * Descripción: Segundo paso del login, canjea el challengeToken por los tokens de sesión
+ * Body: {
+ *   challengeToken: String (obligatorio),
+ *   code: String (6 dígitos) o recoveryCode: String (uno de los dos es obligatorio)
+ * }
+ * Validaciones:
+ *   - challengeToken no puede estar vacío
+ *   - code debe tener 6 dígitos o recoveryCode no puede estar vacío
+ * Nota: Los códigos incorrectos cuentan como intentos de login fallidos
+ * Respuesta exitosa: { success: true, user, token, refreshToken }
+ * Respuesta error: 401, 423 o 429 { success: false, message }
+ */
+authRouter.post("/2fa/verify",
+    [
+        // Validar que el challenge token esté presente
+        check('challengeToken', 'El challengeToken es obligatorio | EV').isString().notEmpty(),
+        // Validar que se envíe un código TOTP o un código de recuperación
+        check('code', 'Debe enviar un código de 6 dígitos o un código de recuperación | EV')
+            .if(check('recoveryCode').not().exists())
+            .matches(/^\d{6}$/)
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Controlador que verifica el código y completa el login
+    verifyTwoFactorLogin
+);
+
+/**
+ * Ruta: POST /api/auth/2fa/disable
+ * Descripción: Desactiva 2FA
+ * Body: {
+ *   password: String (obligatorio),
+ *   code: String (obligatorio, 6 dígitos)
+ * }
+ * Validaciones:
+ *   - password no puede estar vacío
+ *   - code debe tener 6 dígitos
+ * Middlewares:
+ *   - verifyToken: Verifica que el usuario esté autenticado
+ *   - rejectApiKey: Rechaza peticiones autenticadas con API key
+ * Nota: No se permite si el rol del usuario exige 2FA (responde 403)
+ * Respuesta exitosa: { success: true, message }
+ */
+authRouter.post("/2fa/disable",
+    [
+        // Validar que el password esté presente
+        check('password', 'El password es obligatorio | EV').not().isEmpty(),
+        // Validar que el código tenga 6 dígitos
+        check('code', 'El código debe tener 6 dígitos | EV').matches(/^\d{6}$/)
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Middleware para verificar autenticación mediante token JWT
+    verifyToken,
+    // Middleware que rechaza las peticiones autenticadas con API key
+    rejectApiKey,
+    // Controlador que desactiva 2FA
+    disableTwoFactor
+);
+
+/**
+ * Ruta: GET /api/auth/impersonate/logs
+ * Descripción: Lista la auditoría de impersonaciones (inicio, peticiones y acciones bloqueadas)
+ * Query params:
+ *   - actor: ID del administrador (opcional)
+ *   - subject: ID del usuario impersonado (opcional)
+ *   - sessionId: sesión de impersonación, el jti del token (opcional)
+ *   - page, limit: paginación (por defecto 1 y 50)
+ * Middlewares:
+ *   - verifyToken: Verifica que el usuario esté autenticado
+ *   - requirePermission('users:impersonate'): Solo quien puede impersonar ve la auditoría
+ * Respuesta exitosa: { success, count, total, totalPages, currentPage, logs }
+ */
+authRouter.get("/impersonate/logs",
+    [
+        query('actor', 'El id del actor no es válido | EV').optional().isMongoId(),
+        query('subject', 'El id del usuario no es válido | EV').optional().isMongoId(),
+        query('page', 'page debe ser un entero mayor a 0 | EV').optional().isInt({ min: 1 }).toInt(),
+        query('limit', 'limit debe ser un entero entre 1 y 100 | EV').optional().isInt({ min: 1, max: 100 }).toInt()
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Middleware para verificar autenticación mediante token JWT
+    verifyToken,
+    // Middleware para verificar el permiso de impersonación
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    // Controlador que lista la auditoría
+    getImpersonationLogs
+);
+
+/**
+ * Ruta: POST /api/auth/impersonate/:userId
+ * Descripción: Entrega un token para ver la API como otro usuario (soporte)
+ * Parámetros de ruta:
+ *   - userId: ID de MongoDB del usuario a impersonar
+ * Body: {
+ *   reason: String (obligatorio, ej: número de ticket; queda en la auditoría)
+ * }
+ * Middlewares:
+ *   - verifyToken: Verifica que el usuario esté autenticado
+ *   - rejectApiKey: Rechaza peticiones autenticadas con API key
+ *   - requirePermission('users:impersonate'): Verifica que el rol pueda impersonar
+ * Con el token recibido:
+ *   - Todos los controladores responden como si fuera el usuario impersonado
+ *     (mismos datos y mismos permisos que él)
+ *   - Solo se permiten GET/HEAD/OPTIONS; el resto responde 403
+ *   - Cada petición se registra en la auditoría con el administrador y el usuario
+ *   - Vence a los IMPERSONATION_EXPIRES_IN (por defecto 15m) y no se puede renovar
+ * Respuesta exitosa: { success, message, token, expiresAt, user }
+ * Respuesta error: 403 si el usuario también puede impersonar, 404 si no existe
+ */
+authRouter.post("/impersonate/:userId",
+    [
+        // Validar que el ID sea un MongoDB ObjectId válido
+        param('userId', 'El id proporcionado no es de mongodb, fijate bien').isMongoId(),
+        // El motivo es obligatorio para la auditoría
+        check('reason', 'Debe indicar el motivo de la impersonación | EV').isString().trim().notEmpty()
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Middleware para verificar autenticación mediante token JWT
+    verifyToken,
+    // Middleware que rechaza las peticiones autenticadas con API key
+    rejectApiKey,
+    // Middleware para verificar el permiso de impersonación
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    // Controlador que emite el token de impersonación
+    startImpersonation
+);
+
 /**
  * Exportación del router de autenticación
  * Este router será montado en app.js en la ruta base /api/auth
@@ -0,0 +1,106 @@
+import { Router } from 'express';
+import { check, param, query } from 'express-validator';
+import {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkoutCart
+} from '../controllers/cartController.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { optionalToken } from '../middlewares/optionalToken.js';
+import { verifyEmailConfirmed } from '../middlewares/verifyEmailConfirmed.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { idempotency } from '../middlewares/idempotency.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = Router();
+
+// ======= RUTAS DEL CARRITO =======
+// Con sesión (Authorization) se usa el carrito del usuario; sin sesión, el del
+// invitado indicado en la cabecera X-Cart-Token.
+
+/**
+ * @route   GET /api/cart
+ * @desc    Obtener el carrito con precios actuales y marcas de stock (available, inStock)
+ * @access  Public (usuario o invitado)
+ */
+router.get('/', optionalToken, getCart);
+
+/**
+ * @route   POST /api/cart/items
+ * @desc    Agregar un producto ({ product, variant, quantity }); si ya está, suma la cantidad.
+ *          variant es obligatorio en los productos con variantes.
+ *          Si es un invitado nuevo responde 201 con el cartToken a enviar en X-Cart-Token
+ * @access  Public (usuario o invitado)
+ */
+router.post('/items',
+    [
+        check('product', 'El id del producto no es válido | EV').isMongoId(),
+        check('variant', 'El id de la variante no es válido | EV').optional().isMongoId(),
+        check('quantity', 'La cantidad debe ser un entero entre 1 y 999 | EV').optional().isInt({ min: 1, max: 999 }).toInt()
+    ],
+    handleValidationErrors,
+    optionalToken,
+    addCartItem);
+
+/**
+ * @route   PATCH /api/cart/items/:productId
+ * @desc    Cambiar la cantidad de una línea ({ quantity }); ?variant= indica la variante de la línea
+ * @access  Public (usuario o invitado)
+ */
+router.patch('/items/:productId',
+    [
+        param('productId', 'El id del producto no es válido | EV').isMongoId(),
+        query('variant', 'El id de la variante no es válido | EV').optional().isMongoId(),
+        check('quantity', 'La cantidad debe ser un entero entre 1 y 999 | EV').isInt({ min: 1, max: 999 }).toInt()
+    ],
+    handleValidationErrors,
+    optionalToken,
+    updateCartItem);
+
+/**
+ * @route   DELETE /api/cart/items/:productId
+ * @desc    Quitar una línea del carrito (?variant= indica la variante de la línea)
+ * @access  Public (usuario o invitado)
+ */
+router.delete('/items/:productId',
+    [
+        param('productId', 'El id del producto no es válido | EV').isMongoId(),
+        query('variant', 'El id de la variante no es válido | EV').optional().isMongoId()
+    ],
+    handleValidationErrors,
+    optionalToken,
+    removeCartItem);
+
+/**
+ * @route   DELETE /api/cart
+ * @desc    Vaciar el carrito
+ * @access  Public (usuario o invitado)
+ */
+router.delete('/', optionalToken, clearCart);
+
+/**
+ * @route   POST /api/cart/checkout
+ * @desc    Convertir el carrito en una orden ({ shippingAddress, shippingMethod, paymentInfo, couponCode }) y vaciarlo.
+ *          Responde 409 con el carrito si algún producto no está disponible o no tiene stock.
+ *          Con Idempotency-Key, un reintento devuelve la orden ya creada
+ * @access  Private (Permiso orders:create y email verificado)
+ */
+router.post('/checkout',
+    [
+        check('couponCode', 'El código de cupón debe ser un texto | EV').optional().isString().trim(),
+        check('shippingMethod', 'El método de envío debe ser un texto | EV').optional().isString().trim(),
+        // El país define los impuestos y la zona de envío
+        check('shippingAddress.country', 'El país de envío es obligatorio | EV').isString().trim().notEmpty()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_CREATE),
+    verifyEmailConfirmed,
+    idempotency,
+    checkoutCart);
+
+export default router;
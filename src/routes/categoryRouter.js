@@ -39,6 +39,13 @@ import { handleValidationErrors } from "../middlewares/validationMiddleware.js";
  */
 import { verifyToken } from "../middlewares/verifyToken.js";
 
+/**
+ * Middleware de permisos
+ * requirePermission: Verifica que el rol del usuario tenga los permisos indicados
+ */
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
 /**
  * Controladores de categorías
  * Estos controladores contienen la lógica de negocio para cada operación
@@ -114,8 +121,7 @@ categoryRouter.get("/:id/products", [
  *   - name es obligatorio y no puede estar vacío
  * Respuesta: { success, category }
  * 
- * Nota: Dependiendo de los requisitos de seguridad, esta ruta
- * podría requerir middleware de autenticación y verificación de rol.
+ * Requiere autenticación y el permiso categories:write.
  */
 categoryRouter.post("/", [
     // Validar que el nombre de la categoría esté presente y no vacío
@@ -123,7 +129,9 @@ categoryRouter.post("/", [
     // Middleware para manejar errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda administrar categorías
+    requirePermission(PERMISSIONS.CATEGORIES_WRITE)
 ], createCategory);
 
 /**
@@ -149,7 +157,9 @@ categoryRouter.put("/:id", [
     // Middleware para manejar errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda administrar categorías
+    requirePermission(PERMISSIONS.CATEGORIES_WRITE)
 ], updateCategory);
 
 /**
@@ -171,7 +181,9 @@ categoryRouter.patch("/:id", [
     // Middleware para manejar errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda administrar categorías
+    requirePermission(PERMISSIONS.CATEGORIES_WRITE)
 ], patchCategory);
 
 /**
@@ -192,7 +204,9 @@ categoryRouter.delete("/:id", [
     // Middleware para manejar errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda administrar categorías
+    requirePermission(PERMISSIONS.CATEGORIES_WRITE)
 ], deleteCategory);
 
 /**
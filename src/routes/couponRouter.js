@@ -0,0 +1,97 @@
+import { Router } from 'express';
+import { check, param } from 'express-validator';
+import {
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} from '../controllers/couponController.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { COUPON_TYPES } from '../models/Coupon.js';
+
+const router = Router();
+
+// ======= RUTAS DE CUPONES =======
+// Administración de cupones: todas requieren el permiso coupons:manage.
+// Los clientes aplican un cupón enviando couponCode en POST /api/orders o /api/cart/checkout.
+
+const couponIdValidation = [
+    param('id', 'El id del cupón no es válido | EV').isMongoId()
+];
+
+// Reglas compartidas por crear y editar (en PATCH todos los campos son opcionales)
+const couponFieldValidation = [
+    check('value', 'El valor debe ser un número mayor o igual a 0 | EV').optional().isFloat({ min: 0 }).toFloat(),
+    check('buyQuantity', 'buyQuantity debe ser un entero mayor a 0 | EV').optional().isInt({ min: 1 }).toInt(),
+    check('getQuantity', 'getQuantity debe ser un entero mayor a 0 | EV').optional().isInt({ min: 1 }).toInt(),
+    check('minSubtotal', 'El subtotal mínimo debe ser un número mayor o igual a 0 | EV').optional().isFloat({ min: 0 }).toFloat(),
+    check('products', 'products debe ser una lista | EV').optional().isArray(),
+    check('products.*', 'El id del producto no es válido | EV').isMongoId(),
+    check('categories', 'categories debe ser una lista | EV').optional().isArray(),
+    check('categories.*', 'El id de la categoría no es válido | EV').isMongoId(),
+    check('maxUses', 'maxUses debe ser un entero mayor a 0 | EV').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    check('maxUsesPerUser', 'maxUsesPerUser debe ser un entero mayor a 0 | EV').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    check('startsAt', 'startsAt debe ser una fecha ISO 8601 | EV').optional({ values: 'null' }).isISO8601(),
+    check('expiresAt', 'expiresAt debe ser una fecha ISO 8601 | EV').optional({ values: 'null' }).isISO8601(),
+    check('isActive', 'isActive debe ser true o false | EV').optional().isBoolean().toBoolean()
+];
+
+/**
+ * @route   GET /api/coupons
+ * @desc    Listar cupones (paginado, filtro opcional ?active=true|false)
+ * @access  Private (Permiso coupons:manage)
+ */
+router.get('/', verifyToken, requirePermission(PERMISSIONS.COUPONS_MANAGE), getCoupons);
+
+/**
+ * @route   GET /api/coupons/:id
+ * @desc    Obtener un cupón con su cantidad de usos (usedCount)
+ * @access  Private (Permiso coupons:manage)
+ */
+router.get('/:id', couponIdValidation, handleValidationErrors, verifyToken, requirePermission(PERMISSIONS.COUPONS_MANAGE), getCouponById);
+
+/**
+ * @route   POST /api/coupons
+ * @desc    Crear un cupón ({ code, type, value, ... }; ver models/Coupon.js)
+ * @access  Private (Permiso coupons:manage)
+ */
+router.post('/',
+    [
+        check('code', 'El código es obligatorio | EV').isString().trim().notEmpty(),
+        check('type', `El tipo debe ser uno de: ${COUPON_TYPES.join(', ')} | EV`).isIn(COUPON_TYPES),
+        ...couponFieldValidation
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.COUPONS_MANAGE),
+    createCoupon);
+
+/**
+ * @route   PATCH /api/coupons/:id
+ * @desc    Editar un cupón (solo los campos enviados); las órdenes ya creadas no cambian
+ * @access  Private (Permiso coupons:manage)
+ */
+router.patch('/:id',
+    [
+        ...couponIdValidation,
+        check('code', 'El código no puede estar vacío | EV').optional().isString().trim().notEmpty(),
+        check('type', `El tipo debe ser uno de: ${COUPON_TYPES.join(', ')} | EV`).optional().isIn(COUPON_TYPES),
+        ...couponFieldValidation
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.COUPONS_MANAGE),
+    updateCoupon);
+
+/**
+ * @route   DELETE /api/coupons/:id
+ * @desc    Eliminar un cupón que nunca se usó (si se usó responde 409: desactivarlo con isActive: false)
+ * @access  Private (Permiso coupons:manage)
+ */
+router.delete('/:id', couponIdValidation, handleValidationErrors, verifyToken, requirePermission(PERMISSIONS.COUPONS_MANAGE), deleteCoupon);
+
+export default router;
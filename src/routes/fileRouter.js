@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { check } from 'express-validator';
+import { getPrivateFile } from '../controllers/fileController.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+
+const router = Router();
+
+// ======= RUTAS DE ARCHIVOS =======
+// Archivos privados del adaptador de almacenamiento local. No llevan token:
+// el acceso lo da la firma de la URL, que vence (STORAGE_SIGNED_URL_TTL_SECONDS).
+
+/**
+ * @route   GET /api/files/*key?expires=&signature=
+ * @desc    Descargar un archivo privado con una URL firmada (ver storage.signedUrl())
+ * @access  Public (URL firmada)
+ */
+router.get('/*key',
+    [
+        check('expires', 'expires debe ser una fecha en segundos | EV').isInt({ min: 0 }),
+        check('signature', 'La firma es obligatoria | EV').isHexadecimal()
+    ],
+    handleValidationErrors,
+    getPrivateFile);
+
+export default router;
@@ -1,50 +1,161 @@
 import { Router } from 'express';
+import { check, param } from 'express-validator';
 import { 
     createOrder, 
     getOrders, 
     getOrderById, 
+    getOrderInvoice,
+    getOrderInvoiceUrl,
     updateOrderStatus,
     cancelOrder 
 } from '../controllers/orderController.js';
+import { createReturn, getOrderReturns } from '../controllers/returnController.js';
 import { verifyToken } from '../middlewares/verifyToken.js';
+import { verifyEmailConfirmed } from '../middlewares/verifyEmailConfirmed.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { ORDER_STATUSES } from '../config/orderStatus.js';
+import { RETURN_REASONS } from '../config/returnStatus.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { idempotency } from '../middlewares/idempotency.js';
 
 const router = Router();
 
 // ======= RUTAS PARA ÓRDENES =======
 
+// Las rutas que modifican órdenes aceptan la cabecera Idempotency-Key: un reintento
+// con la misma clave devuelve la respuesta original sin repetir la operación
+
 /**
  * @route   POST /api/orders
- * @desc    Crear una nueva orden
- * @access  Private (Solo usuarios autenticados)
+ * @desc    Crear una nueva orden ({ items: [{ product, variant, quantity }], shippingAddress, shippingMethod,
+ *          paymentInfo, couponCode }); variant es obligatorio en los productos con variantes;
+ *          acepta Idempotency-Key
+ * @access  Private (Permiso orders:create y email verificado)
  */
-router.post('/', verifyToken, createOrder);
+router.post('/',
+    [
+        check('couponCode', 'El código de cupón debe ser un texto | EV').optional().isString().trim(),
+        check('shippingMethod', 'El método de envío debe ser un texto | EV').optional().isString().trim(),
+        // El país define los impuestos y la zona de envío
+        check('shippingAddress.country', 'El país de envío es obligatorio | EV').isString().trim().notEmpty()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_CREATE),
+    verifyEmailConfirmed,
+    idempotency,
+    createOrder);
 
 /**
  * @route   GET /api/orders
- * @desc    Obtener todas las órdenes (admin) o las órdenes del usuario
- * @access  Private
+ * @desc    Obtener todas las órdenes (permiso orders:manage) o las órdenes del usuario
+ * @access  Private (Permiso orders:read)
  */
-router.get('/', verifyToken, getOrders);
+router.get('/', verifyToken, requirePermission(PERMISSIONS.ORDERS_READ), getOrders);
 
 /**
  * @route   GET /api/orders/:id
  * @desc    Obtener una orden específica por ID
- * @access  Private (Usuario dueño de la orden o admin)
+ * @access  Private (Permiso orders:read; dueño de la orden o permiso orders:manage)
+ */
+router.get('/:id', verifyToken, requirePermission(PERMISSIONS.ORDERS_READ), getOrderById);
+
+/**
+ * @route   GET /api/orders/:id/invoice.pdf
+ * @desc    Descargar la factura en PDF; la primera descarga le asigna el número (409 si no está pagada,
+ *          403 si se está impersonando al usuario)
+ * @access  Private (Permiso orders:read; dueño de la orden o permiso orders:manage)
+ */
+router.get('/:id/invoice.pdf',
+    [
+        param('id', 'El id de la orden no es válido | EV').isMongoId()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_READ),
+    getOrderInvoice);
+
+/**
+ * @route   GET /api/orders/:id/invoice-url
+ * @desc    URL firmada y temporal para descargar la factura sin token (la emite si hace falta, como invoice.pdf)
+ * @access  Private (Permiso orders:read; dueño de la orden o permiso orders:manage)
  */
-router.get('/:id', verifyToken, getOrderById);
+router.get('/:id/invoice-url',
+    [
+        param('id', 'El id de la orden no es válido | EV').isMongoId()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_READ),
+    getOrderInvoiceUrl);
 
 /**
  * @route   PATCH /api/orders/:id/status
- * @desc    Actualizar el estado de una orden
- * @access  Private (Solo admin)
+ * @desc    Cambiar el estado de una orden ({ status, note }) siguiendo la máquina de estados
+ *          (config/orderStatus.js); una transición no permitida responde 409 (acepta Idempotency-Key).
+ *          Para "shipped" se envía shipment: { carrier, trackingNumber, trackingUrl }
+ * @access  Private (Permiso orders:manage)
  */
-router.patch('/:id/status', verifyToken, updateOrderStatus);
+router.patch('/:id/status',
+    [
+        check('status', `El estado debe ser uno de: ${ORDER_STATUSES.join(', ')} | EV`).isIn(ORDER_STATUSES),
+        check('note', 'La nota debe ser un texto | EV').optional().isString().trim(),
+        check('shipment.carrier', 'El transportista debe ser un texto | EV').optional().isString().trim(),
+        check('shipment.trackingNumber', 'El número de seguimiento debe ser un texto | EV').optional().isString().trim(),
+        check('shipment.trackingUrl', 'La URL de seguimiento no es válida | EV').optional().isURL()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_MANAGE),
+    idempotency,
+    updateOrderStatus);
 
 /**
  * @route   POST /api/orders/:id/cancel
- * @desc    Cancelar una orden
- * @access  Private (Usuario dueño de la orden o admin)
+ * @desc    Cancelar una orden que todavía no se pagó ({ reason } opcional); devuelve el stock.
+ *          Si ya se pagó responde 409 (corresponde un reembolso). Acepta Idempotency-Key
+ * @access  Private (Permiso orders:create; dueño de la orden o permiso orders:manage)
+ */
+router.post('/:id/cancel', verifyToken, requirePermission(PERMISSIONS.ORDERS_CREATE), idempotency, cancelOrder);
+
+// ======= DEVOLUCIONES DE UNA ORDEN =======
+// La revisión y recepción de las devoluciones está en returnRouter (/api/returns)
+
+/**
+ * @route   POST /api/orders/:id/returns
+ * @desc    Pedir la devolución de líneas de una orden entregada
+ *          ({ items: [{ product, variant, quantity, reason, comment }] }); acepta Idempotency-Key
+ * @access  Private (Permiso orders:create; dueño de la orden o permiso orders:manage)
+ */
+router.post('/:id/returns',
+    [
+        param('id', 'El id de la orden no es válido | EV').isMongoId(),
+        check('items', 'La devolución debe contener al menos un producto | EV').isArray({ min: 1 }),
+        check('items.*.product', 'El id del producto no es válido | EV').isMongoId(),
+        check('items.*.variant', 'El id de la variante no es válido | EV').optional().isMongoId(),
+        check('items.*.quantity', 'La cantidad debe ser un entero mayor a 0 | EV').isInt({ min: 1 }).toInt(),
+        check('items.*.reason', `El motivo debe ser uno de: ${RETURN_REASONS.join(', ')} | EV`).isIn(RETURN_REASONS),
+        check('items.*.comment', 'El comentario debe ser un texto | EV').optional().isString().trim()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_CREATE),
+    idempotency,
+    createReturn);
+
+/**
+ * @route   GET /api/orders/:id/returns
+ * @desc    Listar las devoluciones de una orden
+ * @access  Private (Permiso orders:read; dueño de la orden o permiso orders:manage)
  */
-router.post('/:id/cancel', verifyToken, cancelOrder);
+router.get('/:id/returns',
+    [
+        param('id', 'El id de la orden no es válido | EV').isMongoId()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_READ),
+    getOrderReturns);
 
 export default router;
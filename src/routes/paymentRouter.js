@@ -0,0 +1,80 @@
+import { Router } from 'express';
+import { check, param } from 'express-validator';
+import {
+    createOrderPayment,
+    capturePayment,
+    refundPayment,
+    receiveWebhook
+} from '../controllers/paymentController.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { idempotency } from '../middlewares/idempotency.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = Router();
+
+// ======= RUTAS DE PAGOS =======
+// El proveedor se elige con PAYMENT_PROVIDER (ver services/paymentService.js).
+// Las rutas que mueven dinero aceptan la cabecera Idempotency-Key.
+
+/**
+ * @route   POST /api/payments/webhook/:provider
+ * @desc    Recibir un evento del proveedor (payment.succeeded / payment.failed).
+ *          No usa token: se verifica la firma del body; la orden pasa a "paid" o
+ *          queda pendiente con paymentInfo.status "failed"
+ * @access  Public (firma del proveedor)
+ */
+router.post('/webhook/:provider', receiveWebhook);
+
+/**
+ * @route   POST /api/payments/orders/:orderId
+ * @desc    Iniciar el pago de una orden pendiente; responde el pago y el clientSecret
+ *          con el que el cliente lo completa en el proveedor (acepta Idempotency-Key)
+ * @access  Private (Permiso orders:create; dueño de la orden o permiso orders:manage)
+ */
+router.post('/orders/:orderId',
+    [
+        param('orderId', 'El id de la orden no es válido | EV').isMongoId()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_CREATE),
+    idempotency,
+    createOrderPayment);
+
+/**
+ * @route   POST /api/payments/:id/capture
+ * @desc    Capturar un pago pendiente; si el proveedor lo acepta la orden pasa a "paid"
+ *          (acepta Idempotency-Key)
+ * @access  Private (Permiso orders:manage)
+ */
+router.post('/:id/capture',
+    [
+        param('id', 'El id del pago no es válido | EV').isMongoId()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_MANAGE),
+    idempotency,
+    capturePayment);
+
+/**
+ * @route   POST /api/payments/:id/refund
+ * @desc    Reembolsar un pago ({ amount, reason } opcionales; sin amount, todo lo que falta).
+ *          Un reembolso total pasa la orden a "refunded" (acepta Idempotency-Key)
+ * @access  Private (Permiso orders:manage)
+ */
+router.post('/:id/refund',
+    [
+        param('id', 'El id del pago no es válido | EV').isMongoId(),
+        check('amount', 'El monto debe ser un número mayor a 0 | EV').optional().isFloat({ gt: 0 }).toFloat(),
+        check('reason', 'El motivo debe ser un texto | EV').optional().isString().trim()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_MANAGE),
+    idempotency,
+    refundPayment);
+
+export default router;
@@ -40,6 +40,19 @@ import { handleValidationErrors } from "../middlewares/validationMiddleware.js";
  */
 import { verifyToken } from "../middlewares/verifyToken.js";
 
+/**
+ * Middleware de verificación de email
+ * Impide crear recursos a los usuarios que aún no confirmaron su email
+ */
+import { verifyEmailConfirmed } from "../middlewares/verifyEmailConfirmed.js";
+
+/**
+ * Middleware de permisos
+ * requirePermission: Verifica que el rol del usuario tenga los permisos indicados
+ */
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
 /**
  * Controladores de productos
  * Estos controladores contienen la lógica de negocio para cada operación
@@ -53,7 +66,13 @@ import {
     searchProducts,        // Buscar productos por texto
     filterProducts,        // Filtrar productos por criterios
     patchProduct,          // Actualizar parcialmente un producto (PATCH)
-    uploadProductImage     // Subir imagen para un producto
+    setProductVariants,    // Definir opciones y generar variantes
+    updateProductVariant,  // Editar una variante (SKU, precio, stock, imagen)
+    uploadProductImage,    // Subir imagen para un producto (queda como principal)
+    addProductImages,      // Subir varias imágenes a la galería
+    reorderProductImages,  // Reordenar la galería
+    updateProductImage,    // Editar texto alternativo o marcar como principal
+    deleteProductImage     // Quitar una imagen de la galería y borrar su archivo
 } from "../controllers/productController.js";
 
 /**
@@ -110,7 +129,7 @@ productRouter.get("/filter", filterProducts);
  *   - id: ID de MongoDB del producto a consultar
  * Validaciones:
  *   - ID debe ser un ObjectId válido de MongoDB
- * Respuesta: { success, product }
+ * Respuesta: { success, product, variantMatrix } (variantMatrix es null si no tiene variantes)
  */
 productRouter.get("/:id", [
     // Validar que el ID sea un MongoDB ObjectId válido
@@ -129,19 +148,27 @@ productRouter.get("/:id", [
  *   category: ObjectId,
  *   available: Boolean,
  *   stock: Number,
+ *   weight: Number (kg, para calcular el envío),
  *   image: String (URL)
  * }
  * Validaciones:
  *   - name es obligatorio y no puede estar vacío
+ * Requiere: usuario autenticado con permiso products:write y email verificado
  * Respuesta: { success, product }
  */
 productRouter.post("/", [
     // Validar que el nombre del producto esté presente y no vacío
     check('name').notEmpty().withMessage('El nombre del producto es obligatorio'),
+    // El peso (kg) es opcional, pero no puede ser negativo
+    check('weight').optional().isFloat({ min: 0 }).withMessage('El peso debe ser un número mayor o igual a 0'),
     // Manejo de errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda publicar productos
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+    // Solo usuarios con email verificado pueden crear productos
+    verifyEmailConfirmed
 ], createProduct);
 
 /**
@@ -156,6 +183,7 @@ productRouter.post("/", [
  *   category: ObjectId,
  *   available: Boolean,
  *   stock: Number,
+ *   weight: Number (kg, para calcular el envío),
  *   image: String (URL)
  * }
  * Validaciones:
@@ -168,10 +196,13 @@ productRouter.put("/:id", [
     param('id').isMongoId().withMessage('ID de producto no válido'),
     // Si se proporciona un nombre, verificar que no esté vacío
     check('name').optional().notEmpty().withMessage('El nombre no puede estar vacío'),
+    check('weight').optional().isFloat({ min: 0 }).withMessage('El peso debe ser un número mayor o igual a 0'),
     // Manejo de errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda editar productos
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
 ], updateProduct);
 
 /**
@@ -190,10 +221,13 @@ productRouter.put("/:id", [
 productRouter.patch("/:id", [
     // Validar que el ID sea un MongoDB ObjectId válido
     param('id').isMongoId().withMessage('ID de producto no válido'),
+    check('weight').optional().isFloat({ min: 0 }).withMessage('El peso debe ser un número mayor o igual a 0'),
     // Manejo de errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda editar productos
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
 ], patchProduct);
 
 /**
@@ -211,12 +245,62 @@ productRouter.delete("/:id", [
     // Manejo de errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda editar productos
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
 ], deleteProduct);
 
+/**
+ * Ruta: PUT /api/products/:id/variants
+ * Descripción: Definir las opciones del producto (ej: Talle, Color) y generar una variante
+ *              por cada combinación de valores; las combinaciones existentes se conservan
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del producto
+ * Body: { options: [{ name: String, values: [String] }] } ([] quita las variantes)
+ * Respuesta: { success, message, product, variantMatrix }
+ */
+productRouter.put("/:id/variants", [
+    param('id').isMongoId().withMessage('ID de producto no válido'),
+    check('options').isArray().withMessage('options debe ser una lista de opciones'),
+    // El nombre se usa como clave de la variante: sin puntos ni $ (no los admite MongoDB)
+    check('options.*.name').isString().trim().notEmpty().not().matches(/[.$]/)
+        .withMessage('Cada opción necesita un nombre, sin "." ni "$"'),
+    check('options.*.values').isArray({ min: 1 }).withMessage('Cada opción necesita al menos un valor'),
+    check('options.*.values.*').isString().trim().notEmpty().withMessage('Los valores de las opciones deben ser textos'),
+    // Un valor repetido generaría dos variantes con la misma combinación
+    check('options.*.values').custom((values) => new Set(values).size === values.length)
+        .withMessage('Una opción no puede repetir valores'),
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
+], setProductVariants);
+
+/**
+ * Ruta: PATCH /api/products/:id/variants/:variantId
+ * Descripción: Editar una variante (solo los campos enviados)
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del producto
+ *   - variantId: ID de la variante
+ * Body: { sku, price (null = precio del producto), stock, image, isAvailable }
+ * Respuesta: { success, message, product, variantMatrix }
+ */
+productRouter.patch("/:id/variants/:variantId", [
+    param('id').isMongoId().withMessage('ID de producto no válido'),
+    param('variantId').isMongoId().withMessage('ID de variante no válido'),
+    check('sku').optional().isString().trim().notEmpty().withMessage('El SKU no puede estar vacío'),
+    check('price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('El precio debe ser un número mayor o igual a 0').toFloat(),
+    check('stock').optional().isInt({ min: 0 }).withMessage('El stock debe ser un entero mayor o igual a 0').toInt(),
+    check('image').optional().isString().withMessage('La imagen debe ser una URL'),
+    check('isAvailable').optional().isBoolean().withMessage('isAvailable debe ser true o false').toBoolean(),
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
+], updateProductVariant);
+
 /**
  * Ruta: POST /api/products/:id/upload-image
- * Descripción: Subir una imagen para un producto específico
+ * Descripción: Subir una imagen para un producto específico; se agrega a la galería
+ *              como imagen principal (las anteriores se conservan)
  * Parámetros de ruta:
  *   - id: ID de MongoDB del producto
  * Body: Formulario multipart/form-data con un campo 'image' que contiene el archivo
@@ -231,7 +315,9 @@ productRouter.post("/:id/upload-image", [
     // Manejo de errores de validación
     handleValidationErrors,
     // Middleware de autenticación - verifica que el usuario esté autenticado
-    verifyToken
+    verifyToken,
+    // Middleware de permisos - verifica que el rol pueda editar productos
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
 ], 
     // Middleware de Multer que procesa un único archivo con el nombre de campo 'image'
     upload.single('image'), 
@@ -239,6 +325,80 @@ productRouter.post("/:id/upload-image", [
     uploadProductImage
 );
 
+// Máximo de archivos por subida a la galería
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+/**
+ * Ruta: POST /api/products/:id/images
+ * Descripción: Subir una o más imágenes a la galería del producto
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del producto
+ * Body: Formulario multipart/form-data con campos 'images' (hasta 10 archivos)
+ *       y, opcionalmente, un campo 'alt' por archivo en el mismo orden
+ * Respuesta: { success, message, product, images }
+ */
+productRouter.post("/:id/images", [
+    param('id').isMongoId().withMessage('ID de producto no válido'),
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+    // Multer guarda los archivos y completa req.body con los campos de texto del formulario
+    // (los 'alt' llegan siempre como texto: no hace falta validarlos después de guardar)
+    upload.array('images', MAX_IMAGES_PER_UPLOAD)
+], addProductImages);
+
+/**
+ * Ruta: PUT /api/products/:id/images/order
+ * Descripción: Reordenar la galería del producto
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del producto
+ * Body: { order: [imageId] } (todas las imágenes de la galería, en el nuevo orden)
+ * Respuesta: { success, message, product }
+ */
+productRouter.put("/:id/images/order", [
+    param('id').isMongoId().withMessage('ID de producto no válido'),
+    check('order').isArray({ min: 1 }).withMessage('order debe ser una lista de IDs de imagen'),
+    check('order.*').isMongoId().withMessage('ID de imagen no válido'),
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
+], reorderProductImages);
+
+/**
+ * Ruta: PATCH /api/products/:id/images/:imageId
+ * Descripción: Editar el texto alternativo de una imagen o marcarla como principal
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del producto
+ *   - imageId: ID de la imagen
+ * Body: { alt, isPrimary }
+ * Respuesta: { success, message, product }
+ */
+productRouter.patch("/:id/images/:imageId", [
+    param('id').isMongoId().withMessage('ID de producto no válido'),
+    param('imageId').isMongoId().withMessage('ID de imagen no válido'),
+    check('alt').optional().isString().trim().withMessage('El texto alternativo debe ser un texto'),
+    check('isPrimary').optional().isBoolean().withMessage('isPrimary debe ser true o false').toBoolean(),
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
+], updateProductImage);
+
+/**
+ * Ruta: DELETE /api/products/:id/images/:imageId
+ * Descripción: Quitar una imagen de la galería y borrar su archivo del servidor
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del producto
+ *   - imageId: ID de la imagen
+ * Respuesta: { success, message, product }
+ */
+productRouter.delete("/:id/images/:imageId", [
+    param('id').isMongoId().withMessage('ID de producto no válido'),
+    param('imageId').isMongoId().withMessage('ID de imagen no válido'),
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE)
+], deleteProductImage);
+
 /**
  * Exportación del router de productos
  * Este router será montado en app.js en la ruta base /api/products
@@ -39,6 +39,15 @@ import { handleValidationErrors } from "../middlewares/validationMiddleware.js";
  * Verifica que el usuario esté autenticado y tenga los permisos necesarios
  */
 import { verifyToken } from "../middlewares/verifyToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+/**
+ * Catálogo de permisos
+ * - products:write: modificar los productos propios
+ * - products:manage: modificar productos de cualquier usuario
+ */
+import { PERMISSIONS } from "../config/permissions.js";
+import { hasPermission } from "../services/permissionService.js";
 
 /**
  * Modelos - Necesarios para realizar las operaciones de vinculación
@@ -77,9 +86,11 @@ relationRouter.use(verifyToken);
  *   - userId (si se proporciona) debe ser un ObjectId válido de MongoDB
  * Respuesta: { success, message, product }
  * 
- * Permisos: Solo el propietario actual o administradores pueden cambiar el creador
+ * Permisos: Solo el propietario actual o roles con products:manage pueden cambiar el creador
  */
 relationRouter.post("/products/:productId/creator", [
+    // Verificar que el rol pueda modificar productos
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE),
     // Validar que el ID del producto sea un MongoDB ObjectId válido
     param('productId').isMongoId().withMessage('ID de producto no válido'),
     // Si se proporciona un userId, validar que sea un MongoDB ObjectId válido
@@ -101,10 +112,10 @@ relationRouter.post("/products/:productId/creator", [
             });
         }
 
-        // 2. Verificar permisos (solo admin o el creador actual pueden cambiar esto)
+        // 2. Verificar permisos (solo products:manage o el creador actual pueden cambiar esto)
         if (product.creator && 
             product.creator.toString() !== req.user._id.toString() && 
-            req.user.role !== 'ADMIN_ROLE') {
+            !hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE)) {
             return res.status(403).json({ 
                 success: false, 
                 message: 'No tienes permiso para cambiar el creador de este producto' 
@@ -159,9 +170,11 @@ relationRouter.post("/products/:productId/creator", [
  *   - categoryId debe ser un ObjectId válido de MongoDB
  * Respuesta: { success, message, product }
  * 
- * Permisos: Solo el creador del producto o administradores pueden cambiar la categoría
+ * Permisos: Solo el creador del producto o roles con products:manage pueden cambiar la categoría
  */
 relationRouter.post("/products/:productId/category", [
+    // Verificar que el rol pueda modificar productos
+    requirePermission(PERMISSIONS.PRODUCTS_WRITE),
     // Validar que el ID del producto sea un MongoDB ObjectId válido
     param('productId').isMongoId().withMessage('ID de producto no válido'),
     // Validar que se proporcione un ID de categoría
@@ -182,10 +195,10 @@ relationRouter.post("/products/:productId/category", [
             });
         }
 
-        // 2. Verificar permisos (solo admin o el creador pueden cambiar esto)
+        // 2. Verificar permisos (solo products:manage o el creador pueden cambiar esto)
         if (product.creator && 
             product.creator.toString() !== req.user._id.toString() && 
-            req.user.role !== 'ADMIN_ROLE') {
+            !hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE)) {
             return res.status(403).json({ 
                 success: false, 
                 message: 'No tienes permiso para cambiar la categoría de este producto' 
@@ -234,9 +247,11 @@ relationRouter.post("/products/:productId/category", [
  *   - productIds debe ser un array no vacío de ObjectIds válidos
  * Respuesta: { success, message, updatedCount, products }
  * 
- * Permisos: Solo administradores pueden realizar esta operación en lote
+ * Permisos: Solo roles con products:manage pueden realizar esta operación en lote
  */
 relationRouter.post("/categories/:categoryId/products", [
+    // Verificar que el rol pueda modificar productos de cualquier usuario
+    requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
     // Validar que el ID de la categoría sea un MongoDB ObjectId válido
     param('categoryId').isMongoId().withMessage('ID de categoría no válido'),
     // Validar que se proporcione un array de IDs de productos
@@ -249,15 +264,7 @@ relationRouter.post("/categories/:categoryId/products", [
         const { categoryId } = req.params;
         const { productIds } = req.body;
 
-        // 1. Verificar que el usuario sea administrador
-        if (req.user.role !== 'ADMIN_ROLE') {
-            return res.status(403).json({ 
-                success: false, 
-                message: 'Solo los administradores pueden asignar múltiples productos a una categoría' 
-            });
-        }
-
-        // 2. Verificar que la categoría existe
+        // 1. Verificar que la categoría existe
         const categoryExists = await Category.findById(categoryId);
         if (!categoryExists) {
             return res.status(404).json({ 
@@ -266,16 +273,16 @@ relationRouter.post("/categories/:categoryId/products", [
             });
         }
 
-        // 3. Actualizar todos los productos especificados
+        // 2. Actualizar todos los productos especificados
         const updateResult = await Product.updateMany(
             { _id: { $in: productIds } },
             { category: categoryId }
         );
 
-        // 4. Obtener los productos actualizados
+        // 3. Obtener los productos actualizados
         const updatedProducts = await Product.find({ _id: { $in: productIds } });
 
-        // 5. Respuesta exitosa
+        // 4. Respuesta exitosa
         res.json({ 
             success: true, 
             message: 'Productos asignados correctamente a la categoría',
@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import { check, param, query } from 'express-validator';
+import {
+    getReturns,
+    approveReturn,
+    rejectReturn,
+    receiveReturn,
+    refundReturn
+} from '../controllers/returnController.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { idempotency } from '../middlewares/idempotency.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { RETURN_STATUSES } from '../config/returnStatus.js';
+
+const router = Router();
+
+// ======= RUTAS DE DEVOLUCIONES (RMA) =======
+// El cliente las pide en POST /api/orders/:id/returns; aquí las gestiona un
+// administrador siguiendo la máquina de estados de config/returnStatus.js.
+// Todas requieren el permiso orders:manage; las que cambian el estado aceptan Idempotency-Key.
+
+const returnIdValidation = [
+    param('id', 'El id de la devolución no es válido | EV').isMongoId(),
+    check('note', 'La nota debe ser un texto | EV').optional().isString().trim()
+];
+
+/**
+ * @route   GET /api/returns
+ * @desc    Listar devoluciones (paginado, filtro opcional ?status=)
+ * @access  Private (Permiso orders:manage)
+ */
+router.get('/',
+    [
+        query('status', `El estado debe ser uno de: ${RETURN_STATUSES.join(', ')} | EV`).optional().isIn(RETURN_STATUSES)
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.ORDERS_MANAGE),
+    getReturns);
+
+/**
+ * @route   POST /api/returns/:id/approve
+ * @desc    Aprobar una devolución pedida ({ note } opcional)
+ * @access  Private (Permiso orders:manage)
+ */
+router.post('/:id/approve', returnIdValidation, handleValidationErrors, verifyToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), idempotency, approveReturn);
+
+/**
+ * @route   POST /api/returns/:id/reject
+ * @desc    Rechazar una devolución pedida ({ note } opcional)
+ * @access  Private (Permiso orders:manage)
+ */
+router.post('/:id/reject', returnIdValidation, handleValidationErrors, verifyToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), idempotency, rejectReturn);
+
+/**
+ * @route   POST /api/returns/:id/receive
+ * @desc    Registrar la llegada de los productos de una devolución aprobada:
+ *          vuelven al stock y se reembolsa el importe a través de los pagos
+ * @access  Private (Permiso orders:manage)
+ */
+router.post('/:id/receive', returnIdValidation, handleValidationErrors, verifyToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), idempotency, receiveReturn);
+
+/**
+ * @route   POST /api/returns/:id/refund
+ * @desc    Reintentar el reembolso de una devolución recibida (si falló el del proveedor)
+ * @access  Private (Permiso orders:manage)
+ */
+router.post('/:id/refund', returnIdValidation, handleValidationErrors, verifyToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), idempotency, refundReturn);
+
+export default router;
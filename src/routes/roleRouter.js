@@ -0,0 +1,140 @@
+/**
+ * ==========================================
+ * RUTAS DE ROLES (roleRouter.js)
+ * ==========================================
+ * Este archivo define las rutas para administrar roles y permisos.
+ * Todas las rutas requieren el permiso `roles:manage`.
+ */
+
+// === IMPORTACIONES ===
+
+/**
+ * Express Router - Para definir rutas de manera modular
+ */
+import { Router } from "express";
+
+/**
+ * Express Validator - Para validar datos de entrada
+ * - check: valida campos en el body de la solicitud
+ * - param: valida parámetros de ruta (como IDs)
+ */
+import { check, param } from 'express-validator';
+
+/**
+ * Middlewares de la aplicación
+ */
+import { handleValidationErrors } from "../middlewares/validationMiddleware.js";
+import { verifyToken } from "../middlewares/verifyToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+/**
+ * Catálogo de permisos
+ */
+import { PERMISSIONS, ALL_PERMISSIONS } from "../config/permissions.js";
+
+/**
+ * Controladores de roles
+ */
+import {
+    getPermissions,   // Listar el catálogo de permisos
+    getRoles,         // Listar roles
+    getRoleById,      // Obtener un rol por ID
+    createRole,       // Crear un rol
+    updateRole,       // Actualizar un rol
+    deleteRole        // Eliminar un rol
+} from "../controllers/roleController.js";
+
+/**
+ * Creación del enrutador de roles
+ */
+const roleRouter = Router();
+
+/**
+ * Middleware común para todas las rutas de roles
+ * Exige usuario autenticado con el permiso roles:manage
+ */
+roleRouter.use(verifyToken, requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+/**
+ * Ruta: GET /api/roles/permissions
+ * Descripción: Lista todos los permisos que se pueden asignar a un rol
+ * Respuesta: { success, permissions }
+ */
+roleRouter.get("/permissions", getPermissions);
+
+/**
+ * Ruta: GET /api/roles
+ * Descripción: Lista todos los roles con sus permisos
+ * Respuesta: { success, count, roles }
+ */
+roleRouter.get("/", getRoles);
+
+/**
+ * Ruta: GET /api/roles/:id
+ * Descripción: Obtiene un rol y la cantidad de usuarios que lo tienen
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del rol
+ * Respuesta: { success, role, usersCount }
+ */
+roleRouter.get("/:id", [
+    // Validar que el ID sea un MongoDB ObjectId válido
+    param('id').isMongoId().withMessage('ID de rol no válido'),
+    handleValidationErrors
+], getRoleById);
+
+/**
+ * Ruta: POST /api/roles
+ * Descripción: Crea un nuevo rol
+ * Body: {
+ *   name: String (obligatorio),
+ *   description: String,
+ *   permissions: [String] (cada uno debe existir en el catálogo)
+ * }
+ * Respuesta: { success, message, role }
+ */
+roleRouter.post("/", [
+    // Validar nombre y permisos
+    check('name').isString().trim().notEmpty().withMessage('El nombre del rol es obligatorio'),
+    check('description').optional().isString().trim(),
+    check('permissions').optional().isArray().withMessage('permissions debe ser un array'),
+    check('permissions.*').isIn(ALL_PERMISSIONS).withMessage('Permiso desconocido'),
+    handleValidationErrors
+], createRole);
+
+/**
+ * Ruta: PATCH /api/roles/:id
+ * Descripción: Actualiza el nombre, la descripción y/o los permisos de un rol
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del rol
+ * Body: { name?, description?, permissions? }
+ * Restricciones:
+ *   - El rol admin no se puede modificar
+ *   - Los roles del sistema no se pueden renombrar
+ * Respuesta: { success, message, role }
+ */
+roleRouter.patch("/:id", [
+    param('id').isMongoId().withMessage('ID de rol no válido'),
+    check('name').optional().isString().trim().notEmpty().withMessage('El nombre no puede estar vacío'),
+    check('description').optional().isString().trim(),
+    check('permissions').optional().isArray().withMessage('permissions debe ser un array'),
+    check('permissions.*').isIn(ALL_PERMISSIONS).withMessage('Permiso desconocido'),
+    handleValidationErrors
+], updateRole);
+
+/**
+ * Ruta: DELETE /api/roles/:id
+ * Descripción: Elimina un rol que no sea del sistema ni esté asignado a usuarios
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del rol
+ * Respuesta: { success, message }
+ */
+roleRouter.delete("/:id", [
+    param('id').isMongoId().withMessage('ID de rol no válido'),
+    handleValidationErrors
+], deleteRole);
+
+/**
+ * Exportación del router de roles
+ * Este router será montado en app.js en la ruta base /api/roles
+ */
+export default roleRouter;
@@ -0,0 +1,101 @@
+import { Router } from 'express';
+import { check, param, query } from 'express-validator';
+import {
+    getShippingQuote,
+    getShippingZones,
+    createShippingZone,
+    updateShippingZone,
+    deleteShippingZone
+} from '../controllers/shippingController.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { optionalToken } from '../middlewares/optionalToken.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = Router();
+
+// ======= RUTAS DE ENVÍOS =======
+// La cotización es pública (usuario o invitado, con su carrito). Las zonas, con
+// sus métodos y tarifas, requieren el permiso shipping:manage.
+
+const shippingZoneIdValidation = [
+    param('id', 'El id de la zona no es válido | EV').isMongoId()
+];
+
+// Reglas compartidas por crear y editar
+const shippingZoneFieldValidation = [
+    check('states', 'states debe ser una lista de provincias | EV').optional().isArray(),
+    check('methods', 'methods debe ser una lista | EV').optional().isArray(),
+    check('methods.*.code', 'Cada método necesita un código | EV').isString().trim().notEmpty(),
+    check('methods.*.name', 'Cada método necesita un nombre | EV').isString().trim().notEmpty(),
+    check('methods.*.rateType', 'rateType debe ser weight o price | EV').optional().isIn(['weight', 'price']),
+    check('methods.*.rates', 'Cada método necesita al menos una tarifa | EV').isArray({ min: 1 }),
+    check('methods.*.rates.*.cost', 'El costo de cada tarifa debe ser un número mayor o igual a 0 | EV').isFloat({ min: 0 }).toFloat(),
+    check('methods.*.rates.*.upTo', 'upTo debe ser un número mayor o igual a 0 | EV').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+    check('methods.*.freeOver', 'freeOver debe ser un número mayor o igual a 0 | EV').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+    check('isActive', 'isActive debe ser true o false | EV').optional().isBoolean().toBoolean()
+];
+
+/**
+ * @route   GET /api/shipping/quote
+ * @desc    Cotizar el envío del carrito (?country=&state=): métodos disponibles con su costo
+ * @access  Public (usuario o invitado con X-Cart-Token)
+ */
+router.get('/quote',
+    [
+        query('country', 'El país es obligatorio | EV').isString().trim().notEmpty(),
+        query('state', 'La provincia debe ser un texto | EV').optional().isString().trim()
+    ],
+    handleValidationErrors,
+    optionalToken,
+    getShippingQuote);
+
+/**
+ * @route   GET /api/shipping/zones
+ * @desc    Listar zonas de envío
+ * @access  Private (Permiso shipping:manage)
+ */
+router.get('/zones', verifyToken, requirePermission(PERMISSIONS.SHIPPING_MANAGE), getShippingZones);
+
+/**
+ * @route   POST /api/shipping/zones
+ * @desc    Crear una zona ({ name, countries, states, methods: [{ code, name, carrier, rateType, rates, freeOver, minDays, maxDays }] })
+ * @access  Private (Permiso shipping:manage)
+ */
+router.post('/zones',
+    [
+        check('name', 'El nombre es obligatorio | EV').isString().trim().notEmpty(),
+        check('countries', 'La zona necesita al menos un país | EV').isArray({ min: 1 }),
+        ...shippingZoneFieldValidation
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+    createShippingZone);
+
+/**
+ * @route   PATCH /api/shipping/zones/:id
+ * @desc    Editar una zona (solo los campos enviados; methods se reemplaza completo)
+ * @access  Private (Permiso shipping:manage)
+ */
+router.patch('/zones/:id',
+    [
+        ...shippingZoneIdValidation,
+        check('name', 'El nombre no puede estar vacío | EV').optional().isString().trim().notEmpty(),
+        check('countries', 'La zona necesita al menos un país | EV').optional().isArray({ min: 1 }),
+        ...shippingZoneFieldValidation
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+    updateShippingZone);
+
+/**
+ * @route   DELETE /api/shipping/zones/:id
+ * @desc    Eliminar una zona
+ * @access  Private (Permiso shipping:manage)
+ */
+router.delete('/zones/:id', shippingZoneIdValidation, handleValidationErrors, verifyToken, requirePermission(PERMISSIONS.SHIPPING_MANAGE), deleteShippingZone);
+
+export default router;
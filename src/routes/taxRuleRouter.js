@@ -0,0 +1,81 @@
+import { Router } from 'express';
+import { check, param } from 'express-validator';
+import {
+    getTaxRules,
+    createTaxRule,
+    updateTaxRule,
+    deleteTaxRule
+} from '../controllers/taxRuleController.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = Router();
+
+// ======= RUTAS DE REGLAS DE IMPUESTOS =======
+// Todas requieren el permiso taxes:manage. Los impuestos se calculan al crear
+// la orden con la regla más específica para el país/provincia de envío y la categoría.
+
+const taxRuleIdValidation = [
+    param('id', 'El id de la regla no es válido | EV').isMongoId()
+];
+
+// Reglas compartidas por crear y editar
+const taxRuleFieldValidation = [
+    check('state', 'La provincia debe ser un texto | EV').optional({ values: 'null' }).isString().trim(),
+    check('category', 'El id de la categoría no es válido | EV').optional({ values: 'null' }).isMongoId(),
+    check('inclusive', 'inclusive debe ser true o false | EV').optional().isBoolean().toBoolean(),
+    check('isActive', 'isActive debe ser true o false | EV').optional().isBoolean().toBoolean()
+];
+
+/**
+ * @route   GET /api/tax-rules
+ * @desc    Listar reglas de impuestos (filtro opcional ?country=)
+ * @access  Private (Permiso taxes:manage)
+ */
+router.get('/', verifyToken, requirePermission(PERMISSIONS.TAXES_MANAGE), getTaxRules);
+
+/**
+ * @route   POST /api/tax-rules
+ * @desc    Crear una regla ({ name, country, state, category, rate, inclusive })
+ * @access  Private (Permiso taxes:manage)
+ */
+router.post('/',
+    [
+        check('name', 'El nombre es obligatorio | EV').isString().trim().notEmpty(),
+        check('country', 'El país es obligatorio | EV').isString().trim().notEmpty(),
+        check('rate', 'La tasa debe ser un número entre 0 y 100 | EV').isFloat({ min: 0, max: 100 }).toFloat(),
+        ...taxRuleFieldValidation
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.TAXES_MANAGE),
+    createTaxRule);
+
+/**
+ * @route   PATCH /api/tax-rules/:id
+ * @desc    Editar una regla (solo los campos enviados); las órdenes ya creadas no cambian
+ * @access  Private (Permiso taxes:manage)
+ */
+router.patch('/:id',
+    [
+        ...taxRuleIdValidation,
+        check('name', 'El nombre no puede estar vacío | EV').optional().isString().trim().notEmpty(),
+        check('country', 'El país no puede estar vacío | EV').optional().isString().trim().notEmpty(),
+        check('rate', 'La tasa debe ser un número entre 0 y 100 | EV').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+        ...taxRuleFieldValidation
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.TAXES_MANAGE),
+    updateTaxRule);
+
+/**
+ * @route   DELETE /api/tax-rules/:id
+ * @desc    Eliminar una regla
+ * @access  Private (Permiso taxes:manage)
+ */
+router.delete('/:id', taxRuleIdValidation, handleValidationErrors, verifyToken, requirePermission(PERMISSIONS.TAXES_MANAGE), deleteTaxRule);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import { check } from 'express-validator';
+import { getUploadsReport, sweepUploads } from '../controllers/uploadController.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = Router();
+
+// ======= RUTAS DE ARCHIVOS SUBIDOS =======
+// Administración de los archivos subidos; requieren el permiso uploads:manage.
+
+/**
+ * @route   GET /api/uploads/report
+ * @desc    Reporte de archivos en uso, huérfanos y espacio usado
+ * @access  Private (Permiso uploads:manage)
+ */
+router.get('/report', verifyToken, requirePermission(PERMISSIONS.UPLOADS_MANAGE), getUploadsReport);
+
+/**
+ * @route   POST /api/uploads/sweep
+ * @desc    Borrar ahora los archivos huérfanos ({ dryRun: true } solo informa)
+ * @access  Private (Permiso uploads:manage)
+ */
+router.post('/sweep',
+    [
+        check('dryRun', 'dryRun debe ser true o false | EV').optional().isBoolean().toBoolean()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    requirePermission(PERMISSIONS.UPLOADS_MANAGE),
+    sweepUploads);
+
+export default router;
@@ -24,8 +24,10 @@ import { Router } from "express";
 import {
     getUsers,     // Listar todos los usuarios
     getUser,      // Obtener un usuario específico por ID
+    createUser,   // Crear un usuario (admin)
     deleteUser,   // Eliminar un usuario
-    updateUser    // Actualizar datos de usuario
+    updateUser,   // Actualizar datos de usuario
+    unlockUser    // Desbloquear una cuenta bloqueada por intentos fallidos de login
 } from "../controllers/userController.js";
 
 /**
@@ -44,8 +46,34 @@ import { handleValidationErrors } from "../middlewares/validationMiddleware.js";
 import { checkUser } from "../middlewares/checkUserMiddleware.js";
 // Verifica si el usuario está autenticado mediante token JWT
 import { verifyToken } from "../middlewares/verifyToken.js";
-// Verifica si el usuario tiene rol de administrador
-import { verifyAdminRole } from "../middlewares/verifyAdminRole.js";
+// Verifica si el rol del usuario tiene los permisos necesarios
+import { requirePermission } from "../middlewares/requirePermission.js";
+// Impide usar una API key en las rutas de administración de la cuenta
+import { rejectApiKey } from "../middlewares/rejectApiKey.js";
+
+/**
+ * Controladores de API keys del usuario autenticado
+ */
+import {
+    getMyApiKeys,    // Listar las API keys propias
+    createMyApiKey,  // Crear una API key
+    revokeMyApiKey   // Revocar una API key
+} from "../controllers/apiKeyController.js";
+
+/**
+ * Controladores de autoservicio del usuario autenticado
+ */
+import {
+    getMyProfile,     // Ver el perfil propio
+    updateMyProfile,  // Editar username / email
+    changeMyPassword, // Cambiar la contraseña
+    deleteMyAccount   // Cerrar la cuenta
+} from "../controllers/profileController.js";
+
+/**
+ * Catálogo de permisos
+ */
+import { PERMISSIONS, ALL_PERMISSIONS } from "../config/permissions.js";
 
 /**
  * Creación del enrutador de usuarios
@@ -53,16 +81,176 @@ import { verifyAdminRole } from "../middlewares/verifyAdminRole.js";
  */
 const userRouter = Router();
 
+/**
+ * ==========================================
+ * API KEYS DEL USUARIO AUTENTICADO
+ * ==========================================
+ * Se definen antes que las rutas con :id. Requieren una sesión iniciada con
+ * JWT: una API key no puede crear ni revocar otras keys.
+ */
+
+/**
+ * Ruta: GET /api/users/me/api-keys
+ * Descripción: Lista las API keys activas del usuario (solo el prefijo, nunca la key)
+ * Middlewares:
+ *   - verifyToken: Verifica que el usuario esté autenticado
+ *   - rejectApiKey: Rechaza peticiones autenticadas con API key
+ * Respuesta: { success, count, apiKeys }
+ */
+userRouter.get("/me/api-keys",
+    verifyToken,
+    rejectApiKey,
+    getMyApiKeys)
+
+/**
+ * Ruta: POST /api/users/me/api-keys
+ * Descripción: Crea una API key para integraciones servidor a servidor
+ * Body: {
+ *   name: String (obligatorio),
+ *   scopes: [String] (obligatorio, permisos que el rol del usuario ya tiene),
+ *   expiresInDays: Number (opcional, 1 a 365; sin valor la key no expira)
+ * }
+ * Validaciones:
+ *   - name no vacío
+ *   - scopes debe ser un array no vacío de permisos del catálogo
+ *   - expiresInDays, si se envía, debe ser un entero entre 1 y 365
+ * Respuesta exitosa: { success, message, key, apiKey } (key solo se muestra esta vez)
+ * Respuesta error: 403 si algún scope excede los permisos del rol
+ */
+userRouter.post("/me/api-keys",
+    [
+        check('name', 'El nombre de la API key es obligatorio').isString().trim().notEmpty(),
+        check('scopes', 'Debe indicar al menos un permiso en scopes').isArray({ min: 1 }),
+        check('scopes.*', 'Permiso desconocido').isIn(ALL_PERMISSIONS),
+        check('expiresInDays', 'expiresInDays debe ser un entero entre 1 y 365').optional().isInt({ min: 1, max: 365 }).toInt()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    rejectApiKey,
+    createMyApiKey)
+
+/**
+ * Ruta: DELETE /api/users/me/api-keys/:keyId
+ * Descripción: Revoca una API key propia; deja de funcionar inmediatamente
+ * Parámetros de ruta:
+ *   - keyId: ID de MongoDB de la API key
+ * Respuesta exitosa: { success, message }
+ * Respuesta error: 404 si la key no existe, no es del usuario o ya estaba revocada
+ */
+userRouter.delete("/me/api-keys/:keyId",
+    [
+        param('keyId', 'El id de la API key no es válido').isMongoId()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    rejectApiKey,
+    revokeMyApiKey)
+
+/**
+ * ==========================================
+ * PERFIL DEL USUARIO AUTENTICADO
+ * ==========================================
+ * Autoservicio sin conocer el propio ID. Las operaciones que modifican la
+ * cuenta requieren una sesión con JWT (no API key).
+ */
 
+/**
+ * Ruta: GET /api/users/me
+ * Descripción: Devuelve el perfil del usuario autenticado (sin password)
+ * Middlewares:
+ *   - verifyToken: Verifica que el usuario esté autenticado
+ * Respuesta: { success, user }
+ */
+userRouter.get("/me",
+    verifyToken,
+    getMyProfile)
+
+/**
+ * Ruta: PATCH /api/users/me
+ * Descripción: Modifica el perfil propio
+ * Body: {
+ *   username: String (opcional),
+ *   email: String (opcional, vuelve a quedar sin verificar)
+ * }
+ * Validaciones:
+ *   - Solo se aceptan username y email; cualquier otro campo (role, password, ...) da 400
+ *   - email debe ser un email válido
+ * Middlewares:
+ *   - verifyToken: Verifica que el usuario esté autenticado
+ *   - rejectApiKey: Rechaza peticiones autenticadas con API key
+ * Respuesta exitosa: { success, message, user }
+ * Respuesta error: 409 si el username o el email ya pertenecen a otro usuario
+ */
+userRouter.patch("/me",
+    [
+        check('username', 'El username no puede estar vacío | EV').optional().isString().trim().notEmpty(),
+        check('email', 'El email no es válido | EV').optional().isEmail()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    rejectApiKey,
+    updateMyProfile)
+
+/**
+ * Ruta: POST /api/users/me/password
+ * Descripción: Cambia la contraseña verificando la actual; cierra las demás sesiones
+ * Body: {
+ *   currentPassword: String (obligatorio),
+ *   newPassword: String (obligatorio, mínimo 6 caracteres)
+ * }
+ * Middlewares:
+ *   - verifyToken: Verifica que el usuario esté autenticado
+ *   - rejectApiKey: Rechaza peticiones autenticadas con API key
+ * Respuesta exitosa: { success, message, token, refreshToken }
+ * Respuesta error: 401 si la contraseña actual es incorrecta
+ */
+userRouter.post("/me/password",
+    [
+        check('currentPassword', 'La contraseña actual es obligatoria | EV').isString().notEmpty(),
+        check('newPassword', 'El password debe tener al menos 6 caracteres | EV').isString().isLength({ min: 6 })
+    ],
+    handleValidationErrors,
+    verifyToken,
+    rejectApiKey,
+    changeMyPassword)
+
+/**
+ * Ruta: DELETE /api/users/me
+ * Descripción: Cierra la cuenta propia; revoca sus sesiones y API keys
+ * Body: {
+ *   password: String (obligatorio, confirma el cierre)
+ * }
+ * Middlewares:
+ *   - verifyToken: Verifica que el usuario esté autenticado
+ *   - rejectApiKey: Rechaza peticiones autenticadas con API key
+ * Respuesta exitosa: { success, message }
+ * Respuesta error: 401 si la contraseña es incorrecta, 409 si es el único administrador
+ */
+userRouter.delete("/me",
+    [
+        check('password', 'Debe confirmar el cierre con su contraseña | EV').isString().notEmpty()
+    ],
+    handleValidationErrors,
+    verifyToken,
+    rejectApiKey,
+    deleteMyAccount)
 
 /**
  * Ruta: GET /api/users
  * Descripción: Obtiene la lista de todos los usuarios
  * Esta ruta no tiene validaciones porque no recibe parámetros
- * Idealmente debería estar protegida y solo accesible por administradores
+ * Middlewares:
+ *   - verifyToken: Verifica que el solicitante esté autenticado
+ *   - requirePermission('users:read'): Verifica que el rol pueda consultar usuarios
  * Respuesta: Array de usuarios o objeto { success, message, users }
  */
-userRouter.get("/", getUsers)
+userRouter.get("/",
+    // Middleware para verificar autenticación mediante token JWT
+    verifyToken,
+    // Middleware para verificar el permiso de lectura de usuarios
+    requirePermission(PERMISSIONS.USERS_READ),
+    // Controlador que lista los usuarios
+    getUsers)
 
 /**
  * Ruta: GET /api/users/:id
@@ -73,7 +261,9 @@ userRouter.get("/", getUsers)
  *   - ID debe ser un ObjectId válido de MongoDB
  * Middlewares:
  *   - handleValidationErrors: Maneja errores de validación
- *   - checkUser: Verifica si el usuario existe y si tiene permisos para ver la información
+ *   - verifyToken: Verifica que el solicitante esté autenticado
+ *   - requirePermission('users:read'): Verifica que el rol pueda consultar usuarios
+ *   - checkUser: Verifica si el usuario existe
  * Respuesta exitosa: { success: true, user }
  * Respuesta error: { success: false, message }
  */
@@ -84,6 +274,10 @@ userRouter.get("/:id",
     ],
     // Middleware para manejar errores de validación
     handleValidationErrors,
+    // Middleware para verificar autenticación mediante token JWT
+    verifyToken,
+    // Middleware para verificar el permiso de lectura de usuarios
+    requirePermission(PERMISSIONS.USERS_READ),
     // Middleware para verificar existencia del usuario y permisos
     checkUser,
     // Controlador que obtiene y devuelve los datos del usuario
@@ -93,7 +287,7 @@ userRouter.get("/:id",
  * Ruta: POST /api/users
  * Descripción: Crea un nuevo usuario en el sistema (exclusivo para administradores)
  * Body: {
- *   name: String (obligatorio),
+ *   username: String (obligatorio),
  *   email: String (obligatorio, debe ser un email válido),
  *   password: String (obligatorio),
  *   role: String (opcional)
@@ -101,16 +295,17 @@ userRouter.get("/:id",
  * Nota: Para el registro normal de usuarios, use /api/auth/register
  * Middlewares:
  *   - verifyToken: Verifica que el usuario esté autenticado
- *   - verifyAdminRole: Verifica que el usuario tenga rol de administrador
- * Seguridad: Solo los administradores pueden crear usuarios por esta ruta
+ *   - requirePermission('users:write'): Verifica que el rol pueda crear usuarios
+ * Seguridad: Solo los roles con users:write pueden crear usuarios; asignarles un rol
+ *   requiere además roles:manage (403 si no)
  * Respuesta exitosa: { success: true, user }
  * Respuesta error: { success: false, message }
  */
 userRouter.post("/",
     // Middleware para verificar autenticación mediante token JWT
     verifyToken,
-    // Middleware para verificar que el usuario tiene rol de administrador
-    verifyAdminRole,
+    // Middleware para verificar el permiso de alta de usuarios
+    requirePermission(PERMISSIONS.USERS_WRITE),
     // Controlador que crea el nuevo usuario
     createUser
 )
@@ -125,8 +320,8 @@ userRouter.post("/",
  * Middlewares:
  *   - handleValidationErrors: Maneja errores de validación
  *   - verifyToken: Verifica que el solicitante esté autenticado
- *   - verifyAdminRole: Verifica que el solicitante tenga rol de administrador
- * Seguridad: Solo los administradores pueden eliminar usuarios
+ *   - requirePermission('users:delete'): Verifica que el rol pueda eliminar usuarios
+ * Seguridad: Solo los roles con users:delete pueden eliminar usuarios
  * Respuesta exitosa: { success: true, message }
  * Respuesta error: { success: false, message }
  */
@@ -139,8 +334,8 @@ userRouter.delete("/:id",
     handleValidationErrors,
     // Middleware para verificar autenticación mediante token JWT
     verifyToken,
-    // Middleware para verificar que el usuario tiene rol de administrador
-    verifyAdminRole,
+    // Middleware para verificar el permiso de baja de usuarios
+    requirePermission(PERMISSIONS.USERS_DELETE),
     // Controlador que elimina el usuario
     deleteUser
 )
@@ -151,17 +346,17 @@ userRouter.delete("/:id",
  * Parámetros de ruta:
  *   - id: ID de MongoDB del usuario a actualizar
  * Body: {
- *   name: String,
+ *   username: String,
  *   email: String,
- *   role: String,
- *   ...otros campos
+ *   role: String (debe existir en la colección roles; requiere roles:manage, 403 si no)
  * }
+ * Nota: Los demás campos se ignoran; la contraseña solo se cambia en /api/users/me/password
  * Validaciones:
  *   - ID debe ser un ObjectId válido de MongoDB
  * Middlewares:
  *   - handleValidationErrors: Maneja errores de validación
- * Nota: Esta ruta debería tener verificación de token y rol o verificación
- * de que el usuario solo pueda modificar sus propios datos, como medida de seguridad.
+ *   - verifyToken: Verifica que el solicitante esté autenticado
+ *   - requirePermission('users:write'): Verifica que el rol pueda editar usuarios
  * Respuesta exitosa: { success: true, user }
  * Respuesta error: { success: false, message }
  */
@@ -173,10 +368,43 @@ userRouter.put("/:id", [
     handleValidationErrors,
     // Middleware para verificar autenticación mediante token JWT
     verifyToken,
+    // Middleware para verificar el permiso de edición de usuarios
+    requirePermission(PERMISSIONS.USERS_WRITE),
     // Controlador que actualiza el usuario
     updateUser
 )
 
+/**
+ * Ruta: POST /api/users/:id/unlock
+ * Descripción: Desbloquea una cuenta bloqueada por intentos fallidos de login
+ * y reinicia su contador de fallos
+ * Parámetros de ruta:
+ *   - id: ID de MongoDB del usuario a desbloquear
+ * Validaciones:
+ *   - ID debe ser un ObjectId válido de MongoDB
+ * Middlewares:
+ *   - handleValidationErrors: Maneja errores de validación
+ *   - verifyToken: Verifica que el solicitante esté autenticado
+ *   - requirePermission('users:unlock'): Verifica que el rol pueda desbloquear cuentas
+ * Seguridad: Solo los roles con users:unlock pueden desbloquear cuentas
+ * Respuesta exitosa: { statusOK: true, message, user }
+ * Respuesta error: { statusOK: false, message }
+ */
+userRouter.post("/:id/unlock",
+    [
+        // Validar que el ID sea un MongoDB ObjectId válido
+        param('id', 'El id proporcionado no es de mongodb, fijate bien').isMongoId()
+    ],
+    // Middleware para manejar errores de validación
+    handleValidationErrors,
+    // Middleware para verificar autenticación mediante token JWT
+    verifyToken,
+    // Middleware para verificar el permiso de desbloqueo de cuentas
+    requirePermission(PERMISSIONS.USERS_UNLOCK),
+    // Controlador que elimina el bloqueo
+    unlockUser
+)
+
 /**
  * Exportación del router de usuarios
  * Este router será montado en app.js en la ruta base /api/users
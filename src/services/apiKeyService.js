@@ -0,0 +1,95 @@
+/**
+ * ==========================================
+ * SERVICIO DE API KEYS (apiKeyService.js)
+ * ==========================================
+ * Emisión y validación de API keys personales.
+ * - Formato: `wk_<8 hex>_<secreto>`; la parte `wk_<8 hex>` es el prefijo visible
+ * - La key completa solo se muestra al crearla; en la base se guarda su hash
+ * - Cada key tiene permisos (scopes) y opcionalmente una fecha de expiración
+ */
+
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { hashToken } from './tokenService.js';
+
+const KEY_PREFIX = 'wk';
+
+// Frecuencia máxima con la que se actualiza lastUsedAt (evita una escritura por petición)
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+/**
+ * generateApiKey - Genera una key nueva
+ *
+ * @returns {{key: string, prefix: string, hash: string}}
+ */
+const generateApiKey = () => {
+    const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    return { key, prefix, hash: hashToken(key) };
+};
+
+/**
+ * createApiKey - Crea una API key para un usuario
+ *
+ * @param {string} userId - ID del usuario dueño
+ * @param {object} data - { name, scopes, expiresInDays }
+ * @returns {Promise<{apiKey: object, key: string}>} Documento creado y key en texto plano
+ */
+export const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+    const { key, prefix, hash } = generateApiKey();
+
+    const expiresAt = expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null;
+
+    const apiKey = await ApiKey.create({
+        user: userId,
+        name,
+        prefix,
+        keyHash: hash,
+        scopes: [...new Set(scopes)],
+        expiresAt
+    });
+
+    return { apiKey, key };
+};
+
+/**
+ * authenticateApiKey - Valida una key recibida en la cabecera Authorization
+ *
+ * @param {string} key - Key en texto plano
+ * @param {string} ip - IP del cliente (se registra como último uso)
+ * @returns {Promise<{user: object, apiKey: object}|null>} null si la key no es válida
+ */
+export const authenticateApiKey = async (key, ip) => {
+    if (!key || !key.startsWith(`${KEY_PREFIX}_`)) {
+        return null;
+    }
+
+    const now = new Date();
+
+    const apiKey = await ApiKey.findOne({
+        keyHash: hashToken(key),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+
+    if (!apiKey) {
+        return null;
+    }
+
+    const user = await User.findById(apiKey.user).select('-password');
+
+    if (!user) {
+        return null;
+    }
+
+    // Registrar el uso como máximo una vez por minuto
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_UPDATE_MS) {
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip });
+    }
+
+    return { user, apiKey };
+};
@@ -0,0 +1,48 @@
+/**
+ * ==========================================
+ * SERVICIO DE AUDITORÍA (auditService.js)
+ * ==========================================
+ * Registra en la colección auditlogs las acciones hechas en nombre de otro
+ * usuario (impersonación). Un fallo al registrar no corta la petición: se
+ * informa por consola.
+ */
+
+import AuditLog from '../models/AuditLog.js';
+
+// Acciones que se registran
+export const AUDIT_ACTIONS = {
+    IMPERSONATION_START: 'impersonation.start',       // Un administrador obtuvo un token de impersonación
+    IMPERSONATION_REQUEST: 'impersonation.request',   // Petición hecha con un token de impersonación
+    IMPERSONATION_BLOCKED: 'impersonation.blocked'    // Petición rechazada por modificar datos
+};
+
+/**
+ * recordAudit - Guarda un registro de auditoría
+ *
+ * @param {object} entry - { actor, subject, action, sessionId, reason, method, path, statusCode, ip }
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (entry) => {
+    try {
+        await AuditLog.create(entry);
+    } catch (error) {
+        console.log('Error al registrar la auditoría', entry.action, error);
+    }
+};
+
+/**
+ * requestAuditEntry - Datos de la petición actual para un registro de impersonación
+ *
+ * @param {object} req - Request con req.impersonator y req.user cargados por verifyToken
+ * @param {string} action - Una de AUDIT_ACTIONS
+ * @returns {object} Registro listo para recordAudit
+ */
+export const requestAuditEntry = (req, action) => ({
+    actor: req.impersonator._id,
+    subject: req.user._id,
+    action,
+    sessionId: req.tokenClaims?.jti,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip
+});
@@ -0,0 +1,194 @@
+/**
+ * ==========================================
+ * SERVICIO DE AUTENTICACIÓN (authService.js)
+ * ==========================================
+ * Módulo de autenticación compartido por `src` y `src-class` (este último lo
+ * importa a través de src-class/shared, sin API keys ni impersonación):
+ * - Firma los access tokens con un payload único: { sub, role, jti }
+ * - Lee la cabecera `Authorization` con esquema Bearer (o ApiKey)
+ * - Verifica el token y recarga el usuario desde la base de datos (sin password)
+ * - Firma los tokens de impersonación, que además llevan al administrador en `act`
+ *
+ * No importa modelos: cada variante de la aplicación le pasa su propio
+ * modelo de usuario (ver createAuthenticator), así ambas comparten la lógica
+ * sin registrar dos veces el modelo 'User' en mongoose.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Duración del access token (formato de jsonwebtoken: '15m', '1h', ...).
+const getAccessTokenExpiresIn = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// Duración del token de impersonación; no se renueva, al vencer hay que pedir otro
+const getImpersonationExpiresIn = () => process.env.IMPERSONATION_EXPIRES_IN || '15m';
+
+/**
+ * Códigos de error de authenticate; cada middleware los traduce a su respuesta
+ */
+export const AUTH_ERRORS = {
+    MISSING_CREDENTIALS: 'missing_credentials',               // Sin cabecera Authorization
+    INVALID_SCHEME: 'invalid_scheme',                         // Esquema distinto de Bearer / ApiKey
+    INVALID_TOKEN: 'invalid_token',                           // Firma inválida, token mal formado o de otro propósito
+    TOKEN_EXPIRED: 'token_expired',                           // Access token vencido: hay que usar /api/auth/refresh
+    INVALID_API_KEY: 'invalid_api_key',                       // API key inexistente, revocada o vencida
+    API_KEY_NOT_ALLOWED: 'api_key_not_allowed',               // Esquema ApiKey en una variante que no acepta API keys
+    IMPERSONATION_NOT_ALLOWED: 'impersonation_not_allowed',   // Token de impersonación en una variante que no lo acepta
+    USER_NOT_FOUND: 'user_not_found'                          // El usuario del token ya no existe
+};
+
+/**
+ * signAccessToken - Firma un access token JWT para el usuario
+ *
+ * @param {object} user - Documento de usuario
+ * @returns {string} JWT firmado con { sub, role, jti }
+ */
+export const signAccessToken = (user) => {
+    const payload = {
+        sub: String(user._id),
+        role: user.role,
+        jti: crypto.randomUUID()
+    };
+
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: getAccessTokenExpiresIn() });
+};
+
+/**
+ * signImpersonationToken - Firma un token para ver la API como otro usuario
+ * `sub` es el usuario impersonado (subject) y `act.sub` el administrador que
+ * actúa en su nombre (actor), como el claim `act` de RFC 8693.
+ *
+ * @param {object} actor - Documento del administrador
+ * @param {object} subject - Documento del usuario impersonado
+ * @returns {{token: string, jti: string, expiresAt: Date}}
+ */
+export const signImpersonationToken = (actor, subject) => {
+    const jti = crypto.randomUUID();
+
+    const payload = {
+        sub: String(subject._id),
+        role: subject.role,
+        act: { sub: String(actor._id) },
+        jti
+    };
+
+    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: getImpersonationExpiresIn() });
+
+    return { token, jti, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * parseAuthorizationHeader - Separa el esquema y las credenciales de la cabecera Authorization
+ *
+ * @param {string} [header] - Valor de la cabecera (ej: 'Bearer eyJhbGciOi...')
+ * @returns {{scheme: string, credentials: string}|null} Esquema en minúsculas ('bearer', 'apikey'), o null si no hay cabecera
+ */
+export const parseAuthorizationHeader = (header) => {
+    if (!header || typeof header !== 'string') {
+        return null;
+    }
+
+    const [scheme, ...rest] = header.trim().split(/\s+/);
+
+    return {
+        scheme: scheme.toLowerCase(),
+        credentials: rest.join(' ')
+    };
+};
+
+/**
+ * verifyAccessToken - Verifica la firma y el formato de un access token
+ * Los tokens con `purpose` (challenge tokens del login) no son access tokens.
+ *
+ * @param {string} token - JWT recibido
+ * @returns {{claims?: object, error?: string}}
+ */
+export const verifyAccessToken = (token) => {
+    try {
+        const claims = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (claims.purpose || !claims.sub) {
+            return { error: AUTH_ERRORS.INVALID_TOKEN };
+        }
+
+        return { claims };
+    } catch (error) {
+        return {
+            error: error.name === 'TokenExpiredError' ? AUTH_ERRORS.TOKEN_EXPIRED : AUTH_ERRORS.INVALID_TOKEN
+        };
+    }
+};
+
+/**
+ * createAuthenticator - Crea la función que autentica una petición
+ *
+ * @param {object} options
+ * @param {object} options.User - Modelo de usuario de la variante de la aplicación
+ * @param {Function} [options.authenticateApiKey] - (key, ip) => Promise<{user, apiKey}|null>;
+ *   si no se indica, el esquema ApiKey se rechaza con API_KEY_NOT_ALLOWED
+ * @param {boolean} [options.allowImpersonation=false] - Acepta tokens de impersonación y
+ *   devuelve también el `actor`; si no, esos tokens se rechazan con IMPERSONATION_NOT_ALLOWED
+ * @returns {Function} (req) => Promise<{user, claims?, actor?, apiKey?} | {error}>
+ */
+export const createAuthenticator = ({ User, authenticateApiKey, allowImpersonation = false }) => {
+    return async (req) => {
+        const parsed = parseAuthorizationHeader(req.headers.authorization);
+
+        if (!parsed) {
+            return { error: AUTH_ERRORS.MISSING_CREDENTIALS };
+        }
+
+        const acceptsApiKey = parsed.scheme === 'apikey' && authenticateApiKey;
+
+        if (parsed.scheme === 'apikey' && !acceptsApiKey) {
+            return { error: AUTH_ERRORS.API_KEY_NOT_ALLOWED };
+        }
+
+        if (parsed.scheme !== 'bearer' && !acceptsApiKey) {
+            return { error: AUTH_ERRORS.INVALID_SCHEME };
+        }
+
+        if (!parsed.credentials) {
+            return { error: AUTH_ERRORS.MISSING_CREDENTIALS };
+        }
+
+        // 1. API KEY: integraciones servidor a servidor
+        if (acceptsApiKey) {
+            const result = await authenticateApiKey(parsed.credentials, req.ip);
+
+            return result || { error: AUTH_ERRORS.INVALID_API_KEY };
+        }
+
+        // 2. JWT: verificar firma y expiración
+        const { claims, error } = verifyAccessToken(parsed.credentials);
+
+        if (error) {
+            return { error };
+        }
+
+        // Quien no sabe aplicar las restricciones de la impersonación no debe aceptarla
+        if (claims.act && !allowImpersonation) {
+            return { error: AUTH_ERRORS.IMPERSONATION_NOT_ALLOWED };
+        }
+
+        // 3. RECARGAR USUARIO: el rol y los datos siempre salen de la base de datos
+        const user = await User.findById(claims.sub).select('-password');
+
+        if (!user) {
+            return { error: AUTH_ERRORS.USER_NOT_FOUND };
+        }
+
+        // 4. IMPERSONACIÓN: el administrador que actúa también tiene que seguir existiendo
+        if (claims.act) {
+            const actor = await User.findById(claims.act.sub).select('-password');
+
+            if (!actor) {
+                return { error: AUTH_ERRORS.USER_NOT_FOUND };
+            }
+
+            return { user, claims, actor };
+        }
+
+        return { user, claims };
+    };
+};
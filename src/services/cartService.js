@@ -0,0 +1,186 @@
+/**
+ * ==========================================
+ * SERVICIO DE CARRITO (cartService.js)
+ * ==========================================
+ * Resuelve el carrito de cada petición y arma la vista que se devuelve al cliente:
+ * - Usuario autenticado: su carrito (uno por usuario)
+ * - Invitado: el carrito del token anónimo enviado en la cabecera X-Cart-Token
+ * - Al iniciar sesión, el carrito del invitado se fusiona con el del usuario
+ *
+ * La vista usa siempre el precio y el stock actuales de cada producto.
+ */
+
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+import { hashToken, createOneTimeToken } from './tokenService.js';
+import { findVariant, variantName, variantPrice } from './variantService.js';
+import { roundMoney } from '../config/money.js';
+
+// Cabecera con la que el invitado identifica su carrito
+export const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+// Cantidad máxima de una línea (la misma que validan las rutas del carrito)
+export const MAX_LINE_QUANTITY = 999;
+
+/**
+ * sameLine - Indica si una línea del carrito es de un producto y variante
+ *
+ * @param {object} item - Línea del carrito
+ * @param {string} productId
+ * @param {string} [variantId]
+ * @returns {boolean}
+ */
+export const sameLine = (item, productId, variantId) =>
+    item.product.equals(productId) && String(item.variant || '') === String(variantId || '');
+
+// Días sin cambios tras los que se elimina un carrito de invitado.
+const getGuestCartTtlDays = () => parseInt(process.env.CART_GUEST_TTL_DAYS) || 30;
+
+/**
+ * touchGuestCart - Renueva el vencimiento de un carrito de invitado
+ *
+ * @param {object} cart - Documento de carrito
+ */
+export const touchGuestCart = (cart) => {
+    if (!cart.user) {
+        cart.expiresAt = new Date(Date.now() + getGuestCartTtlDays() * 24 * 60 * 60 * 1000);
+    }
+};
+
+/**
+ * findCart - Busca el carrito de la petición sin crearlo
+ *
+ * @param {object} req - Request (req.user si hay sesión, cabecera X-Cart-Token si es invitado)
+ * @returns {Promise<object|null>} Documento de carrito o null
+ */
+export const findCart = async (req) => {
+    if (req.user) {
+        return Cart.findOne({ user: req.user._id });
+    }
+
+    const guestToken = req.get(CART_TOKEN_HEADER);
+
+    return guestToken ? Cart.findOne({ guestTokenHash: hashToken(guestToken) }) : null;
+};
+
+/**
+ * findOrCreateCart - Busca el carrito de la petición o crea uno vacío
+ * Un invitado sin token (o con un token que ya no existe) recibe un carrito
+ * nuevo con un token nuevo: nunca se usa un token elegido por el cliente.
+ *
+ * @param {object} req - Request
+ * @returns {Promise<{cart: object, cartToken?: string}>} cartToken solo si se creó un carrito de invitado
+ */
+export const findOrCreateCart = async (req) => {
+    const cart = await findCart(req);
+
+    if (cart) {
+        return { cart };
+    }
+
+    if (req.user) {
+        return { cart: new Cart({ user: req.user._id, items: [] }) };
+    }
+
+    const { token, hash } = createOneTimeToken();
+    const guestCart = new Cart({ guestTokenHash: hash, items: [] });
+    touchGuestCart(guestCart);
+
+    return { cart: guestCart, cartToken: token };
+};
+
+/**
+ * buildCartView - Arma la respuesta del carrito con precios y stock actuales
+ *
+ * @param {object|null} cart - Documento de carrito
+ * @returns {Promise<object>} { items, totalItems, subtotal, canCheckout }
+ *   Cada línea: { product, variant, quantity, unitPrice, lineTotal, weight, available, inStock, stock }
+ *   - variant: { _id, sku, name, image } en los productos con variantes (precio y stock son los de la variante)
+ *   - weight: peso unitario en kg (para cotizar el envío)
+ *   - available: el producto existe y está a la venta
+ *   - inStock: hay stock suficiente para la cantidad pedida
+ */
+export const buildCartView = async (cart) => {
+    const cartItems = cart?.items || [];
+
+    const products = await Product.find({ _id: { $in: cartItems.map((item) => item.product) } })
+        .select('name price weight stock isAvailable image variants');
+    const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+    const items = cartItems.map((item) => {
+        const product = productsById.get(String(item.product));
+
+        const variant = product && item.variant ? findVariant(product, item.variant) : null;
+
+        if (!product || (item.variant && !variant)) {
+            // El producto (o la variante) se eliminó después de agregarlo
+            return { product: { _id: item.product }, variant: item.variant && { _id: item.variant }, quantity: item.quantity, available: false, inStock: false };
+        }
+
+        const unitPrice = variantPrice(product, variant);
+        const stock = variant ? variant.stock : product.stock;
+
+        return {
+            product: { _id: product._id, name: product.name, image: product.image },
+            ...(variant && { variant: { _id: variant._id, sku: variant.sku, name: variantName(variant), image: variant.image } }),
+            quantity: item.quantity,
+            unitPrice,
+            lineTotal: roundMoney(unitPrice * item.quantity),
+            weight: product.weight,
+            // Un producto con variantes solo se compra eligiendo una
+            available: product.isAvailable && (variant ? variant.isAvailable : product.variants.length === 0),
+            inStock: stock >= item.quantity,
+            stock
+        };
+    });
+
+    const purchasable = items.filter((item) => item.available);
+
+    return {
+        items,
+        totalItems: purchasable.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: roundMoney(purchasable.reduce((sum, item) => sum + item.lineTotal, 0)),
+        canCheckout: items.length > 0 && items.every((item) => item.available && item.inStock)
+    };
+};
+
+/**
+ * mergeGuestCart - Fusiona el carrito de un invitado con el carrito del usuario
+ * Las cantidades de un mismo producto (y variante) se suman (hasta MAX_LINE_QUANTITY) y el
+ * carrito del invitado se elimina.
+ * Un error al fusionar no interrumpe el login: se informa por consola.
+ *
+ * @param {object} user - Usuario que acaba de iniciar sesión
+ * @param {string} [guestToken] - Valor de la cabecera X-Cart-Token
+ * @returns {Promise<void>}
+ */
+export const mergeGuestCart = async (user, guestToken) => {
+    if (!guestToken) {
+        return;
+    }
+
+    try {
+        const guestCart = await Cart.findOne({ guestTokenHash: hashToken(guestToken) });
+
+        if (!guestCart) {
+            return;
+        }
+
+        const userCart = await Cart.findOne({ user: user._id }) || new Cart({ user: user._id, items: [] });
+
+        for (const guestItem of guestCart.items) {
+            const existing = userCart.items.find((item) => sameLine(item, guestItem.product, guestItem.variant));
+
+            if (existing) {
+                existing.quantity = Math.min(existing.quantity + guestItem.quantity, MAX_LINE_QUANTITY);
+            } else {
+                userCart.items.push({ product: guestItem.product, variant: guestItem.variant, quantity: Math.min(guestItem.quantity, MAX_LINE_QUANTITY) });
+            }
+        }
+
+        await userCart.save();
+        await Cart.deleteOne({ _id: guestCart._id });
+    } catch (error) {
+        console.log('Error al fusionar el carrito del invitado', error);
+    }
+};
@@ -0,0 +1,225 @@
+/**
+ * ==========================================
+ * SERVICIO DE CUPONES (couponService.js)
+ * ==========================================
+ * Calcula y aplica los cupones de descuento al crear una orden
+ * (lo usa orderService.placeOrder dentro de su transacción).
+ *
+ * Un cupón se aplica si está activo y vigente, la orden alcanza el subtotal
+ * mínimo, tiene productos dentro de su alcance y no se superaron sus límites
+ * de uso (global y por usuario). El resultado es una línea de descuento que
+ * se guarda en la orden con el importe ya calculado.
+ *
+ * Los errores de negocio no se lanzan: se devuelven como
+ * { error: { status, message } } para que quien llama responda.
+ */
+
+import Coupon from '../models/Coupon.js';
+import { roundMoney } from '../config/money.js';
+
+/**
+ * isInScope - Indica si una línea de la orden está dentro del alcance del cupón
+ * (sin productos ni categorías, el cupón alcanza a todos)
+ *
+ * @param {object} coupon
+ * @param {{product: object, category?: object}} line
+ * @returns {boolean}
+ */
+const isInScope = (coupon, line) => {
+    if (coupon.products.length === 0 && coupon.categories.length === 0) {
+        return true;
+    }
+
+    return coupon.products.some((id) => String(id) === String(line.product))
+        || coupon.categories.some((id) => String(id) === String(line.category));
+};
+
+/**
+ * calculateDiscount - Importe que descuenta el cupón sobre las líneas de una orden
+ *
+ * @param {object} coupon
+ * @param {Array<{product: object, category?: object, price: number, quantity: number}>} lines
+ * @param {object} [options] - { shippingCost }
+ * @returns {{amount: number, target: string}} target: 'items' o 'shipping'
+ */
+export const calculateDiscount = (coupon, lines, { shippingCost = 0 } = {}) => {
+    if (coupon.type === 'free_shipping') {
+        return { amount: shippingCost, target: 'shipping' };
+    }
+
+    const eligible = lines.filter((line) => isInScope(coupon, line));
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    let amount = 0;
+
+    switch (coupon.type) {
+        case 'percentage':
+            amount = eligibleSubtotal * coupon.value / 100;
+            break;
+        case 'fixed':
+            amount = Math.min(coupon.value, eligibleSubtotal);
+            break;
+        case 'buy_x_get_y': {
+            // Por cada grupo de buyQuantity + getQuantity unidades de un producto, getQuantity son gratis
+            const groupSize = coupon.buyQuantity + coupon.getQuantity;
+
+            amount = eligible.reduce((sum, line) => sum + Math.floor(line.quantity / groupSize) * coupon.getQuantity * line.price, 0);
+            break;
+        }
+    }
+
+    return { amount: roundMoney(amount), target: 'items' };
+};
+
+/**
+ * checkCouponRules - Verifica vigencia, subtotal mínimo y límites de uso
+ *
+ * @param {object} coupon
+ * @param {object} user - Usuario que compra
+ * @param {number} subtotal - Subtotal de la orden
+ * @param {object} [session] - Sesión de la transacción
+ * @returns {Promise<string|null>} Mensaje de error, o null si el cupón se puede usar
+ */
+const checkCouponRules = async (coupon, user, subtotal, session) => {
+    const now = new Date();
+
+    if (!coupon.isActive || (coupon.startsAt && coupon.startsAt > now) || (coupon.expiresAt && coupon.expiresAt <= now)) {
+        return 'El cupón no está vigente';
+    }
+
+    if (subtotal < coupon.minSubtotal) {
+        return `El cupón requiere un subtotal mínimo de ${coupon.minSubtotal}`;
+    }
+
+    if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+        return 'El cupón ya alcanzó su límite de usos';
+    }
+
+    if (coupon.maxUsesPerUser) {
+        // Usos del usuario: su contador en usesByUser (órdenes no canceladas con el cupón)
+        const exhausted = await Coupon.exists({
+            _id: coupon._id,
+            usesByUser: { $elemMatch: { user: user._id, count: { $gte: coupon.maxUsesPerUser } } }
+        }).session(session);
+
+        if (exhausted) {
+            return 'Ya usaste este cupón la cantidad de veces permitida';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * redeemUse - Suma un uso al cupón y al contador del usuario con updates condicionales
+ * Si el usuario ya tiene contador se incrementa solo mientras esté por debajo de
+ * maxUsesPerUser; si no lo tiene se agrega solo si otro pedido no lo agregó antes
+ * (en ese caso se vuelve a intentar sobre el contador recién creado).
+ *
+ * @param {object} coupon
+ * @param {object} user - Usuario que compra
+ * @param {object} [session] - Sesión de la transacción
+ * @returns {Promise<object|null>} El cupón actualizado, o null si no quedan usos
+ */
+const redeemUse = async (coupon, user, session) => {
+    const available = {
+        _id: coupon._id,
+        ...(coupon.maxUses && { usedCount: { $lt: coupon.maxUses } })
+    };
+
+    if (!coupon.maxUsesPerUser) {
+        return Coupon.findOneAndUpdate(available, { $inc: { usedCount: 1 } }, { new: true, session });
+    }
+
+    const incrementUser = () => Coupon.findOneAndUpdate(
+        { ...available, usesByUser: { $elemMatch: { user: user._id, count: { $lt: coupon.maxUsesPerUser } } } },
+        { $inc: { usedCount: 1, 'usesByUser.$.count': 1 } },
+        { new: true, session }
+    );
+
+    const redeemed = await incrementUser()
+        || await Coupon.findOneAndUpdate(
+            { ...available, 'usesByUser.user': { $ne: user._id } },
+            { $inc: { usedCount: 1 }, $push: { usesByUser: { user: user._id, count: 1 } } },
+            { new: true, session }
+        );
+
+    return redeemed || incrementUser();
+};
+
+/**
+ * applyCoupon - Valida un código y reserva un uso del cupón
+ * Debe llamarse dentro de la transacción de la orden: el uso se cuenta con un
+ * update condicional, así dos compras simultáneas no superan maxUses ni maxUsesPerUser.
+ *
+ * @param {string} code - Código enviado por el cliente
+ * @param {object} user - Usuario que compra
+ * @param {Array<{product: object, category?: object, price: number, quantity: number}>} lines - Líneas de la orden
+ * @param {object} [options] - { shippingCost, session }
+ * @returns {Promise<{discount?: object, error?: {status: number, message: string}}>}
+ */
+export const applyCoupon = async (code, user, lines, { shippingCost = 0, session } = {}) => {
+    // 1. BUSCAR CUPÓN
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() }).session(session);
+
+    if (!coupon) {
+        return { error: { status: 404, message: 'Cupón no encontrado' } };
+    }
+
+    // 2. VERIFICAR CONDICIONES
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const ruleError = await checkCouponRules(coupon, user, subtotal, session);
+
+    if (ruleError) {
+        return { error: { status: 400, message: ruleError } };
+    }
+
+    // 3. CALCULAR DESCUENTO
+    const { amount, target } = calculateDiscount(coupon, lines, { shippingCost });
+
+    if (target === 'items' && amount <= 0) {
+        return { error: { status: 400, message: 'El cupón no aplica a ningún producto de la orden' } };
+    }
+
+    // 4. RESERVAR USO: Solo si todavía quedan usos (globales y del usuario)
+    const redeemed = await redeemUse(coupon, user, session);
+
+    if (!redeemed) {
+        return { error: { status: 409, message: 'El cupón ya alcanzó su límite de usos' } };
+    }
+
+    return {
+        discount: {
+            coupon: coupon._id,
+            code: coupon.code,
+            type: coupon.type,
+            description: coupon.description,
+            target,
+            amount
+        }
+    };
+};
+
+/**
+ * releaseCoupons - Devuelve los usos de los cupones de una orden cancelada
+ *
+ * @param {object} order
+ * @param {object} [session] - Sesión de la transacción
+ * @returns {Promise<void>}
+ */
+export const releaseCoupons = async (order, session) => {
+    for (const discount of order.discounts) {
+        if (discount.coupon) {
+            await Coupon.updateOne(
+                { _id: discount.coupon, usedCount: { $gt: 0 } },
+                { $inc: { usedCount: -1 } },
+                { session }
+            );
+
+            await Coupon.updateOne(
+                { _id: discount.coupon, usesByUser: { $elemMatch: { user: order.user, count: { $gt: 0 } } } },
+                { $inc: { 'usesByUser.$.count': -1 } },
+                { session }
+            );
+        }
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * ==========================================
+ * SERVICIO DE VERIFICACIÓN DE EMAIL (emailVerificationService.js)
+ * ==========================================
+ * Genera el token de verificación de un usuario, lo guarda hasheado junto con
+ * su expiración y envía por email el enlace para confirmar la cuenta.
+ * Lo usan el registro (createUser) y el endpoint de reenvío.
+ */
+
+import { createOneTimeToken } from './tokenService.js';
+import { sendMail } from './mailService.js';
+
+/**
+ * getResendCooldownSeconds - Segundos mínimos entre dos envíos al mismo usuario
+ *
+ * @returns {number}
+ */
+export const getResendCooldownSeconds = () => {
+    return parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+};
+
+/**
+ * sendVerificationEmail - Genera un nuevo token de verificación y lo envía por email
+ * Cualquier token anterior queda invalidado al sobrescribirse el hash.
+ *
+ * @param {object} user - Documento de usuario (se guarda dentro de la función)
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user) => {
+    const { token, hash } = createOneTimeToken();
+    const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+    user.emailVerificationTokenHash = hash;
+    user.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT}`;
+    const verifyUrl = `${apiUrl}/api/auth/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Confirma tu email',
+        text: `Para activar tu cuenta confirma tu email ingresando en el siguiente enlace (válido por ${ttlHours} horas):\n\n${verifyUrl}`
+    });
+};
@@ -0,0 +1,168 @@
+/**
+ * ==========================================
+ * SERVICIO DE IDEMPOTENCIA (idempotencyService.js)
+ * ==========================================
+ * Guarda las claves de la cabecera `Idempotency-Key` y la respuesta de la
+ * petición original, para que un reintento con la misma clave no repita la
+ * operación (ej: no cree dos órdenes ni descuente el stock dos veces).
+ * Lo usa el middleware middlewares/idempotency.js.
+ */
+
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+// Horas durante las que se recuerda una clave.
+const getKeyTtlHours = () => parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// Segundos sin renovar tras los que una clave que sigue "en curso" se considera abandonada.
+// Mientras la petición original se ejecuta, keepKeyAlive renueva lockedAt.
+const getLockTimeoutSeconds = () => parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 300;
+
+// Intentos de reserva si la clave existente desaparece antes de poder leerla
+const RESERVE_ATTEMPTS = 3;
+
+/**
+ * stableStringify - JSON con las claves de los objetos ordenadas, para que el
+ * mismo body genere el mismo hash aunque cambie el orden de sus campos
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+
+        return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value ?? null);
+};
+
+/**
+ * hashRequest - Hash de la petición: método, ruta y body
+ *
+ * @param {object} req - Request de Express
+ * @returns {string} Hash SHA-256 hexadecimal
+ */
+export const hashRequest = (req) => {
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.originalUrl} ${stableStringify(req.body)}`)
+        .digest('hex');
+};
+
+/**
+ * reserveKey - Registra la clave antes de ejecutar la petición
+ * Si ya existía, devuelve el registro existente para que el middleware decida
+ * (repetir la respuesta, 409 si sigue en curso, 422 si el body es otro).
+ * Si entre el create y la lectura la clave se liberó (error 5xx) o venció, se vuelve a reservar.
+ * Si la misma petición lleva más de IDEMPOTENCY_LOCK_TIMEOUT_SECONDS en curso sin renovarse
+ * (el proceso cayó a mitad), la toma este reintento con un update condicional: solo uno de
+ * varios la obtiene, y con otro lockOwner la petición original ya no puede guardar su respuesta.
+ *
+ * @param {object} userId - Usuario que envía la petición
+ * @param {string} key - Valor de la cabecera Idempotency-Key
+ * @param {string} requestHash - Resultado de hashRequest
+ * @returns {Promise<{record: object, created: boolean}>}
+ */
+export const reserveKey = async (userId, key, requestHash) => {
+    for (let attempt = 0; attempt < RESERVE_ATTEMPTS; attempt += 1) {
+        try {
+            const record = await IdempotencyKey.create({
+                user: userId,
+                key,
+                requestHash,
+                lockOwner: crypto.randomUUID(),
+                expiresAt: new Date(Date.now() + getKeyTtlHours() * 60 * 60 * 1000)
+            });
+
+            return { record, created: true };
+        } catch (error) {
+            // 11000: clave duplicada, la petición ya se recibió antes
+            if (error.code !== 11000) {
+                throw error;
+            }
+
+            const record = await IdempotencyKey.findOne({ user: userId, key });
+
+            if (!record) {
+                continue;
+            }
+
+            const staleBefore = new Date(Date.now() - getLockTimeoutSeconds() * 1000);
+
+            if (record.status === 'processing' && record.requestHash === requestHash && record.lockedAt <= staleBefore) {
+                const retaken = await IdempotencyKey.findOneAndUpdate(
+                    { _id: record._id, status: 'processing', lockedAt: record.lockedAt },
+                    {
+                        lockOwner: crypto.randomUUID(),
+                        lockedAt: new Date(),
+                        expiresAt: new Date(Date.now() + getKeyTtlHours() * 60 * 60 * 1000)
+                    },
+                    { new: true }
+                );
+
+                if (retaken) {
+                    return { record: retaken, created: true };
+                }
+            }
+
+            return { record, created: false };
+        }
+    }
+
+    throw new Error('No se pudo reservar la clave de idempotencia');
+};
+
+/**
+ * keepKeyAlive - Renueva lockedAt mientras la petición original se ejecuta, para que
+ * una petición lenta (ej: esperando al proveedor de pagos) no se tome como abandonada
+ *
+ * @param {object} record - Registro creado por reserveKey
+ * @returns {() => void} Función que detiene la renovación
+ */
+export const keepKeyAlive = (record) => {
+    const timer = setInterval(() => {
+        IdempotencyKey.updateOne(
+            { _id: record._id, lockOwner: record.lockOwner, status: 'processing' },
+            { lockedAt: new Date() }
+        ).catch((error) => console.log('Error al renovar la clave de idempotencia', error));
+    }, getLockTimeoutSeconds() * 1000 / 3);
+
+    // No impide que el proceso termine
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
+
+/**
+ * saveResponse - Guarda la respuesta de la petición original
+ *
+ * @param {object} record - Registro creado por reserveKey
+ * @param {number} responseStatus - Código HTTP de la respuesta
+ * @param {*} responseBody - Body JSON de la respuesta
+ * @returns {Promise<void>}
+ */
+export const saveResponse = async (record, responseStatus, responseBody) => {
+    // Solo si la clave sigue siendo de esta petición (otra pudo tomarla por vencimiento del bloqueo)
+    await IdempotencyKey.updateOne(
+        { _id: record._id, lockOwner: record.lockOwner },
+        // Se guarda el JSON tal como lo recibió el cliente (los documentos de mongoose pasan por toJSON)
+        { status: 'completed', responseStatus, responseBody: JSON.parse(JSON.stringify(responseBody ?? null)) }
+    );
+};
+
+/**
+ * releaseKey - Libera la clave para que el cliente pueda reintentar
+ * (se usa cuando la petición original falló con un error 5xx)
+ *
+ * @param {object} record - Registro creado por reserveKey
+ * @returns {Promise<void>}
+ */
+export const releaseKey = async (record) => {
+    await IdempotencyKey.deleteOne({ _id: record._id, lockOwner: record.lockOwner });
+};
@@ -0,0 +1,291 @@
+/**
+ * ==========================================
+ * SERVICIO DE FACTURAS (invoiceService.js)
+ * ==========================================
+ * Emite la factura de una orden y la genera en PDF (lo usan
+ * GET /api/orders/:id/invoice.pdf y GET /api/orders/:id/invoice-url).
+ *
+ * La primera descarga asigna el siguiente número de la secuencia "invoice"
+ * (models/Counter.js) y guarda en la orden una copia de los datos del
+ * vendedor y del cliente. El PDF se arma solo con datos guardados en la
+ * orden y con la fecha de emisión como fecha del documento, así que cada
+ * nueva descarga genera exactamente el mismo archivo. Se guarda como archivo
+ * privado (services/storageService.js) y se puede compartir con una URL
+ * firmada que vence.
+ *
+ * Los errores de negocio no se lanzan: se devuelven como
+ * { error: { status, message } } para que quien llama responda.
+ */
+
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import Order from '../models/Order.js';
+import Counter from '../models/Counter.js';
+import { getInvoiceConfig } from '../config/invoice.js';
+import { INVOICEABLE_STATUSES } from '../config/orderStatus.js';
+import { getStorage } from './storageService.js';
+
+// Nombre de la secuencia de números de factura en models/Counter.js
+const INVOICE_COUNTER = 'invoice';
+
+// Moneda de las facturas (la misma que usan los pagos)
+const getInvoiceCurrency = () => process.env.PAYMENT_CURRENCY || 'usd';
+
+/**
+ * Error de negocio lanzado dentro de la transacción para abortarla
+ */
+const invoiceError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * issueInvoice - Asigna número de factura a la orden, si todavía no tiene
+ * El número se toma y se guarda en una misma transacción: si algo falla
+ * la secuencia no avanza, y no quedan huecos en la numeración.
+ *
+ * @param {object} order - Orden con `user` populado (username, email)
+ * @returns {Promise<{order?: object, error?: {status: number, message: string}}>}
+ */
+export const issueInvoice = async (order) => {
+    // 1. YA EMITIDA: Se reutiliza el mismo número
+    if (order.invoice?.number) {
+        return { order };
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+        return { error: { status: 409, message: 'La factura se emite cuando la orden está pagada' } };
+    }
+
+    try {
+        const invoiced = await mongoose.connection.transaction(async (session) => {
+            // 2. SIGUIENTE NÚMERO: $inc es atómico; si otra descarga emite a la vez, la transacción se reintenta
+            const counter = await Counter.findByIdAndUpdate(
+                INVOICE_COUNTER,
+                { $inc: { seq: 1 } },
+                { new: true, upsert: true, session }
+            );
+            const { seller, numberPrefix, numberDigits } = getInvoiceConfig();
+
+            // 3. GUARDAR: Solo si la orden sigue sin factura
+            const updated = await Order.findOneAndUpdate(
+                { _id: order._id, 'invoice.number': { $exists: false } },
+                {
+                    $set: {
+                        invoice: {
+                            number: `${numberPrefix}${String(counter.seq).padStart(numberDigits, '0')}`,
+                            sequence: counter.seq,
+                            issuedAt: new Date(),
+                            currency: getInvoiceCurrency(),
+                            seller,
+                            customer: { name: order.user?.username, email: order.user?.email }
+                        }
+                    }
+                },
+                { new: true, session }
+            );
+
+            if (!updated) {
+                // Otra petición la emitió primero: se deshace el $inc y se usa la suya
+                throw invoiceError(409, 'La factura ya fue emitida');
+            }
+
+            return updated;
+        });
+
+        return { order: invoiced };
+    } catch (error) {
+        if (error.status === 409) {
+            return { order: await Order.findById(order._id) };
+        }
+
+        throw error;
+    }
+};
+
+/**
+ * formatMoney - Importe con dos decimales y la moneda (ej: "USD 1250.00")
+ */
+const formatMoney = (amount, currency) => `${currency.toUpperCase()} ${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * formatDate - Fecha en formato AAAA-MM-DD (UTC), igual en cualquier servidor
+ */
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * renderInvoicePdf - Genera el PDF de una orden ya facturada
+ *
+ * @param {object} order - Orden con `invoice` emitida (ver issueInvoice)
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (order) => new Promise((resolve, reject) => {
+    const { invoice } = order;
+    const currency = invoice.currency || getInvoiceCurrency();
+    const money = (amount) => formatMoney(amount, currency);
+
+    // La fecha del documento es la de emisión: sin ella cada PDF tendría otra fecha y otro ID
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+            Title: `Factura ${invoice.number}`,
+            Author: invoice.seller?.name,
+            CreationDate: invoice.issuedAt
+        }
+    });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    // 1. ENCABEZADO: Número y fecha de emisión
+    doc.font('Helvetica-Bold').fontSize(20).text('FACTURA', left, 50);
+    doc.font('Helvetica').fontSize(10)
+        .text(`Nº ${invoice.number}`, left, 50, { width, align: 'right' })
+        .text(`Fecha: ${formatDate(invoice.issuedAt)}`, { width, align: 'right' })
+        .text(`Orden: ${order._id}`, { width, align: 'right' });
+
+    // 2. VENDEDOR Y CLIENTE
+    const partiesTop = 120;
+    const seller = invoice.seller || {};
+    const address = order.shippingAddress || {};
+
+    doc.font('Helvetica-Bold').text('Vendedor', left, partiesTop);
+    doc.font('Helvetica').text([
+        seller.name,
+        seller.taxId && `CUIT/NIF: ${seller.taxId}`,
+        seller.address,
+        seller.email
+    ].filter(Boolean).join('\n'), { width: width / 2 - 10 });
+
+    doc.font('Helvetica-Bold').text('Cliente', left + width / 2, partiesTop);
+    doc.font('Helvetica').text([
+        invoice.customer?.name,
+        invoice.customer?.email,
+        address.street,
+        [address.postalCode, address.city, address.state].filter(Boolean).join(' '),
+        address.country
+    ].filter(Boolean).join('\n'), left + width / 2, doc.y, { width: width / 2 });
+
+    // 3. ITEMS: Producto, cantidad, precio unitario, impuesto e importe
+    const columns = [
+        { title: 'Producto', x: left, width: width * 0.44, align: 'left' },
+        { title: 'Cant.', x: left + width * 0.44, width: width * 0.1, align: 'right' },
+        { title: 'Precio', x: left + width * 0.54, width: width * 0.16, align: 'right' },
+        { title: 'Impuesto', x: left + width * 0.70, width: width * 0.12, align: 'right' },
+        { title: 'Importe', x: left + width * 0.82, width: width * 0.18, align: 'right' }
+    ];
+    const writeRow = (values, font = 'Helvetica') => {
+        const top = doc.y;
+        let bottom = top;
+
+        doc.font(font);
+        values.forEach((value, index) => {
+            const column = columns[index];
+
+            doc.text(String(value), column.x, top, { width: column.width, align: column.align });
+            bottom = Math.max(bottom, doc.y);
+        });
+        doc.y = bottom + 4;
+    };
+
+    doc.y = Math.max(doc.y, 220);
+    writeRow(columns.map((column) => column.title), 'Helvetica-Bold');
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.y += 4;
+
+    for (const item of order.items) {
+        writeRow([
+            item.productName,
+            item.quantity,
+            money(item.price),
+            item.taxRate ? `${item.taxRate}%${item.taxInclusive ? ' incl.' : ''}` : '-',
+            money(item.price * item.quantity)
+        ]);
+    }
+
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.y += 8;
+
+    // 4. TOTALES: Subtotal, envío, descuentos, impuestos y total
+    const totalLines = [['Subtotal', money(order.subtotal)]];
+
+    if (order.shippingCost || order.shippingMethod?.name) {
+        totalLines.push([`Envío${order.shippingMethod?.name ? ` (${order.shippingMethod.name})` : ''}`, money(order.shippingCost)]);
+    }
+
+    for (const discount of order.discounts || []) {
+        totalLines.push([`Descuento ${discount.code || ''}`.trim(), `-${money(discount.amount)}`]);
+    }
+
+    for (const taxLine of order.taxLines || []) {
+        totalLines.push([
+            `${taxLine.name}${taxLine.inclusive ? ' (incluido en el precio)' : ''}`,
+            money(taxLine.amount)
+        ]);
+    }
+
+    const labelX = left + width * 0.45;
+    const labelWidth = width * 0.37;
+    const amountX = left + width * 0.82;
+    const amountWidth = width * 0.18;
+    const writeTotal = ([label, amount], font = 'Helvetica') => {
+        const top = doc.y;
+
+        doc.font(font)
+            .text(label, labelX, top, { width: labelWidth, align: 'right' })
+            .text(amount, amountX, top, { width: amountWidth, align: 'right' });
+        doc.y += 2;
+    };
+
+    totalLines.forEach((line) => writeTotal(line));
+    doc.y += 4;
+    writeTotal(['Total', money(order.totalPrice)], 'Helvetica-Bold');
+
+    doc.end();
+});
+
+/**
+ * invoiceKey - Clave del PDF de una factura en el almacenamiento (archivo privado)
+ */
+const invoiceKey = (order) => `invoices/${order.invoice.number}.pdf`;
+
+/**
+ * getInvoicePdf - PDF de una orden ya facturada
+ * La primera vez se genera y se guarda como archivo privado; después se lee del almacenamiento.
+ *
+ * @param {object} order - Orden con `invoice` emitida (ver issueInvoice)
+ * @returns {Promise<Buffer>}
+ */
+export const getInvoicePdf = async (order) => {
+    const storage = getStorage();
+    const key = invoiceKey(order);
+
+    try {
+        return await storage.get(key, { visibility: 'private' });
+    } catch (error) {
+        if (error.status !== 404) {
+            throw error;
+        }
+    }
+
+    const pdf = await renderInvoicePdf(order);
+    await storage.put(key, pdf, { contentType: 'application/pdf', visibility: 'private' });
+
+    return pdf;
+};
+
+/**
+ * getInvoiceUrl - URL firmada para descargar el PDF sin token (vence a los STORAGE_SIGNED_URL_TTL_SECONDS)
+ *
+ * @param {object} order - Orden con `invoice` emitida (ver issueInvoice)
+ * @returns {Promise<string>}
+ */
+export const getInvoiceUrl = async (order) => {
+    // El archivo tiene que existir antes de firmar su URL
+    await getInvoicePdf(order);
+
+    return getStorage().signedUrl(invoiceKey(order));
+};
@@ -0,0 +1,267 @@
+/**
+ * ==========================================
+ * SERVICIO DE PROTECCIÓN DE LOGIN (loginAttemptService.js)
+ * ==========================================
+ * Protege /api/auth/login contra ataques de fuerza bruta:
+ * - Cuenta los intentos fallidos por cuenta (email) y por IP en MongoDB
+ * - Aplica una espera progresiva entre intentos fallidos de una misma cuenta
+ *   (1s, 2s, 4s, ... hasta LOGIN_BACKOFF_MAX_SECONDS)
+ * - Bloquea temporalmente la cuenta o la IP al superar el umbral configurado
+ *
+ * Variables de entorno:
+ * - LOGIN_MAX_ATTEMPTS:            fallos por cuenta antes de bloquear (5)
+ * - LOGIN_MAX_ATTEMPTS_PER_IP:     fallos por IP antes de bloquear (20)
+ * - LOGIN_LOCKOUT_MINUTES:         duración del bloqueo (15)
+ * - LOGIN_ATTEMPT_WINDOW_MINUTES:  ventana tras la que se olvidan los fallos (15)
+ * - LOGIN_BACKOFF_BASE_SECONDS:    espera tras el primer fallo (1)
+ * - LOGIN_BACKOFF_MAX_SECONDS:     espera máxima entre intentos (30)
+ */
+
+import LoginAttempt from '../models/LoginAttempt.js';
+
+// Límites de intentos y duración del bloqueo
+const getConfig = () => ({
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    maxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+    lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+    windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000,
+    backoffBaseMs: (parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1) * 1000,
+    backoffMaxMs: (parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 30) * 1000
+});
+
+// Claves de los contadores
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * getBackoffMs - Espera exigida después de `failures` intentos fallidos
+ *
+ * @param {number} failures - Cantidad de fallos acumulados
+ * @param {object} config - Configuración actual
+ * @returns {number} Milisegundos de espera
+ */
+const getBackoffMs = (failures, config) => {
+    if (failures <= 0) {
+        return 0;
+    }
+
+    return Math.min(config.backoffBaseMs * 2 ** (failures - 1), config.backoffMaxMs);
+};
+
+/**
+ * getRetryAt - Calcula desde cuándo se permite un nuevo intento según un contador
+ *
+ * @param {object|null} record - Documento LoginAttempt
+ * @param {boolean} withBackoff - Si se aplica la espera progresiva
+ * @param {object} config - Configuración actual
+ * @returns {{retryAt: Date|null, locked: boolean}}
+ */
+const getRetryAt = (record, withBackoff, config) => {
+    const now = Date.now();
+
+    if (!record) {
+        return { retryAt: null, locked: false };
+    }
+
+    // Bloqueo vigente
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+        return { retryAt: record.lockedUntil, locked: true };
+    }
+
+    // Espera progresiva desde el último fallo
+    if (withBackoff && record.lastFailureAt) {
+        const retryAt = record.lastFailureAt.getTime() + getBackoffMs(record.failures, config);
+        if (retryAt > now) {
+            return { retryAt: new Date(retryAt), locked: false };
+        }
+    }
+
+    return { retryAt: null, locked: false };
+};
+
+/**
+ * toResult - Traduce una fecha de reintento al formato que usa el controlador
+ *
+ * @param {{retryAt: Date|null, locked: boolean}} state
+ * @param {string} scope - 'account' o 'ip'
+ * @returns {{allowed: boolean, locked?: boolean, scope?: string, retryAfter?: number, lockedUntil?: Date}}
+ */
+const toResult = ({ retryAt, locked }, scope) => {
+    if (!retryAt) {
+        return { allowed: true };
+    }
+
+    return {
+        allowed: false,
+        locked,
+        scope,
+        retryAfter: Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000)),
+        lockedUntil: locked ? retryAt : undefined
+    };
+};
+
+/**
+ * checkLoginAllowed - Comprueba si se puede intentar un login para el email y la IP
+ *
+ * @param {string} email - Email recibido en el login
+ * @param {string} ip - IP del cliente
+ * @returns {Promise<object>} { allowed } o { allowed: false, locked, scope, retryAfter, lockedUntil }
+ */
+export const checkLoginAllowed = async (email, ip) => {
+    const config = getConfig();
+
+    const [ipRecord, accountRecord] = await Promise.all([
+        LoginAttempt.findOne({ key: ipKey(ip) }),
+        LoginAttempt.findOne({ key: accountKey(email) })
+    ]);
+
+    // 1. IP: solo se bloquea, sin espera progresiva (una IP puede tener muchos usuarios legítimos)
+    const ipState = getRetryAt(ipRecord, false, config);
+    if (ipState.retryAt) {
+        return toResult(ipState, 'ip');
+    }
+
+    // 2. CUENTA: bloqueo o espera progresiva
+    return toResult(getRetryAt(accountRecord, true, config), 'account');
+};
+
+/**
+ * incrementFailures - Suma un fallo a un contador y lo bloquea si supera el máximo
+ *
+ * @param {string} key - Clave del contador
+ * @param {string} type - 'account' o 'ip'
+ * @param {number} maxAttempts - Umbral de bloqueo
+ * @param {object} config - Configuración actual
+ * @returns {Promise<object>} Documento actualizado
+ */
+const incrementFailures = async (key, type, maxAttempts, config) => {
+    const now = new Date();
+
+    // 1. OLVIDAR FALLOS VIEJOS: Si el último fallo quedó fuera de la ventana y no hay bloqueo vigente
+    await LoginAttempt.updateOne(
+        {
+            key,
+            lastFailureAt: { $lt: new Date(now.getTime() - config.windowMs) },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { failures: 0, lockedUntil: null }
+    );
+
+    // 2. SUMAR EL FALLO: Operación atómica con upsert
+    const addFailure = () => LoginAttempt.findOneAndUpdate(
+        { key },
+        {
+            $inc: { failures: 1 },
+            $set: {
+                type,
+                lastFailureAt: now,
+                expiresAt: new Date(now.getTime() + config.windowMs + config.lockoutMs)
+            }
+        },
+        { upsert: true, new: true }
+    );
+
+    let record;
+
+    try {
+        record = await addFailure();
+    } catch (error) {
+        // Dos primeros fallos a la vez: los dos upserts intentan crear la clave y uno
+        // falla por el índice único; al reintentar el documento ya existe y se actualiza
+        if (error.code !== 11000) {
+            throw error;
+        }
+
+        record = await addFailure();
+    }
+
+    // 3. BLOQUEAR: Al alcanzar el umbral
+    if (record.failures >= maxAttempts) {
+        record.lockedUntil = new Date(now.getTime() + config.lockoutMs);
+        await record.save();
+
+        console.log(`LOGIN LOCKOUT: ${key} bloqueado hasta ${record.lockedUntil.toISOString()} (${record.failures} fallos)`);
+    }
+
+    return record;
+};
+
+/**
+ * registerFailure - Registra un intento de login fallido para el email y la IP
+ *
+ * @param {string} email - Email recibido en el login
+ * @param {string} ip - IP del cliente
+ * @returns {Promise<object>} Resultado con el mismo formato que checkLoginAllowed
+ */
+export const registerFailure = async (email, ip) => {
+    const config = getConfig();
+
+    const [accountRecord, ipRecord] = await Promise.all([
+        incrementFailures(accountKey(email), 'account', config.maxAttempts, config),
+        incrementFailures(ipKey(ip), 'ip', config.maxAttemptsPerIp, config)
+    ]);
+
+    const ipState = getRetryAt(ipRecord, false, config);
+    if (ipState.locked) {
+        return toResult(ipState, 'ip');
+    }
+
+    return toResult(getRetryAt(accountRecord, true, config), 'account');
+};
+
+/**
+ * registerSuccess - Limpia los fallos de la cuenta tras un login correcto
+ * El contador por IP no se limpia para que un atacante con una cuenta válida
+ * no pueda reiniciarlo.
+ *
+ * @param {string} email - Email del usuario autenticado
+ * @returns {Promise<void>}
+ */
+export const registerSuccess = async (email) => {
+    await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+/**
+ * unlockAccount - Elimina el bloqueo y los fallos acumulados de una cuenta
+ *
+ * @param {string} email - Email de la cuenta
+ * @returns {Promise<boolean>} true si había un contador para la cuenta
+ */
+export const unlockAccount = async (email) => {
+    const result = await LoginAttempt.deleteOne({ key: accountKey(email) });
+
+    return result.deletedCount > 0;
+};
+
+/**
+ * sendLoginThrottled - Responde a un intento de login bloqueado o que debe esperar
+ * Siempre incluye la cabecera Retry-After con los segundos de espera.
+ * - 423 si la cuenta o la IP están bloqueadas
+ * - 429 si solo hay que esperar la espera progresiva
+ *
+ * @param {object} res - Objeto Response de Express
+ * @param {object} result - Resultado de checkLoginAllowed o registerFailure
+ * @returns {object} Respuesta JSON
+ */
+export const sendLoginThrottled = (res, result) => {
+    res.set('Retry-After', String(result.retryAfter));
+
+    if (result.locked) {
+        return res.status(423).json({
+            success: false,
+            message: result.scope === 'ip'
+                ? 'Demasiados intentos fallidos desde esta IP, intenta más tarde'
+                : 'Cuenta bloqueada temporalmente por intentos fallidos, intenta más tarde',
+            locked: true,
+            lockedUntil: result.lockedUntil,
+            retryAfter: result.retryAfter
+        });
+    }
+
+    return res.status(429).json({
+        success: false,
+        message: 'Demasiados intentos, espera antes de volver a intentar',
+        locked: false,
+        retryAfter: result.retryAfter
+    });
+};
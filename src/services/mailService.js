@@ -0,0 +1,152 @@
+/**
+ * ==========================================
+ * SERVICIO DE CORREO (mailService.js)
+ * ==========================================
+ * Abstracción para el envío de emails. El resto de la aplicación solo usa
+ * sendMail() y no sabe qué transporte se utiliza por debajo.
+ *
+ * Transportes disponibles (variable de entorno MAIL_TRANSPORT):
+ * - smtp:    envía el correo real mediante nodemailer (SMTP_HOST, SMTP_PORT, ...)
+ * - file:    guarda cada correo como JSON en MAIL_OUTBOX_DIR (útil para tests)
+ * - console: imprime el correo en la consola (valor por defecto fuera de producción).
+ *            Con NODE_ENV=production no se permite: los correos llevan tokens
+ *            (recuperación de contraseña, verificación) que terminarían en los logs.
+ */
+
+import nodemailer from 'nodemailer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+// Configurar __dirname en ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * createSmtpTransport - Transporte que envía correos reales por SMTP
+ *
+ * @returns {{ send: Function }}
+ */
+export const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+/**
+ * createFileTransport - Transporte que escribe cada correo en un archivo JSON
+ *
+ * @param {string} [dir] - Directorio de salida (por defecto MAIL_OUTBOX_DIR o /mail-outbox)
+ * @returns {{ send: Function }}
+ */
+export const createFileTransport = (dir) => {
+    const outboxDir = dir || process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../mail-outbox');
+
+    return {
+        send: async (message) => {
+            // Crear directorio si no existe
+            if (!fs.existsSync(outboxDir)) {
+                fs.mkdirSync(outboxDir, { recursive: true });
+            }
+
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const file = path.join(outboxDir, `mail_${uniqueSuffix}.json`);
+
+            await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+
+            return { messageId: path.basename(file) };
+        }
+    };
+};
+
+/**
+ * createConsoleTransport - Transporte que imprime el correo en la consola
+ *
+ * @returns {{ send: Function }}
+ */
+export const createConsoleTransport = () => {
+    return {
+        send: async (message) => {
+            console.log('=== EMAIL ===');
+            console.log(`Para: ${message.to}`);
+            console.log(`Asunto: ${message.subject}`);
+            console.log(message.text);
+
+            return { messageId: `console-${Date.now()}` };
+        }
+    };
+};
+
+// Transportes registrados por nombre
+const transports = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+// Transporte en uso (se crea la primera vez que se envía un correo)
+let activeTransport = null;
+
+/**
+ * setTransport - Reemplaza el transporte en uso (por ejemplo, en tests)
+ *
+ * @param {{ send: Function }|null} transport - Transporte a usar; null vuelve a leer MAIL_TRANSPORT
+ */
+export const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+/**
+ * getTransport - Devuelve el transporte configurado en MAIL_TRANSPORT
+ *
+ * @returns {{ send: Function }}
+ */
+const getTransport = () => {
+    if (!activeTransport) {
+        const production = process.env.NODE_ENV === 'production';
+        const name = process.env.MAIL_TRANSPORT || (production ? null : 'console');
+
+        if (!name) {
+            throw new Error('Falta configurar MAIL_TRANSPORT');
+        }
+
+        if (production && name === 'console') {
+            throw new Error('MAIL_TRANSPORT=console no se permite en producción');
+        }
+
+        const factory = transports[name];
+
+        if (!factory) {
+            throw new Error(`Transporte de correo desconocido: ${name}`);
+        }
+
+        activeTransport = factory();
+    }
+
+    return activeTransport;
+};
+
+/**
+ * sendMail - Envía un correo con el transporte configurado
+ *
+ * @param {object} message
+ * @param {string} message.to - Destinatario
+ * @param {string} message.subject - Asunto
+ * @param {string} message.text - Cuerpo en texto plano
+ * @param {string} [message.html] - Cuerpo en HTML
+ * @returns {Promise<object>} Información devuelta por el transporte
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    const from = process.env.MAIL_FROM || 'no-reply@localhost';
+
+    return getTransport().send({ from, to, subject, text, html });
+};
@@ -0,0 +1,339 @@
+/**
+ * ==========================================
+ * SERVICIO DE ÓRDENES (orderService.js)
+ * ==========================================
+ * Lógica compartida para crear órdenes y cambiar su estado: la usan
+ * POST /api/orders (items enviados por el cliente), POST /api/cart/checkout
+ * (items del carrito), PATCH /api/orders/:id/status, POST /api/orders/:id/cancel
+ * y los pagos (services/paymentService.js pasa la orden a "paid" o "refunded").
+ * Al pasar una orden a "shipped" se registra el despacho (transportista y
+ * número de seguimiento) en models/Shipment.js.
+ *
+ * El stock se modifica dentro de una transacción de MongoDB con updates
+ * condicionales ($inc solo si alcanza el stock): si un item falla se
+ * deshace todo, y dos compras simultáneas no pueden dejar el stock negativo.
+ * Las transacciones requieren que MongoDB corra como replica set (Atlas ya lo hace).
+ *
+ * Los errores de negocio no se lanzan: se devuelven como
+ * { error: { status, message } } para que cada controlador responda.
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Payment from '../models/Payment.js';
+import Shipment from '../models/Shipment.js';
+import { applyCoupon, releaseCoupons } from './couponService.js';
+import { calculateTaxes } from './taxService.js';
+import { selectShippingMethod } from './shippingService.js';
+import { findVariant, variantName, variantPrice, stockUpdate } from './variantService.js';
+import {
+    ORDER_STATUS,
+    ORDER_STATUS_TIMESTAMPS,
+    RESTOCKABLE_STATUSES,
+    canTransition
+} from '../config/orderStatus.js';
+
+/**
+ * Error de negocio lanzado dentro de la transacción para abortarla;
+ * placeOrder / transitionOrder lo convierten en { error }
+ */
+const orderError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * mergeItems - Agrupa las líneas de un mismo producto (y variante) sumando sus cantidades
+ * (así el stock se verifica contra la cantidad total pedida)
+ *
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ * @returns {Array<{product: string, variant?: string, quantity: number}>}
+ */
+const mergeItems = (items) => {
+    const byProduct = new Map();
+
+    for (const item of items) {
+        const key = `${item.product}:${item.variant || ''}`;
+        const quantity = (byProduct.get(key)?.quantity || 0) + Number(item.quantity);
+
+        byProduct.set(key, { product: item.product, variant: item.variant || undefined, quantity });
+    }
+
+    return [...byProduct.values()];
+};
+
+/**
+ * takeStock - Descuenta el stock de una línea con un update condicional
+ * Con variante usa el stock de la variante; sin variante, el del producto
+ * (que no debe tener variantes: en ese caso hay que elegir una).
+ *
+ * @param {{product: string, variant?: string, quantity: number}} item
+ * @param {object} session
+ * @returns {Promise<object>} Producto actualizado
+ */
+const takeStock = async (item, session) => {
+    const filter = item.variant
+        ? { _id: item.product, isAvailable: true, variants: { $elemMatch: { _id: item.variant, isAvailable: true, stock: { $gte: item.quantity } } } }
+        : { _id: item.product, isAvailable: true, 'variants.0': { $exists: false }, stock: { $gte: item.quantity } };
+    const update = item.variant
+        ? { $inc: { 'variants.$.stock': -item.quantity } }
+        : { $inc: { stock: -item.quantity } };
+
+    const product = await Product.findOneAndUpdate(filter, update, { new: true, session });
+
+    if (product) {
+        return product;
+    }
+
+    // Averiguar el motivo para responder; la transacción deshace lo ya descontado
+    const current = await Product.findById(item.product).session(session);
+
+    if (!current || !current.isAvailable) {
+        throw orderError(404, `Producto con ID ${item.product} no encontrado`);
+    }
+
+    if (!item.variant) {
+        if (current.variants.length > 0) {
+            throw orderError(400, `Debe elegir una variante de ${current.name}`);
+        }
+
+        throw orderError(400, `Stock insuficiente para ${current.name}. Disponible: ${current.stock}, Solicitado: ${item.quantity}`);
+    }
+
+    const variant = findVariant(current, item.variant);
+
+    if (!variant || !variant.isAvailable) {
+        throw orderError(404, `Variante con ID ${item.variant} de ${current.name} no encontrada`);
+    }
+
+    throw orderError(400, `Stock insuficiente para ${current.name} (${variantName(variant)}). Disponible: ${variant.stock}, Solicitado: ${item.quantity}`);
+};
+
+/**
+ * placeOrder - Descuenta el stock y crea la orden en una misma transacción
+ *
+ * @param {object} user - Usuario que compra (req.user)
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items - Productos (y variante) y cantidades
+ * @param {object} [details] - { shippingAddress, shippingMethod: código del método de envío, paymentInfo, couponCode }
+ * @returns {Promise<{order?: object, error?: {status: number, message: string}}>}
+ */
+export const placeOrder = async (user, items, { shippingAddress, shippingMethod, paymentInfo, couponCode } = {}) => {
+    // 1. VERIFICAR ITEMS: Comprobar que hay productos con cantidades válidas
+    if (!items || items.length === 0) {
+        return { error: { status: 400, message: 'La orden debe contener al menos un producto' } };
+    }
+
+    if (items.some((item) => !mongoose.isValidObjectId(item.product) || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1)) {
+        return { error: { status: 400, message: 'Cada item debe tener un producto válido y una cantidad entera mayor a 0' } };
+    }
+
+    if (items.some((item) => item.variant && !mongoose.isValidObjectId(item.variant))) {
+        return { error: { status: 400, message: 'El id de la variante no es válido' } };
+    }
+
+    try {
+        const order = await mongoose.connection.transaction(async (session) => {
+            const orderItems = [];
+
+            // 2. DESCONTAR STOCK: Update condicional, solo si el producto (o la variante) está a la venta y alcanza el stock
+            for (const item of mergeItems(items)) {
+                const product = await takeStock(item, session);
+                const variant = item.variant ? findVariant(product, item.variant) : null;
+
+                orderItems.push({
+                    product: product._id,
+                    quantity: item.quantity,
+                    price: variantPrice(product, variant),
+                    productName: product.name,
+                    ...(variant && { variant: variant._id, sku: variant.sku, variantName: variantName(variant) }),
+                    // Solo para cupones, impuestos por categoría y tarifas de envío: el esquema del item no los guarda
+                    category: product.category,
+                    weight: product.weight
+                });
+            }
+
+            // 3. CALCULAR ENVÍO: Método elegido y su costo según la tarifa de la zona
+            //    (obligatorio: sin zona que cubra la dirección no se puede comprar)
+            const shipping = await selectShippingMethod(orderItems, shippingAddress, shippingMethod, { session });
+
+            if (shipping.error) {
+                throw orderError(shipping.error.status, shipping.error.message);
+            }
+
+            // 4. APLICAR CUPÓN: El descuento se guarda en la orden y el uso se cuenta en la misma transacción
+            const discounts = [];
+
+            if (couponCode) {
+                const { discount, error } = await applyCoupon(couponCode, user, orderItems, { shippingCost: shipping.shippingCost, session });
+
+                if (error) {
+                    throw orderError(error.status, error.message);
+                }
+
+                discounts.push(discount);
+            }
+
+            // 5. CALCULAR IMPUESTOS: Según la dirección de envío, sobre el precio ya descontado
+            const itemDiscountTotal = discounts
+                .filter((discount) => discount.target === 'items')
+                .reduce((sum, discount) => sum + discount.amount, 0);
+            const { itemTaxes, taxLines, error: taxError } = await calculateTaxes(orderItems, shippingAddress, { itemDiscountTotal, session });
+
+            if (taxError) {
+                throw orderError(taxError.status, taxError.message);
+            }
+
+            orderItems.forEach((item, index) => Object.assign(item, itemTaxes[index]));
+
+            // 6. CREAR LA ORDEN: Los totales (subtotal, descuentos, impuestos y total) se calculan en el modelo
+            const [created] = await Order.create([{
+                user: user._id,
+                items: orderItems,
+                shippingAddress,
+                shippingMethod: shipping.shippingMethod,
+                shippingCost: shipping.shippingCost,
+                // El estado del pago no lo elige el cliente: lo confirma el proveedor (ver paymentService)
+                paymentInfo: { method: paymentInfo?.method },
+                discounts,
+                taxLines,
+                statusHistory: [{ status: ORDER_STATUS.PENDING, changedBy: user._id }]
+            }], { session });
+
+            return created;
+        });
+
+        return { order };
+    } catch (error) {
+        if (error.status) {
+            return { error: { status: error.status, message: error.message } };
+        }
+
+        throw error;
+    }
+};
+
+/**
+ * STATUS_EFFECTS - Cambios extra que acompañan a la entrada en cada estado
+ * (las fechas por estado y el historial se agregan siempre en transitionOrder)
+ */
+const STATUS_EFFECTS = {
+    [ORDER_STATUS.PAID]: { 'paymentInfo.status': 'completed' },
+    [ORDER_STATUS.REFUNDED]: { 'paymentInfo.status': 'refunded' }
+};
+
+/**
+ * STATUS_GUARDS - Condiciones que debe cumplir la orden para entrar a un estado
+ * Devuelven (como promesa) el mensaje de error, o null si se puede pasar.
+ */
+const STATUS_GUARDS = {
+    // Pagada: con un pago confirmado por el proveedor, o en efectivo (lo registra un administrador)
+    [ORDER_STATUS.PAID]: async (order, session) => {
+        if (order.paymentInfo?.method === 'cash') {
+            return null;
+        }
+
+        const paid = await Payment.exists({ order: order._id, status: 'succeeded' }).session(session);
+
+        return paid ? null : 'La orden no tiene un pago confirmado por el proveedor';
+    },
+    [ORDER_STATUS.SHIPPED]: async (order) => order.shippingAddress?.street && order.shippingAddress?.country
+        ? null
+        : 'La orden no tiene dirección de envío completa (calle y país)',
+    // Reembolsada: el dinero cobrado por el proveedor se devuelve antes (POST /api/payments/:id/refund)
+    [ORDER_STATUS.REFUNDED]: async (order, session) => {
+        const charged = await Payment.exists({ order: order._id, status: { $in: ['succeeded', 'partially_refunded'] } }).session(session);
+
+        return charged ? 'La orden tiene pagos sin reembolsar en el proveedor' : null;
+    }
+};
+
+/**
+ * transitionOrder - Cambia el estado de una orden respetando la máquina de estados
+ * Todo ocurre en una transacción: el cambio de estado es condicional (si otro
+ * cambio llegó antes responde 409) y, al cancelar o reembolsar una orden que
+ * todavía no se envió, se devuelve su stock una sola vez. Al enviarla se
+ * registra el despacho en la misma transacción.
+ *
+ * @param {object} order - Orden (ya verificados los permisos)
+ * @param {string} status - Estado al que se quiere pasar
+ * @param {object} [options] - { changedBy: ID del usuario que hace el cambio, note,
+ *                               shipment: { carrier, trackingNumber, trackingUrl } (obligatorio al enviar) }
+ * @returns {Promise<{order?: object, error?: {status: number, message: string}}>}
+ */
+export const transitionOrder = async (order, status, { changedBy, note, shipment } = {}) => {
+    if (status === ORDER_STATUS.SHIPPED && (!shipment?.carrier || !shipment?.trackingNumber)) {
+        return { error: { status: 400, message: 'Para enviar la orden debe indicar el transportista y el número de seguimiento' } };
+    }
+
+    try {
+        const updated = await mongoose.connection.transaction(async (session) => {
+            // 1. VERIFICAR TRANSICIÓN: Contra el estado actual en la base de datos
+            const current = await Order.findById(order._id).session(session);
+
+            if (!current) {
+                throw orderError(404, 'Orden no encontrada');
+            }
+
+            if (!canTransition(current.status, status)) {
+                throw orderError(409, `No se puede pasar una orden de "${current.status}" a "${status}"`);
+            }
+
+            const guardError = await STATUS_GUARDS[status]?.(current, session);
+
+            if (guardError) {
+                throw orderError(409, guardError);
+            }
+
+            // 2. CAMBIAR ESTADO: Solo si nadie lo cambió mientras tanto
+            const changed = await Order.findOneAndUpdate(
+                { _id: current._id, status: current.status },
+                {
+                    $set: {
+                        status,
+                        [ORDER_STATUS_TIMESTAMPS[status]]: new Date(),
+                        ...STATUS_EFFECTS[status]
+                    },
+                    $push: { statusHistory: { status, from: current.status, changedBy, note } }
+                },
+                { new: true, runValidators: true, session }
+            );
+
+            if (!changed) {
+                throw orderError(409, 'La orden cambió de estado mientras se procesaba el pedido');
+            }
+
+            // 3. REGISTRAR DESPACHO: Transportista y número de seguimiento del envío
+            if (status === ORDER_STATUS.SHIPPED) {
+                await Shipment.create([{
+                    order: changed._id,
+                    carrier: shipment.carrier,
+                    trackingNumber: shipment.trackingNumber,
+                    trackingUrl: shipment.trackingUrl,
+                    createdBy: changedBy
+                }], { session });
+            }
+
+            // 4. LIBERAR CUPONES: Una orden cancelada no cuenta como uso
+            if (status === ORDER_STATUS.CANCELLED) {
+                await releaseCoupons(changed, session);
+            }
+
+            // 5. DEVOLVER STOCK: Cancelación o reembolso antes del envío (los productos eliminados se ignoran)
+            const leavesOrder = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(status);
+
+            if (leavesOrder && RESTOCKABLE_STATUSES.includes(current.status)) {
+                for (const item of changed.items) {
+                    await Product.updateOne(...stockUpdate(item, item.quantity), { session });
+                }
+            }
+
+            return changed;
+        });
+
+        return { order: updated };
+    } catch (error) {
+        if (error.status) {
+            return { error: { status: error.status, message: error.message } };
+        }
+
+        throw error;
+    }
+};
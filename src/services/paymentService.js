@@ -0,0 +1,485 @@
+/**
+ * ==========================================
+ * SERVICIO DE PAGOS (paymentService.js)
+ * ==========================================
+ * Abstracción de los proveedores de pago. El resto de la aplicación solo usa
+ * las funciones de este servicio y no sabe qué proveedor cobra por debajo.
+ *
+ * Cada proveedor implementa la misma interfaz:
+ * - createIntent({ amount, currency, orderId }) → { providerPaymentId, clientSecret }
+ * - capture(providerPaymentId)                  → { status: 'succeeded' | 'failed', failureReason }
+ * - refund(providerPaymentId, { amount })       → { providerRefundId }
+ * - verifyWebhook(rawBody, headers)             → evento normalizado o null si la firma no es válida
+ *   El evento normalizado es { id, type, providerPaymentId, failureReason }, con
+ *   type 'payment.succeeded' o 'payment.failed'.
+ *
+ * Proveedores disponibles (variable de entorno PAYMENT_PROVIDER):
+ * - mock: no llama a ningún servicio externo (desarrollo y tests); sus webhooks
+ *         se firman con PAYMENT_MOCK_WEBHOOK_SECRET (valor por defecto)
+ *
+ * Los errores de negocio no se lanzan: se devuelven como
+ * { error: { status, message } } para que cada controlador responda.
+ */
+
+import crypto from 'crypto';
+import Payment from '../models/Payment.js';
+import Order from '../models/Order.js';
+import { transitionOrder } from './orderService.js';
+import { ORDER_STATUS, canTransition } from '../config/orderStatus.js';
+import { toCents } from '../config/money.js';
+
+// Moneda de los pagos y tolerancia de la firma de los webhooks del proveedor mock
+const getPaymentCurrency = () => process.env.PAYMENT_CURRENCY || 'usd';
+const getMockWebhookTolerance = () => parseInt(process.env.PAYMENT_MOCK_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// Minutos tras los que vence la marca de un reembolso en curso (ver refundPayment)
+const REFUND_CLAIM_MINUTES = 10;
+
+// Cabecera con la firma de los webhooks del proveedor mock: "t=<timestamp>,v1=<hmac>"
+export const MOCK_SIGNATURE_HEADER = 'X-Mock-Signature';
+
+/**
+ * signMockWebhook - Firma el body de un webhook del proveedor mock
+ * (lo usa el propio proveedor para verificar y sirve para simular eventos en desarrollo)
+ *
+ * @param {string} rawBody - Body JSON tal como se envía
+ * @param {object} [options] - { secret, timestamp: segundos desde epoch }
+ * @returns {string} Valor de la cabecera X-Mock-Signature
+ */
+export const signMockWebhook = (rawBody, { secret = process.env.PAYMENT_MOCK_WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+    const signature = crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${rawBody}`)
+        .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * createMockProvider - Proveedor que simula un gateway sin salir del servidor
+ * Los pagos quedan pendientes hasta que se capturan o llega un webhook firmado.
+ *
+ * @returns {object} Proveedor con la interfaz descrita arriba
+ */
+export const createMockProvider = () => {
+    const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+        createIntent: async () => {
+            const providerPaymentId = randomId('mock_pi');
+
+            return {
+                providerPaymentId,
+                clientSecret: `${providerPaymentId}_secret_${crypto.randomBytes(12).toString('hex')}`
+            };
+        },
+
+        capture: async () => ({ status: 'succeeded' }),
+
+        refund: async () => ({ providerRefundId: randomId('mock_re') }),
+
+        verifyWebhook: (rawBody, headers) => {
+            const secret = process.env.PAYMENT_MOCK_WEBHOOK_SECRET;
+            const header = headers[MOCK_SIGNATURE_HEADER.toLowerCase()];
+
+            // Sin secreto configurado no se acepta ningún webhook
+            if (!secret || !header || !rawBody) {
+                return null;
+            }
+
+            const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+            const timestamp = parseInt(parts.t);
+
+            // Firma vieja: puede ser un webhook capturado y reenviado
+            if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > getMockWebhookTolerance()) {
+                return null;
+            }
+
+            const expected = Buffer.from(signMockWebhook(rawBody.toString(), { secret, timestamp }));
+            const received = Buffer.from(header);
+
+            if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+                return null;
+            }
+
+            const event = JSON.parse(rawBody.toString());
+
+            return {
+                id: event.id,
+                type: event.type,
+                providerPaymentId: event.data?.paymentId,
+                failureReason: event.data?.failureReason
+            };
+        }
+    };
+};
+
+// Proveedores registrados por nombre
+const providers = {
+    mock: createMockProvider
+};
+
+// Proveedores ya creados (se crean la primera vez que se usan)
+const activeProviders = {};
+
+/**
+ * setProvider - Reemplaza un proveedor (por ejemplo, en tests)
+ *
+ * @param {string} name - Nombre del proveedor
+ * @param {object|null} provider - Proveedor a usar; null vuelve a crear el registrado
+ */
+export const setProvider = (name, provider) => {
+    activeProviders[name] = provider;
+};
+
+/**
+ * getProvider - Devuelve el proveedor con ese nombre, o null si no existe
+ *
+ * @param {string} name
+ * @returns {object|null}
+ */
+const getProvider = (name) => {
+    if (!activeProviders[name]) {
+        if (!Object.hasOwn(providers, name)) {
+            return null;
+        }
+
+        activeProviders[name] = providers[name]();
+    }
+
+    return activeProviders[name];
+};
+
+/**
+ * createPaymentIntent - Inicia el cobro de una orden pendiente en el proveedor
+ * configurado en PAYMENT_PROVIDER
+ * Si la orden ya tiene un pago pendiente se devuelve ese mismo (con su clientSecret)
+ * en lugar de crear otro, y si ya tiene uno cobrado se rechaza: una orden no se cobra dos veces.
+ *
+ * @param {object} order - Orden a cobrar (ya verificados los permisos)
+ * @returns {Promise<{payment?: object, clientSecret?: string, error?: {status: number, message: string}}>}
+ */
+export const createPaymentIntent = async (order) => {
+    if (order.status !== ORDER_STATUS.PENDING) {
+        return { error: { status: 409, message: `Solo se pueden pagar órdenes pendientes (estado actual: ${order.status})` } };
+    }
+
+    // Pago pendiente o cobrado de la orden (un pago fallido no impide reintentar)
+    const findOpenPayment = () => Payment.findOne({
+        order: order._id,
+        status: { $in: ['pending', 'succeeded'] }
+    }).select('+clientSecret');
+
+    const existing = await findOpenPayment();
+
+    if (existing?.status === 'succeeded') {
+        return { error: { status: 409, message: 'La orden ya tiene un pago cobrado' } };
+    }
+
+    if (existing) {
+        return { payment: existing, clientSecret: existing.clientSecret };
+    }
+
+    const providerName = process.env.PAYMENT_PROVIDER || 'mock';
+    const provider = getProvider(providerName);
+
+    if (!provider) {
+        throw new Error(`Proveedor de pagos desconocido: ${providerName}`);
+    }
+
+    const currency = getPaymentCurrency();
+    const { providerPaymentId, clientSecret } = await provider.createIntent({
+        amount: order.totalPrice,
+        currency,
+        orderId: order._id.toString()
+    });
+
+    try {
+        const payment = await Payment.create({
+            order: order._id,
+            user: order.user,
+            provider: providerName,
+            providerPaymentId,
+            amount: order.totalPrice,
+            currency,
+            clientSecret
+        });
+
+        return { payment, clientSecret };
+    } catch (error) {
+        // Otro intento simultáneo creó antes el pago pendiente de la orden: se usa ese
+        if (error.code === 11000) {
+            const winner = await findOpenPayment();
+
+            if (winner?.status === 'succeeded') {
+                return { error: { status: 409, message: 'La orden ya tiene un pago cobrado' } };
+            }
+
+            if (winner) {
+                return { payment: winner, clientSecret: winner.clientSecret };
+            }
+        }
+
+        throw error;
+    }
+};
+
+/**
+ * markPaymentSucceeded - Registra un pago confirmado y pasa la orden a "paid"
+ * Si el pago ya no estaba pendiente no hace nada (ej: webhook y captura a la vez).
+ * Si la orden se canceló mientras se pagaba, el pago se reembolsa en el proveedor.
+ *
+ * @param {object} payment
+ * @param {object} [options] - { changedBy, note } para el historial de la orden
+ * @returns {Promise<{payment: object, order?: object}>}
+ */
+const markPaymentSucceeded = async (payment, { changedBy, note } = {}) => {
+    const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'pending' },
+        { status: 'succeeded', succeededAt: new Date() },
+        { new: true }
+    );
+
+    if (!updated) {
+        return { payment: await Payment.findById(payment._id) };
+    }
+
+    const { order, error } = await transitionOrder({ _id: updated.order }, ORDER_STATUS.PAID, { changedBy, note });
+
+    if (!error) {
+        return { payment: updated, order };
+    }
+
+    // Orden cancelada mientras se pagaba: el cliente no recibe nada, se le devuelve el dinero
+    const current = await Order.findById(updated.order);
+
+    if (current?.status === ORDER_STATUS.CANCELLED) {
+        const refunded = await refundPayment(updated, { reason: 'La orden se canceló antes de confirmarse el pago', createdBy: changedBy });
+
+        if (!refunded.error) {
+            return { payment: refunded.payment, order: current };
+        }
+
+        console.log(`pago ${updated._id} cobrado sobre la orden cancelada ${updated.order} no se pudo reembolsar: ${refunded.error.message}`);
+    } else {
+        // El dinero ya se cobró: la orden se revisa a mano
+        console.log(`pago ${updated._id} confirmado pero la orden ${updated.order} no pasó a paid: ${error.message}`);
+    }
+
+    return { payment: updated, order: current };
+};
+
+/**
+ * markPaymentFailed - Registra un pago rechazado
+ * La orden sigue pendiente (se puede reintentar el pago); su paymentInfo.status queda en "failed".
+ *
+ * @param {object} payment
+ * @param {string} [failureReason] - Motivo informado por el proveedor
+ * @returns {Promise<{payment: object}>}
+ */
+const markPaymentFailed = async (payment, failureReason) => {
+    const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'pending' },
+        { status: 'failed', failedAt: new Date(), failureReason },
+        { new: true }
+    );
+
+    if (!updated) {
+        return { payment: await Payment.findById(payment._id) };
+    }
+
+    await Order.updateOne(
+        { _id: updated.order, status: ORDER_STATUS.PENDING },
+        { 'paymentInfo.status': 'failed' }
+    );
+
+    return { payment: updated };
+};
+
+/**
+ * capturePayment - Captura en el proveedor un pago pendiente
+ *
+ * @param {object} payment
+ * @param {object} [options] - { changedBy: usuario que captura }
+ * @returns {Promise<{payment?: object, order?: object, error?: {status: number, message: string}}>}
+ */
+export const capturePayment = async (payment, { changedBy } = {}) => {
+    if (payment.status !== 'pending') {
+        return { error: { status: 409, message: `El pago no está pendiente (estado actual: ${payment.status})` } };
+    }
+
+    const provider = getProvider(payment.provider);
+    const { status, failureReason } = await provider.capture(payment.providerPaymentId);
+
+    if (status === 'succeeded') {
+        return markPaymentSucceeded(payment, { changedBy, note: `Pago capturado en ${payment.provider}` });
+    }
+
+    return markPaymentFailed(payment, failureReason);
+};
+
+/**
+ * refundPayment - Reembolsa en el proveedor todo o parte de un pago cobrado
+ * Suma el monto a order.refundedAmount y, si con esto se reembolsa el total del pago,
+ * la orden pasa a "refunded" (y devuelve el stock si no se envió). Una orden cancelada
+ * (pago cobrado después de cancelarla) sigue cancelada.
+ * El pago se reserva con refundingAt antes de llamar al proveedor: un segundo
+ * reembolso simultáneo recibe 409 en lugar de mover el dinero otra vez.
+ *
+ * @param {object} payment
+ * @param {object} [options] - { amount: por defecto lo que falta reembolsar, reason, createdBy }
+ * @returns {Promise<{payment?: object, order?: object, error?: {status: number, message: string}}>}
+ */
+export const refundPayment = async (payment, { amount, reason, createdBy } = {}) => {
+    // 1. RESERVAR EL PAGO: Marca condicional para que dos reembolsos a la vez no muevan dinero dos veces
+    const now = new Date();
+    const claimed = await Payment.findOneAndUpdate(
+        {
+            _id: payment._id,
+            status: { $in: ['succeeded', 'partially_refunded'] },
+            $or: [
+                { refundingAt: null },
+                { refundingAt: { $lt: new Date(now.getTime() - REFUND_CLAIM_MINUTES * 60 * 1000) } }
+            ]
+        },
+        { refundingAt: now },
+        { new: true }
+    );
+
+    if (!claimed) {
+        const current = await Payment.findById(payment._id);
+
+        if (current && !['succeeded', 'partially_refunded'].includes(current.status)) {
+            return { error: { status: 409, message: `No se puede reembolsar un pago en estado "${current.status}"` } };
+        }
+
+        return { error: { status: 409, message: 'El pago ya se está reembolsando o cambió de estado' } };
+    }
+
+    const release = () => Payment.updateOne({ _id: claimed._id, refundingAt: now }, { refundingAt: null });
+
+    try {
+        // 2. VERIFICAR MONTO: Sobre los montos ya reservados, en centavos enteros (en coma flotante 30.3 - 0.1 no es 30.2)
+        const remainingCents = toCents(claimed.amount) - toCents(claimed.refundedAmount);
+        const refundCents = amount === undefined ? remainingCents : toCents(amount);
+
+        if (refundCents <= 0 || refundCents > remainingCents) {
+            await release();
+            return { error: { status: 400, message: `El monto a reembolsar debe ser mayor a 0 y como máximo ${remainingCents / 100}` } };
+        }
+
+        const refundAmount = refundCents / 100;
+
+        // 3. VERIFICAR ORDEN: Un reembolso total debe poder pasar la orden a "refunded" antes de mover el dinero
+        const fullRefund = refundCents === remainingCents;
+        const order = await Order.findById(claimed.order);
+        const cancelled = order.status === ORDER_STATUS.CANCELLED;
+
+        if (fullRefund && !cancelled && !canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+            await release();
+            return { error: { status: 409, message: `No se puede reembolsar una orden en estado "${order.status}"` } };
+        }
+
+        // 4. REEMBOLSAR: En el proveedor y luego en el registro, liberando la marca
+        const { providerRefundId } = await getProvider(claimed.provider).refund(claimed.providerPaymentId, { amount: refundAmount });
+
+        const updated = await Payment.findOneAndUpdate(
+            { _id: claimed._id, refundingAt: now },
+            {
+                $push: { refunds: { providerRefundId, amount: refundAmount, reason, createdBy } },
+                $set: {
+                    refundedAmount: (toCents(claimed.refundedAmount) + refundCents) / 100,
+                    status: fullRefund ? 'refunded' : 'partially_refunded',
+                    refundingAt: null
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            // Solo pasa si la marca venció durante la llamada al proveedor
+            console.log(`reembolso ${providerRefundId} hecho en ${claimed.provider} pero el pago ${claimed._id} perdió la reserva mientras tanto`);
+            return { error: { status: 409, message: 'El pago cambió mientras se procesaba el reembolso' } };
+        }
+
+        // La orden puede tener reembolsos de varios pagos: se suma y se redondea en la misma operación
+        await Order.updateOne({ _id: order._id }, [
+            { $set: { refundedAmount: { $round: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, 2] } } }
+        ]);
+
+        if (!fullRefund || cancelled) {
+            return { payment: updated };
+        }
+
+        // 5. ORDEN: Reembolso total
+        const { order: refundedOrder, error } = await transitionOrder(order, ORDER_STATUS.REFUNDED, { changedBy: createdBy, note: reason });
+
+        if (error) {
+            console.log(`pago ${updated._id} reembolsado pero la orden ${order._id} no pasó a refunded: ${error.message}`);
+        }
+
+        return { payment: updated, order: refundedOrder };
+    } catch (error) {
+        await release();
+        throw error;
+    }
+};
+
+/**
+ * handleWebhook - Verifica y aplica un webhook enviado por un proveedor
+ * Un evento ya procesado (el proveedor puede reenviarlo) se ignora.
+ *
+ * @param {string} providerName - Nombre del proveedor (parámetro de la ruta)
+ * @param {Buffer} rawBody - Body sin parsear (la firma se calcula sobre él)
+ * @param {object} headers - Cabeceras de la petición
+ * @returns {Promise<{result?: string, error?: {status: number, message: string}}>}
+ */
+export const handleWebhook = async (providerName, rawBody, headers) => {
+    // 1. VERIFICAR FIRMA
+    const provider = getProvider(providerName);
+
+    if (!provider) {
+        return { error: { status: 404, message: `Proveedor de pagos desconocido: ${providerName}` } };
+    }
+
+    let event;
+
+    try {
+        event = provider.verifyWebhook(rawBody, headers);
+    } catch (error) {
+        event = null;
+    }
+
+    if (!event?.id || !event.providerPaymentId) {
+        return { error: { status: 400, message: 'Firma o contenido del webhook inválido' } };
+    }
+
+    if (!['payment.succeeded', 'payment.failed'].includes(event.type)) {
+        return { result: 'ignored' };
+    }
+
+    // 2. BUSCAR PAGO Y MARCAR EL EVENTO: Solo el primero que lo marca lo aplica
+    const payment = await Payment.findOneAndUpdate(
+        { provider: providerName, providerPaymentId: event.providerPaymentId, processedEvents: { $ne: event.id } },
+        { $push: { processedEvents: event.id } },
+        { new: true }
+    );
+
+    if (!payment) {
+        const exists = await Payment.exists({ provider: providerName, providerPaymentId: event.providerPaymentId });
+        return { result: exists ? 'duplicate' : 'ignored' };
+    }
+
+    // 3. APLICAR EVENTO: Si falla se desmarca para que el reenvío del proveedor lo vuelva a intentar
+    try {
+        if (event.type === 'payment.succeeded') {
+            await markPaymentSucceeded(payment, { note: `Pago confirmado por ${providerName}` });
+        } else {
+            await markPaymentFailed(payment, event.failureReason);
+        }
+    } catch (error) {
+        await Payment.updateOne({ _id: payment._id }, { $pull: { processedEvents: event.id } });
+        throw error;
+    }
+
+    return { result: 'processed' };
+};
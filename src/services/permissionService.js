@@ -0,0 +1,90 @@
+/**
+ * ==========================================
+ * SERVICIO DE PERMISOS (permissionService.js)
+ * ==========================================
+ * Resuelve los permisos de un rol a partir de la colección `roles`,
+ * con una caché en memoria de corta duración para no consultar la base
+ * de datos en cada petición, y crea los roles por defecto al iniciar.
+ */
+
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { DEFAULT_ROLES, ADMIN_ROLE, LEGACY_ROLE_ALIASES } from '../config/permissions.js';
+
+// Tiempo de vida de la caché de permisos
+const CACHE_TTL_MS = 30 * 1000;
+
+// Caché: nombre de rol -> { permissions, expiresAt }
+const cache = new Map();
+
+/**
+ * getRolePermissions - Devuelve los permisos de un rol
+ *
+ * @param {string} roleName - Nombre del rol (User.role)
+ * @returns {Promise<string[]>} Permisos del rol (vacío si el rol no existe)
+ */
+export const getRolePermissions = async (roleName) => {
+    if (!roleName) {
+        return [];
+    }
+
+    const cached = cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name: roleName }).lean();
+    const permissions = role ? role.permissions : [];
+
+    cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return permissions;
+};
+
+/**
+ * clearPermissionCache - Vacía la caché (se llama al modificar roles)
+ */
+export const clearPermissionCache = () => {
+    cache.clear();
+};
+
+/**
+ * hasPermission - Indica si la petición tiene un permiso
+ * Usa los permisos que cargó el middleware requirePermission en `req.permissions`.
+ *
+ * @param {object} req - Objeto Request de Express
+ * @param {string} permission - Permiso a comprobar
+ * @returns {boolean}
+ */
+export const hasPermission = (req, permission) => {
+    return Array.isArray(req.permissions) && req.permissions.includes(permission);
+};
+
+/**
+ * seedDefaultRoles - Crea los roles por defecto y migra los nombres de rol antiguos
+ * - Los roles que no existen se crean con sus permisos por defecto
+ * - El rol admin se resincroniza siempre con todos los permisos
+ * - Los usuarios con 'ADMIN_ROLE' / 'USER_ROLE' pasan a 'admin' / 'user'
+ *
+ * @returns {Promise<void>}
+ */
+export const seedDefaultRoles = async () => {
+    try {
+        for (const role of DEFAULT_ROLES) {
+            const update = role.name === ADMIN_ROLE
+                ? { $set: { permissions: role.permissions, isSystem: true }, $setOnInsert: { description: role.description } }
+                : { $setOnInsert: role };
+
+            await Role.updateOne({ name: role.name }, update, { upsert: true });
+        }
+
+        for (const [legacyName, roleName] of Object.entries(LEGACY_ROLE_ALIASES)) {
+            await User.updateMany({ role: legacyName }, { role: roleName });
+        }
+
+        clearPermissionCache();
+        console.log('Roles por defecto verificados');
+    } catch (error) {
+        console.log('Error al crear los roles por defecto', error);
+    }
+};
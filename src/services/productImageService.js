@@ -0,0 +1,338 @@
+/**
+ * ==========================================
+ * SERVICIO DE IMÁGENES DE PRODUCTO (productImageService.js)
+ * ==========================================
+ * Galería de imágenes de un producto (product.images): orden, imagen
+ * principal y borrado de los archivos subidos.
+ *
+ * El campo `image` se mantiene como copia de la URL de la imagen principal,
+ * así los clientes que solo leen `image` siguen funcionando.
+ *
+ * Cada archivo subido se procesa antes de guardarlo en la galería: se
+ * comprueba que sea una imagen por sus primeros bytes (el tipo MIME lo
+ * declara el cliente), se endereza según su orientación EXIF y se generan
+ * versiones WebP en tres tamaños, sin metadatos (EXIF, GPS, ...). El archivo
+ * original (temporal, ver config/multer.js) se borra: solo se publican las
+ * versiones procesadas, que se guardan con el adaptador de almacenamiento
+ * configurado (services/storageService.js) bajo la clave products/...
+ *
+ * Los archivos quedan en el registro de subidas (services/uploadService.js):
+ * syncProductUploads() indica cuáles usa cada producto y borra los que dejó de usar.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import sharp from 'sharp';
+import { getStorage } from './storageService.js';
+import { registerUploads, removeUnreferencedUploads, setReferences } from './uploadService.js';
+
+// Prefijo de las claves de almacenamiento de las imágenes de productos
+export const PRODUCT_KEY_PREFIX = 'products/';
+
+// URL de las imágenes guardadas antes de los adaptadores de almacenamiento (disco local, servidas en /uploads)
+const LEGACY_UPLOADS_URL = '/uploads/';
+
+// Imagen que se muestra cuando el producto no tiene ninguna (y su clave, que nunca se borra)
+export const DEFAULT_PRODUCT_IMAGE = '/uploads/products/default.jpg';
+export const DEFAULT_PRODUCT_IMAGE_KEY = 'products/default.jpg';
+
+// Versiones que se generan de cada imagen: lado mayor en píxeles (no se agrandan las más chicas)
+const DERIVATIVE_SIZES = {
+    thumbnail: 200,
+    medium: 600,
+    large: 1200
+};
+
+// Calidad de las versiones WebP (0-100)
+const WEBP_QUALITY = 80;
+
+// Firmas (primeros bytes) de los formatos aceptados; null = cualquier byte
+const IMAGE_SIGNATURES = [
+    { type: 'jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { type: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { type: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    // "RIFF" + tamaño + "WEBP"
+    { type: 'webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] }
+];
+
+/**
+ * legacyKey - Clave de almacenamiento de una imagen guardada como URL local (ej: /uploads/products/x.jpg)
+ * Nunca la de la imagen por defecto ni la de una URL externa.
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+const legacyKey = (url) => (url?.startsWith(`${LEGACY_UPLOADS_URL}${PRODUCT_KEY_PREFIX}`) && url !== DEFAULT_PRODUCT_IMAGE
+    ? url.slice(LEGACY_UPLOADS_URL.length)
+    : null);
+
+/**
+ * removeStoredFiles - Borra archivos del almacenamiento que todavía no están en el registro
+ * Un error al borrar se informa por consola y no interrumpe (el archivo queda huérfano).
+ *
+ * @param {Array<string>} keys - Claves de almacenamiento
+ * @returns {Promise<void>}
+ */
+const removeStoredFiles = async (keys) => {
+    const storage = getStorage();
+
+    await Promise.all(keys.map(async (key) => {
+        try {
+            await storage.remove(key);
+        } catch (error) {
+            console.log('Error al borrar la imagen', key, error.message);
+        }
+    }));
+};
+
+/**
+ * productUploadKeys - Claves de almacenamiento de todos los archivos que usa un producto
+ * (galería, imagen de productos anteriores a la galería e imágenes de variantes subidas al servidor)
+ *
+ * @param {object} product - Documento u objeto plano (lean) de producto
+ * @returns {Array<string>}
+ */
+export const productUploadKeys = (product) => {
+    const keys = new Set();
+
+    for (const image of product.images || []) {
+        const imageKeys = image.storageKeys?.length ? image.storageKeys : [legacyKey(image.url)];
+
+        imageKeys.filter(Boolean).forEach((key) => keys.add(key));
+    }
+
+    for (const url of [product.image, ...(product.variants || []).map((variant) => variant.image)]) {
+        const key = legacyKey(url);
+
+        if (key) {
+            keys.add(key);
+        }
+    }
+
+    return [...keys];
+};
+
+/**
+ * syncProductUploads - Actualiza el registro de subidas con los archivos que usa un producto
+ * y borra los que dejó de usar. Se llama después de guardar o eliminar el producto;
+ * un error se informa por consola y no interrumpe (lo corrige el barrido periódico).
+ *
+ * @param {object} product - Producto ya guardado
+ * @param {object} [options]
+ * @param {Array<string>} [options.previous] - productUploadKeys() de antes del cambio
+ * @param {boolean} [options.deleted] - El producto se eliminó: deja de usar todos sus archivos
+ * @returns {Promise<void>}
+ */
+export const syncProductUploads = async (product, { previous = [], deleted = false } = {}) => {
+    try {
+        await setReferences('Product', product._id, deleted ? [] : productUploadKeys(product), { previous });
+    } catch (error) {
+        console.log('Error al actualizar el registro de archivos del producto', String(product._id), error.message);
+    }
+};
+
+/**
+ * removeUploadedFiles - Borra los archivos temporales de una subida que no llegó a procesarse
+ * (producto inexistente, error, ...), para no dejarlos en el disco.
+ *
+ * @param {Array<object>} files - Archivos de req.files (o [req.file]); se ignoran los vacíos
+ * @returns {Promise<void>}
+ */
+export const removeUploadedFiles = async (files) => {
+    await Promise.all(files.filter(Boolean).map((file) => fs.promises.rm(file.path, { force: true })));
+};
+
+/**
+ * discardProcessedImage - Borra las versiones de una imagen procesada que no llegó a guardarse
+ * en el producto (error al guardar, otro archivo de la misma subida no era válido, ...)
+ *
+ * @param {{storageKeys: Array<string>}} image - Resultado de processUploadedImage
+ * @returns {Promise<void>}
+ */
+export const discardProcessedImage = async (image) => {
+    await removeUnreferencedUploads(image.storageKeys);
+};
+
+/**
+ * detectImageType - Formato de un archivo según sus primeros bytes, o null si no es una imagen aceptada
+ *
+ * @param {string} file - Ruta del archivo
+ * @returns {Promise<string|null>} 'jpeg', 'png', 'gif' o 'webp'
+ */
+const detectImageType = async (file) => {
+    const handle = await fs.promises.open(file, 'r');
+
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+        const match = IMAGE_SIGNATURES.find(({ bytes }) => bytesRead >= bytes.length
+            && bytes.every((byte, index) => byte === null || buffer[index] === byte));
+
+        return match?.type || null;
+    } finally {
+        await handle.close();
+    }
+};
+
+/**
+ * processUploadedImage - Valida un archivo subido, genera sus versiones WebP y las guarda
+ * El archivo temporal se borra siempre (se haya podido procesar o no).
+ * Un error del almacenamiento se lanza (no es culpa del archivo subido).
+ *
+ * @param {object} file - Archivo guardado por multer (req.file / req.files)
+ * @returns {Promise<{image?: {url: string, derivatives: {thumbnail: string, medium: string, large: string}, storageKeys: Array<string>}, error?: {status: number, message: string}}>}
+ *   image.url es la versión grande (la que se muestra como imagen del producto)
+ */
+export const processUploadedImage = async (file) => {
+    const base = path.basename(file.filename, path.extname(file.filename));
+    const storage = getStorage();
+    const renditions = [];
+    const storageKeys = [];
+
+    try {
+        // 1. VALIDAR: Por el contenido, no por la extensión ni el tipo MIME declarado
+        if (!(await detectImageType(file.path))) {
+            return { error: { status: 400, message: `${file.originalname} no es una imagen JPEG, PNG, GIF o WebP` } };
+        }
+
+        // 2. VERSIONES: rotate() sin ángulo endereza según la orientación EXIF;
+        //    sharp no copia los metadatos a la salida, así que se descartan
+        try {
+            const source = sharp(file.path, { failOn: 'error' }).rotate();
+
+            for (const [name, size] of Object.entries(DERIVATIVE_SIZES)) {
+                renditions.push({
+                    name,
+                    buffer: await source.clone()
+                        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                        .webp({ quality: WEBP_QUALITY })
+                        .toBuffer()
+                });
+            }
+        } catch (error) {
+            // Contenido dañado o que sharp no puede leer
+            console.log('Error al procesar la imagen', file.filename, error.message);
+
+            return { error: { status: 400, message: `No se pudo procesar la imagen ${file.originalname}` } };
+        }
+
+        // 3. GUARDAR Y REGISTRAR: Si falla alguna, se borran las ya guardadas
+        const derivatives = {};
+
+        try {
+            for (const { name, buffer } of renditions) {
+                const key = `${PRODUCT_KEY_PREFIX}${base}-${name}.webp`;
+
+                await storage.put(key, buffer, { contentType: 'image/webp' });
+                storageKeys.push(key);
+                derivatives[name] = storage.url(key);
+            }
+
+            await registerUploads(renditions.map(({ buffer }, index) => ({
+                key: storageKeys[index],
+                contentType: 'image/webp',
+                size: buffer.length
+            })));
+        } catch (error) {
+            await removeStoredFiles(storageKeys);
+            throw error;
+        }
+
+        return { image: { url: derivatives.large, derivatives, storageKeys } };
+    } finally {
+        await removeUploadedFiles([file]);
+    }
+};
+
+/**
+ * processUploadedImages - Procesa varios archivos subidos, de a uno (el proceso usa bastante memoria)
+ * Si alguno no es válido (o falla el almacenamiento) no se guarda ninguno: se borran todos los archivos.
+ *
+ * @param {Array<object>} files - Archivos guardados por multer
+ * @returns {Promise<{images?: Array<object>, error?: {status: number, message: string}}>}
+ */
+export const processUploadedImages = async (files) => {
+    const images = [];
+
+    for (const [index, file] of files.entries()) {
+        let result;
+
+        try {
+            result = await processUploadedImage(file);
+        } catch (error) {
+            result = { exception: error };
+        }
+
+        if (result.error || result.exception) {
+            await removeUploadedFiles(files.slice(index + 1));
+            await Promise.all(images.map(discardProcessedImage));
+
+            if (result.exception) {
+                throw result.exception;
+            }
+
+            return { error: result.error };
+        }
+
+        images.push(result.image);
+    }
+
+    return { images };
+};
+
+/**
+ * adoptLegacyImage - Pasa a la galería la imagen de un producto creado antes de que existiera
+ * (un producto con `image` propia y sin `images`); así no se pierde al agregar otras.
+ *
+ * @param {object} product - Documento de producto (se modifica, no se guarda)
+ */
+export const adoptLegacyImage = (product) => {
+    if (product.images.length === 0 && product.image && product.image !== DEFAULT_PRODUCT_IMAGE) {
+        product.images.push({ url: product.image, sortOrder: 0, isPrimary: true });
+    }
+};
+
+/**
+ * syncGallery - Deja la galería consistente después de cualquier cambio
+ * - sortOrder consecutivo (0, 1, 2, ...) respetando el orden actual
+ * - una sola imagen principal (si no hay, la primera)
+ * - `image` igual a la URL de la principal (o la imagen por defecto)
+ *
+ * @param {object} product - Documento de producto (se modifica, no se guarda)
+ */
+export const syncGallery = (product) => {
+    const images = [...product.images].sort((a, b) => a.sortOrder - b.sortOrder);
+
+    images.forEach((image, index) => {
+        image.sortOrder = index;
+    });
+
+    const primary = images.find((image) => image.isPrimary) || images[0];
+
+    for (const image of images) {
+        image.isPrimary = image === primary;
+    }
+
+    product.images = images;
+    product.image = primary?.url || DEFAULT_PRODUCT_IMAGE;
+};
+
+/**
+ * productThumbnail - URL de la miniatura de un producto, para los listados
+ * Los productos sin versiones procesadas (imagen anterior a la galería o por defecto) usan `image`.
+ *
+ * @param {object} product
+ * @returns {string}
+ */
+export const productThumbnail = (product) => {
+    const primary = product.images?.find((image) => image.isPrimary);
+
+    return primary?.derivatives?.thumbnail || product.image || DEFAULT_PRODUCT_IMAGE;
+};
+
+/**
+ * withThumbnail - Producto tal como se devuelve en los listados: con el campo `thumbnail`
+ *
+ * @param {object} product - Documento de producto
+ * @returns {object}
+ */
+export const withThumbnail = (product) => ({ ...product.toObject(), thumbnail: productThumbnail(product) });
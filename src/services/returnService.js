@@ -0,0 +1,314 @@
+/**
+ * ==========================================
+ * SERVICIO DE DEVOLUCIONES (returnService.js)
+ * ==========================================
+ * Solicitudes de devolución (RMA) de órdenes entregadas:
+ * el cliente pide devolver líneas de la orden con un motivo, un administrador
+ * la aprueba o rechaza, y al recibir los productos se suman al stock y se
+ * reembolsa el importe de las líneas a través de los pagos de la orden
+ * (services/paymentService.js).
+ *
+ * Los errores de negocio no se lanzan: se devuelven como
+ * { error: { status, message } } para que cada controlador responda.
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import Product from '../models/Product.js';
+import Payment from '../models/Payment.js';
+import { refundPayment } from './paymentService.js';
+import { stockUpdate } from './variantService.js';
+import {
+    RETURN_STATUS,
+    RETURNABLE_ORDER_STATUSES,
+    canTransitionReturn
+} from '../config/returnStatus.js';
+import { roundMoney, toCents } from '../config/money.js';
+
+// Minutos tras los que vence la marca de un reembolso en curso (ver refundReturnRequest)
+const REFUND_CLAIM_MINUTES = 10;
+
+/**
+ * Error de negocio lanzado dentro de la transacción para abortarla;
+ * createReturnRequest lo convierte en { error }
+ */
+const returnError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * transitionError - Respuesta para un cambio de estado no permitido
+ *
+ * @param {object} returnRequest
+ * @param {string} status - Estado pedido
+ * @returns {{error: {status: number, message: string}}}
+ */
+const transitionError = (returnRequest, status) => ({
+    error: { status: 409, message: `No se puede pasar una devolución de "${returnRequest.status}" a "${status}"` }
+});
+
+/**
+ * createReturnRequest - Registra la devolución de líneas de una orden entregada
+ * La cantidad devuelta de cada producto (sumando las devoluciones no rechazadas)
+ * no puede superar la cantidad comprada. La suma y el alta van en una transacción
+ * que escribe la orden: dos devoluciones simultáneas chocan y la segunda se
+ * reintenta viendo la primera.
+ *
+ * @param {object} order - Orden (ya verificados los permisos)
+ * @param {Array<{product: string, variant?: string, quantity: number, reason: string, comment?: string}>} items
+ * @returns {Promise<{returnRequest?: object, error?: {status: number, message: string}}>}
+ */
+export const createReturnRequest = async (order, items) => {
+    // 1. VERIFICAR ORDEN: Solo se devuelve lo que ya llegó al cliente
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        return { error: { status: 409, message: `Solo se pueden devolver productos de órdenes en estado: ${RETURNABLE_ORDER_STATUSES.join(', ')}` } };
+    }
+
+    if (!items || items.length === 0) {
+        return { error: { status: 400, message: 'La devolución debe contener al menos un producto' } };
+    }
+
+    // 2. ARMAR LÍNEAS: Con el precio que se pagó en la orden, descontando la parte proporcional
+    // de los descuentos sobre los productos (ej: un cupón del 10% reembolsa el 90% del precio)
+    // y sumando el impuesto que se cobró aparte (el incluido ya está en el precio)
+    const itemDiscounts = order.discounts
+        .filter((discount) => discount.target === 'items')
+        .reduce((sum, discount) => sum + discount.amount, 0);
+    const paidRatio = order.subtotal > 0 ? Math.max(0, order.subtotal - itemDiscounts) / order.subtotal : 1;
+    const lineKey = (line) => `${line.product}:${line.variant || ''}`;
+    const returnItems = [];
+
+    for (const item of items) {
+        const orderItem = order.items.find((line) => lineKey(line) === lineKey(item));
+
+        if (!orderItem) {
+            return { error: { status: 400, message: `El producto ${item.product}${item.variant ? ` (variante ${item.variant})` : ''} no pertenece a la orden` } };
+        }
+
+        const addedTaxRate = orderItem.taxInclusive ? 0 : orderItem.taxRate / 100;
+
+        returnItems.push({
+            product: orderItem.product,
+            productName: orderItem.productName,
+            variant: orderItem.variant,
+            variantName: orderItem.variantName,
+            quantity: item.quantity,
+            price: roundMoney(orderItem.price * paidRatio * (1 + addedTaxRate)),
+            reason: item.reason,
+            comment: item.comment
+        });
+    }
+
+    try {
+        const returnRequest = await mongoose.connection.transaction(async (session) => {
+            // 3. BLOQUEAR LA ORDEN: Escribirla hace que otra devolución simultánea choque y se reintente
+            await Order.updateOne(
+                { _id: order._id },
+                { $currentDate: { updatedAt: true } },
+                { session, timestamps: false }
+            );
+
+            // 4. CANTIDADES YA DEVUELTAS: Por producto (y variante), en las devoluciones que no se rechazaron
+            const previous = await ReturnRequest.find({ order: order._id, status: { $ne: RETURN_STATUS.REJECTED } }).session(session);
+            const returned = new Map();
+
+            for (const item of [...previous.flatMap((request) => request.items), ...items]) {
+                const key = lineKey(item);
+                returned.set(key, (returned.get(key) || 0) + Number(item.quantity));
+            }
+
+            for (const item of items) {
+                const orderItem = order.items.find((line) => lineKey(line) === lineKey(item));
+
+                if (returned.get(lineKey(item)) > orderItem.quantity) {
+                    throw returnError(400, `No se pueden devolver más unidades de ${orderItem.productName || item.product} que las compradas (${orderItem.quantity})`);
+                }
+            }
+
+            // 5. CREAR: El importe a reembolsar se calcula en el modelo
+            const [created] = await ReturnRequest.create([{
+                order: order._id,
+                user: order.user,
+                items: returnItems
+            }], { session });
+
+            return created;
+        });
+
+        return { returnRequest };
+    } catch (error) {
+        if (error.status) {
+            return { error: { status: error.status, message: error.message } };
+        }
+
+        throw error;
+    }
+};
+
+/**
+ * reviewReturnRequest - Aprueba o rechaza una devolución pedida
+ *
+ * @param {object} returnRequest
+ * @param {string} status - RETURN_STATUS.APPROVED o RETURN_STATUS.REJECTED
+ * @param {object} [options] - { reviewedBy, note }
+ * @returns {Promise<{returnRequest?: object, error?: {status: number, message: string}}>}
+ */
+export const reviewReturnRequest = async (returnRequest, status, { reviewedBy, note } = {}) => {
+    if (!canTransitionReturn(returnRequest.status, status)) {
+        return transitionError(returnRequest, status);
+    }
+
+    // Condicional: si otro administrador la revisó mientras tanto responde 409
+    const updated = await ReturnRequest.findOneAndUpdate(
+        { _id: returnRequest._id, status: RETURN_STATUS.REQUESTED },
+        { status, reviewedBy, reviewedAt: new Date(), resolutionNote: note },
+        { new: true }
+    );
+
+    if (!updated) {
+        return { error: { status: 409, message: 'La devolución cambió de estado mientras se procesaba el pedido' } };
+    }
+
+    return { returnRequest: updated };
+};
+
+/**
+ * refundReturnRequest - Reembolsa el importe de una devolución recibida
+ * Se reembolsa a través de los pagos cobrados de la orden. Si un reembolso falla,
+ * la devolución sigue "received" y se puede reintentar: lo ya reembolsado no se repite.
+ * Si los pagos no alcanzan (ej: orden pagada en efectivo) responde 409 sin registrar
+ * nada: ese reembolso se hace fuera del sistema.
+ *
+ * @param {object} returnRequest
+ * @param {object} [options] - { createdBy }
+ * @returns {Promise<{returnRequest?: object, error?: {status: number, message: string}}>}
+ */
+export const refundReturnRequest = async (returnRequest, { createdBy } = {}) => {
+    if (!canTransitionReturn(returnRequest.status, RETURN_STATUS.REFUNDED)) {
+        return transitionError(returnRequest, RETURN_STATUS.REFUNDED);
+    }
+
+    // 1. RESERVAR: Solo un pedido a la vez reembolsa la devolución (ej: /receive y /refund
+    //    simultáneos); el resto responde 409. Se relee para contar lo ya reembolsado.
+    const now = new Date();
+    const claimed = await ReturnRequest.findOneAndUpdate(
+        {
+            _id: returnRequest._id,
+            status: RETURN_STATUS.RECEIVED,
+            $or: [
+                { refundingAt: null },
+                { refundingAt: { $lt: new Date(now.getTime() - REFUND_CLAIM_MINUTES * 60 * 1000) } }
+            ]
+        },
+        { refundingAt: now },
+        { new: true }
+    );
+
+    if (!claimed) {
+        return { error: { status: 409, message: 'La devolución ya se está reembolsando o cambió de estado' } };
+    }
+
+    const release = () => ReturnRequest.updateOne({ _id: claimed._id, refundingAt: now }, { refundingAt: null });
+
+    try {
+        // 2. PENDIENTE: Lo que falta reembolsar de esta devolución (en centavos)
+        const alreadyRefunded = claimed.refunds.reduce((sum, refund) => sum + toCents(refund.amount), 0);
+        let pending = toCents(claimed.refundAmount) - alreadyRefunded;
+
+        // 3. VERIFICAR PAGOS: Deben alcanzar para todo lo pendiente antes de mover el dinero
+        const payments = await Payment.find({
+            order: claimed.order,
+            status: { $in: ['succeeded', 'partially_refunded'] }
+        }).sort({ createdAt: 1 });
+        const refundable = payments.reduce((sum, payment) => sum + toCents(payment.amount) - toCents(payment.refundedAmount), 0);
+
+        if (pending > refundable) {
+            await release();
+            return {
+                error: {
+                    status: 409,
+                    message: `La orden no tiene pagos cobrados por el proveedor para reembolsar ${pending / 100} (ej: se pagó en efectivo)`
+                }
+            };
+        }
+
+        // 4. REEMBOLSAR POR LOS PAGOS: Del más antiguo al más reciente
+        for (const payment of payments) {
+            if (pending <= 0) {
+                break;
+            }
+
+            const amount = Math.min(pending, toCents(payment.amount) - toCents(payment.refundedAmount)) / 100;
+            const { error } = await refundPayment(payment, {
+                amount,
+                reason: `Devolución ${claimed._id}`,
+                createdBy
+            });
+
+            if (error) {
+                await release();
+                return { error };
+            }
+
+            // Se registra cada reembolso en cuanto se hace, por si falla el siguiente
+            await ReturnRequest.updateOne({ _id: claimed._id }, { $push: { refunds: { payment: payment._id, amount } } });
+            pending -= toCents(amount);
+        }
+
+        // 5. CERRAR LA DEVOLUCIÓN
+        const updated = await ReturnRequest.findOneAndUpdate(
+            { _id: claimed._id, status: RETURN_STATUS.RECEIVED, refundingAt: now },
+            { status: RETURN_STATUS.REFUNDED, refundedAt: new Date(), refundingAt: null },
+            { new: true }
+        );
+
+        if (!updated) {
+            return { error: { status: 409, message: 'La devolución cambió de estado mientras se procesaba el pedido' } };
+        }
+
+        return { returnRequest: updated };
+    } catch (error) {
+        await release();
+        throw error;
+    }
+};
+
+/**
+ * receiveReturnRequest - Registra la llegada de los productos de una devolución aprobada
+ * Suma las unidades al stock en la misma transacción que el cambio de estado (una
+ * sola vez aunque se pida dos veces a la vez) y luego reembolsa el importe.
+ *
+ * @param {object} returnRequest
+ * @param {object} [options] - { receivedBy, note }
+ * @returns {Promise<{returnRequest?: object, error?: {status: number, message: string}}>}
+ */
+export const receiveReturnRequest = async (returnRequest, { receivedBy, note } = {}) => {
+    if (!canTransitionReturn(returnRequest.status, RETURN_STATUS.RECEIVED)) {
+        return transitionError(returnRequest, RETURN_STATUS.RECEIVED);
+    }
+
+    // 1. RECIBIR Y DEVOLVER STOCK: En una transacción (los productos eliminados se ignoran)
+    const received = await mongoose.connection.transaction(async (session) => {
+        const changed = await ReturnRequest.findOneAndUpdate(
+            { _id: returnRequest._id, status: RETURN_STATUS.APPROVED },
+            { status: RETURN_STATUS.RECEIVED, receivedAt: new Date(), ...(note && { resolutionNote: note }) },
+            { new: true, session }
+        );
+
+        if (!changed) {
+            return null;
+        }
+
+        for (const item of changed.items) {
+            await Product.updateOne(...stockUpdate(item, item.quantity), { session });
+        }
+
+        return changed;
+    });
+
+    if (!received) {
+        return { error: { status: 409, message: 'La devolución cambió de estado mientras se procesaba el pedido' } };
+    }
+
+    // 2. REEMBOLSAR: Si falla, la devolución queda "received" y se reintenta con POST /api/returns/:id/refund
+    return refundReturnRequest(received, { createdBy: receivedBy });
+};
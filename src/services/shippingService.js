@@ -0,0 +1,142 @@
+/**
+ * ==========================================
+ * SERVICIO DE ENVÍOS (shippingService.js)
+ * ==========================================
+ * Cotiza los métodos de envío para una dirección y un conjunto de productos:
+ * lo usan GET /api/shipping/quote (con el carrito) y orderService.placeOrder
+ * (para guardar el método elegido y su costo en la orden).
+ *
+ * La zona se elige por el país de la dirección; si hay una zona que además
+ * incluye su provincia/estado, esa tiene prioridad. Cada método calcula el
+ * costo con su tabla de tarifas, por peso total (kg) o por subtotal.
+ *
+ * Los errores de negocio no se lanzan: se devuelven como
+ * { error: { status, message } } para que quien llama responda.
+ */
+
+import ShippingZone from '../models/ShippingZone.js';
+import { COUNTRY_COLLATION } from '../config/collation.js';
+
+/**
+ * sameText - Compara textos sin distinguir mayúsculas ni espacios extremos
+ */
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * findZone - Zona activa que corresponde a una dirección, o null
+ *
+ * @param {object} address - { country, state }
+ * @param {object} [session] - Sesión de la transacción
+ * @returns {Promise<object|null>}
+ */
+const findZone = async (address, session) => {
+    // Con la collation del índice { countries, isActive }: solo se leen las zonas del país
+    const zones = await ShippingZone.find({ isActive: true, countries: String(address.country).trim() })
+        .collation(COUNTRY_COLLATION)
+        .session(session);
+
+    return zones.find((zone) => zone.states.some((state) => sameText(state, address.state)))
+        || zones.find((zone) => zone.states.length === 0)
+        || null;
+};
+
+/**
+ * rateFor - Costo de un método para un peso y un subtotal, o null si ninguna tarifa lo cubre
+ *
+ * @param {object} method
+ * @param {{weight: number, subtotal: number}} totals
+ * @returns {number|null}
+ */
+const rateFor = (method, { weight, subtotal }) => {
+    if (method.freeOver !== undefined && method.freeOver !== null && subtotal >= method.freeOver) {
+        return 0;
+    }
+
+    const value = method.rateType === 'price' ? subtotal : weight;
+    // Escalones de menor a mayor; el que no tiene upTo va al final
+    const rates = [...method.rates].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+    const rate = rates.find((r) => r.upTo === undefined || r.upTo === null || value <= r.upTo);
+
+    return rate ? rate.cost : null;
+};
+
+/**
+ * quoteShipping - Métodos de envío disponibles para una dirección, con su costo
+ *
+ * @param {Array<{price: number, quantity: number, weight?: number}>} lines - Productos a enviar
+ * @param {object} address - { country, state }
+ * @param {object} [options] - { session }
+ * @returns {Promise<{zone?: object, methods?: Array<object>, error?: {status: number, message: string}}>}
+ */
+export const quoteShipping = async (lines, address, { session } = {}) => {
+    if (!address?.country) {
+        return { error: { status: 400, message: 'Debe indicar el país de envío' } };
+    }
+
+    const zone = await findZone(address, session);
+
+    if (!zone) {
+        return { error: { status: 404, message: `No hay envíos disponibles para ${address.country}` } };
+    }
+
+    const totals = {
+        weight: lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0),
+        subtotal: lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+    };
+
+    const methods = zone.methods
+        .filter((method) => method.isActive)
+        .map((method) => ({
+            code: method.code,
+            name: method.name,
+            carrier: method.carrier,
+            cost: rateFor(method, totals),
+            minDays: method.minDays,
+            maxDays: method.maxDays
+        }))
+        // Sin tarifa para este peso/importe, el método no está disponible
+        .filter((method) => method.cost !== null);
+
+    return { zone, methods, ...totals };
+};
+
+/**
+ * selectShippingMethod - Verifica el método elegido y calcula su costo
+ * No hay envío por defecto: sin país responde 400, si ninguna zona cubre la
+ * dirección 404 (no se envía ahí) y si no se eligió un método de la zona 400.
+ *
+ * @param {Array<{price: number, quantity: number, weight?: number}>} lines
+ * @param {object} address - { country, state }
+ * @param {string} [code] - Código del método elegido
+ * @param {object} [options] - { session }
+ * @returns {Promise<{shippingMethod?: object, shippingCost?: number, error?: {status: number, message: string}}>}
+ */
+export const selectShippingMethod = async (lines, address, code, { session } = {}) => {
+    const { zone, methods, error } = await quoteShipping(lines, address, { session });
+
+    if (error) {
+        return { error };
+    }
+
+    if (!code) {
+        return { error: { status: 400, message: `Debe elegir un método de envío para ${address.country}` } };
+    }
+
+    const method = methods.find((m) => m.code === String(code).trim().toLowerCase());
+
+    if (!method) {
+        return { error: { status: 400, message: `El método de envío "${code}" no está disponible para esta dirección` } };
+    }
+
+    return {
+        shippingMethod: {
+            zone: zone._id,
+            code: method.code,
+            name: method.name,
+            carrier: method.carrier,
+            minDays: method.minDays,
+            maxDays: method.maxDays
+        },
+        shippingCost: method.cost
+    };
+};
@@ -0,0 +1,337 @@
+/**
+ * ==========================================
+ * SERVICIO DE ALMACENAMIENTO (storageService.js)
+ * ==========================================
+ * Abstracción para guardar los archivos subidos (imágenes de productos, ...).
+ * El resto de la aplicación solo usa getStorage() y las funciones del
+ * adaptador; no sabe dónde terminan los archivos.
+ *
+ * Adaptadores disponibles (variable de entorno STORAGE_DRIVER):
+ * - local: disco del servidor (valor por defecto). Los archivos públicos se
+ *          sirven con express.static en /uploads; los privados quedan fuera de
+ *          esa carpeta y se descargan con una URL firmada (GET /api/files/...).
+ *          Solo sirve con una única instancia de la API.
+ * - s3:    almacenamiento de objetos compatible con S3 (AWS S3, MinIO, ...),
+ *          compartido por todas las instancias.
+ *
+ * Interfaz de un adaptador (las claves son rutas relativas, ej: products/foto-large.webp):
+ * - put(key, body, { contentType, visibility }) → Promise<{ key }>
+ * - get(key, { visibility })                    → Promise<Buffer>
+ * - remove(key, { visibility })                 → Promise<void> (no falla si no existe)
+ * - list(prefix)                                → Promise<Array<{ key, size, lastModified }>> (archivos públicos)
+ * - url(key)                                    → URL pública de un archivo público
+ * - signedUrl(key, { expiresIn })               → Promise<string>: URL temporal de un archivo privado
+ * visibility es 'public' (por defecto) o 'private'.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Configurar __dirname en ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Duración por defecto de las URL firmadas
+const getSignedUrlTtl = () => parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 900;
+
+// Secreto para firmar las URL de archivos privados del adaptador local (propio: no se reutiliza JWT_SECRET)
+const getSigningSecret = () => {
+    if (!process.env.STORAGE_SIGNING_SECRET) {
+        throw new Error('Falta configurar STORAGE_SIGNING_SECRET');
+    }
+
+    return process.env.STORAGE_SIGNING_SECRET;
+};
+
+/**
+ * storageError - Error con código HTTP (clave inválida, archivo inexistente, ...)
+ */
+const storageError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * normalizeKey - Clave sin barras iniciales ni segmentos "." / ".." (no puede salir de su carpeta)
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+const normalizeKey = (key) => {
+    const parts = String(key).split('/').filter((part) => part !== '');
+
+    if (parts.length === 0 || parts.some((part) => part === '.' || part === '..')) {
+        throw storageError(400, `Clave de archivo no válida: ${key}`);
+    }
+
+    return parts.join('/');
+};
+
+/**
+ * listFiles - Rutas de todos los archivos de una carpeta y sus subcarpetas
+ * Cada ruta se arma con la carpeta que se está leyendo (Dirent.parentPath recién
+ * existe desde Node 20.12 y readdir recursivo desde 20.1).
+ *
+ * @param {string} root - Carpeta a recorrer
+ * @returns {Promise<string[]>}
+ */
+const listFiles = async (root) => {
+    const entries = await fs.promises.readdir(root, { withFileTypes: true });
+    const nested = await Promise.all(entries.map((entry) => {
+        const file = path.join(root, entry.name);
+
+        if (entry.isDirectory()) {
+            return listFiles(file);
+        }
+
+        return entry.isFile() ? [file] : [];
+    }));
+
+    return nested.flat();
+};
+
+/**
+ * signLocalKey - Firma de una clave privada del adaptador local hasta una fecha de expiración
+ *
+ * @param {string} key
+ * @param {number} expires - Fecha de expiración (segundos desde 1970)
+ * @returns {string} HMAC-SHA256 en hexadecimal
+ */
+const signLocalKey = (key, expires) => crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+/**
+ * createLocalStorage - Adaptador que guarda los archivos en el disco del servidor
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] - Carpeta de los archivos públicos (por defecto STORAGE_LOCAL_DIR o /uploads)
+ * @param {string} [options.privateDir] - Carpeta de los privados (por defecto STORAGE_LOCAL_PRIVATE_DIR o /private-uploads)
+ * @param {string} [options.publicUrl] - URL base de los públicos (por defecto STORAGE_PUBLIC_URL o /uploads)
+ * @param {string} [options.apiUrl] - URL de la API para las URL firmadas (por defecto API_URL)
+ * @returns {object} Adaptador (ver interfaz arriba) con verifySignature() para GET /api/files
+ */
+export const createLocalStorage = ({
+    dir = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../uploads'),
+    privateDir = process.env.STORAGE_LOCAL_PRIVATE_DIR || path.join(__dirname, '../../private-uploads'),
+    publicUrl = process.env.STORAGE_PUBLIC_URL || '/uploads',
+    apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT}`
+} = {}) => {
+    const filePath = (key, visibility) =>
+        path.join(visibility === 'private' ? privateDir : dir, normalizeKey(key));
+
+    return {
+        name: 'local',
+
+        put: async (key, body, { visibility = 'public' } = {}) => {
+            const file = filePath(key, visibility);
+
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, body);
+
+            return { key: normalizeKey(key) };
+        },
+
+        get: async (key, { visibility = 'public' } = {}) => {
+            try {
+                return await fs.promises.readFile(filePath(key, visibility));
+            } catch (error) {
+                throw error.code === 'ENOENT' ? storageError(404, 'Archivo no encontrado') : error;
+            }
+        },
+
+        remove: async (key, { visibility = 'public' } = {}) => {
+            await fs.promises.rm(filePath(key, visibility), { force: true });
+        },
+
+        list: async (prefix) => {
+            const root = path.join(dir, normalizeKey(prefix));
+            let files;
+
+            try {
+                files = await listFiles(root);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+
+            return Promise.all(files.map(async (file) => {
+                const { size, mtime } = await fs.promises.stat(file);
+
+                return { key: path.relative(dir, file).split(path.sep).join('/'), size, lastModified: mtime };
+            }));
+        },
+
+        url: (key) => `${publicUrl}/${normalizeKey(key)}`,
+
+        signedUrl: async (key, { expiresIn = getSignedUrlTtl() } = {}) => {
+            const normalized = normalizeKey(key);
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+            return `${apiUrl}/api/files/${normalized}?expires=${expires}&signature=${signLocalKey(normalized, expires)}`;
+        },
+
+        /**
+         * verifySignature - Comprueba una URL firmada por signedUrl() (firma correcta y sin expirar)
+         *
+         * @param {string} key
+         * @param {string|number} expires
+         * @param {string} signature
+         * @returns {boolean}
+         */
+        verifySignature: (key, expires, signature) => {
+            const expected = Buffer.from(signLocalKey(normalizeKey(key), Number(expires)));
+            const received = Buffer.from(String(signature || ''));
+
+            return Number(expires) > Date.now() / 1000
+                && expected.length === received.length
+                && crypto.timingSafeEqual(expected, received);
+        }
+    };
+};
+
+/**
+ * createS3Storage - Adaptador para almacenamiento de objetos compatible con S3
+ * Los archivos privados se guardan bajo el prefijo "private/": el bucket debe
+ * permitir la lectura pública del resto (o servirse detrás de un CDN) y no de ese prefijo.
+ *
+ * @param {object} [options]
+ * @param {string} [options.bucket] - Bucket (por defecto S3_BUCKET)
+ * @param {string} [options.region] - Región (por defecto S3_REGION o us-east-1)
+ * @param {string} [options.endpoint] - Endpoint de un servicio compatible, ej: http://localhost:9000 (S3_ENDPOINT)
+ * @param {string} [options.publicUrl] - URL base de los archivos públicos (S3_PUBLIC_URL; por defecto la del bucket)
+ * @param {object} [options.client] - S3Client ya creado (por ejemplo, en tests)
+ * @returns {object} Adaptador (ver interfaz arriba)
+ */
+export const createS3Storage = ({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    publicUrl = process.env.S3_PUBLIC_URL,
+    client
+} = {}) => {
+    if (!bucket) {
+        throw new Error('Falta configurar S3_BUCKET');
+    }
+
+    // Con un endpoint propio (MinIO, ...) se usan URL con el bucket en la ruta: http://host:9000/bucket/clave
+    const s3 = client || new S3Client({
+        region,
+        endpoint,
+        forcePathStyle: Boolean(endpoint),
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined
+    });
+    const baseUrl = (publicUrl || (endpoint
+        ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/+$/, '');
+    const objectKey = (key, visibility) =>
+        `${visibility === 'private' ? 'private/' : ''}${normalizeKey(key)}`;
+
+    return {
+        name: 's3',
+
+        put: async (key, body, { contentType, visibility = 'public' } = {}) => {
+            await s3.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key, visibility),
+                Body: body,
+                ContentType: contentType
+            }));
+
+            return { key: normalizeKey(key) };
+        },
+
+        get: async (key, { visibility = 'public' } = {}) => {
+            try {
+                const { Body } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key, visibility) }));
+
+                return Buffer.from(await Body.transformToByteArray());
+            } catch (error) {
+                throw error.name === 'NoSuchKey' ? storageError(404, 'Archivo no encontrado') : error;
+            }
+        },
+
+        // DeleteObject no falla si el objeto no existe
+        remove: async (key, { visibility = 'public' } = {}) => {
+            await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key, visibility) }));
+        },
+
+        // ListObjectsV2 devuelve hasta 1000 objetos por página
+        list: async (prefix) => {
+            const files = [];
+            let ContinuationToken;
+
+            do {
+                const page = await s3.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: `${normalizeKey(prefix)}/`,
+                    ContinuationToken
+                }));
+
+                for (const object of page.Contents || []) {
+                    files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+                }
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+
+            return files;
+        },
+
+        url: (key) => `${baseUrl}/${normalizeKey(key)}`,
+
+        signedUrl: (key, { expiresIn = getSignedUrlTtl() } = {}) => getSignedUrl(
+            s3,
+            new GetObjectCommand({ Bucket: bucket, Key: objectKey(key, 'private') }),
+            { expiresIn }
+        )
+    };
+};
+
+// Adaptadores registrados por nombre
+const drivers = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+// Adaptador en uso (se crea la primera vez que se necesita)
+let activeStorage = null;
+
+/**
+ * setStorage - Reemplaza el adaptador en uso (por ejemplo, en tests)
+ *
+ * @param {object|null} storage - Adaptador a usar; null vuelve a leer STORAGE_DRIVER
+ */
+export const setStorage = (storage) => {
+    activeStorage = storage;
+};
+
+/**
+ * getStorage - Devuelve el adaptador configurado en STORAGE_DRIVER
+ *
+ * @returns {object}
+ */
+export const getStorage = () => {
+    if (!activeStorage) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+
+        if (!Object.hasOwn(drivers, name)) {
+            throw new Error(`Adaptador de almacenamiento desconocido: ${name}`);
+        }
+
+        activeStorage = drivers[name]();
+    }
+
+    return activeStorage;
+};
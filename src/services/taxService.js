@@ -0,0 +1,122 @@
+/**
+ * ==========================================
+ * SERVICIO DE IMPUESTOS (taxService.js)
+ * ==========================================
+ * Calcula los impuestos de una orden según su dirección de envío
+ * (lo usa orderService.placeOrder dentro de su transacción).
+ *
+ * Para cada item se elige la regla activa más específica del país de envío:
+ *   provincia + categoría > provincia > categoría > todo el país
+ * La base imponible es el precio × cantidad menos la parte proporcional de los
+ * descuentos sobre los productos. Los items sin regla no pagan impuesto.
+ *
+ * - Regla exclusiva: el impuesto se suma al total de la orden
+ * - Regla inclusiva: el precio ya lo incluye; solo se informa cuánto contiene
+ */
+
+import TaxRule from '../models/TaxRule.js';
+import { COUNTRY_COLLATION } from '../config/collation.js';
+import { roundMoney } from '../config/money.js';
+
+/**
+ * sameText - Compara textos sin distinguir mayúsculas ni espacios extremos
+ */
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * ruleScore - Especificidad de una regla para un item, o -1 si no le corresponde
+ *
+ * @param {object} rule
+ * @param {object} line - Item con su categoría
+ * @param {object} address - Dirección de envío
+ * @returns {number}
+ */
+const ruleScore = (rule, line, address) => {
+    if (rule.state && !sameText(rule.state, address.state)) {
+        return -1;
+    }
+
+    if (rule.category && String(rule.category) !== String(line.category)) {
+        return -1;
+    }
+
+    return (rule.state ? 2 : 0) + (rule.category ? 1 : 0);
+};
+
+/**
+ * calculateTaxes - Calcula el impuesto de cada item y las líneas de impuesto de la orden
+ *
+ * @param {Array<{category?: object, price: number, quantity: number}>} lines - Items de la orden
+ * @param {object} [shippingAddress] - { country, state, ... }
+ * @param {object} [options] - { itemDiscountTotal: descuentos sobre los productos, session }
+ * @returns {Promise<{itemTaxes?: Array<{taxRate: number, taxInclusive: boolean}>, taxLines?: Array<object>,
+ *          error?: {status: number, message: string}}>} itemTaxes está en el mismo orden que lines;
+ *          sin país no se puede saber qué impuestos corresponden y se devuelve error
+ */
+export const calculateTaxes = async (lines, shippingAddress, { itemDiscountTotal = 0, session } = {}) => {
+    const noTax = { itemTaxes: lines.map(() => ({ taxRate: 0, taxInclusive: false })), taxLines: [] };
+
+    if (!String(shippingAddress?.country ?? '').trim()) {
+        return { error: { status: 400, message: 'Debe indicar el país de envío' } };
+    }
+
+    // 1. REGLAS DEL PAÍS: Con la collation del índice { country, isActive } (sin distinguir mayúsculas)
+    const rules = await TaxRule.find({ isActive: true, country: String(shippingAddress.country).trim() })
+        .collation(COUNTRY_COLLATION)
+        .session(session);
+
+    if (rules.length === 0) {
+        return noTax;
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const byRule = new Map();
+
+    // 2. REGLA DE CADA ITEM Y SU BASE IMPONIBLE
+    const itemTaxes = lines.map((line) => {
+        let best = null;
+        let bestScore = -1;
+
+        for (const rule of rules) {
+            const score = ruleScore(rule, line, shippingAddress);
+
+            if (score > bestScore) {
+                best = rule;
+                bestScore = score;
+            }
+        }
+
+        if (!best) {
+            return { taxRate: 0, taxInclusive: false };
+        }
+
+        const lineTotal = line.price * line.quantity;
+        const base = subtotal > 0 ? lineTotal - itemDiscountTotal * lineTotal / subtotal : 0;
+        const entry = byRule.get(String(best._id)) || { rule: best, taxableAmount: 0 };
+
+        entry.taxableAmount += base;
+        byRule.set(String(best._id), entry);
+
+        return { taxRate: best.rate, taxInclusive: best.inclusive };
+    });
+
+    // 3. LÍNEAS DE IMPUESTO: Una por regla aplicada
+    const taxLines = [...byRule.values()].map(({ rule, taxableAmount }) => {
+        const rate = rule.rate / 100;
+        // Inclusiva: la base ya contiene el impuesto → base - base / (1 + tasa)
+        const amount = rule.inclusive
+            ? taxableAmount - taxableAmount / (1 + rate)
+            : taxableAmount * rate;
+
+        return {
+            taxRule: rule._id,
+            name: rule.name,
+            rate: rule.rate,
+            inclusive: rule.inclusive,
+            taxableAmount: roundMoney(taxableAmount),
+            amount: roundMoney(amount)
+        };
+    });
+
+    return { itemTaxes, taxLines };
+};
@@ -0,0 +1,225 @@
+/**
+ * ==========================================
+ * SERVICIO DE TOKENS (tokenService.js)
+ * ==========================================
+ * Centraliza la emisión de tokens de autenticación:
+ * - Access tokens: JWT de vida corta que se envían en cada petición (se firman en authService.js)
+ * - Refresh tokens: valores aleatorios opacos, guardados hasheados en MongoDB,
+ *   que permiten obtener un nuevo access token sin volver a enviar la contraseña
+ *
+ * Cada uso de un refresh token lo rota (se revoca y se emite uno nuevo).
+ * Si un token ya rotado vuelve a presentarse, se asume que fue robado y se
+ * revoca toda su familia.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import { signAccessToken } from './authService.js';
+import { isTwoFactorRequired } from './totpService.js';
+
+// Duración del refresh token en días
+const getRefreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+/**
+ * hashToken - Calcula el hash SHA-256 de un token opaco
+ *
+ * @param {string} token - Token en texto plano
+ * @returns {string} Hash hexadecimal del token
+ */
+export const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * createOneTimeToken - Genera un token aleatorio de un solo uso y su hash
+ * Se usa para enlaces enviados por email (recuperación de contraseña, verificación, ...):
+ * el token viaja al usuario y en la base de datos solo se guarda el hash.
+ *
+ * @returns {{token: string, hash: string}}
+ */
+export const createOneTimeToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    return { token, hash: hashToken(token) };
+};
+
+/**
+ * signChallengeToken - Firma un token temporal para completar un paso extra del login
+ * (por ejemplo, ingresar el código 2FA). Lleva el claim `purpose`, por lo que
+ * verifyToken lo rechaza como access token.
+ *
+ * @param {object} user - Documento de usuario
+ * @param {string} purpose - Propósito del token ('2fa_login', '2fa_enroll', ...)
+ * @returns {string} JWT firmado
+ */
+export const signChallengeToken = (user, purpose) => {
+    const expiresIn = process.env.JWT_CHALLENGE_EXPIRES_IN || '5m';
+
+    return jwt.sign({ sub: String(user._id), purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+/**
+ * verifyChallengeToken - Verifica un token temporal y su propósito
+ *
+ * @param {string} token - JWT recibido del cliente
+ * @param {string} purpose - Propósito esperado
+ * @returns {object|null} Payload decodificado o null si no es válido
+ */
+export const verifyChallengeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * createRefreshToken - Genera y persiste un nuevo refresh token
+ *
+ * @param {object} user - Documento de usuario
+ * @param {string} [family] - Familia a la que pertenece (si no se indica, se crea una nueva)
+ * @param {string} [ip] - IP del cliente que lo solicita
+ * @returns {Promise<{token: string, document: object}>} Token en texto plano y documento guardado
+ */
+export const createRefreshToken = async (user, family, ip) => {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    const document = await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        family: family || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+        createdByIp: ip
+    });
+
+    return { token, document };
+};
+
+/**
+ * issueTokens - Emite un par access/refresh para un usuario que acaba de autenticarse
+ *
+ * @param {object} user - Documento de usuario
+ * @param {string} [ip] - IP del cliente
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+export const issueTokens = async (user, ip) => {
+    const { token: refreshToken } = await createRefreshToken(user, null, ip);
+
+    return {
+        token: signAccessToken(user),
+        refreshToken
+    };
+};
+
+/**
+ * revokeFamily - Revoca todos los refresh tokens activos de una familia
+ *
+ * @param {string} family - Identificador de la familia
+ * @returns {Promise<object>} Resultado de updateMany
+ */
+export const revokeFamily = async (family) => {
+    return RefreshToken.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+/**
+ * rotateRefreshToken - Canjea un refresh token por un nuevo par de tokens
+ *
+ * @param {string} token - Refresh token en texto plano enviado por el cliente
+ * @param {Function} loadUser - Función que recibe un id y devuelve el usuario (o null)
+ * @param {string} [ip] - IP del cliente
+ * @returns {Promise<{error?: string, token?: string, refreshToken?: string}>}
+ */
+export const rotateRefreshToken = async (token, loadUser, ip) => {
+    // 1. BUSCAR EL TOKEN: Por su hash, nunca por el valor en texto plano
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!stored) {
+        return { error: 'Refresh token inválido' };
+    }
+
+    // 2. DETECCIÓN DE REUTILIZACIÓN: Un token revocado no debería volver a usarse
+    if (stored.revokedAt) {
+        await revokeFamily(stored.family);
+        return { error: 'Refresh token reutilizado, se cerraron todas las sesiones asociadas' };
+    }
+
+    // 3. EXPIRACIÓN
+    if (stored.expiresAt <= new Date()) {
+        return { error: 'Refresh token expirado' };
+    }
+
+    // 4. USUARIO: Debe seguir existiendo
+    const user = await loadUser(stored.user);
+    if (!user) {
+        await revokeFamily(stored.family);
+        return { error: 'Usuario no encontrado' };
+    }
+
+    // El rol exige 2FA y no está activado (sesión anterior a la exigencia): no se renueva;
+    // el usuario vuelve a iniciar sesión y el login le pide darlo de alta
+    if (isTwoFactorRequired(user) && !user.twoFactorEnabled) {
+        await revokeFamily(stored.family);
+        return { error: 'Su rol requiere autenticación en dos pasos: inicie sesión de nuevo para activarla' };
+    }
+
+    // 5. ROTACIÓN: Revocar el token actual de forma atómica; si otra petición
+    // lo canjeó primero, se trata como una reutilización
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: stored._id, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+    );
+
+    if (!claimed) {
+        await revokeFamily(stored.family);
+        return { error: 'Refresh token reutilizado, se cerraron todas las sesiones asociadas' };
+    }
+
+    // 6. NUEVO TOKEN: De la misma familia, enlazado al que reemplaza
+    const { token: refreshToken, document } = await createRefreshToken(user, stored.family, ip);
+
+    claimed.replacedBy = document.tokenHash;
+    await claimed.save();
+
+    return {
+        token: signAccessToken(user),
+        refreshToken
+    };
+};
+
+/**
+ * revokeRefreshToken - Cierra la sesión asociada a un refresh token
+ * Revoca la familia completa para que ningún token derivado siga siendo válido.
+ *
+ * @param {string} token - Refresh token en texto plano
+ * @returns {Promise<boolean>} true si el token existía
+ */
+export const revokeRefreshToken = async (token) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!stored) {
+        return false;
+    }
+
+    await revokeFamily(stored.family);
+    return true;
+};
+
+/**
+ * revokeAllForUser - Revoca todos los refresh tokens activos de un usuario
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<object>} Resultado de updateMany
+ */
+export const revokeAllForUser = async (userId) => {
+    return RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
@@ -0,0 +1,214 @@
+/**
+ * ==========================================
+ * SERVICIO TOTP (totpService.js)
+ * ==========================================
+ * Implementación de contraseñas de un solo uso basadas en tiempo (RFC 6238),
+ * compatible con Google Authenticator, Authy, 1Password, etc.
+ * - Secreto de 160 bits codificado en Base32
+ * - Códigos de 6 dígitos con HMAC-SHA1 y pasos de 30 segundos
+ * - Códigos de recuperación de un solo uso para cuando no se tiene el dispositivo
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * base32Encode - Codifica un buffer en Base32 (RFC 4648, sin relleno)
+ *
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * base32Decode - Decodifica un texto Base32 a buffer
+ *
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Secreto Base32 inválido');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * generateSecret - Genera un secreto TOTP aleatorio
+ *
+ * @returns {string} Secreto en Base32
+ */
+export const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * buildOtpauthUri - Construye la URI otpauth:// que leen las apps autenticadoras (o un QR)
+ *
+ * @param {string} secret - Secreto en Base32
+ * @param {string} accountName - Nombre de la cuenta (normalmente el email)
+ * @param {string} [issuer] - Nombre de la aplicación
+ * @returns {string}
+ */
+export const buildOtpauthUri = (secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || 'Web8 API') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * generateCode - Calcula el código TOTP de un paso de tiempo
+ *
+ * @param {string} secret - Secreto en Base32
+ * @param {number} step - Paso de tiempo (segundos desde epoch / 30)
+ * @returns {string} Código de 6 dígitos
+ */
+export const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Truncamiento dinámico (RFC 4226)
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * getCurrentStep - Paso de tiempo actual
+ *
+ * @returns {number}
+ */
+export const getCurrentStep = () => {
+    return Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+};
+
+/**
+ * verifyCode - Verifica un código TOTP tolerando un paso de desfase de reloj
+ *
+ * @param {string} secret - Secreto en Base32
+ * @param {string} code - Código ingresado por el usuario
+ * @param {number} [lastUsedStep] - Último paso aceptado (para impedir reutilizar un código)
+ * @returns {number|null} Paso que coincidió, o null si el código no es válido
+ */
+export const verifyCode = (secret, code, lastUsedStep = -1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const currentStep = getCurrentStep();
+
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+        if (step <= lastUsedStep) {
+            continue;
+        }
+
+        const expected = generateCode(secret, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * hashRecoveryCode - Hash de un código de recuperación (se normaliza antes)
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export const hashRecoveryCode = (code) => {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * generateRecoveryCodes - Genera códigos de recuperación de un solo uso
+ *
+ * @param {number} [count] - Cantidad de códigos
+ * @returns {{codes: string[], hashes: string[]}} Códigos en texto plano (se muestran una vez) y sus hashes
+ */
+export const generateRecoveryCodes = (count = 10) => {
+    const codes = [];
+
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * isTwoFactorRequired - Política: indica si el rol del usuario exige 2FA
+ * TWO_FACTOR_REQUIRED_ROLES es una lista separada por comas (por defecto 'admin').
+ * Si se define vacía, ningún rol está obligado a usar 2FA.
+ *
+ * @param {object} user - Documento de usuario
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user) => {
+    const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin')
+        .split(',')
+        .map((role) => role.trim())
+        .filter(Boolean);
+
+    return roles.includes(user.role);
+};
@@ -0,0 +1,123 @@
+/**
+ * ==========================================
+ * SERVICIO DE REGISTRO DE ARCHIVOS (uploadService.js)
+ * ==========================================
+ * Lleva el registro de los archivos subidos (models/Upload.js) y de los
+ * documentos que usa cada uno. Cuando un archivo se queda sin documentos
+ * que lo usen se borra del almacenamiento.
+ *
+ * Flujo:
+ * 1. registerUploads(): al guardar un archivo nuevo (todavía sin referencias)
+ * 2. setReferences(): después de guardar el documento, con las claves que usa ahora
+ * 3. Los archivos que el documento dejó de usar y nadie más usa se borran
+ *
+ * Si algo falla entre 1 y 2 (error, caída del servidor) el archivo queda
+ * huérfano; lo borra el barrido periódico (services/uploadSweepService.js).
+ */
+
+import Upload from '../models/Upload.js';
+import { getStorage } from './storageService.js';
+
+/**
+ * registerUploads - Registra archivos recién guardados en el almacenamiento, sin referencias
+ *
+ * @param {Array<{key: string, contentType?: string, size?: number}>} files
+ * @returns {Promise<void>}
+ */
+export const registerUploads = async (files) => {
+    if (files.length === 0) {
+        return;
+    }
+
+    await Upload.bulkWrite(files.map(({ key, contentType, size }) => ({
+        updateOne: {
+            filter: { key },
+            update: { $set: { contentType, size }, $setOnInsert: { refs: [] } },
+            upsert: true
+        }
+    })));
+};
+
+/**
+ * removeUnreferencedUploads - Borra del almacenamiento y del registro los archivos sin referencias
+ * Los que todavía usa algún documento no se tocan. Un error al borrar un archivo
+ * se informa por consola y no interrumpe (lo vuelve a intentar el barrido).
+ *
+ * @param {Array<string>} keys
+ * @returns {Promise<{files: number, bytes: number}>} Archivos borrados y espacio liberado
+ */
+export const removeUnreferencedUploads = async (keys) => {
+    const storage = getStorage();
+    const freed = { files: 0, bytes: 0 };
+
+    for (const key of new Set(keys)) {
+        // Se quita del registro solo si sigue sin referencias (otro documento pudo empezar a usarlo)
+        const upload = await Upload.findOneAndDelete({ key, refs: { $size: 0 } });
+
+        if (!upload) {
+            continue;
+        }
+
+        try {
+            await storage.remove(key);
+            freed.files += 1;
+            freed.bytes += upload.size || 0;
+        } catch (error) {
+            console.log('Error al borrar el archivo', key, error.message);
+        }
+    }
+
+    return freed;
+};
+
+/**
+ * setReferences - Define qué archivos usa un documento
+ * Agrega la referencia a las claves indicadas y la quita del resto; los archivos
+ * que quedan sin referencias se borran.
+ *
+ * @param {string} model - Nombre del modelo (ej: 'Product')
+ * @param {string} documentId - ID del documento
+ * @param {Array<string>} keys - Claves que usa el documento ahora
+ * @param {object} [options]
+ * @param {Array<string>} [options.previous] - Claves que usaba antes del cambio. Se registran
+ *   aunque no lo estuvieran (archivos subidos antes del registro) para poder borrarlas.
+ * @returns {Promise<{files: number, bytes: number}>} Archivos borrados y espacio liberado
+ */
+export const setReferences = async (model, documentId, keys, { previous = [] } = {}) => {
+    const ref = { model, document: documentId };
+    const current = [...new Set(keys)];
+    const known = [...new Set([...current, ...previous])];
+
+    // 1. AGREGAR: Las claves actuales (y las anteriores, si no estaban registradas)
+    if (known.length > 0) {
+        await Upload.bulkWrite(known.map((key) => ({
+            updateOne: {
+                filter: { key },
+                update: { $addToSet: { refs: ref } },
+                upsert: true
+            }
+        })));
+    }
+
+    // 2. QUITAR: Las que el documento ya no usa
+    const dropped = await Upload.find({ refs: { $elemMatch: ref }, key: { $nin: current } }).select('key');
+
+    if (dropped.length === 0) {
+        return { files: 0, bytes: 0 };
+    }
+
+    await Upload.updateMany({ _id: { $in: dropped.map((upload) => upload._id) } }, { $pull: { refs: ref } });
+
+    // 3. BORRAR: Las que nadie más usa
+    return removeUnreferencedUploads(dropped.map((upload) => upload.key));
+};
+
+/**
+ * releaseReferences - Quita todas las referencias de un documento (al eliminarlo)
+ *
+ * @param {string} model
+ * @param {string} documentId
+ * @param {object} [options] - Ver setReferences (previous)
+ * @returns {Promise<{files: number, bytes: number}>}
+ */
+export const releaseReferences = (model, documentId, options) => setReferences(model, documentId, [], options);
@@ -0,0 +1,291 @@
+/**
+ * ==========================================
+ * SERVICIO DE BARRIDO DE ARCHIVOS (uploadSweepService.js)
+ * ==========================================
+ * Encuentra y borra los archivos subidos que ningún producto usa: subidas
+ * que fallaron a medias, archivos de antes del registro (models/Upload.js)
+ * y temporales de multer que quedaron en el disco. También arma el reporte
+ * de archivos y espacio usado para la administración (GET /api/uploads/report).
+ *
+ * El registro no es la única fuente: antes de borrar se revisa qué claves
+ * usan realmente los productos, así un registro desactualizado nunca borra
+ * una imagen en uso (y los archivos en uso que faltan en el registro se agregan).
+ *
+ * Solo se borran archivos huérfanos desde hace más de UPLOAD_ORPHAN_GRACE_MINUTES,
+ * para no tocar subidas que todavía se están guardando.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import Product from '../models/Product.js';
+import Upload from '../models/Upload.js';
+import { getStorage } from './storageService.js';
+import {
+    PRODUCT_KEY_PREFIX,
+    DEFAULT_PRODUCT_IMAGE_KEY,
+    productUploadKeys
+} from './productImageService.js';
+import { getUploadTmpDir } from '../config/multer.js';
+
+// Minutos que un archivo sin referencias se conserva antes de borrarlo
+const getOrphanGraceMinutes = () => parseInt(process.env.UPLOAD_ORPHAN_GRACE_MINUTES) || 60;
+
+// Cada cuántos minutos se ejecuta el barrido (0 = desactivado)
+const getSweepIntervalMinutes = () => parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES ?? 60);
+
+// Máximo de archivos que se listan por categoría en el reporte
+const REPORT_ITEMS_LIMIT = 100;
+
+/**
+ * collectProductReferences - Qué productos usan cada clave de almacenamiento
+ *
+ * @returns {Promise<Map<string, Array<string>>>} clave → IDs de productos
+ */
+const collectProductReferences = async () => {
+    const references = new Map();
+    const products = Product.find({}, 'image images variants.image').lean().cursor();
+
+    for await (const product of products) {
+        for (const key of productUploadKeys(product)) {
+            references.set(key, [...(references.get(key) || []), product._id]);
+        }
+    }
+
+    return references;
+};
+
+/**
+ * listTempFiles - Archivos del directorio temporal de multer
+ *
+ * @returns {Promise<Array<{file: string, size: number, lastModified: Date}>>}
+ */
+const listTempFiles = async () => {
+    const dir = getUploadTmpDir();
+    let names;
+
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const files = await Promise.all(names.map(async (name) => {
+        const file = path.join(dir, name);
+        const stats = await fs.promises.stat(file).catch(() => null);
+
+        return stats?.isFile() ? { file, size: stats.size, lastModified: stats.mtime } : null;
+    }));
+
+    return files.filter(Boolean);
+};
+
+/**
+ * inspectUploads - Clasifica los archivos de imágenes de productos
+ * - referenced: en uso y registrados
+ * - unregistered: en uso pero sin registro o con el registro desactualizado
+ * - orphaned: sin uso (eligible = lleva más que el período de gracia)
+ * - missing: registrados pero ya no están en el almacenamiento
+ *
+ * @returns {Promise<object>}
+ */
+const inspectUploads = async () => {
+    const storage = getStorage();
+    const cutoff = new Date(Date.now() - getOrphanGraceMinutes() * 60 * 1000);
+
+    const [files, uploads, productReferences, tempFiles] = await Promise.all([
+        storage.list(PRODUCT_KEY_PREFIX),
+        Upload.find({ key: { $regex: `^${PRODUCT_KEY_PREFIX}` } }).lean(),
+        collectProductReferences(),
+        listTempFiles()
+    ]);
+    const registered = new Map(uploads.map((upload) => [upload.key, upload]));
+    const stored = new Set(files.map((file) => file.key));
+    const result = { files, referenced: [], unregistered: [], orphaned: [], missing: [], tempFiles, cutoff };
+
+    for (const file of files) {
+        if (file.key === DEFAULT_PRODUCT_IMAGE_KEY) {
+            result.referenced.push(file);
+            continue;
+        }
+
+        const upload = registered.get(file.key);
+        const products = productReferences.get(file.key) || [];
+        // Referencias de otros modelos: se confía en el registro
+        const otherRefs = (upload?.refs || []).filter((ref) => ref.model !== 'Product');
+        const registeredProducts = (upload?.refs || []).filter((ref) => ref.model === 'Product').map((ref) => String(ref.document));
+
+        if (products.length > 0 || otherRefs.length > 0) {
+            const upToDate = upload
+                && registeredProducts.length === products.length
+                && products.every((id) => registeredProducts.includes(String(id)));
+
+            (upToDate ? result.referenced : result.unregistered).push({ ...file, upload, products, otherRefs });
+        } else {
+            // Huérfano desde su último cambio (el registro se actualiza al quitar la última referencia)
+            const since = new Date(Math.max(file.lastModified, upload?.updatedAt || 0));
+
+            result.orphaned.push({ ...file, upload, since, eligible: since < cutoff });
+        }
+    }
+
+    result.missing = uploads.filter((upload) => !stored.has(upload.key));
+
+    return result;
+};
+
+/**
+ * sumSizes - Cantidad de archivos y bytes de una lista
+ */
+const sumSizes = (files) => ({
+    files: files.length,
+    bytes: files.reduce((total, file) => total + (file.size || 0), 0)
+});
+
+/**
+ * getUploadReport - Reporte de archivos huérfanos y espacio usado
+ *
+ * @returns {Promise<object>}
+ */
+export const getUploadReport = async () => {
+    const { files, referenced, unregistered, orphaned, missing, tempFiles, cutoff } = await inspectUploads();
+    const storage = getStorage();
+
+    return {
+        storage: storage.name,
+        graceMinutes: getOrphanGraceMinutes(),
+        total: sumSizes(files),
+        referenced: sumSizes([...referenced, ...unregistered]),
+        unregistered: sumSizes(unregistered),
+        orphaned: {
+            ...sumSizes(orphaned),
+            eligible: sumSizes(orphaned.filter((file) => file.eligible)),
+            items: orphaned.slice(0, REPORT_ITEMS_LIMIT).map(({ key, size, since, eligible }) => ({
+                key,
+                url: storage.url(key),
+                size,
+                orphanedSince: since,
+                eligible
+            }))
+        },
+        missing: {
+            files: missing.length,
+            items: missing.slice(0, REPORT_ITEMS_LIMIT).map(({ key, refs }) => ({ key, refs }))
+        },
+        temp: {
+            ...sumSizes(tempFiles),
+            eligible: sumSizes(tempFiles.filter((file) => file.lastModified < cutoff))
+        }
+    };
+};
+
+/**
+ * sweepOrphanedUploads - Borra los archivos huérfanos y corrige el registro
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Solo calcula qué se borraría
+ * @returns {Promise<object>} Resumen: borrados, registrados, espacio liberado
+ */
+export const sweepOrphanedUploads = async ({ dryRun = false } = {}) => {
+    const { unregistered, orphaned, missing, tempFiles, cutoff } = await inspectUploads();
+    const storage = getStorage();
+    const eligible = orphaned.filter((file) => file.eligible);
+    const staleTemp = tempFiles.filter((file) => file.lastModified < cutoff);
+    const summary = {
+        dryRun,
+        deleted: sumSizes(eligible),
+        registered: unregistered.length,
+        missingRemoved: missing.filter((upload) => upload.refs.length === 0).length,
+        temp: sumSizes(staleTemp)
+    };
+
+    if (dryRun) {
+        return summary;
+    }
+
+    // 1. REGISTRAR: Archivos en uso que faltaban en el registro (o con referencias viejas)
+    for (const { key, size, products, otherRefs } of unregistered) {
+        await Upload.updateOne(
+            { key },
+            { $set: { size, refs: [...otherRefs, ...products.map((id) => ({ model: 'Product', document: id }))] } },
+            { upsert: true }
+        );
+    }
+
+    // 2. BORRAR HUÉRFANOS: Solo si el registro no cambió desde la inspección
+    //    (si en el medio un producto empezó a usarlo, se deja para el próximo barrido)
+    let deleted = 0;
+    let freed = 0;
+
+    for (const file of eligible) {
+        if (file.upload) {
+            const { deletedCount } = await Upload.deleteOne({ _id: file.upload._id, updatedAt: file.upload.updatedAt });
+
+            if (deletedCount === 0) {
+                continue;
+            }
+        }
+
+        try {
+            await storage.remove(file.key);
+            deleted += 1;
+            freed += file.size || 0;
+        } catch (error) {
+            console.log('Error al borrar el archivo huérfano', file.key, error.message);
+        }
+    }
+
+    summary.deleted = { files: deleted, bytes: freed };
+
+    // 3. REGISTROS SIN ARCHIVO: Se quitan si nadie los usa
+    await Upload.deleteMany({ _id: { $in: missing.map((upload) => upload._id) }, refs: { $size: 0 } });
+
+    // 4. TEMPORALES: Subidas que no se llegaron a procesar
+    await Promise.all(staleTemp.map((file) => fs.promises.rm(file.file, { force: true })));
+
+    return summary;
+};
+
+// Evita que dos barridos se ejecuten a la vez en la misma instancia
+let sweeping = false;
+
+/**
+ * startUploadSweeper - Programa el barrido periódico (UPLOAD_SWEEP_INTERVAL_MINUTES; 0 lo desactiva)
+ * Con varias instancias de la API cada una ejecuta su barrido; es seguro porque
+ * solo se borra lo que ningún producto usa.
+ *
+ * @returns {NodeJS.Timeout|null}
+ */
+export const startUploadSweeper = () => {
+    const minutes = getSweepIntervalMinutes();
+
+    if (!(minutes > 0)) {
+        return null;
+    }
+
+    const timer = setInterval(async () => {
+        if (sweeping) {
+            return;
+        }
+
+        sweeping = true;
+        try {
+            const summary = await sweepOrphanedUploads();
+
+            if (summary.deleted.files || summary.registered || summary.temp.files) {
+                console.log('Barrido de archivos:', JSON.stringify(summary));
+            }
+        } catch (error) {
+            console.log('Error en el barrido de archivos', error);
+        } finally {
+            sweeping = false;
+        }
+    }, minutes * 60 * 1000);
+
+    // El temporizador no impide que el proceso termine
+    timer.unref();
+
+    return timer;
+};
@@ -0,0 +1,172 @@
+/**
+ * ==========================================
+ * SERVICIO DE VARIANTES (variantService.js)
+ * ==========================================
+ * Variantes de producto (ej: una remera en talles S, M, L y colores Rojo, Azul).
+ * El producto define sus opciones y cada combinación de valores es una
+ * variante con su propio SKU, precio opcional, stock e imagen.
+ *
+ * Lo usan productController (generar variantes y la matriz de
+ * GET /api/products/:id), cartService, orderService y returnService (precio
+ * y stock de la variante elegida en cada línea).
+ */
+
+// Límite de combinaciones por producto (3 opciones de 5 valores ya son 125)
+const MAX_VARIANTS = 100;
+
+/**
+ * findVariant - Variante de un producto por su ID, o null
+ *
+ * @param {object} product
+ * @param {string} variantId
+ * @returns {object|null}
+ */
+export const findVariant = (product, variantId) =>
+    product.variants?.find((variant) => String(variant._id) === String(variantId)) || null;
+
+/**
+ * variantName - Nombre legible de una variante (ej: "Talle: M / Color: Rojo")
+ *
+ * @param {object} variant
+ * @returns {string}
+ */
+export const variantName = (variant) =>
+    [...(variant.options || new Map()).entries()].map(([name, value]) => `${name}: ${value}`).join(' / ');
+
+/**
+ * variantPrice - Precio de venta de la variante (el del producto si no tiene uno propio)
+ *
+ * @param {object} product
+ * @param {object} [variant]
+ * @returns {number}
+ */
+export const variantPrice = (product, variant) => variant?.price ?? product.price;
+
+/**
+ * stockUpdate - Filtro y update para sumar (o restar) unidades al stock de una línea
+ * Las líneas con variante usan el stock de la variante; las demás, el del producto.
+ *
+ * @param {{product: string, variant?: string}} line
+ * @param {number} quantity - Unidades a sumar (negativo para restar)
+ * @returns {[object, object]} [filtro, update] para Product.updateOne
+ */
+export const stockUpdate = (line, quantity) => (line.variant
+    ? [{ _id: line.product, 'variants._id': line.variant }, { $inc: { 'variants.$.stock': quantity } }]
+    : [{ _id: line.product }, { $inc: { stock: quantity } }]);
+
+/**
+ * skuPart - Parte de un SKU a partir de un valor de opción (ej: "Azul marino" → "AZULMARINO")
+ */
+const skuPart = (value) => String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9]/g, '')
+    .toUpperCase();
+
+/**
+ * combinations - Todas las combinaciones de valores de las opciones
+ *
+ * @param {Array<{name: string, values: string[]}>} options
+ * @returns {Array<object>} Ej: [{ Talle: 'S', Color: 'Rojo' }, { Talle: 'S', Color: 'Azul' }, ...]
+ */
+const combinations = (options) => options.reduce(
+    (combos, option) => combos.flatMap((combo) => option.values.map((value) => ({ ...combo, [option.name]: value }))),
+    [{}]
+);
+
+/**
+ * generateVariants - Arma las variantes para un nuevo juego de opciones
+ * Las combinaciones que ya existían conservan su SKU, precio, stock e imagen;
+ * las nuevas empiezan sin stock y las que ya no corresponden se quitan.
+ *
+ * @param {object} product - Producto con sus variantes actuales
+ * @param {Array<{name: string, values: string[]}>} options - Nuevas opciones
+ * @returns {{variants?: Array<object>, removed?: number, error?: {status: number, message: string}}}
+ */
+export const generateVariants = (product, options) => {
+    const names = options.map((option) => option.name);
+
+    if (new Set(names).size !== names.length) {
+        return { error: { status: 400, message: 'Hay opciones con el mismo nombre' } };
+    }
+
+    // Se cuenta antes de expandir: unas pocas opciones con muchos valores
+    // generarían millones de combinaciones en memoria
+    const total = options.length > 0 ? options.reduce((n, option) => n * option.values.length, 1) : 0;
+
+    if (total > MAX_VARIANTS) {
+        return { error: { status: 400, message: `Las opciones generan ${total} variantes; el máximo es ${MAX_VARIANTS}` } };
+    }
+
+    const combos = total > 0 ? combinations(options) : [];
+
+    // Prefijo de los SKU nuevos: final del ID del producto (los existentes no cambian)
+    const prefix = String(product._id).slice(-6).toUpperCase();
+    const usedSkus = new Set();
+    const kept = new Set();
+
+    const variants = combos.map((combo) => {
+        const existing = product.variants.find((variant) =>
+            variant.options?.size === names.length
+            && names.every((name) => variant.options.get(name) === combo[name]));
+
+        if (existing) {
+            kept.add(existing);
+            usedSkus.add(existing.sku);
+
+            return existing.toObject();
+        }
+
+        return { options: combo, stock: 0 };
+    });
+
+    // SKU para las variantes nuevas, sin repetir los que ya existen
+    for (const variant of variants.filter((v) => !v.sku)) {
+        const base = [prefix, ...names.map((name) => skuPart(variant.options[name]))].join('-');
+        let sku = base;
+
+        for (let n = 2; usedSkus.has(sku); n++) {
+            sku = `${base}-${n}`;
+        }
+
+        usedSkus.add(sku);
+        variant.sku = sku;
+    }
+
+    return { variants, removed: product.variants.length - kept.size };
+};
+
+/**
+ * buildVariantMatrix - Opciones y variantes de un producto con su disponibilidad
+ *
+ * @param {object} product
+ * @returns {{options: Array<object>, variants: Array<object>, availability: object}}
+ *   availability: para cada opción y valor, si hay alguna variante con ese valor a la venta
+ *   y con stock (ej: { Talle: { S: true, M: false } })
+ */
+export const buildVariantMatrix = (product) => {
+    const variants = product.variants.map((variant) => ({
+        _id: variant._id,
+        sku: variant.sku,
+        name: variantName(variant),
+        options: Object.fromEntries(variant.options || []),
+        price: variantPrice(product, variant),
+        stock: variant.stock,
+        image: variant.image || product.image,
+        available: Boolean(product.isAvailable && variant.isAvailable && variant.stock > 0)
+    }));
+
+    const availability = Object.fromEntries(product.options.map((option) => [
+        option.name,
+        Object.fromEntries(option.values.map((value) => [
+            value,
+            variants.some((variant) => variant.available && variant.options[option.name] === value)
+        ]))
+    ]));
+
+    return {
+        options: product.options.map((option) => ({ name: option.name, values: option.values })),
+        variants,
+        availability
+    };
+};